@@ -53,6 +53,21 @@ const startServer = async () => {
     const { default: app } = await import('./src/app.js');
     logger.info('App modules imported successfully.');
 
+    // Load the active rate cards and keep them in sync with the database
+    const { default: pricingService } = await import('./src/services/pricing.service.js');
+    await pricingService.loadActiveRateCards();
+    pricingService.startRateCardSync();
+
+    // Re-arm driver offer timeouts lost on restart
+    const { default: matchingService } = await import('./src/services/matching.service.js');
+    await matchingService.recoverPendingOffers();
+
+    // Background jobs: pickup reminders, unpaid booking expiry, earnings resets
+    const { default: schedulerService } = await import('./src/services/scheduler.service.js');
+    const { registerJobs } = await import('./src/jobs/index.js');
+    registerJobs(schedulerService);
+    await schedulerService.start();
+
     // Start Express server
     const server = app.listen(PORT, () => {
       logger.info(`✅ Server running on port ${PORT}`);
@@ -60,6 +75,10 @@ const startServer = async () => {
       logger.info(`🔗 Health check: http://localhost:${PORT}/health`);
     });
 
+    // Live trip tracking shares the HTTP server
+    const { default: socketService } = await import('./src/services/socket.service.js');
+    socketService.init(server);
+
     // Handle server startup errors
     server.on('error', (err) => {
       if (err.code === 'EADDRINUSE') {
@@ -73,6 +92,8 @@ const startServer = async () => {
     // Graceful shutdown on SIGTERM
     process.on('SIGTERM', () => {
       logger.info('👋 SIGTERM received. Shutting down gracefully...');
+      schedulerService.stop();
+      socketService.close();
       server.close(() => {
         logger.info('✅ Process terminated');
         process.exit(0);
@@ -13,6 +13,10 @@ import authRoutes from './routes/auth.routes.js';
 import bookingRoutes from './routes/booking.routes.js';
 import userRoutes from './routes/user.routes.js';
 import paymentRoutes from './routes/payment.route.js';
+import driverRoutes from './routes/driver.routes.js';
+import couponRoutes from './routes/coupon.routes.js';
+import rateCardRoutes from './routes/rateCard.routes.js';
+import adminRoutes from './routes/admin.routes.js';
 
 // Initialize Express app
 const app = express();
@@ -20,6 +24,13 @@ const app = express();
 // Environment variables
 const isProduction = process.env.NODE_ENV === 'production';
 
+// Behind a load balancer req.ip is the proxy's address unless we trust it.
+// Per-IP OTP throttling depends on this (TRUST_PROXY=1 for a single proxy).
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
@@ -58,6 +69,10 @@ app.use('/api/auth', authRoutes);
 app.use('/api/bookings', bookingRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/driver', driverRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/rate-cards', rateCardRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Catch undefined API routes
 app.all('/api/*', (req, res) => {
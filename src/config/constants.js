@@ -31,7 +31,25 @@ export const MESSAGES = {
 // JWT Configuration
 export const JWT = {
   SECRET: process.env.JWT_SECRET || 'your-secret-key-change-in-production',
-  EXPIRES_IN: process.env.JWT_EXPIRE || '30d'
+  EXPIRES_IN: process.env.JWT_EXPIRE || '30d',
+  // Access tokens are short-lived; clients renew them with the refresh token
+  ACCESS_EXPIRES_IN: process.env.JWT_ACCESS_EXPIRE || '15m',
+  REFRESH_EXPIRES_IN: process.env.JWT_REFRESH_EXPIRE || '90d'
+};
+
+// Login sessions (one per device, see models/Session.js)
+export const SESSION_CONFIG = {
+  MAX_PER_USER: 10 // Oldest session is signed out when a new device logs in past this
+};
+
+export const SESSION_REVOKE_REASONS = {
+  LOGOUT: 'LOGOUT',
+  REMOTE_LOGOUT: 'REMOTE_LOGOUT',
+  LOGOUT_ALL: 'LOGOUT_ALL',
+  REPLACED: 'REPLACED', // Same device logged in again
+  SESSION_LIMIT: 'SESSION_LIMIT',
+  TOKEN_REUSE: 'TOKEN_REUSE', // An already rotated refresh token was presented
+  TOKENS_REVOKED: 'TOKENS_REVOKED' // User.tokenVersion bumped (deactivation, phone change)
 };
 // Database Configuration
 export const DATABASE = {
@@ -53,6 +71,12 @@ export const USER_ROLES = {
   DRIVER: 'DRIVER',
   CUSTOMER: 'CUSTOMER'
 };
+// Account changes made by admins (User.adminHistory)
+export const USER_ADMIN_ACTIONS = {
+  PROMOTED_TO_DRIVER: 'PROMOTED_TO_DRIVER',
+  SUSPENDED: 'SUSPENDED',
+  REACTIVATED: 'REACTIVATED'
+};
 // Booking Status
 export const BOOKING_STATUS = {
   PENDING: 'PENDING',
@@ -71,7 +95,13 @@ export const PAYMENT_STATUS = {
   ADVANCED: 'ADVANCED',   // --- [NEW] Advance payment done
   FAILED: 'FAILED',
   REFUNDED: 'REFUNDED',
-  PARTIALLY_REFUNDED: 'PARTIALLY_REFUNDED'
+  PARTIALLY_REFUNDED: 'PARTIALLY_REFUNDED',
+  SUPERSEDED: 'SUPERSEDED' // Order replaced by a re-priced one (e.g. after a discount)
+};
+
+// Stored in Payment.failureReason where later code needs to recognise the cause
+export const PAYMENT_FAILURE_REASONS = {
+  EXPIRED: 'Payment window expired'
 };
 // Payment Methods
 export const PAYMENT_METHODS = {
@@ -83,6 +113,13 @@ export const PAYMENT_METHODS = {
   NET_BANKING: 'NET_BANKING'
 };
 
+// Payment Purpose (what a payment document settles)
+export const PAYMENT_PURPOSE = {
+  ADVANCE: 'ADVANCE',
+  FULL: 'FULL',
+  BALANCE: 'BALANCE'
+};
+
 // Vehicle Types
 export const VEHICLE_TYPES = {
   HATCHBACK: 'HATCHBACK',
@@ -339,6 +376,26 @@ export const BOOKING_TYPES = {
   AIRPORT_DROP: 'AIRPORT_DROP'
 };
 
+// Rate Card Status (versioned pricing stored in the database)
+export const RATE_CARD_STATUS = {
+  DRAFT: 'DRAFT',
+  ACTIVE: 'ACTIVE',
+  ARCHIVED: 'ARCHIVED'
+};
+
+// Rate Card Scope (most specific match wins: ZONE > CITY > NATIONAL)
+export const RATE_CARD_SCOPES = {
+  NATIONAL: 'NATIONAL',
+  CITY: 'CITY',
+  ZONE: 'ZONE'
+};
+
+// Rate Card Configuration
+export const RATE_CARD_CONFIG = {
+  SYNC_INTERVAL_SECONDS: Number(process.env.RATE_CARD_SYNC_INTERVAL_SECONDS) || 60,
+  DEFAULT_VERSION: 0 // Version reported when pricing falls back to the constants above
+};
+
 // Tax Configuration
 export const TAX_CONFIG = {
   GST_RATE: 0.05 // 5% GST
@@ -381,6 +438,14 @@ export const VEHICLE_CAPACITY = {
   TRAVELLER_MAHARAJA_15_1: { passengers: 15, luggage: 12 }
 };
 
+export const FUEL_TYPES = {
+  PETROL: 'PETROL',
+  DIESEL: 'DIESEL',
+  CNG: 'CNG',
+  ELECTRIC: 'ELECTRIC',
+  HYBRID: 'HYBRID'
+};
+
 // Vehicle Features
 export const VEHICLE_FEATURES = {
   HATCHBACK: ['AC', 'Music System'],
@@ -416,16 +481,94 @@ export const BOOKING_CONFIG = {
   MIN_BOOKING_HOURS_AHEAD: 2,
   ADVANCE_BOOKING_DAYS: 30,
   DRIVER_ACCEPTANCE_TIMEOUT_MINUTES: 5,
+  RIDE_OTP_LENGTH: 4,
+  RIDE_OTP_MAX_ATTEMPTS: 5,
   MAX_BOOKING_PER_DAY: 10,
-  ADVANCE_PAYMENT_PERCENTAGE: 0.20 // 20% Advance Payment
+  ADVANCE_PAYMENT_PERCENTAGE: 0.20, // 20% Advance Payment
+  UNPAID_EXPIRY_MINUTES: parseInt(process.env.UNPAID_BOOKING_EXPIRY_MINUTES, 10) || 30,
+  REMINDER_LEAD_MINUTES: 120, // Pickup reminder goes out this long before start
+  DRIVER_START_GRACE_MINUTES: 15 // Nudge assigned drivers this long after pickup time
+};
+
+// Final Fare Settlement Configuration
+export const SETTLEMENT_CONFIG = {
+  LOCAL_GRACE_MINUTES: 15, // Overtime below this is not billed on local packages
+  FREE_WAITING_MINUTES: 45, // Outstation/airport waiting included in the fare
+  WAITING_CHARGE_PER_MINUTE: 2,
+  MAX_TOLL_CHARGES: 10000,
+  MAX_PARKING_CHARGES: 5000
+};
+
+// Driver Matching Configuration
+export const MATCHING_CONFIG = {
+  MAX_PICKUP_RADIUS_KM: 50,
+  MAX_CANDIDATES: 20,
+  MAX_OFFER_ATTEMPTS: 5,
+  LOCATION_STALE_MINUTES: 30,
+  WEIGHTS: {
+    DISTANCE: 0.5,
+    RATING: 0.3,
+    RELIABILITY: 0.2
+  }
+};
+
+// Dispatch Status (driver offer lifecycle on a booking)
+export const DISPATCH_STATUS = {
+  SEARCHING: 'SEARCHING',
+  OFFERED: 'OFFERED',
+  ACCEPTED: 'ACCEPTED',
+  EXHAUSTED: 'EXHAUSTED'
+};
+
+// Coupon Discount Types
+export const DISCOUNT_TYPES = {
+  PERCENTAGE: 'PERCENTAGE',
+  FIXED: 'FIXED'
+};
+
+// Coupon Configuration
+export const COUPON_CONFIG = {
+  CODE_MIN_LENGTH: 3,
+  CODE_MAX_LENGTH: 20,
+  MAX_DISCOUNT_PERCENT: 50, // Hard cap on any coupon, as a share of the fare
+  DEFAULT_PER_USER_LIMIT: 1,
+  RECENT_REDEMPTIONS_LIMIT: 50 // Shown with a coupon in the admin API
 };
 
 // OTP Configuration
+// Languages with a message catalogue in src/locales
+export const LANGUAGES = {
+  EN: 'en',
+  HI: 'hi'
+};
+
+export const DEFAULT_LANGUAGE = LANGUAGES.EN;
+
 export const OTP_CONFIG = {
   EXPIRY_MINUTES: Number(process.env.OTP_EXPIRY_MINUTES) || 10,
   MAX_ATTEMPTS: Number(process.env.OTP_MAX_ATTEMPTS) || 3,
   RESEND_TIMEOUT_SECONDS: Number(process.env.OTP_RESEND_TIMEOUT_SECONDS) || 60,
-  LENGTH: 6
+  LENGTH: 6,
+  // Lock a phone number after MAX_ATTEMPTS wrong codes; each repeat lockout lasts longer
+  LOCKOUT_MINUTES: [15, 60, 240, 1440],
+  // A number with no new lockout for this long starts again at the first step
+  LOCKOUT_RESET_HOURS: 24
+};
+
+// What an OTP was issued for; a code only verifies for the same purpose (and user)
+export const OTP_PURPOSES = {
+  LOGIN: 'LOGIN',
+  CHANGE_PHONE: 'CHANGE_PHONE'
+};
+
+// Security audit events (models/AuthEvent.js)
+export const AUTH_EVENT_TYPES = {
+  OTP_LOCKOUT: 'OTP_LOCKOUT',
+  OTP_RATE_LIMITED: 'OTP_RATE_LIMITED'
+};
+
+export const AUDIT_CONFIG = {
+  RETENTION_DAYS: 90
 };
 
 // Notification Types
@@ -440,7 +583,92 @@ export const NOTIFICATION_TYPES = {
   PAYMENT_RECEIVED: 'PAYMENT_RECEIVED',
   OTP_SENT: 'OTP_SENT',
   RATING_RECEIVED: 'RATING_RECEIVED',
-  ADMIN_ALERT: 'ADMIN_ALERT'
+  ADMIN_ALERT: 'ADMIN_ALERT',
+  TRIP_REMINDER: 'TRIP_REMINDER',
+  BOOKING_UPDATED: 'BOOKING_UPDATED',
+  TRIP_OFFER: 'TRIP_OFFER',
+  CHAT_MESSAGE: 'CHAT_MESSAGE',
+  DOCUMENT_REVIEWED: 'DOCUMENT_REVIEWED',
+  COMPLIANCE_WARNING: 'COMPLIANCE_WARNING',
+  GENERAL: 'GENERAL'
+};
+
+// Delivery channels of the notification dispatcher
+export const NOTIFICATION_CHANNELS = {
+  PUSH: 'PUSH',
+  SMS: 'SMS',
+  EMAIL: 'EMAIL'
+};
+
+export const MESSAGE_CATEGORIES = {
+  OTP: 'OTP',
+  BOOKING: 'BOOKING',
+  TRIP: 'TRIP',
+  PAYMENT: 'PAYMENT',
+  CHAT: 'CHAT',
+  SECURITY: 'SECURITY',
+  COMPLIANCE: 'COMPLIANCE',
+  PROMOTIONAL: 'PROMOTIONAL'
+};
+
+// Channels each category may use, in order of preference. Critical messages
+// ignore User.preferences.notifications and go out on every reachable channel.
+export const DISPATCH_RULES = {
+  [MESSAGE_CATEGORIES.OTP]: {
+    channels: [NOTIFICATION_CHANNELS.SMS, NOTIFICATION_CHANNELS.PUSH],
+    critical: true
+  },
+  [MESSAGE_CATEGORIES.BOOKING]: {
+    channels: [NOTIFICATION_CHANNELS.PUSH, NOTIFICATION_CHANNELS.SMS, NOTIFICATION_CHANNELS.EMAIL],
+    critical: false
+  },
+  [MESSAGE_CATEGORIES.TRIP]: {
+    channels: [NOTIFICATION_CHANNELS.PUSH, NOTIFICATION_CHANNELS.SMS],
+    critical: false
+  },
+  [MESSAGE_CATEGORIES.PAYMENT]: {
+    channels: [NOTIFICATION_CHANNELS.PUSH, NOTIFICATION_CHANNELS.EMAIL],
+    critical: false
+  },
+  [MESSAGE_CATEGORIES.CHAT]: {
+    channels: [NOTIFICATION_CHANNELS.PUSH],
+    critical: false
+  },
+  [MESSAGE_CATEGORIES.SECURITY]: {
+    channels: [NOTIFICATION_CHANNELS.SMS, NOTIFICATION_CHANNELS.PUSH, NOTIFICATION_CHANNELS.EMAIL],
+    critical: true
+  },
+  [MESSAGE_CATEGORIES.COMPLIANCE]: {
+    channels: [NOTIFICATION_CHANNELS.PUSH, NOTIFICATION_CHANNELS.SMS, NOTIFICATION_CHANNELS.EMAIL],
+    critical: false
+  },
+  [MESSAGE_CATEGORIES.PROMOTIONAL]: {
+    channels: [NOTIFICATION_CHANNELS.PUSH, NOTIFICATION_CHANNELS.EMAIL],
+    critical: false,
+    neverCritical: true
+  }
+};
+
+// Booking notifications (by status) that must reach the customer regardless of preferences
+export const CRITICAL_BOOKING_EVENTS = ['assigned', 'cancelled'];
+
+export const DISPATCHER_CONFIG = {
+  // 'live' uses FCM / SMS gateway / SMTP; 'stub' captures everything in memory
+  TRANSPORT: process.env.NOTIFICATION_TRANSPORT || 'live',
+  SMS_TIMEOUT_MS: 10000,
+  SMS_MAX_LENGTH: 320,
+  EMAIL_FROM: process.env.EMAIL_FROM || 'CabBazar <no-reply@cabbazar.com>'
+};
+
+// Outcome of the push that accompanied an inbox notification
+export const NOTIFICATION_DELIVERY_STATUS = {
+  SENT: 'SENT',
+  FAILED: 'FAILED',
+  NOT_SENT: 'NOT_SENT' // no device token or push service unavailable
+};
+
+export const NOTIFICATION_CONFIG = {
+  RETENTION_DAYS: 90
 };
 
 // Socket Events
@@ -466,6 +694,63 @@ export const SOCKET_EVENTS = {
   TYPING: 'typing'
 };
 
+// Socket Configuration
+export const SOCKET_CONFIG = {
+  PATH: '/socket.io',
+  PING_TIMEOUT_MS: 20000,
+  // Drivers may stream faster than this; only one fix per interval is persisted
+  LOCATION_PERSIST_INTERVAL_MS: 5000,
+  // How long a driver's list of active trip rooms is cached on the socket
+  ACTIVE_TRIPS_CACHE_MS: 60000
+};
+
+// Background Job Scheduler
+export const SCHEDULER_CONFIG = {
+  ENABLED: process.env.SCHEDULER_ENABLED !== 'false',
+  POLL_INTERVAL_SECONDS: 30,
+  LEASE_SECONDS: 300, // A crashed instance's lock is taken over after this
+  BATCH_SIZE: 100,
+  // Period boundaries (midnight, Monday, 1st) are in DEFAULTS.TIMEZONE (IST, no DST)
+  TIMEZONE_OFFSET_MINUTES: 330
+};
+
+export const JOB_NAMES = {
+  TRIP_REMINDER: 'TRIP_REMINDER',
+  EXPIRE_UNPAID_BOOKINGS: 'EXPIRE_UNPAID_BOOKINGS',
+  NUDGE_ASSIGNED_DRIVERS: 'NUDGE_ASSIGNED_DRIVERS',
+  RESET_DRIVER_EARNINGS: 'RESET_DRIVER_EARNINGS',
+  COMPLIANCE_WARNINGS: 'COMPLIANCE_WARNINGS'
+};
+
+// Dated papers checked before assignment and warned about ahead of expiry
+export const COMPLIANCE_ITEMS = {
+  DRIVER_LICENSE: 'DRIVER_LICENSE',
+  VEHICLE_INSURANCE: 'VEHICLE_INSURANCE',
+  VEHICLE_FITNESS: 'VEHICLE_FITNESS',
+  VEHICLE_SERVICE: 'VEHICLE_SERVICE'
+};
+
+export const COMPLIANCE_CONFIG = {
+  WARNING_DAYS: [30, 15, 7],
+  WARNING_HOUR_LOCAL: 9, // Daily warning run, local time (SCHEDULER_CONFIG offset)
+  REPORT_DEFAULT_DAYS: 30,
+  REPORT_MAX_DAYS: 180
+};
+
+// Overall state of a driver's/vehicle's dated papers (EXPIRING = within REPORT_DEFAULT_DAYS)
+export const COMPLIANCE_STATUS = {
+  OK: 'OK',
+  EXPIRING: 'EXPIRING',
+  EXPIRED: 'EXPIRED'
+};
+
+// In-trip Chat Configuration
+export const CHAT_CONFIG = {
+  MAX_MESSAGE_LENGTH: 1000,
+  // Chat is open only while a driver is on the booking
+  WRITABLE_STATUSES: [BOOKING_STATUS.ASSIGNED, BOOKING_STATUS.IN_PROGRESS]
+};
+
 // File Upload Configuration
 export const UPLOAD_CONFIG = {
   MAX_FILE_SIZE: 5 * 1024 * 1024, // 5MB
@@ -473,12 +758,43 @@ export const UPLOAD_CONFIG = {
   ALLOWED_DOCUMENT_TYPES: ['application/pdf', 'image/jpeg', 'image/png']
 };
 
+// Uploaded files (driver KYC documents). Swap the disk provider in
+// services/storage.service.js for object storage in production.
+export const STORAGE_CONFIG = {
+  LOCAL_ROOT: process.env.UPLOAD_DIR || 'uploads'
+};
+
+// Driver KYC documents
+export const DRIVER_DOCUMENT_TYPES = {
+  LICENSE: 'LICENSE',
+  AADHAR: 'AADHAR',
+  PHOTO: 'PHOTO',
+  PAN: 'PAN',
+  POLICE_VERIFICATION: 'POLICE_VERIFICATION'
+};
+
+// A driver is verified once all of these are approved
+export const MANDATORY_DRIVER_DOCUMENTS = [
+  DRIVER_DOCUMENT_TYPES.LICENSE,
+  DRIVER_DOCUMENT_TYPES.AADHAR,
+  DRIVER_DOCUMENT_TYPES.PHOTO
+];
+
+export const DOCUMENT_STATUS = {
+  PENDING: 'PENDING',
+  APPROVED: 'APPROVED',
+  REJECTED: 'REJECTED'
+};
+
 // Rate Limiting Configuration
 export const RATE_LIMIT = {
   WINDOW_MS: 15 * 60 * 1000, // 15 minutes
   MAX_REQUESTS: 100,
-  OTP_MAX_REQUESTS: 3,
-  OTP_WINDOW_MS: 60 * 60 * 1000 // 1 hour
+  OTP_MAX_REQUESTS: 3, // Per phone number
+  OTP_IP_MAX_REQUESTS: 10,
+  OTP_DEVICE_MAX_REQUESTS: 5,
+  OTP_VERIFY_IP_MAX_REQUESTS: 30,
+  OTP_WINDOW_MS: 60 * 60 * 1000 // 1 hour, rolling
 };
 
 // Default Values
@@ -494,28 +810,65 @@ export default {
   STATUS_CODES,
   MESSAGES,
   JWT,
+  SESSION_CONFIG,
+  SESSION_REVOKE_REASONS,
   DATABASE,
   PAGINATION,
   USER_ROLES,
+  USER_ADMIN_ACTIONS,
   BOOKING_STATUS,
   PAYMENT_STATUS,
   PAYMENT_METHODS,
+  PAYMENT_PURPOSE,
+  PAYMENT_FAILURE_REASONS,
   PRICING,
   LOCAL_PACKAGES,
   AIRPORT_BASE_PRICE,
   BOOKING_TYPES,
   VEHICLE_TYPES,
+  RATE_CARD_STATUS,
+  RATE_CARD_SCOPES,
+  RATE_CARD_CONFIG,
   TAX_CONFIG,
   OUTSTATION_SURCHARGES,
   ADD_ON_SERVICES,
   VEHICLE_CAPACITY,
+  FUEL_TYPES,
   VEHICLE_FEATURES,
   DISTANCE_CONFIG,
   BOOKING_CONFIG,
+  SETTLEMENT_CONFIG,
+  MATCHING_CONFIG,
+  DISPATCH_STATUS,
+  DISCOUNT_TYPES,
+  COUPON_CONFIG,
   OTP_CONFIG,
+  OTP_PURPOSES,
+  AUTH_EVENT_TYPES,
+  AUDIT_CONFIG,
   NOTIFICATION_TYPES,
+  NOTIFICATION_DELIVERY_STATUS,
+  NOTIFICATION_CONFIG,
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  NOTIFICATION_CHANNELS,
+  MESSAGE_CATEGORIES,
+  DISPATCH_RULES,
+  CRITICAL_BOOKING_EVENTS,
+  DISPATCHER_CONFIG,
   SOCKET_EVENTS,
+  SOCKET_CONFIG,
+  SCHEDULER_CONFIG,
+  JOB_NAMES,
+  COMPLIANCE_ITEMS,
+  COMPLIANCE_CONFIG,
+  COMPLIANCE_STATUS,
+  CHAT_CONFIG,
   UPLOAD_CONFIG,
+  STORAGE_CONFIG,
+  DRIVER_DOCUMENT_TYPES,
+  MANDATORY_DRIVER_DOCUMENTS,
+  DOCUMENT_STATUS,
   RATE_LIMIT,
   DEFAULTS
 };
\ No newline at end of file
@@ -1,16 +1,104 @@
 // src/controllers/auth.controller.js - REVISED AUTH FLOW
 import User from '../models/User.js';
-import { Otp } from '../models/Otp.js';
+import Driver from '../models/Driver.js';
 import { sendSuccess } from '../utils/response.js';
-import { setTokenCookie, clearTokenCookie, generateToken } from '../middleware/auth.middleware.js'; // Import generateToken
+import { setTokenCookie, clearTokenCookie } from '../middleware/auth.middleware.js';
 import { catchAsync } from '../utils/catchAsync.js';
-import { NotFoundError, BadRequestError, TooManyRequestsError, ConflictError } from '../utils/customError.js';
+import {
+  NotFoundError,
+  BadRequestError,
+  ConflictError,
+  AuthenticationError,
+  ServiceUnavailableError
+} from '../utils/customError.js';
 import { maskPhoneNumber, maskEmail } from '../utils/helpers.js';
+import { messageRef, getUserLanguage, resolveLanguage } from '../utils/i18n.js';
 import logger from '../config/logger.js';
-import { sendOTPNotification } from '../utils/sendOtp.js';
-import { OTP_CONFIG } from '../config/constants.js'; // Import config from constants
+import notificationDispatcher from '../services/dispatcher.service.js';
+import sessionService from '../services/session.service.js';
+import otpService from '../services/otp.service.js';
+import { NOTIFICATION_TYPES } from '../utils/notification.utils.js';
+import {
+  OTP_CONFIG,
+  OTP_PURPOSES,
+  USER_ROLES,
+  MESSAGE_CATEGORIES,
+  SESSION_REVOKE_REASONS
+} from '../config/constants.js'; // Import config from constants
+
+// Device details stored on the login session (client supplied, so strings only)
+const deviceField = (value) => (
+  typeof value === 'string' && value.trim() ? value.trim().slice(0, 100) : undefined
+);
+
+const deviceContext = (req) => ({
+  deviceId: deviceField(req.body.deviceId),
+  deviceType: deviceField(req.body.deviceType),
+  deviceName: deviceField(req.body.deviceName),
+  userAgent: req.get('user-agent'),
+  ip: req.ip
+});
+
+
+// A login number may belong to one account only (users and driver profiles)
+const assertPhoneAvailable = async (phoneNumber, userId) => {
+  const [takenByUser, takenByDriver] = await Promise.all([
+    User.exists({ phoneNumber, _id: { $ne: userId } }),
+    Driver.exists({ phoneNumber, userId: { $ne: userId } })
+  ]);
+
+  if (takenByUser || takenByDriver) {
+    throw new ConflictError(
+      'This phone number is already registered to another account',
+      { messageKey: 'errors.phoneInUse' }
+    );
+  }
+};
+
+/**
+ * Send an OTP by SMS (plus push when the app sent a token) and wait for the
+ * outcome. A code that reached no channel is discarded so the user can ask
+ * again straight away instead of waiting out the resend timeout.
+ * @returns {Promise<string[]>} Channels that delivered it
+ */
+const deliverOtp = async ({ phoneNumber, fcmToken, language, code, purpose, userId }) => {
+  const otpText = messageRef('otp.body', { code, minutes: OTP_CONFIG.EXPIRY_MINUTES });
+
+  let results = {};
+  try {
+    ({ results } = await notificationDispatcher.dispatch({
+      category: MESSAGE_CATEGORIES.OTP,
+      to: { phoneNumber, fcmToken },
+      language,
+      title: messageRef('otp.title'),
+      body: otpText,
+      smsBody: otpText,
+      pushType: NOTIFICATION_TYPES.OTP,
+      data: {
+        type: 'otp_verification',
+        otp: code,
+        expiresIn: `${OTP_CONFIG.EXPIRY_MINUTES} minutes`
+      }
+    }));
+  } catch (error) {
+    logger.error('Failed to dispatch OTP', {
+      phoneNumber: maskPhoneNumber(phoneNumber),
+      error: error.message
+    });
+  }
 
+  const channels = Object.keys(results).filter(channel => results[channel].success);
+
+  if (channels.length === 0) {
+    await otpService.discard(phoneNumber, { purpose, userId });
+    throw new ServiceUnavailableError(
+      'We could not send the OTP. Please try again shortly.',
+      { messageKey: 'errors.otpDeliveryFailed' }
+    );
+  }
 
+  return channels;
+};
 
 /**
  * @desc    Send OTP to phone number
@@ -21,7 +109,7 @@ export const sendOtp = catchAsync(async (req, res) => {
   const { phoneNumber, fcmToken } = req.body;
 
   if (!phoneNumber) {
-    throw new BadRequestError('Phone number is required');
+    throw new BadRequestError('Phone number is required', { messageKey: 'errors.phoneRequired' });
   }
 
   const normalizedPhone = phoneNumber.replace(/\D/g, ''); // Clean number
@@ -29,63 +117,34 @@ export const sendOtp = catchAsync(async (req, res) => {
     phoneNumber: maskPhoneNumber(normalizedPhone)
   });
 
-  // Check for existing OTP
-  const existingOtp = await Otp.findOne({ phoneNumber: normalizedPhone });
-
-  if (existingOtp) {
-    // Check rate limiting
-    const timeSinceLastRequest = (Date.now() - existingOtp.lastRequestedAt.getTime()) / 1000;
-    const waitTime = Math.max(0, OTP_CONFIG.RESEND_TIMEOUT_SECONDS - timeSinceLastRequest);
-
-    if (waitTime > 0) {
-      logger.warn('OTP request rate limited', {
-        phoneNumber: maskPhoneNumber(normalizedPhone),
-        waitTime: Math.ceil(waitTime)
-      });
-      throw new TooManyRequestsError(
-        `Please wait ${Math.ceil(waitTime)} seconds before requesting a new OTP`
-      );
-    }
-    // Delete old OTP to issue a new one
-    await Otp.deleteOne({ phoneNumber: normalizedPhone });
-  }
-
-  // Generate new OTP
-  const otpCode = Math.floor(100000 + Math.random() * 900000).toString();
-  const expiresAt = new Date(Date.now() + OTP_CONFIG.EXPIRY_MINUTES * 60 * 1000);
-
-  // Create OTP document
-  const otp = await Otp.create({
-    phoneNumber: normalizedPhone,
-    code: otpCode,
-    expiresAt,
-    attempts: 0,
-    lastRequestedAt: new Date()
+  // Lockout, resend timeout and rolling per-number/IP/device limits
+  const { code: otpCode, expiresAt } = await otpService.issue(normalizedPhone, {
+    ip: req.ip,
+    deviceId: deviceField(req.body.deviceId)
   });
 
   logger.info('OTP generated successfully', {
     phoneNumber: maskPhoneNumber(normalizedPhone),
-    expiresAt: otp.expiresAt
+    expiresAt
   });
 
-  // Send push notification (non-blocking)
-  if (fcmToken) {
-    sendOTPNotification(fcmToken, otpCode)
-      .then(() => {
-        logger.info('OTP push notification sent successfully', {
-          phoneNumber: maskPhoneNumber(normalizedPhone)
-        });
-      })
-      .catch((error) => {
-        logger.error('Failed to send OTP push notification', {
-          phoneNumber: maskPhoneNumber(normalizedPhone),
-          error: error.message
-        });
-      });
-  }
+  // Registered users get the OTP in their saved language, others per Accept-Language
+  const existingUser = await User.findOne({ phoneNumber: normalizedPhone })
+    .select('preferences.language')
+    .lean();
+  const language = existingUser ? getUserLanguage(existingUser) : resolveLanguage(req);
 
-  // TODO: Implement SMS sending logic here
-  // e.g., await sendSms(normalizedPhone, `Your OTP is ${otpCode}`);
+  const channels = await deliverOtp({
+    phoneNumber: normalizedPhone,
+    fcmToken,
+    language,
+    code: otpCode
+  });
+
+  logger.info('OTP dispatched', {
+    phoneNumber: maskPhoneNumber(normalizedPhone),
+    channels
+  });
 
   // Prepare response
   const responseData = {
@@ -109,7 +168,7 @@ export const sendOtp = catchAsync(async (req, res) => {
 export const verifyOtp = catchAsync(async (req, res) => {
   const { phoneNumber, otp, fcmToken} = req.body;
   if (!phoneNumber || !otp) {
-    throw new BadRequestError('Phone number and OTP are required');
+    throw new BadRequestError('Phone number and OTP are required', { messageKey: 'errors.phoneAndOtpRequired' });
   }
 
   const normalizedPhone = phoneNumber.replace(/\D/g, '');
@@ -117,65 +176,11 @@ export const verifyOtp = catchAsync(async (req, res) => {
     phoneNumber: maskPhoneNumber(normalizedPhone)
   });
 
-  // 1. Find OTP document
-  const otpDoc = await Otp.findOne({ phoneNumber: normalizedPhone });
-
-  if (!otpDoc) {
-    logger.warn('Verification failed - no OTP found', {
-      phoneNumber: maskPhoneNumber(normalizedPhone)
-    });
-    throw new BadRequestError('Invalid OTP or OTP not requested. Please request an OTP first.');
-  }
-
-  // 2. Check if OTP has expired
-  if (new Date() > otpDoc.expiresAt) {
-    logger.warn('Verification failed - OTP expired', {
-      phoneNumber: maskPhoneNumber(normalizedPhone),
-      expiredAt: otpDoc.expiresAt
-    });
-    await Otp.deleteOne({ phoneNumber: normalizedPhone }); // Clean up expired OTP
-    throw new BadRequestError('OTP has expired. Please request a new OTP.');
-  }
-
-  // 3. Check if max attempts already exceeded
-  if (otpDoc.attempts >= OTP_CONFIG.MAX_ATTEMPTS) {
-    logger.warn('Verification failed - max attempts exceeded', {
-      phoneNumber: maskPhoneNumber(normalizedPhone),
-      attempts: otpDoc.attempts
-    });
-    await Otp.deleteOne({ phoneNumber: normalizedPhone }); // Clean up locked OTP
-    throw new BadRequestError('Maximum OTP attempts exceeded. Please request a new OTP.');
-  }
-
-  // 4. Verify OTP code
-  const isOTPCorrect = otpDoc.code === otp;
-
-  if (!isOTPCorrect) {
-    // Increment failed attempts
-    otpDoc.attempts += 1;
-    await otpDoc.save();
-
-    const attemptsLeft = OTP_CONFIG.MAX_ATTEMPTS - otpDoc.attempts;
-
-    logger.warn('OTP verification failed - incorrect code', {
-      phoneNumber: maskPhoneNumber(normalizedPhone),
-      attempts: otpDoc.attempts,
-      attemptsLeft
-    });
-
-    // If this was the last attempt, delete OTP
-    if (attemptsLeft <= 0) {
-      await Otp.deleteOne({ phoneNumber: normalizedPhone });
-      throw new BadRequestError('Invalid OTP. Maximum attempts exceeded. Please request a new OTP.');
-    }
-
-    throw new BadRequestError(
-      `Invalid OTP. ${attemptsLeft} attempt(s) remaining.`
-    );
-  }
-
-  // 5. ✅ OTP verified successfully - Delete OTP document
-  await Otp.deleteOne({ phoneNumber: normalizedPhone });
+  // 1-5. Check the code (attempts, expiry, lockout, per-IP limit); deleted once used
+  await otpService.verify(normalizedPhone, String(otp), {
+    ip: req.ip,
+    deviceId: deviceField(req.body.deviceId)
+  });
 
   logger.info('OTP verified successfully. Checking user database.', {
     phoneNumber: maskPhoneNumber(normalizedPhone)
@@ -186,17 +191,26 @@ export const verifyOtp = catchAsync(async (req, res) => {
 
   // --- FLOW: EXISTING USER (LOGIN) ---
   if (user) {
+    // Suspended or deleted accounts get no session (their tokens would be refused anyway)
+    if (!user.isActive) {
+      logger.warn('Login refused - account inactive', { userId: user._id });
+      throw new AuthenticationError(
+        'Your account has been deactivated. Please contact support.',
+        { messageKey: 'errors.accountDeactivated' }
+      );
+    }
+
     logger.info('Existing user found. Logging in.', { userId: user._id });
 
     // Update user record for login
     user.isVerified = true; // Ensure verified status
     user.lastLogin = new Date();
 
-    // Generate JWT token
-    const token = user.getJWTToken();
-    user.token = token; // Save token to user document
+    await user.save(); // Save lastLogin, verified status
 
-    await user.save(); // Save lastLogin, token, etc.
+    // Start a session for this device (access + refresh token)
+    const tokens = await sessionService.createSession(user, deviceContext(req));
+    const { token } = tokens;
 
     // --- [NEW] Add device info (non-blocking) ---
     if (fcmToken) {
@@ -228,10 +242,9 @@ export const verifyOtp = catchAsync(async (req, res) => {
     return sendSuccess(
       res,
       {
-        token,
+        ...tokens,
         user: userData,
-        newUser: false,
-        expiresIn: process.env.JWT_EXPIRE || '30d'
+        newUser: false
       },
       'Login successful',
       200
@@ -313,11 +326,7 @@ export const register = catchAsync(async (req, res) => {
     lastLogin: new Date() // Set first login time
   });
 
-  // 5. Generate token
-  const token = user.getJWTToken();
-  user.token = token; // Save token
-
-  // 6. Save user to database
+  // 5. Save user to database
   try {
     await user.save();
   } catch (error) {
@@ -335,6 +344,10 @@ export const register = catchAsync(async (req, res) => {
     phoneNumber: maskPhoneNumber(user.phoneNumber)
   });
 
+  // 6. Start a session for this device (access + refresh token)
+  const tokens = await sessionService.createSession(user, deviceContext(req));
+  const { token } = tokens;
+
   // --- [NEW] Add device info (non-blocking) ---
   if (fcmToken) {
     user.fcmToken = fcmToken; 
@@ -365,10 +378,9 @@ export const register = catchAsync(async (req, res) => {
   return sendSuccess(
     res,
     {
-      token,
+      ...tokens,
       user: userData,
-      newUser: true, // Flag for client
-      expiresIn: process.env.JWT_EXPIRE || '30d'
+      newUser: true // Flag for client
     },
     'Registration successful. Welcome!',
     201 // 201 Created
@@ -480,21 +492,161 @@ export const updateProfile = catchAsync(async (req, res) => {
   );
 });
 
+// ========================================
+// CHANGE PHONE NUMBER
+// ========================================
+
+/**
+ * @desc    Start a phone number change: sends an OTP to the new number
+ * @route   POST /api/auth/change-phone
+ * @access  Private (Requires Token)
+ */
+export const requestPhoneChange = catchAsync(async (req, res) => {
+  const user = req.user;
+  const newPhone = req.body.newPhoneNumber.replace(/\D/g, '');
+
+  if (newPhone === user.phoneNumber) {
+    throw new BadRequestError(
+      'This is already your registered phone number',
+      { messageKey: 'errors.phoneUnchanged' }
+    );
+  }
+
+  await assertPhoneAvailable(newPhone, user._id);
+
+  const { code: otpCode, expiresAt } = await otpService.issue(
+    newPhone,
+    { ip: req.ip, deviceId: deviceField(req.body.deviceId) },
+    { purpose: OTP_PURPOSES.CHANGE_PHONE, userId: user._id }
+  );
+
+  logger.info('Phone change requested', {
+    userId: user._id,
+    newPhoneNumber: maskPhoneNumber(newPhone),
+    expiresAt
+  });
+
+  // SMS to the new number only: receiving it is the proof of ownership
+  await deliverOtp({
+    phoneNumber: newPhone,
+    language: getUserLanguage(user),
+    code: otpCode,
+    purpose: OTP_PURPOSES.CHANGE_PHONE,
+    userId: user._id
+  });
+
+  const responseData = {
+    newPhoneNumber: maskPhoneNumber(newPhone),
+    expiresIn: `${OTP_CONFIG.EXPIRY_MINUTES} minutes`,
+    resendAfter: `${OTP_CONFIG.RESEND_TIMEOUT_SECONDS}s`
+  };
+
+  if (process.env.NODE_ENV === 'development') {
+    responseData.otp = otpCode;
+  }
+
+  return sendSuccess(res, responseData, 'OTP sent to the new phone number', 200);
+});
+
+/**
+ * @desc    Confirm a phone number change with the OTP sent to the new number.
+ *          Every existing session is signed out; this device gets a new one.
+ * @route   POST /api/auth/change-phone/verify
+ * @access  Private (Requires Token)
+ */
+export const confirmPhoneChange = catchAsync(async (req, res) => {
+  const user = req.user;
+  const newPhone = req.body.newPhoneNumber.replace(/\D/g, '');
+
+  await otpService.verify(
+    newPhone,
+    String(req.body.otp),
+    { ip: req.ip, deviceId: deviceField(req.body.deviceId) },
+    { purpose: OTP_PURPOSES.CHANGE_PHONE, userId: user._id }
+  );
+
+  // The number may have been taken while the OTP was outstanding
+  await assertPhoneAvailable(newPhone, user._id);
+
+  const driver = user.role === USER_ROLES.DRIVER ? await Driver.findForUser(user) : null;
+  const oldPhone = user.phoneNumber;
+
+  user.phoneNumber = newPhone;
+  try {
+    await user.save(); // Re-keying revokes every token and session (User pre-save hook)
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ConflictError(
+        'This phone number is already registered to another account',
+        { messageKey: 'errors.phoneInUse' }
+      );
+    }
+    throw error;
+  }
+
+  if (driver) {
+    await Driver.updateOne({ _id: driver._id }, { $set: { phoneNumber: newPhone } });
+  }
+
+  logger.warn('Phone number changed', {
+    userId: user._id,
+    oldPhoneNumber: maskPhoneNumber(oldPhone),
+    newPhoneNumber: maskPhoneNumber(newPhone),
+    driverId: driver?._id
+  });
+
+  // Warn the previous number in case the account was taken over
+  notificationDispatcher.dispatch({
+    category: MESSAGE_CATEGORIES.SECURITY,
+    userId: user._id,
+    to: { phoneNumber: oldPhone },
+    title: messageRef('security.phoneChanged.title'),
+    body: messageRef('security.phoneChanged.body', { phoneNumber: maskPhoneNumber(newPhone) })
+  }).catch((error) => {
+    logger.error('Failed to send phone change alert', {
+      userId: user._id,
+      error: error.message
+    });
+  });
+
+  const tokens = await sessionService.createSession(user, deviceContext(req));
+
+  if (process.env.USE_COOKIES === 'true') {
+    setTokenCookie(res, tokens.token);
+  }
+
+  return sendSuccess(
+    res,
+    {
+      user: {
+        id: user._id,
+        phoneNumber: user.phoneNumber,
+        name: user.name,
+        role: user.role
+      },
+      ...tokens
+    },
+    'Phone number changed successfully. Other devices have been logged out.',
+    200
+  );
+});
+
 /**
  * @desc    Resend OTP
  * @route   POST /api/auth/resend-otp
  * @access  Public
  */
-export const resendOtp = catchAsync(async (req, res) => {
-  const { phoneNumber, fcmToken } = req.body;
+export const resendOtp = catchAsync(async (req, res, next) => {
+  const { phoneNumber } = req.body;
 
   logger.info('OTP resend request', {
     phoneNumber: maskPhoneNumber(phoneNumber)
   });
 
   // Use the same logic as sendOtp
-  // sendOtp handles rate limiting and re-issuing
-  return sendOtp(req, res);
+  // sendOtp handles rate limiting and re-issuing (errors go to next) and
+  // reads fcmToken from the same body, so a resend also reaches push
+  return sendOtp(req, res, next);
 });
 
 /**
@@ -506,8 +658,13 @@ export const logout = catchAsync(async (req, res) => {
   const userId = req.user._id;
   logger.info('User logout request', { userId });
 
-  // Remove token from user document in database
-  await User.findByIdAndUpdate(userId, { $unset: { token: 1 } });
+  // End this device's session; its access and refresh tokens stop working.
+  // Legacy tokens carry no session and can only be revoked all together.
+  if (req.sessionId) {
+    await sessionService.revokeSession(userId, req.sessionId, SESSION_REVOKE_REASONS.LOGOUT);
+  } else {
+    await sessionService.revokeAllTokens(userId, SESSION_REVOKE_REASONS.LOGOUT);
+  }
 
   // Clear cookie if using cookies
   if (process.env.USE_COOKIES === 'true') {
@@ -538,12 +695,11 @@ export const deleteAccount = catchAsync(async (req, res) => {
 
   // Soft delete (set isActive to false)
   user.isActive = false;
-  user.token = undefined; // Remove token
   // Consider anonymizing data here or in a background job
   // user.email = `deleted-${userId}@example.com`;
   // user.name = "Deleted User";
 
-  await user.save();
+  await user.save(); // Deactivation revokes every token and session (User pre-save hook)
 
   logger.warn('User account soft-deleted', {
     userId,
@@ -567,7 +723,7 @@ export const checkPhoneExists = catchAsync(async (req, res) => {
   const { phoneNumber } = req.body;
 
   if (!phoneNumber) {
-    throw new BadRequestError('Phone number is required');
+    throw new BadRequestError('Phone number is required', { messageKey: 'errors.phoneRequired' });
   }
 
   const normalizedPhone = phoneNumber.replace(/\D/g, '');
@@ -589,6 +745,102 @@ export const checkPhoneExists = catchAsync(async (req, res) => {
   );
 });
 
+/**
+ * @desc    Exchange a refresh token for a new access + refresh token pair.
+ *          Each refresh token works once; reusing one signs the device out.
+ * @route   POST /api/auth/refresh
+ * @access  Public (refresh token)
+ */
+export const refreshToken = catchAsync(async (req, res) => {
+  const tokens = await sessionService.refresh(req.body.refreshToken, {
+    userAgent: req.get('user-agent'),
+    ip: req.ip
+  });
+
+  if (process.env.USE_COOKIES === 'true') {
+    setTokenCookie(res, tokens.token);
+  }
+
+  return sendSuccess(res, tokens, 'Token refreshed successfully', 200);
+});
+
+/**
+ * @desc    List devices the user is logged in on
+ * @route   GET /api/auth/sessions
+ * @access  Private (Requires Token)
+ */
+export const getSessions = catchAsync(async (req, res) => {
+  const sessions = await sessionService.listSessions(req.user._id);
+
+  const data = sessions.map(session => ({
+    ...session,
+    current: session._id.toString() === req.sessionId?.toString()
+  }));
+
+  return sendSuccess(res, data, 'Active sessions retrieved successfully', 200);
+});
+
+/**
+ * @desc    Log out one device
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @access  Private (Requires Token)
+ */
+export const revokeSession = catchAsync(async (req, res) => {
+  const revoked = await sessionService.revokeSession(
+    req.user._id,
+    req.params.sessionId,
+    SESSION_REVOKE_REASONS.REMOTE_LOGOUT
+  );
+
+  if (!revoked) {
+    throw new NotFoundError('Session not found or already logged out');
+  }
+
+  logger.info('Session revoked', {
+    userId: req.user._id,
+    sessionId: req.params.sessionId
+  });
+
+  if (req.params.sessionId === req.sessionId?.toString() && process.env.USE_COOKIES === 'true') {
+    clearTokenCookie(res);
+  }
+
+  return sendSuccess(res, null, 'Device logged out successfully', 200);
+});
+
+/**
+ * @desc    Log out all devices (?keepCurrent=true keeps this one)
+ * @route   DELETE /api/auth/sessions
+ * @access  Private (Requires Token)
+ */
+export const revokeAllSessions = catchAsync(async (req, res) => {
+  const keepCurrent = req.query.keepCurrent === 'true' && !!req.sessionId;
+
+  const count = keepCurrent
+    ? await sessionService.revokeAllSessions(req.user._id, {
+      exceptSessionId: req.sessionId,
+      reason: SESSION_REVOKE_REASONS.LOGOUT_ALL
+    })
+    : await sessionService.revokeAllTokens(req.user._id, SESSION_REVOKE_REASONS.LOGOUT_ALL);
+
+  logger.info('All sessions revoked', {
+    userId: req.user._id,
+    keepCurrent,
+    count
+  });
+
+  if (!keepCurrent && process.env.USE_COOKIES === 'true') {
+    clearTokenCookie(res);
+  }
+
+  return sendSuccess(
+    res,
+    { loggedOut: count },
+    keepCurrent ? 'Logged out of all other devices' : 'Logged out of all devices',
+    200
+  );
+});
+
 // Export all functions
 export default {
   sendOtp,
@@ -596,8 +848,14 @@ export default {
   register,
   getUser,
   updateProfile,
+  requestPhoneChange,
+  confirmPhoneChange,
   resendOtp,
   logout,
   deleteAccount,
-  checkPhoneExists
+  checkPhoneExists,
+  refreshToken,
+  getSessions,
+  revokeSession,
+  revokeAllSessions
 };
\ No newline at end of file
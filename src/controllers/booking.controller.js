@@ -5,6 +5,12 @@ import Payment from '../models/Payment.js';
 import pricingService from '../services/pricing.service.js';
 import geoService from '../services/geo.service.js';
 import paymentService from '../services/payment.service.js';
+import matchingService from '../services/matching.service.js';
+import couponService from '../services/coupon.service.js';
+import complianceService from '../services/compliance.service.js';
+import availabilityService from '../services/availability.service.js';
+import socketService from '../services/socket.service.js';
+import notificationDispatcher from '../services/dispatcher.service.js';
 import { sendSuccess, sendPaginatedResponse } from '../utils/response.js';
 import { catchAsync } from '../utils/catchAsync.js';
 import {
@@ -12,7 +18,8 @@ import {
   BadRequestError,
   ConflictError,
   ServiceUnavailableError,
-  AuthorizationError
+  AuthorizationError,
+  TooManyRequestsError
 } from '../utils/customError.js';
 import {
   BOOKING_STATUS,
@@ -20,10 +27,14 @@ import {
   BOOKING_CONFIG,
   PAYMENT_STATUS,
   PAYMENT_METHODS,
+  PAYMENT_PURPOSE,
+  PAYMENT_FAILURE_REASONS,
   VEHICLE_TYPES,
   TAX_CONFIG,
   DISTANCE_CONFIG,
-  ADD_ON_SERVICES
+  DISPATCH_STATUS,
+  MESSAGE_CATEGORIES,
+  CRITICAL_BOOKING_EVENTS
 } from '../config/constants.js';
 import {
   parsePagination,
@@ -33,10 +44,12 @@ import {
   calculateGST
 } from '../utils/helpers.js';
 import logger from '../config/logger.js';
+import { messageRef, renderMessage, resolveLanguage, t } from '../utils/i18n.js';
 import {
-  sendBookingNotification,
+  describeBookingNotification,
   sendDriverNotification,
-  sendAdminNotification
+  sendAdminNotification,
+  NOTIFICATION_TYPES
 } from '../utils/notification.utils.js';
 
 // ========================================
@@ -238,17 +251,18 @@ const validatePassengerDetails = (details, user) => {
 /**
  * Validate add-on services
  */
-const validateAddOnServices = (addOnCodes) => {
+const validateAddOnServices = (addOnCodes, pickupLocation = null) => {
   if (!Array.isArray(addOnCodes)) {
     return { total: 0, services: [] };
   }
 
   const uniqueCodes = [...new Set(addOnCodes)];
+  const addOnServices = pricingService.getAddOnServices(pickupLocation);
   const validServices = [];
   let total = 0;
 
   for (const code of uniqueCodes) {
-    const service = ADD_ON_SERVICES[code];
+    const service = addOnServices[code];
 
     if (!service) {
       logger.warn('Invalid add-on service code', { code });
@@ -555,20 +569,33 @@ const buildLocationObject = (locationData) => {
 };
 
 /**
- * Send notifications to user
+ * Send notifications to user. Routed by the dispatcher: push first, then
+ * SMS / email per the user's preferences; assignment and cancellation reach
+ * every channel. `message` may be text or messageRef()s, rendered in the
+ * user's language.
  */
-const notifyUser = async (user, bookingId, type, message) => {
-  if (!user?.deviceInfo?.length) return;
+const notifyUser = async (user, bookingId, type, message, bookingRef = null) => {
+  if (!user) return;
 
-  const latestDevice = user.deviceInfo
-    .sort((a, b) => new Date(b.lastUsed) - new Date(a.lastUsed))[0];
-
-  const fcmToken = latestDevice?.fcmToken;
-
-  if (!fcmToken) return;
+  const { titleKey, inboxType } = describeBookingNotification(type);
 
+  // Always dispatched so the notification still lands in the inbox
   try {
-    await sendBookingNotification(fcmToken, bookingId, type, message);
+    await notificationDispatcher.dispatch({
+      category: MESSAGE_CATEGORIES.BOOKING,
+      userId: user._id,
+      title: messageRef(titleKey),
+      body: message,
+      smsBody: [`CabBazar ${bookingId}:`, message],
+      pushType: NOTIFICATION_TYPES.ORDER,
+      data: {
+        bookingId,
+        status: type,
+        action: 'VIEW_BOOKING'
+      },
+      critical: CRITICAL_BOOKING_EVENTS.includes(type),
+      inbox: { type: inboxType, bookingRef }
+    });
     logger.info('User notification sent', { bookingId, type });
   } catch (error) {
     logger.error('Failed to send user notification', {
@@ -582,13 +609,16 @@ const notifyUser = async (user, bookingId, type, message) => {
 /**
  * Send notifications to driver
  */
-const notifyDriver = async (driver, title, message) => {
+const notifyDriver = async (driver, title, message, bookingRef = null) => {
   const fcmToken = driver?.deviceInfo?.[0]?.fcmToken;
 
-  if (!fcmToken) return;
+  if (!fcmToken && !driver?.userId) return;
 
   try {
-    await sendDriverNotification(fcmToken, title, message);
+    await sendDriverNotification(fcmToken, title, message, {}, {
+      userId: driver.userId,
+      bookingRef
+    });
     logger.info('Driver notification sent', { driverId: driver._id });
   } catch (error) {
     logger.error('Failed to send driver notification', {
@@ -801,13 +831,27 @@ export const searchCabs = catchAsync(async (req, res) => {
   // Get vehicle options & pricing
   const isLocalBooking = LOCAL_RENTAL_TYPES.includes(bookingType);
 
+  // Free vehicles per type for this trip window, estimated the same way as
+  // for saved bookings (return time, package hours or drive time)
+  const availability = await availabilityService.getAvailabilityByType(
+    tripDate,
+    Booking.estimateTripEnd({
+      bookingType,
+      startDateTime: tripDate,
+      endDateTime: finalEndDateTime,
+      distanceKm: isLocalBooking ? 0 : distance
+    })
+  );
+
   // Pass endDateTime AND includeTolls to pricing service
   // Pricing Service calculates Advance Amount and returns it in fareDetails
   const vehicleOptions = pricingService.getVehicleOptions(bookingType, {
     distance: isLocalBooking ? 0 : (distance || 0),
     startDateTime: tripDate,
     endDateTime: finalEndDateTime,
-    includeTolls: includeTolls || false
+    includeTolls: includeTolls || false,
+    pickupLocation: originCoords ? { city: from, ...originCoords } : from,
+    availability
   });
 
   // Build response
@@ -856,7 +900,8 @@ export const searchCabs = catchAsync(async (req, res) => {
     includeTolls: includeTolls || false,
     typeAutoDetected,
     hasViaCities,
-    optionsCount: vehicleOptions.length
+    optionsCount: vehicleOptions.length,
+    availableCount: vehicleOptions.filter(opt => opt.available).length
   });
 
   return sendSuccess(
@@ -960,7 +1005,7 @@ export const createBooking = catchAsync(async (req, res) => {
   const finalEndDateTime = (bookingType === BOOKING_TYPES.ROUND_TRIP) ? tripEndDate : null;
 
   const finalPassengerDetails = validatePassengerDetails(passengerDetails, req.user);
-  const { total: addOnsTotal, services: selectedAddOns } = validateAddOnServices(addOnCodes);
+  const { total: addOnsTotal, services: selectedAddOns } = validateAddOnServices(addOnCodes, pickupLocation);
 
   if (!Object.values(PAYMENT_METHODS).includes(paymentMethod)) {
     throw new BadRequestError(`Invalid payment method: ${paymentMethod}`);
@@ -994,7 +1039,8 @@ export const createBooking = catchAsync(async (req, res) => {
       distance: estimatedDistance || 0,
       startDateTime: tripDate,
       endDateTime: finalEndDateTime,
-      includeTolls: effectiveIncludeTolls // <--- Value from User model
+      includeTolls: effectiveIncludeTolls, // <--- Value from User model
+      pickupLocation
     });
 
     const baseFareDetails = options.find(opt => opt.vehicleType === vehicleType)?.fareDetails;
@@ -1095,12 +1141,14 @@ export const createBooking = catchAsync(async (req, res) => {
     amount: amountToPayNow,
     currency: 'INR',
     status: PAYMENT_STATUS.PENDING,
-    method: paymentMethod
+    method: paymentMethod,
+    purpose: amountToPayNow < finalAmount ? PAYMENT_PURPOSE.ADVANCE : PAYMENT_PURPOSE.FULL
   });
 
   await payment.save();
 
   booking.paymentId = payment._id;
+  booking.payments = [payment._id];
   await booking.save();
 
   logger.info('Pending booking & payment docs created', {
@@ -1130,7 +1178,8 @@ export const createBooking = catchAsync(async (req, res) => {
       user,
       booking.bookingId,
       'confirmed',
-      `Your cash booking ${booking.bookingId} is confirmed.`
+      messageRef('booking.confirmedCash', { bookingId: booking.bookingId }),
+      booking._id
     );
 
     return sendSuccess(
@@ -1294,6 +1343,64 @@ export const verifyBookingPayment = catchAsync(async (req, res) => {
     }
   }
 
+  // Reject orders that were replaced after re-pricing
+  if (payment.razorpayOrderId !== razorpay_order_id) {
+    const supersededPayment = await Payment.findOne({
+      bookingId: booking._id,
+      razorpayOrderId: razorpay_order_id,
+      status: PAYMENT_STATUS.SUPERSEDED
+    });
+
+    if (supersededPayment) {
+      const wasPaid = paymentService.verifyPaymentSignature(
+        razorpay_order_id,
+        razorpay_payment_id,
+        razorpay_signature
+      );
+
+      logger.warn('Verification attempted for superseded order', {
+        bookingId: booking.bookingId,
+        orderId: razorpay_order_id,
+        currentOrderId: payment.razorpayOrderId,
+        wasPaid
+      });
+
+      if (wasPaid) {
+        notifyAdmin(
+          'Superseded Order Paid',
+          `Booking ${booking.bookingId}: payment ${razorpay_payment_id} was made against replaced order ${razorpay_order_id}. Manual refund required.`,
+          { bookingId: booking.bookingId, paymentId: razorpay_payment_id }
+        ).catch(err => logger.error('Admin notification failed', { err: err.message }));
+      }
+
+      throw new ConflictError(
+        'This payment order was replaced after the fare changed. Please pay using the latest order'
+      );
+    }
+  }
+
+  // The booking expired unpaid before this payment came through
+  if (payment.status === PAYMENT_STATUS.FAILED &&
+    payment.failureReason === PAYMENT_FAILURE_REASONS.EXPIRED) {
+    const wasPaid = paymentService.verifyPaymentSignature(
+      razorpay_order_id,
+      razorpay_payment_id,
+      razorpay_signature
+    );
+
+    if (wasPaid) {
+      notifyAdmin(
+        'Expired Booking Paid',
+        `Booking ${booking.bookingId}: payment ${razorpay_payment_id} arrived after the booking expired unpaid. Manual refund required.`,
+        { bookingId: booking.bookingId, paymentId: razorpay_payment_id }
+      ).catch(err => logger.error('Admin notification failed', { err: err.message }));
+    }
+
+    throw new ConflictError(
+      'This booking expired before the payment was completed. Any amount debited will be refunded'
+    );
+  }
+
   // Verify order ID matches
   if (payment.razorpayOrderId !== razorpay_order_id) {
     logger.error('Order ID mismatch', {
@@ -1346,6 +1453,7 @@ export const verifyBookingPayment = catchAsync(async (req, res) => {
 
   // Booking is confirmed in either case (Full or Advance)
   booking.status = BOOKING_STATUS.CONFIRMED;
+  booking.paymentStatus = payment.status;
 
   payment.razorpayPaymentId = razorpay_payment_id;
   payment.razorpaySignature = razorpay_signature;
@@ -1377,9 +1485,14 @@ export const verifyBookingPayment = catchAsync(async (req, res) => {
     user,
     booking.bookingId,
     'confirmed',
-    `Your payment of ₹${paidAmount} was successful! Booking ${booking.bookingId} is confirmed.`
+    messageRef('booking.confirmedPaid', { amount: paidAmount, bookingId: booking.bookingId }),
+    booking._id
   );
 
+  // Kick off automatic driver matching in the background
+  matchingService.startMatching(booking._id)
+    .catch(err => logger.error('Driver matching failed to start', { bookingId: booking.bookingId, err: err.message }));
+
   return sendSuccess(
     res,
     {
@@ -1409,10 +1522,12 @@ export const getBooking = catchAsync(async (req, res) => {
     throw new BadRequestError('Invalid booking ID format');
   }
 
+  // The passenger is the only party allowed to see the ride OTP
   const booking = await Booking.findOne({
     _id: bookingDbId,
     userId: req.user._id
   })
+    .select('+rideOtp.code')
     .populate('userId', 'phoneNumber name email profilePicture')
     .populate('vehicleId', 'type modelName licensePlate color capacity features year fuelType')
     .populate({
@@ -1605,7 +1720,7 @@ export const cancelBooking = catchAsync(async (req, res) => {
     userId: req.user._id
   })
     .populate('paymentId')
-    .populate('driverId', 'deviceInfo name')
+    .populate('driverId', 'deviceInfo name userId')
     .populate('userId', 'deviceInfo name email phoneNumber');
 
   if (!booking) {
@@ -1667,7 +1782,7 @@ export const cancelBooking = catchAsync(async (req, res) => {
 
   // Process refund
   let refundAmount = 0;
-  let refundNote = 'No refund applicable';
+  let refundNote = messageRef('refund.none');
 
   if (payment && (payment.status === PAYMENT_STATUS.COMPLETED || payment.status === PAYMENT_STATUS.ADVANCED)) {
     // If payment was an advance or full, check if paid amount covers cancellation
@@ -1686,7 +1801,7 @@ export const cancelBooking = catchAsync(async (req, res) => {
           ? PAYMENT_STATUS.REFUNDED
           : PAYMENT_STATUS.PARTIALLY_REFUNDED;
 
-        refundNote = `Refund of ₹${refundAmount} initiated successfully (Refund ID: ${refund.id})`;
+        refundNote = messageRef('refund.initiated', { amount: refundAmount, refundId: refund.id });
 
         logger.info('Refund processed successfully', {
           bookingId: booking.bookingId,
@@ -1699,29 +1814,34 @@ export const cancelBooking = catchAsync(async (req, res) => {
           error: refundError.message
         });
 
-        refundNote = `Booking cancelled, but automatic refund failed: ${refundError.message}. Please contact support for manual refund`;
+        refundNote = messageRef('refund.failed', { error: refundError.message });
       }
     } else {
       refundNote = chargeApplied
-        ? `Cancellation charge of ₹${cancellationCharge} applies. No refund due as charge exceeds paid amount.`
-        : 'Full cancellation charge applied. No refund due';
+        ? messageRef('refund.chargeExceedsPaid', { charge: cancellationCharge })
+        : messageRef('refund.fullCharge');
     }
 
     await payment.save();
   } else if (payment && payment.status === PAYMENT_STATUS.PENDING) {
-    refundNote = 'Booking cancelled before payment was completed';
+    refundNote = messageRef('refund.beforePayment');
     payment.status = PAYMENT_STATUS.FAILED;
     payment.failureReason = 'Booking cancelled by user before payment completion';
     await payment.save();
   } else if (payment && payment.method === PAYMENT_METHODS.CASH) {
     refundNote = chargeApplied
-      ? `Cancellation charge of ₹${cancellationCharge} may be applicable if driver was assigned`
-      : 'Cash booking cancelled successfully';
+      ? messageRef('refund.cashChargeMayApply', { charge: cancellationCharge })
+      : messageRef('refund.cashCancelled');
   } else if (!payment && booking.status === BOOKING_STATUS.PENDING) {
-    refundNote = 'Pending booking cancelled successfully';
+    refundNote = messageRef('refund.pendingCancelled');
   }
 
   await booking.save();
+  socketService.emitBookingStatus(booking, originalStatus);
+
+  if (booking.fareDetails?.couponId) {
+    await couponService.release(booking);
+  }
 
   logger.info('Booking cancelled by user', {
     bookingId: booking.bookingId,
@@ -1737,7 +1857,8 @@ export const cancelBooking = catchAsync(async (req, res) => {
     user,
     booking.bookingId,
     'cancelled',
-    `Your booking ${booking.bookingId} has been cancelled. ${refundNote}`
+    [messageRef('booking.cancelled', { bookingId: booking.bookingId }), refundNote],
+    booking._id
   );
 
   const driver = booking.driverId;
@@ -1745,7 +1866,8 @@ export const cancelBooking = catchAsync(async (req, res) => {
     await notifyDriver(
       driver,
       'Booking Cancelled',
-      `Booking ${booking.bookingId} has been cancelled by the customer`
+      `Booking ${booking.bookingId} has been cancelled by the customer`,
+      booking._id
     );
   }
 
@@ -1763,7 +1885,7 @@ export const cancelBooking = catchAsync(async (req, res) => {
       cancellationCharge,
       chargeApplied,
       refundAmount,
-      refundNote,
+      refundNote: renderMessage(refundNote, resolveLanguage(req)),
       cancelledAt: booking.cancellation.cancelledAt
     },
     'Booking cancelled successfully',
@@ -1973,7 +2095,8 @@ export const getFareEstimate = catchAsync(async (req, res) => {
       distance: estimatedDistance,
       startDateTime: tripDate,
       endDateTime: finalEndDateTime,
-      includeTolls: includeTolls || false // --- [ADDED] ---
+      includeTolls: includeTolls || false, // --- [ADDED] ---
+      pickupLocation: fromCoordinates ? { city: from, ...fromCoordinates } : from
     });
     // --- [END MODIFIED] ---
 
@@ -2116,7 +2239,16 @@ export const getCancellationCharges = catchAsync(async (req, res) => {
  * @access  Admin/Driver
  */
 export const updateBookingStatus = catchAsync(async (req, res) => {
-  const { status, reason } = req.body;
+  const {
+    status,
+    reason,
+    otp,
+    startOdometer,
+    endOdometer,
+    waitingTimeMinutes,
+    tollCharges,
+    parkingCharges
+  } = req.body;
   const bookingId = req.params.id;
 
   // Validate ObjectId format
@@ -2134,8 +2266,9 @@ export const updateBookingStatus = catchAsync(async (req, res) => {
   }
 
   const booking = await Booking.findById(bookingId)
+    .select('+rideOtp.code')
     .populate('userId', 'deviceInfo name email phoneNumber')
-    .populate({ path: 'driverId', model: 'Driver', select: 'deviceInfo name' });
+    .populate({ path: 'driverId', model: 'Driver', select: 'deviceInfo name userId' });
 
   if (!booking) {
     throw new NotFoundError(`Booking with ID ${bookingId} not found`);
@@ -2159,22 +2292,118 @@ export const updateBookingStatus = catchAsync(async (req, res) => {
 
   // Validate driver can only update their own bookings
   if (req.user.role === 'DRIVER') {
-    if (!booking.driverId || booking.driverId._id.toString() !== req.user._id.toString()) {
+    const driverProfile = await Driver.findForUser(req.user);
+
+    if (!booking.driverId || !driverProfile ||
+        booking.driverId._id.toString() !== driverProfile._id.toString()) {
       throw new AuthorizationError('You can only update bookings assigned to you');
     }
   }
 
   const now = new Date();
+  const isDriver = req.user.role === 'DRIVER';
+  let rideOtp = null;
 
   // Handle status-specific logic
-  if (status === BOOKING_STATUS.IN_PROGRESS) {
+  if (status === BOOKING_STATUS.ASSIGNED) {
+    if (!booking.driverId) {
+      throw new BadRequestError('Assign a driver using the /assign endpoint first');
+    }
+    if (!booking.rideOtp?.code) {
+      rideOtp = booking.issueRideOtp();
+    }
+  } else if (status === BOOKING_STATUS.IN_PROGRESS) {
+    if (currentStatus !== BOOKING_STATUS.ASSIGNED) {
+      throw new BadRequestError(`Cannot start a trip from status ${currentStatus}`);
+    }
+
+    // Drivers prove the passenger is present with the ride OTP; admins may override
+    if (isDriver) {
+      // Assigned before ride OTPs existed: the passenger never got one, so send it now
+      if (!booking.rideOtp?.code) {
+        const issuedOtp = booking.issueRideOtp();
+        await booking.save();
+
+        await notifyUser(
+          booking.userId,
+          booking.bookingId,
+          BOOKING_STATUS.ASSIGNED.toLowerCase(),
+          [messageRef('booking.rideOtp', { otp: issuedOtp })],
+          booking._id
+        );
+
+        logger.info('Ride OTP issued at trip start', { bookingId: booking.bookingId });
+
+        return sendSuccess(
+          res,
+          { bookingId: booking.bookingId, status: booking.status, rideOtpSent: true },
+          'A ride OTP has been sent to the passenger. Ask them for it to start the trip',
+          202
+        );
+      }
+
+      if (!otp) {
+        throw new BadRequestError('Ride OTP from the passenger is required to start the trip');
+      }
+
+      if ((booking.rideOtp?.attempts || 0) >= BOOKING_CONFIG.RIDE_OTP_MAX_ATTEMPTS) {
+        throw new TooManyRequestsError('Too many incorrect OTP attempts. Please contact support');
+      }
+
+      if (!booking.verifyRideOtp(otp)) {
+        await booking.save();
+        throw new BadRequestError('Invalid ride OTP');
+      }
+
+      if (startOdometer === undefined || startOdometer === null) {
+        throw new BadRequestError('startOdometer is required to start the trip');
+      }
+    }
+
     if (!booking.trip) booking.trip = {};
+
+    if (startOdometer !== undefined && startOdometer !== null) {
+      const reading = Number(startOdometer);
+      if (isNaN(reading) || reading < 0) {
+        throw new BadRequestError('startOdometer must be a positive number');
+      }
+      booking.trip.startOdometer = reading;
+    }
+
     if (!booking.trip.actualStartTime) {
       booking.trip.actualStartTime = now;
       logger.info('Trip started', { bookingId: booking.bookingId });
     }
   } else if (status === BOOKING_STATUS.COMPLETED) {
+    if (isDriver && currentStatus !== BOOKING_STATUS.IN_PROGRESS) {
+      throw new BadRequestError('Only a trip in progress can be completed');
+    }
+
     if (!booking.trip) booking.trip = {};
+
+    if (isDriver && (endOdometer === undefined || endOdometer === null)) {
+      throw new BadRequestError('endOdometer is required to complete the trip');
+    }
+
+    if (endOdometer !== undefined && endOdometer !== null) {
+      const reading = Number(endOdometer);
+      if (isNaN(reading) || reading < 0) {
+        throw new BadRequestError('endOdometer must be a positive number');
+      }
+
+      if (booking.trip.startOdometer !== undefined && reading < booking.trip.startOdometer) {
+        throw new BadRequestError(
+          `endOdometer (${reading}) cannot be less than startOdometer (${booking.trip.startOdometer})`
+        );
+      }
+
+      booking.trip.endOdometer = reading;
+
+      if (booking.trip.startOdometer !== undefined) {
+        booking.trip.actualDistance = Math.round((reading - booking.trip.startOdometer) * 10) / 10;
+      }
+    }
+
     if (!booking.trip.actualEndTime) {
       booking.trip.actualEndTime = now;
 
@@ -2200,6 +2429,53 @@ export const updateBookingStatus = catchAsync(async (req, res) => {
 
       logger.info('Trip completed', { bookingId: booking.bookingId });
     }
+
+    if (waitingTimeMinutes !== undefined && waitingTimeMinutes !== null) {
+      const minutes = Number(waitingTimeMinutes);
+      if (isNaN(minutes) || minutes < 0) {
+        throw new BadRequestError('waitingTimeMinutes must be a positive number');
+      }
+      booking.trip.waitingTimeMinutes = Math.round(minutes);
+    }
+
+    // Settle the final bill against what has already been collected
+    const collected = await Payment.find({
+      bookingId: booking._id,
+      status: { $in: [PAYMENT_STATUS.ADVANCED, PAYMENT_STATUS.COMPLETED] }
+    }).select('amount');
+
+    const amountPaid = collected.reduce((sum, p) => sum + (p.amount || 0), 0);
+
+    const settlement = pricingService.calculateFinalFare(
+      booking,
+      { tollCharges, parkingCharges },
+      amountPaid,
+      await pricingService.getBookedRateTables(booking)
+    );
+
+    booking.settlement = settlement;
+    booking.fareDetails.extraKm = settlement.extraKm;
+    booking.fareDetails.extraHours = settlement.extraHours;
+    booking.fareDetails.extraKmRate = settlement.extraKmRate;
+    booking.fareDetails.extraHourRate = settlement.extraHourRate;
+    booking.fareDetails.extraKmCharge = settlement.extraKmCharge;
+    booking.fareDetails.extraHourCharge = settlement.extraHourCharge;
+    booking.fareDetails.tollCharges = settlement.tollCharges;
+    booking.fareDetails.parkingCharges = settlement.parkingCharges;
+    booking.fareDetails.finalAmount = settlement.finalAmount;
+    booking.fareDetails.remainingAmount = settlement.remainingAmount;
+
+    // Extras may reopen a booking that was paid in full upfront
+    booking.paymentStatus = settlement.remainingAmount > 0
+      ? (amountPaid > 0 ? PAYMENT_STATUS.ADVANCED : PAYMENT_STATUS.PENDING)
+      : PAYMENT_STATUS.COMPLETED;
+
+    logger.info('Final fare settled', {
+      bookingId: booking.bookingId,
+      estimatedAmount: settlement.estimatedAmount,
+      finalAmount: settlement.finalAmount,
+      remainingAmount: settlement.remainingAmount
+    });
   } else if (status === BOOKING_STATUS.CANCELLED) {
     if (!booking.cancellation) {
       const cleanReason = reason && typeof reason === 'string'
@@ -2224,6 +2500,11 @@ export const updateBookingStatus = catchAsync(async (req, res) => {
   // Update status
   booking.status = status;
   await booking.save();
+  socketService.emitBookingStatus(booking, currentStatus);
+
+  if (status === BOOKING_STATUS.CANCELLED && booking.fareDetails?.couponId) {
+    await couponService.release(booking);
+  }
 
   logger.info('Booking status updated', {
     bookingId: booking.bookingId,
@@ -2235,16 +2516,29 @@ export const updateBookingStatus = catchAsync(async (req, res) => {
   // Send notifications
   const user = booking.userId;
   if (user) {
+    // Message IDs in src/locales, rendered in the customer's language
     const statusMessages = {
-      [BOOKING_STATUS.ASSIGNED]: 'A driver has been assigned to your booking',
-      [BOOKING_STATUS.IN_PROGRESS]: 'Your trip has started',
-      [BOOKING_STATUS.COMPLETED]: 'Your trip has been completed. Please rate your experience',
-      [BOOKING_STATUS.CANCELLED]: 'Your booking has been cancelled'
+      [BOOKING_STATUS.ASSIGNED]: 'booking.status.ASSIGNED',
+      [BOOKING_STATUS.IN_PROGRESS]: 'booking.status.IN_PROGRESS',
+      [BOOKING_STATUS.COMPLETED]: 'booking.status.COMPLETED',
+      [BOOKING_STATUS.CANCELLED]: 'booking.status.CANCELLED'
     };
 
-    const message = statusMessages[status] || `Booking status updated to ${status}`;
+    const message = [
+      statusMessages[status]
+        ? messageRef(statusMessages[status])
+        : messageRef('booking.status.default', { status })
+    ];
+
+    if (rideOtp) {
+      message.push(messageRef('booking.rideOtp', { otp: rideOtp }));
+    }
 
-    await notifyUser(user, booking.bookingId, status.toLowerCase(), message);
+    if (status === BOOKING_STATUS.COMPLETED && booking.settlement?.remainingAmount > 0) {
+      message.push(messageRef('booking.balanceDue', { amount: booking.settlement.remainingAmount }));
+    }
+
+    await notifyUser(user, booking.bookingId, status.toLowerCase(), message, booking._id);
   }
 
   const driver = booking.driverId;
@@ -2252,7 +2546,8 @@ export const updateBookingStatus = catchAsync(async (req, res) => {
     await notifyDriver(
       driver,
       'Booking Cancelled',
-      `Booking ${booking.bookingId} has been cancelled`
+      `Booking ${booking.bookingId} has been cancelled`,
+      booking._id
     );
   }
 
@@ -2263,17 +2558,589 @@ export const updateBookingStatus = catchAsync(async (req, res) => {
       status: booking.status,
       previousStatus: currentStatus,
       updatedAt: booking.updatedAt,
-      trip: booking.trip
+      trip: booking.trip,
+      settlement: booking.settlement
     },
     'Booking status updated successfully',
     200
   );
 });
 
+// ========================================
+// GET FINAL INVOICE
+// ========================================
+
+// Invoice fields with a caption in src/locales (invoice.label.*)
+const INVOICE_LABELS = [
+  'invoiceNumber',
+  'bookingId',
+  'driver',
+  'vehicle',
+  'pickup',
+  'drop',
+  'distance',
+  'duration',
+  'discount',
+  'total',
+  'paid',
+  'balance'
+];
+
+/**
+ * @desc    Get itemised final invoice of a completed trip
+ * @route   GET /api/bookings/:id/invoice
+ * @access  Private (owner) / Admin
+ */
+export const getInvoice = catchAsync(async (req, res) => {
+  const bookingId = req.params.id;
+
+  // Validate ObjectId format
+  if (!bookingId.match(/^[0-9a-fA-F]{24}$/)) {
+    throw new BadRequestError('Invalid booking ID format');
+  }
+
+  const query = { _id: bookingId };
+  if (req.user.role !== 'ADMIN') {
+    query.userId = req.user._id;
+  }
+
+  const booking = await Booking.findOne(query)
+    .populate('vehicleId', 'type modelName licensePlate')
+    .populate({ path: 'driverId', model: 'Driver', select: 'name' });
+
+  if (!booking) {
+    throw new NotFoundError('Booking not found or you do not have access to it', {
+      messageKey: 'errors.bookingNotFoundOrNoAccess'
+    });
+  }
+
+  if (booking.status !== BOOKING_STATUS.COMPLETED || !booking.settlement) {
+    throw new BadRequestError('Invoice is available only after the trip is completed', {
+      messageKey: 'errors.invoiceNotReady'
+    });
+  }
+
+  const language = resolveLanguage(req);
+  const settlement = booking.settlement.toObject();
+
+  // Line items settled before localization only have an English label
+  settlement.lineItems = settlement.lineItems.map(item => ({
+    label: item.key ? t(item.key, language, item.params) : item.label,
+    amount: item.amount
+  }));
+
+  const labels = {};
+  INVOICE_LABELS.forEach((field) => {
+    labels[field] = t(`invoice.label.${field}`, language);
+  });
+
+  return sendSuccess(
+    res,
+    {
+      title: t('invoice.title', language),
+      language,
+      labels,
+      invoiceNumber: `INV-${booking.bookingId}`,
+      bookingId: booking.bookingId,
+      bookingType: booking.bookingType,
+      vehicleType: booking.vehicleType,
+      vehicle: booking.vehicleId,
+      driverName: booking.driverId?.name,
+      passenger: booking.passengerDetails,
+      pickupLocation: booking.pickupLocation,
+      dropLocation: booking.dropLocation,
+      trip: {
+        startTime: booking.trip?.actualStartTime,
+        endTime: booking.trip?.actualEndTime,
+        distance: booking.settlement.actualDistance,
+        durationMinutes: booking.settlement.actualDurationMinutes,
+        waitingTimeMinutes: booking.settlement.waitingTimeMinutes
+      },
+      discount: booking.fareDetails.discountCode
+        ? { code: booking.fareDetails.discountCode, amount: booking.fareDetails.discountAmount }
+        : null,
+      settlement
+    },
+    t('invoice.retrieved', language),
+    200
+  );
+});
+
+// ========================================
+// PAY REMAINING BALANCE
+// ========================================
+
+/**
+ * @desc    Create a Razorpay order for the outstanding balance
+ * @route   POST /api/bookings/:id/pay-balance
+ * @access  Private
+ */
+export const payRemainingBalance = catchAsync(async (req, res) => {
+  const bookingId = req.params.id;
+
+  // Validate ObjectId format
+  if (!bookingId.match(/^[0-9a-fA-F]{24}$/)) {
+    throw new BadRequestError('Invalid booking ID format');
+  }
+
+  const booking = await Booking.findOne({ _id: bookingId, userId: req.user._id });
+
+  if (!booking) {
+    throw new NotFoundError('Booking not found');
+  }
+
+  const payableStatuses = [
+    BOOKING_STATUS.CONFIRMED,
+    BOOKING_STATUS.ASSIGNED,
+    BOOKING_STATUS.IN_PROGRESS,
+    BOOKING_STATUS.COMPLETED
+  ];
+
+  if (!payableStatuses.includes(booking.status)) {
+    throw new BadRequestError(`Cannot pay balance for a ${booking.status.toLowerCase()} booking`);
+  }
+
+  const { remainingAmount } = await booking.refreshPaymentStatus();
+
+  if (remainingAmount <= 0) {
+    await booking.save();
+    throw new ConflictError('This booking is already fully paid');
+  }
+
+  // Reuse an open balance order for the same amount instead of creating duplicates
+  let payment = await Payment.findOne({
+    bookingId: booking._id,
+    purpose: PAYMENT_PURPOSE.BALANCE,
+    method: PAYMENT_METHODS.RAZORPAY,
+    status: PAYMENT_STATUS.PENDING,
+    amount: remainingAmount
+  });
+
+  if (!payment) {
+    const receiptId = `bal_${booking.bookingId}_${Date.now().toString(36)}`;
+
+    const razorpayOrder = await paymentService.createOrder(
+      Math.round(remainingAmount * 100),
+      receiptId,
+      {
+        bookingDbId: booking._id.toString(),
+        bookingId: booking.bookingId,
+        userId: req.user._id.toString(),
+        isBalance: 'true'
+      }
+    );
+
+    payment = await Payment.create({
+      userId: req.user._id,
+      bookingId: booking._id,
+      amount: remainingAmount,
+      currency: 'INR',
+      status: PAYMENT_STATUS.PENDING,
+      method: PAYMENT_METHODS.RAZORPAY,
+      purpose: PAYMENT_PURPOSE.BALANCE,
+      razorpayOrderId: razorpayOrder.id,
+      receiptId
+    });
+
+    booking.payments.push(payment._id);
+    await booking.save();
+
+    logger.info('Balance payment order created', {
+      bookingId: booking.bookingId,
+      paymentId: payment._id,
+      amount: remainingAmount
+    });
+  }
+
+  // Only the order for the current balance stays payable
+  await Payment.supersedeBalanceOrders(booking._id, {
+    supersededBy: payment._id,
+    reason: 'Replaced by a newer balance order'
+  });
+
+  return sendSuccess(
+    res,
+    {
+      razorpayKey: process.env.RAZORPAY_KEY_ID,
+      orderId: payment.razorpayOrderId,
+      amount: Math.round(payment.amount * 100), // In paise
+      currency: 'INR',
+      bookingId: booking.bookingId,
+      bookingDbId: booking._id,
+      paymentDbId: payment._id,
+      remainingAmount
+    },
+    'Balance payment order created',
+    200
+  );
+});
+
+/**
+ * @desc    Verify balance payment and mark booking fully paid
+ * @route   POST /api/bookings/:id/verify-balance-payment
+ * @access  Private
+ */
+export const verifyBalancePayment = catchAsync(async (req, res) => {
+  const bookingId = req.params.id;
+  const { razorpay_payment_id, razorpay_order_id, razorpay_signature } = req.body;
+
+  // Validate ObjectId format
+  if (!bookingId.match(/^[0-9a-fA-F]{24}$/)) {
+    throw new BadRequestError('Invalid booking ID format');
+  }
+
+  if (!razorpay_payment_id || !razorpay_order_id || !razorpay_signature) {
+    throw new BadRequestError('razorpay_payment_id, razorpay_order_id and razorpay_signature are required');
+  }
+
+  const booking = await Booking.findOne({ _id: bookingId, userId: req.user._id });
+
+  if (!booking) {
+    throw new NotFoundError('Booking not found');
+  }
+
+  const payment = await Payment.findOne({
+    bookingId: booking._id,
+    razorpayOrderId: razorpay_order_id,
+    purpose: PAYMENT_PURPOSE.BALANCE
+  });
+
+  if (!payment) {
+    throw new NotFoundError('Balance payment order not found for this booking');
+  }
+
+  // Idempotency check
+  if (payment.status === PAYMENT_STATUS.COMPLETED) {
+    return sendSuccess(
+      res,
+      { bookingId: booking.bookingId, paymentStatus: booking.paymentStatus, payment },
+      'Payment already verified',
+      200
+    );
+  }
+
+  if (payment.status !== PAYMENT_STATUS.PENDING) {
+    throw new ConflictError(
+      `This balance order is ${payment.status.toLowerCase()}. Please request a new one`
+    );
+  }
+
+  const isValid = paymentService.verifyPaymentSignature(
+    razorpay_order_id,
+    razorpay_payment_id,
+    razorpay_signature
+  );
+
+  if (!isValid) {
+    payment.status = PAYMENT_STATUS.FAILED;
+    payment.failureReason = 'Signature verification failed';
+    payment.razorpayPaymentId = razorpay_payment_id;
+    await payment.save();
+
+    logger.error('Invalid balance payment signature', {
+      bookingId: booking.bookingId,
+      orderId: razorpay_order_id
+    });
+
+    throw new BadRequestError('Invalid payment signature. Payment verification failed');
+  }
+
+  // The balance may have dropped since the order was created (settlement, cash)
+  const { remainingAmount: amountDue } = await booking.refreshPaymentStatus();
+
+  if (payment.amount > amountDue) {
+    payment.status = PAYMENT_STATUS.SUPERSEDED;
+    payment.failureReason = `Order amount exceeds the balance due of ${amountDue}`;
+    payment.razorpayPaymentId = razorpay_payment_id;
+    await payment.save();
+
+    logger.warn('Balance payment exceeds amount due', {
+      bookingId: booking.bookingId,
+      orderId: razorpay_order_id,
+      amount: payment.amount,
+      amountDue
+    });
+
+    await notifyAdmin(
+      'Balance Overpaid',
+      `Payment ${razorpay_payment_id} of ₹${payment.amount} for booking ${booking.bookingId} exceeds the balance due of ₹${amountDue}. Manual refund required.`,
+      { bookingId: booking.bookingId, orderId: razorpay_order_id, paymentId: razorpay_payment_id }
+    );
+
+    throw new ConflictError(
+      `This order no longer matches the balance due of ₹${amountDue}. The payment will be refunded`
+    );
+  }
+
+  payment.status = PAYMENT_STATUS.COMPLETED;
+  payment.razorpayPaymentId = razorpay_payment_id;
+  payment.razorpaySignature = razorpay_signature;
+  await payment.save();
+
+  const { remainingAmount } = await booking.refreshPaymentStatus();
+  await booking.save();
+
+  logger.info('Balance payment verified', {
+    bookingId: booking.bookingId,
+    paymentId: payment._id,
+    amount: payment.amount,
+    remainingAmount
+  });
+
+  return sendSuccess(
+    res,
+    {
+      bookingId: booking.bookingId,
+      paymentStatus: booking.paymentStatus,
+      remainingAmount,
+      payment
+    },
+    'Balance payment successful',
+    200
+  );
+});
+
+// ========================================
+// ASSIGN DRIVER & VEHICLE (ADMIN)
+// ========================================
+
+/**
+ * @desc    Assign a driver and vehicle to a confirmed booking
+ * @route   PATCH /api/bookings/:id/assign
+ * @access  Admin
+ */
+export const assignDriver = catchAsync(async (req, res) => {
+  const { driverId, vehicleId } = req.body;
+  const bookingId = req.params.id;
+
+  // Validate ObjectId formats
+  if (!bookingId.match(/^[0-9a-fA-F]{24}$/)) {
+    throw new BadRequestError('Invalid booking ID format');
+  }
+
+  if (!driverId || !driverId.match(/^[0-9a-fA-F]{24}$/)) {
+    throw new BadRequestError('Valid driverId is required');
+  }
+
+  if (!vehicleId || !vehicleId.match(/^[0-9a-fA-F]{24}$/)) {
+    throw new BadRequestError('Valid vehicleId is required');
+  }
+
+  const booking = await Booking.findById(bookingId)
+    .populate('userId', 'deviceInfo name phoneNumber');
+
+  if (!booking) {
+    throw new NotFoundError(`Booking with ID ${bookingId} not found`);
+  }
+
+  // Only confirmed bookings (or re-assignment of an assigned one) can be dispatched
+  if (![BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.ASSIGNED].includes(booking.status)) {
+    throw new BadRequestError(
+      `Cannot assign a driver to a booking with status ${booking.status}`
+    );
+  }
+
+  const [driver, vehicle] = await Promise.all([
+    Driver.findById(driverId),
+    Vehicle.findById(vehicleId)
+  ]);
+
+  if (!driver) {
+    throw new NotFoundError('Driver not found');
+  }
+
+  if (!vehicle) {
+    throw new NotFoundError('Vehicle not found');
+  }
+
+  // Driver eligibility
+  if (!driver.isVerified) {
+    throw new BadRequestError('Driver is not verified');
+  }
+
+  if (!driver.isAvailable) {
+    throw new BadRequestError('Driver is currently not available');
+  }
+
+  // Vehicle eligibility
+  if (!vehicle.isAvailable) {
+    throw new BadRequestError('Vehicle is currently not available');
+  }
+
+  if (vehicle.type !== booking.vehicleType) {
+    throw new BadRequestError(
+      `Vehicle type ${vehicle.type} does not match booked type ${booking.vehicleType}`
+    );
+  }
+
+  // Licence, insurance and fitness must cover the whole trip; no overdue service
+  complianceService.assertAssignable({ driver, vehicle }, booking);
+
+  // Check for clashing trips of the same driver or vehicle
+  const conflicts = await Booking.findOverlapping({
+    driverId: driver._id,
+    vehicleId: vehicle._id,
+    start: booking.startDateTime,
+    end: booking.getTripEnd(),
+    excludeId: booking._id
+  });
+
+  if (conflicts.length > 0) {
+    const conflict = conflicts[0];
+    const clashWith = conflict.driverId?.toString() === driver._id.toString() ? 'Driver' : 'Vehicle';
+
+    throw new ConflictError(
+      `${clashWith} already has an overlapping ${conflict.status.toLowerCase()} booking (${conflict.bookingId})`
+    );
+  }
+
+  const previousDriverId = booking.driverId;
+  const previousStatus = booking.status;
+
+  booking.driverId = driver._id;
+  booking.vehicleId = vehicle._id;
+  booking.status = BOOKING_STATUS.ASSIGNED;
+  const rideOtp = booking.issueRideOtp();
+
+  // Manual assignment overrides any automatic offer in flight
+  if (booking.dispatch) {
+    booking.dispatch.status = DISPATCH_STATUS.ACCEPTED;
+    booking.dispatch.offeredTo = null;
+    booking.dispatch.offeredVehicle = null;
+  }
+
+  await booking.save();
+  matchingService.clearOfferTimeout(booking._id);
+  socketService.emitBookingStatus(booking, previousStatus, { previousDriverId });
+
+  logger.info('Driver assigned to booking', {
+    bookingId: booking.bookingId,
+    driverId: driver._id,
+    vehicleId: vehicle._id,
+    previousDriverId,
+    assignedBy: req.user._id
+  });
+
+  // Notify both parties
+  await notifyDriver(
+    driver,
+    'New Trip Assigned',
+    `Booking ${booking.bookingId} from ${booking.pickupLocation.city} on ${new Date(booking.startDateTime).toLocaleString('en-IN')}`,
+    booking._id
+  );
+
+  if (booking.userId) {
+    await notifyUser(
+      booking.userId,
+      booking.bookingId,
+      BOOKING_STATUS.ASSIGNED.toLowerCase(),
+      [
+        messageRef('booking.driverAssigned', {
+          driverName: driver.name,
+          vehicle: vehicle.modelName,
+          licensePlate: vehicle.licensePlate
+        }),
+        messageRef('booking.rideOtp', { otp: rideOtp })
+      ],
+      booking._id
+    );
+  }
+
+  return sendSuccess(
+    res,
+    {
+      bookingId: booking.bookingId,
+      status: booking.status,
+      previousStatus,
+      driver: {
+        id: driver._id,
+        name: driver.name,
+        phoneNumber: driver.phoneNumber,
+        rating: driver.rating
+      },
+      vehicle: {
+        id: vehicle._id,
+        type: vehicle.type,
+        modelName: vehicle.modelName,
+        licensePlate: vehicle.licensePlate
+      }
+    },
+    'Driver assigned successfully',
+    200
+  );
+});
+
 // ========================================
 // APPLY DISCOUNT
 // ========================================
 
+/**
+ * Create a Razorpay order for the re-priced amount and point the booking at it.
+ * Does not save the booking or touch the old payment: call supersedePayment
+ * once the booking is saved, so a failed save leaves the old order payable.
+ * @returns {Promise<Object>} { payment, checkout }
+ */
+const replacePaymentOrder = async (booking, oldPayment, amount) => {
+  const receiptId = `rcpt_${booking.bookingId}_${Date.now().toString(36)}`;
+
+  const razorpayOrder = await paymentService.createOrder(
+    Math.round(amount * 100),
+    receiptId,
+    {
+      bookingDbId: booking._id.toString(),
+      bookingId: booking.bookingId,
+      userId: booking.userId.toString(),
+      isAdvance: oldPayment.purpose === PAYMENT_PURPOSE.ADVANCE ? 'true' : 'false',
+      replacesOrder: oldPayment.razorpayOrderId
+    }
+  );
+
+  const newPayment = await Payment.create({
+    userId: booking.userId,
+    bookingId: booking._id,
+    amount,
+    currency: 'INR',
+    status: PAYMENT_STATUS.PENDING,
+    method: PAYMENT_METHODS.RAZORPAY,
+    purpose: oldPayment.purpose,
+    razorpayOrderId: razorpayOrder.id,
+    receiptId
+  });
+
+  booking.paymentId = newPayment._id;
+  booking.payments.push(newPayment._id);
+
+  logger.info('Payment order replaced after re-pricing', {
+    bookingId: booking.bookingId,
+    oldOrderId: oldPayment.razorpayOrderId,
+    newOrderId: razorpayOrder.id,
+    oldAmount: oldPayment.amount,
+    newAmount: amount
+  });
+
+  return {
+    payment: newPayment,
+    checkout: {
+      razorpayKey: process.env.RAZORPAY_KEY_ID,
+      orderId: razorpayOrder.id,
+      amount: razorpayOrder.amount, // In paise
+      currency: 'INR',
+      paymentDbId: newPayment._id,
+      payNow: amount
+    }
+  };
+};
+
+/**
+ * Mark the replaced payment SUPERSEDED so its order can no longer be verified
+ */
+const supersedePayment = async (oldPayment, newPayment) => {
+  oldPayment.status = PAYMENT_STATUS.SUPERSEDED;
+  oldPayment.supersededBy = newPayment._id;
+  oldPayment.failureReason = 'Order replaced after discount was applied';
+  await oldPayment.save();
+};
+
 /**
  * @desc    Apply discount code to booking
  * @route   POST /api/bookings/:id/discount
@@ -2322,52 +3189,70 @@ export const applyDiscount = catchAsync(async (req, res) => {
     );
   }
 
-  // Validate discount code and calculate discount
-  // TODO: Implement proper discount service/database lookup
-  let discountAmount = 0;
-  let discountType = 'FIXED';
-
-  if (cleanCode === 'FIRST100') {
-    discountAmount = 100;
-  } else if (cleanCode === 'FLAT50') {
-    discountAmount = 50;
-  } else if (cleanCode === 'SAVE200') {
-    discountAmount = 200;
-  } else {
-    throw new BadRequestError('Invalid or expired discount code');
-  }
-
-  // Ensure discount doesn't exceed fare amount
-  const maxDiscount = Math.floor(booking.fareDetails.finalAmount * 0.5); // Max 50% discount
+  // Validate coupon against this booking and user
+  const { coupon, discountAmount } = await couponService.validateForBooking(
+    cleanCode,
+    booking,
+    req.user
+  );
 
-  if (discountAmount > maxDiscount) {
-    discountAmount = maxDiscount;
-  }
+  await couponService.redeem(coupon, req.user, booking, discountAmount);
 
   // Update fare details
   const oldFinalAmount = booking.fareDetails.finalAmount;
+  const newFinalAmount = Math.max(0, oldFinalAmount - discountAmount);
 
   booking.fareDetails.discountCode = cleanCode;
   booking.fareDetails.discountAmount = discountAmount;
-  booking.fareDetails.discountType = discountType;
-  booking.fareDetails.finalAmount = Math.max(0, oldFinalAmount - discountAmount);
+  booking.fareDetails.discountType = coupon.discountType;
+  booking.fareDetails.couponId = coupon._id;
+  booking.fareDetails.finalAmount = newFinalAmount;
 
-  await booking.save();
+  // Re-price an unpaid payment so the customer is charged the discounted amount
+  const payment = booking.paymentId;
+  const previousPaymentAmount = payment?.amount;
+  let replacementOrder = null;
+  let replacementPayment = null;
 
-  // Update payment document if exists
-  if (booking.paymentId) {
-    const payment = booking.paymentId;
+  try {
+    if (payment && payment.status === PAYMENT_STATUS.PENDING) {
+      let amountDue = newFinalAmount;
+
+      if (payment.purpose === PAYMENT_PURPOSE.ADVANCE) {
+        const { advanceAmount, remainingAmount } = pricingService.calculateAdvance(newFinalAmount);
+        booking.fareDetails.advanceAmount = advanceAmount;
+        booking.fareDetails.remainingAmount = remainingAmount;
+        amountDue = advanceAmount;
+      }
 
-    if (payment.status === PAYMENT_STATUS.PENDING) {
-      payment.amount = booking.fareDetails.finalAmount;
-      await payment.save();
+      if (payment.razorpayOrderId) {
+        ({ payment: replacementPayment, checkout: replacementOrder } =
+          await replacePaymentOrder(booking, payment, amountDue));
+      } else {
+        payment.amount = amountDue;
+        await payment.save();
+      }
+    }
 
-      logger.info('Payment amount updated after discount', {
-        bookingId: booking.bookingId,
-        oldAmount: oldFinalAmount,
-        newAmount: booking.fareDetails.finalAmount
-      });
+    await booking.save();
+  } catch (error) {
+    await couponService.release(booking);
+
+    // Undo the re-pricing: the booking still points at the original payment
+    if (replacementPayment) {
+      replacementPayment.status = PAYMENT_STATUS.FAILED;
+      replacementPayment.failureReason = 'Discount could not be applied';
+      await replacementPayment.save();
+    } else if (payment && payment.amount !== previousPaymentAmount) {
+      payment.amount = previousPaymentAmount;
+      await payment.save();
     }
+
+    throw error;
+  }
+
+  if (replacementPayment) {
+    await supersedePayment(payment, replacementPayment);
   }
 
   logger.info('Discount applied to booking', {
@@ -2384,7 +3269,9 @@ export const applyDiscount = catchAsync(async (req, res) => {
       bookingId: booking.bookingId,
       discountCode: cleanCode,
       discountAmount,
-      fareDetails: booking.fareDetails
+      fareDetails: booking.fareDetails,
+      // Present when the client must re-open checkout with the new order
+      payment: replacementOrder
     },
     'Discount applied successfully',
     200
@@ -2788,6 +3675,9 @@ export default {
   addRating,
   applyDiscount,
   getCancellationCharges,
+  getInvoice,
+  payRemainingBalance,
+  verifyBalancePayment,
 
   // Deprecated endpoints
   getUpcomingBookings,
@@ -2796,6 +3686,7 @@ export default {
 
   // Admin/Driver endpoints
   updateBookingStatus,
+  assignDriver,
   getConfirmedBookings,
   getAllBookingsAdmin,
   getBookingStatistics
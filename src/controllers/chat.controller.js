@@ -0,0 +1,60 @@
+// src/controllers/chat.controller.js - In-trip Chat Endpoints
+import chatService from '../services/chat.service.js';
+import { sendSuccess, sendPaginatedResponse } from '../utils/response.js';
+import { catchAsync } from '../utils/catchAsync.js';
+import { parsePagination } from '../utils/helpers.js';
+
+// ========================================
+// MESSAGES
+// ========================================
+
+/**
+ * @desc    Chat history of a booking (newest first)
+ * @route   GET /api/bookings/:id/messages
+ * @access  Private (customer, assigned driver) / Admin
+ */
+export const getMessages = catchAsync(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const { messages, total } = await chatService.getHistory(req.params.id, req.user, { skip, limit });
+
+  return sendPaginatedResponse(
+    res,
+    messages,
+    page,
+    limit,
+    total,
+    'Messages retrieved successfully'
+  );
+});
+
+/**
+ * @desc    Send a chat message (REST alternative to the message:sent socket event)
+ * @route   POST /api/bookings/:id/messages
+ * @access  Private (customer, assigned driver) / Admin
+ */
+export const sendMessage = catchAsync(async (req, res) => {
+  const message = await chatService.sendMessage(req.params.id, req.user, req.body.text);
+
+  return sendSuccess(res, message, 'Message sent successfully', 201);
+});
+
+/**
+ * @desc    Mark all messages of a booking as read
+ * @route   PATCH /api/bookings/:id/messages/read
+ * @access  Private (customer, assigned driver) / Admin
+ */
+export const markMessagesRead = catchAsync(async (req, res) => {
+  const updated = await chatService.markRead(req.params.id, req.user);
+
+  return sendSuccess(res, { updated }, 'Messages marked as read', 200);
+});
+
+// ========================================
+// EXPORTS
+// ========================================
+
+export default {
+  getMessages,
+  sendMessage,
+  markMessagesRead
+};
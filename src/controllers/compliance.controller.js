@@ -0,0 +1,32 @@
+// src/controllers/compliance.controller.js - Fleet Paper Expiry Report
+import complianceService from '../services/compliance.service.js';
+import { sendSuccess } from '../utils/response.js';
+import { catchAsync } from '../utils/catchAsync.js';
+import { COMPLIANCE_CONFIG } from '../config/constants.js';
+
+// ========================================
+// REPORT
+// ========================================
+
+/**
+ * @desc    Expired papers and those expiring within `days` across drivers
+ *          and vehicles, soonest first
+ * @route   GET /api/admin/compliance/expiries?days=30&item=VEHICLE_INSURANCE
+ * @access  Admin
+ */
+export const getExpiryReport = catchAsync(async (req, res) => {
+  const report = await complianceService.getExpiryReport({
+    days: req.query.days ? parseInt(req.query.days, 10) : COMPLIANCE_CONFIG.REPORT_DEFAULT_DAYS,
+    item: req.query.item || null
+  });
+
+  return sendSuccess(res, report, 'Expiry report generated successfully', 200);
+});
+
+// ========================================
+// EXPORTS
+// ========================================
+
+export default {
+  getExpiryReport
+};
@@ -0,0 +1,227 @@
+// src/controllers/coupon.controller.js - Coupon Administration
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import { sendSuccess, sendPaginatedResponse } from '../utils/response.js';
+import { catchAsync } from '../utils/catchAsync.js';
+import {
+  NotFoundError,
+  BadRequestError,
+  ConflictError
+} from '../utils/customError.js';
+import { parsePagination } from '../utils/helpers.js';
+import { COUPON_CONFIG } from '../config/constants.js';
+import logger from '../config/logger.js';
+
+// Fields an admin may set on a coupon
+const EDITABLE_FIELDS = [
+  'description',
+  'discountType',
+  'discountValue',
+  'maxDiscount',
+  'minFare',
+  'validFrom',
+  'validUntil',
+  'usageLimit',
+  'perUserLimit',
+  'firstRideOnly',
+  'bookingTypes',
+  'vehicleTypes',
+  'isActive'
+];
+
+const pickEditable = (body) => {
+  const data = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  });
+  return data;
+};
+
+// ========================================
+// CREATE COUPON
+// ========================================
+
+/**
+ * @desc    Create a coupon
+ * @route   POST /api/coupons
+ * @access  Admin
+ */
+export const createCoupon = catchAsync(async (req, res) => {
+  const code = req.body.code.trim().toUpperCase();
+
+  const existing = await Coupon.exists({ code });
+  if (existing) {
+    throw new ConflictError(`Coupon code "${code}" already exists`);
+  }
+
+  const coupon = await Coupon.create({
+    ...pickEditable(req.body),
+    code,
+    createdBy: req.user._id
+  });
+
+  logger.info('Coupon created', {
+    code: coupon.code,
+    createdBy: req.user._id
+  });
+
+  return sendSuccess(res, coupon, 'Coupon created successfully', 201);
+});
+
+// ========================================
+// LIST / GET COUPONS
+// ========================================
+
+/**
+ * @desc    List coupons
+ * @route   GET /api/coupons?isActive=true&search=FIRST
+ * @access  Admin
+ */
+export const getAllCoupons = catchAsync(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const { isActive, search } = req.query;
+
+  const query = {};
+
+  if (isActive === 'true' || isActive === 'false') {
+    query.isActive = isActive === 'true';
+  }
+
+  if (search && typeof search === 'string') {
+    const searchTerm = search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    query.$or = [
+      { code: { $regex: searchTerm, $options: 'i' } },
+      { description: { $regex: searchTerm, $options: 'i' } }
+    ];
+  }
+
+  const [coupons, total] = await Promise.all([
+    Coupon.find(query)
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    Coupon.countDocuments(query)
+  ]);
+
+  return sendPaginatedResponse(
+    res,
+    coupons,
+    page,
+    limit,
+    total,
+    'Coupons retrieved successfully'
+  );
+});
+
+/**
+ * @desc    Get coupon with its most recent redemptions
+ * @route   GET /api/coupons/:id
+ * @access  Admin
+ */
+export const getCoupon = catchAsync(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id)
+    .populate('createdBy', 'name email')
+    .lean();
+
+  if (!coupon) {
+    throw new NotFoundError('Coupon not found');
+  }
+
+  const redemptions = await CouponRedemption.find({ couponId: coupon._id })
+    .sort('-redeemedAt')
+    .limit(COUPON_CONFIG.RECENT_REDEMPTIONS_LIMIT)
+    .populate('userId', 'name phoneNumber')
+    .populate('bookingId', 'bookingId status')
+    .lean();
+
+  return sendSuccess(res, { ...coupon, redemptions }, 'Coupon retrieved successfully', 200);
+});
+
+// ========================================
+// UPDATE / DELETE COUPON
+// ========================================
+
+/**
+ * @desc    Update a coupon (code cannot be changed)
+ * @route   PATCH /api/coupons/:id
+ * @access  Admin
+ */
+export const updateCoupon = catchAsync(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    throw new NotFoundError('Coupon not found');
+  }
+
+  if (req.body.code !== undefined && req.body.code.trim().toUpperCase() !== coupon.code) {
+    throw new BadRequestError('Coupon code cannot be changed. Create a new coupon instead');
+  }
+
+  const updates = pickEditable(req.body);
+
+  if (updates.usageLimit && updates.usageLimit < coupon.usedCount) {
+    throw new BadRequestError(
+      `usageLimit cannot be lower than the ${coupon.usedCount} redemptions already made`
+    );
+  }
+
+  coupon.set(updates);
+  await coupon.save();
+
+  logger.info('Coupon updated', {
+    code: coupon.code,
+    updatedBy: req.user._id,
+    fields: Object.keys(updates)
+  });
+
+  return sendSuccess(res, coupon, 'Coupon updated successfully', 200);
+});
+
+/**
+ * @desc    Delete a coupon. Coupons that were already redeemed are
+ *          deactivated instead so booking history stays intact.
+ * @route   DELETE /api/coupons/:id
+ * @access  Admin
+ */
+export const deleteCoupon = catchAsync(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    throw new NotFoundError('Coupon not found');
+  }
+
+  if (coupon.usedCount > 0) {
+    coupon.isActive = false;
+    await coupon.save();
+
+    logger.info('Coupon deactivated', { code: coupon.code, by: req.user._id });
+
+    return sendSuccess(
+      res,
+      { code: coupon.code, isActive: false },
+      'Coupon has redemptions and was deactivated instead of deleted',
+      200
+    );
+  }
+
+  await coupon.deleteOne();
+
+  logger.info('Coupon deleted', { code: coupon.code, by: req.user._id });
+
+  return sendSuccess(res, { code: coupon.code }, 'Coupon deleted successfully', 200);
+});
+
+// ========================================
+// EXPORTS
+// ========================================
+
+export default {
+  createCoupon,
+  getAllCoupons,
+  getCoupon,
+  updateCoupon,
+  deleteCoupon
+};
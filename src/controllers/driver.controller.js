@@ -0,0 +1,528 @@
+// src/controllers/driver.controller.js - Driver Facing Endpoints
+import { Booking, User, Vehicle } from '../models/index.js';
+import Driver from '../models/Driver.js';
+import Payment from '../models/Payment.js';
+import matchingService from '../services/matching.service.js';
+import socketService from '../services/socket.service.js';
+import storageService from '../services/storage.service.js';
+import complianceService, { itemRef } from '../services/compliance.service.js';
+import { sendSuccess, sendPaginatedResponse } from '../utils/response.js';
+import { catchAsync } from '../utils/catchAsync.js';
+import {
+  NotFoundError,
+  BadRequestError,
+  ConflictError
+} from '../utils/customError.js';
+import {
+  BOOKING_STATUS,
+  PAYMENT_STATUS,
+  PAYMENT_METHODS,
+  PAYMENT_PURPOSE,
+  USER_ROLES,
+  DRIVER_DOCUMENT_TYPES,
+  DOCUMENT_STATUS,
+  MANDATORY_DRIVER_DOCUMENTS
+} from '../config/constants.js';
+import { parsePagination } from '../utils/helpers.js';
+import logger from '../config/logger.js';
+import { sendBookingNotification } from '../utils/notification.utils.js';
+
+// ========================================
+// HELPERS
+// ========================================
+
+/**
+ * Load the driver profile linked to the logged-in user
+ */
+const getDriverProfile = async (user) => {
+  const driver = await Driver.findForUser(user);
+
+  if (!driver) {
+    throw new NotFoundError('Driver profile not found for this account');
+  }
+
+  return driver;
+};
+
+/**
+ * Tell the customer their booking was picked up by a driver
+ */
+const notifyCustomerAssigned = async (bookingDbId, driver) => {
+  const booking = await Booking.findById(bookingDbId)
+    .select('+rideOtp.code')
+    .populate('userId', 'deviceInfo');
+
+  if (!booking?.userId) return;
+
+  const fcmToken = booking.userId.deviceInfo
+    ?.slice()
+    .sort((a, b) => new Date(b.lastUsed) - new Date(a.lastUsed))[0]?.fcmToken;
+
+  try {
+    await sendBookingNotification(
+      fcmToken,
+      booking.bookingId,
+      'assigned',
+      `${driver.name} has been assigned to your booking. Share ride OTP ${booking.rideOtp?.code} with the driver at pickup`,
+      { userId: booking.userId._id, bookingRef: booking._id }
+    );
+  } catch (error) {
+    logger.error('Failed to send assignment notification', {
+      bookingId: booking.bookingId,
+      error: error.message
+    });
+  }
+};
+
+// ========================================
+// REGISTRATION & KYC DOCUMENTS
+// ========================================
+
+/**
+ * @desc    Register the logged-in user as a driver. The profile stays
+ *          unverified (and offline) until the mandatory documents are approved.
+ * @route   POST /api/driver/register
+ * @access  Private (customer)
+ */
+export const registerDriver = catchAsync(async (req, res) => {
+  if (req.user.role === USER_ROLES.ADMIN) {
+    throw new BadRequestError('Admin accounts cannot register as drivers');
+  }
+
+  const existing = await Driver.findForUser(req.user);
+  if (existing) {
+    throw new ConflictError('A driver profile already exists for this account');
+  }
+
+  const {
+    name,
+    email,
+    licenseNumber,
+    licenseExpiry,
+    address,
+    emergencyContact,
+    bankDetails
+  } = req.body;
+
+  let driver;
+  try {
+    driver = await Driver.create({
+      userId: req.user._id,
+      name: name || req.user.name,
+      phoneNumber: req.user.phoneNumber,
+      email: email || req.user.email,
+      licenseNumber,
+      licenseExpiry,
+      address,
+      emergencyContact,
+      documents: bankDetails ? { bankDetails } : undefined,
+      isAvailable: false,
+      isVerified: false
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      const field = Object.keys(error.keyValue || {})[0];
+      throw new ConflictError(
+        field === 'licenseNumber'
+          ? 'This license number is already registered'
+          : 'A driver profile already exists for this phone number'
+      );
+    }
+    throw error;
+  }
+
+  if (req.user.role !== USER_ROLES.DRIVER) {
+    await User.updateOne({ _id: req.user._id }, { $set: { role: USER_ROLES.DRIVER } });
+  }
+
+  logger.info('Driver registered', {
+    driverId: driver._id,
+    userId: req.user._id
+  });
+
+  return sendSuccess(
+    res,
+    {
+      driverId: driver._id,
+      name: driver.name,
+      licenseNumber: driver.licenseNumber,
+      requiredDocuments: MANDATORY_DRIVER_DOCUMENTS,
+      kyc: driver.getKycSummary()
+    },
+    'Driver registration received. Upload your documents to complete verification',
+    201
+  );
+});
+
+/**
+ * @desc    Get own KYC documents and verification state
+ * @route   GET /api/driver/documents
+ * @access  Driver
+ */
+export const getMyDocuments = catchAsync(async (req, res) => {
+  const driver = await getDriverProfile(req.user);
+
+  return sendSuccess(res, driver.getKycSummary(), 'Documents retrieved successfully', 200);
+});
+
+/**
+ * @desc    Upload (or replace) a KYC document. Goes back to PENDING review;
+ *          replacing an approved mandatory document unverifies the driver.
+ * @route   PUT /api/driver/documents/:type (multipart, field "file")
+ * @access  Driver
+ */
+export const uploadDocument = catchAsync(async (req, res) => {
+  const type = req.params.type;
+  const driver = await getDriverProfile(req.user);
+  const previous = driver.getKycDocument(type);
+
+  const stored = await storageService.saveUpload(req.file, `drivers/${driver._id}`);
+
+  driver.kycDocuments = [
+    ...driver.kycDocuments.filter(document => document.type !== type),
+    {
+      type,
+      status: DOCUMENT_STATUS.PENDING,
+      fileKey: stored.key,
+      originalName: stored.originalName,
+      mimeType: stored.mimeType,
+      size: stored.size,
+      documentNumber: req.body.documentNumber ||
+        (type === DRIVER_DOCUMENT_TYPES.LICENSE ? driver.licenseNumber : undefined),
+      expiresAt: req.body.expiresAt ||
+        (type === DRIVER_DOCUMENT_TYPES.LICENSE ? driver.licenseExpiry : undefined),
+      uploadedAt: new Date()
+    }
+  ];
+
+  try {
+    await driver.save();
+  } catch (error) {
+    await storageService.remove(stored.key);
+    throw error;
+  }
+
+  if (previous) {
+    await storageService.remove(previous.fileKey);
+  }
+
+  logger.info('Driver document uploaded', {
+    driverId: driver._id,
+    type,
+    replaced: !!previous,
+    isVerified: driver.isVerified
+  });
+
+  return sendSuccess(res, driver.getKycSummary(), 'Document uploaded. It will be reviewed shortly', 200);
+});
+
+/**
+ * @desc    Download own uploaded document
+ * @route   GET /api/driver/documents/:type/file
+ * @access  Driver
+ */
+export const downloadMyDocument = catchAsync(async (req, res) => {
+  const driver = await getDriverProfile(req.user);
+  const document = driver.getKycDocument(req.params.type);
+
+  if (!document) {
+    throw new NotFoundError('Document not uploaded');
+  }
+
+  await storageService.sendFile(res, document.fileKey, {
+    mimeType: document.mimeType,
+    fileName: document.originalName
+  });
+});
+
+// ========================================
+// AVAILABILITY & LOCATION
+// ========================================
+
+/**
+ * @desc    Get own driver profile
+ * @route   GET /api/driver/me
+ * @access  Driver
+ */
+export const getMyProfile = catchAsync(async (req, res) => {
+  const driver = await getDriverProfile(req.user);
+  await driver.populate('vehicleId', 'type modelName licensePlate color');
+
+  const profile = driver.toObject();
+  delete profile.kycDocuments;
+  profile.kyc = driver.getKycSummary();
+
+  return sendSuccess(res, profile, 'Driver profile retrieved successfully', 200);
+});
+
+/**
+ * @desc    Go online/offline
+ * @route   PATCH /api/driver/availability
+ * @access  Driver
+ */
+export const updateAvailability = catchAsync(async (req, res) => {
+  const driver = await getDriverProfile(req.user);
+
+  // Toggle when no explicit value is sent
+  const isAvailable = typeof req.body.isAvailable === 'boolean'
+    ? req.body.isAvailable
+    : !driver.isAvailable;
+
+  if (isAvailable && !driver.isVerified) {
+    throw new BadRequestError('Your profile must be verified before going online', { messageKey: 'errors.notVerifiedForOnline' });
+  }
+
+  if (isAvailable) {
+    const vehicle = driver.vehicleId ? await Vehicle.findById(driver.vehicleId) : null;
+    const issues = complianceService.getBlockingIssues({ driver, vehicle });
+
+    if (issues.length > 0) {
+      throw new BadRequestError(
+        `Renew before going online: ${issues.map(issue => issue.label).join(', ')}`,
+        {
+          messageKey: 'errors.complianceBlocksOnline',
+          params: { items: issues.map(issue => itemRef(issue.item)) }
+        }
+      );
+    }
+  }
+
+  driver.isAvailable = isAvailable;
+  await driver.save({ validateBeforeSave: false });
+
+  logger.info('Driver availability updated', {
+    driverId: driver._id,
+    isAvailable
+  });
+
+  return sendSuccess(
+    res,
+    { isAvailable: driver.isAvailable },
+    `You are now ${isAvailable ? 'online' : 'offline'}`,
+    200
+  );
+});
+
+/**
+ * @desc    Push current location
+ * @route   PATCH /api/driver/location
+ * @access  Driver
+ */
+export const updateLocation = catchAsync(async (req, res) => {
+  const { lat, lng } = req.body;
+
+  if (typeof lat !== 'number' || lat < -90 || lat > 90) {
+    throw new BadRequestError('lat must be a number between -90 and 90');
+  }
+
+  if (typeof lng !== 'number' || lng < -180 || lng > 180) {
+    throw new BadRequestError('lng must be a number between -180 and 180');
+  }
+
+  const driver = await getDriverProfile(req.user);
+  await driver.updateLocation(lat, lng);
+
+  return sendSuccess(res, driver.currentLocation, 'Location updated successfully', 200);
+});
+
+// ========================================
+// TRIPS
+// ========================================
+
+/**
+ * @desc    List trips assigned to the driver
+ * @route   GET /api/driver/trips?type=upcoming|active|past
+ * @access  Driver
+ */
+export const getMyTrips = catchAsync(async (req, res) => {
+  const driver = await getDriverProfile(req.user);
+  const { page, limit, skip } = parsePagination(req.query);
+  const type = req.query.type || 'upcoming';
+
+  const statusByType = {
+    upcoming: [BOOKING_STATUS.ASSIGNED],
+    active: [BOOKING_STATUS.IN_PROGRESS],
+    past: [BOOKING_STATUS.COMPLETED, BOOKING_STATUS.CANCELLED]
+  };
+
+  if (!statusByType[type]) {
+    throw new BadRequestError('type must be one of: upcoming, active, past');
+  }
+
+  const query = {
+    driverId: driver._id,
+    status: { $in: statusByType[type] }
+  };
+
+  const [bookings, total] = await Promise.all([
+    Booking.find(query)
+      .sort({ startDateTime: type === 'past' ? -1 : 1 })
+      .skip(skip)
+      .limit(limit)
+      .select('bookingId bookingType status pickupLocation dropLocation startDateTime endDateTime vehicleType passengerDetails.name fareDetails.finalAmount fareDetails.remainingAmount trip')
+      .populate('vehicleId', 'type modelName licensePlate'),
+    Booking.countDocuments(query)
+  ]);
+
+  return sendPaginatedResponse(
+    res,
+    bookings,
+    page,
+    limit,
+    total,
+    'Trips retrieved successfully'
+  );
+});
+
+/**
+ * @desc    Record cash collected from the customer for the remaining balance
+ * @route   POST /api/driver/trips/:id/collect-cash
+ * @access  Driver
+ */
+export const collectCash = catchAsync(async (req, res) => {
+  const amount = Number(req.body.amount);
+
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw new BadRequestError('amount must be a positive number');
+  }
+
+  const driver = await getDriverProfile(req.user);
+  const booking = await Booking.findOne({ _id: req.params.id, driverId: driver._id });
+
+  if (!booking) {
+    throw new NotFoundError('Trip not found');
+  }
+
+  if (![BOOKING_STATUS.IN_PROGRESS, BOOKING_STATUS.COMPLETED].includes(booking.status)) {
+    throw new BadRequestError('Cash can only be collected for an ongoing or completed trip');
+  }
+
+  const { remainingAmount } = await booking.refreshPaymentStatus();
+
+  if (remainingAmount <= 0) {
+    await booking.save();
+    throw new BadRequestError('Nothing is due on this booking');
+  }
+
+  if (amount > remainingAmount) {
+    throw new BadRequestError(`Amount exceeds the balance due of ₹${remainingAmount}`);
+  }
+
+  const payment = await Payment.create({
+    userId: booking.userId,
+    bookingId: booking._id,
+    amount,
+    currency: 'INR',
+    status: PAYMENT_STATUS.COMPLETED,
+    method: PAYMENT_METHODS.CASH,
+    purpose: PAYMENT_PURPOSE.BALANCE,
+    collectedBy: driver._id
+  });
+
+  booking.payments.push(payment._id);
+  const summary = await booking.refreshPaymentStatus();
+  await booking.save();
+
+  // Open online balance orders were for the amount due before this cash
+  await Payment.supersedeBalanceOrders(booking._id, { reason: 'Balance collected in cash' });
+
+  logger.info('Cash collected by driver', {
+    bookingId: booking.bookingId,
+    driverId: driver._id,
+    amount,
+    remainingAmount: summary.remainingAmount
+  });
+
+  return sendSuccess(
+    res,
+    {
+      bookingId: booking.bookingId,
+      paymentStatus: booking.paymentStatus,
+      amountCollected: amount,
+      remainingAmount: summary.remainingAmount
+    },
+    'Cash collection recorded',
+    201
+  );
+});
+
+// ========================================
+// OFFERS
+// ========================================
+
+/**
+ * @desc    List open booking offers
+ * @route   GET /api/driver/offers
+ * @access  Driver
+ */
+export const getMyOffers = catchAsync(async (req, res) => {
+  const driver = await getDriverProfile(req.user);
+  const offers = await matchingService.getOffersForDriver(driver._id);
+
+  return sendSuccess(res, offers, 'Offers retrieved successfully', 200);
+});
+
+/**
+ * @desc    Accept a booking offer
+ * @route   POST /api/driver/offers/:id/accept
+ * @access  Driver
+ */
+export const acceptOffer = catchAsync(async (req, res) => {
+  const driver = await getDriverProfile(req.user);
+  const booking = await matchingService.acceptOffer(req.params.id, driver);
+  socketService.emitBookingStatus(booking, BOOKING_STATUS.CONFIRMED);
+
+  await notifyCustomerAssigned(booking._id, driver);
+
+  return sendSuccess(
+    res,
+    {
+      bookingId: booking.bookingId,
+      status: booking.status,
+      startDateTime: booking.startDateTime,
+      pickupLocation: booking.pickupLocation
+    },
+    'Booking accepted successfully',
+    200
+  );
+});
+
+/**
+ * @desc    Reject a booking offer
+ * @route   POST /api/driver/offers/:id/reject
+ * @access  Driver
+ */
+export const rejectOffer = catchAsync(async (req, res) => {
+  const reason = typeof req.body.reason === 'string'
+    ? req.body.reason.trim().substring(0, 200)
+    : undefined;
+
+  const driver = await getDriverProfile(req.user);
+  const booking = await matchingService.rejectOffer(req.params.id, driver, reason);
+
+  return sendSuccess(
+    res,
+    { bookingId: booking.bookingId },
+    'Booking offer rejected',
+    200
+  );
+});
+
+// ========================================
+// EXPORTS
+// ========================================
+
+export default {
+  registerDriver,
+  getMyDocuments,
+  uploadDocument,
+  downloadMyDocument,
+  getMyProfile,
+  updateAvailability,
+  updateLocation,
+  getMyTrips,
+  collectCash,
+  getMyOffers,
+  acceptOffer,
+  rejectOffer
+};
@@ -0,0 +1,234 @@
+// src/controllers/driverReview.controller.js - Admin Review of Driver KYC Documents
+import Driver from '../models/Driver.js';
+import storageService from '../services/storage.service.js';
+import { sendSuccess, sendPaginatedResponse } from '../utils/response.js';
+import { catchAsync } from '../utils/catchAsync.js';
+import {
+  NotFoundError,
+  ConflictError
+} from '../utils/customError.js';
+import {
+  DOCUMENT_STATUS,
+  NOTIFICATION_TYPES as INBOX_TYPES
+} from '../config/constants.js';
+import { parsePagination } from '../utils/helpers.js';
+import { sendDriverNotification } from '../utils/notification.utils.js';
+import logger from '../config/logger.js';
+
+// ========================================
+// HELPERS
+// ========================================
+
+const getDriverOrThrow = async (driverId) => {
+  const driver = await Driver.findById(driverId);
+
+  if (!driver) {
+    throw new NotFoundError('Driver not found');
+  }
+
+  return driver;
+};
+
+/**
+ * Tell the driver how the review went (push + inbox)
+ */
+const notifyReviewOutcome = async (driver, document, becameVerified) => {
+  const label = document.type.replace(/_/g, ' ').toLowerCase();
+  const title = document.status === DOCUMENT_STATUS.APPROVED
+    ? 'Document Approved'
+    : 'Document Rejected';
+  let message = document.status === DOCUMENT_STATUS.APPROVED
+    ? `Your ${label} has been approved.`
+    : `Your ${label} was rejected: ${document.rejectionReason}. Please upload it again.`;
+
+  if (becameVerified) {
+    message += ' Your profile is now verified and you can go online.';
+  }
+
+  try {
+    await sendDriverNotification(
+      driver.deviceInfo?.[0]?.fcmToken,
+      title,
+      message,
+      { documentType: document.type, status: document.status },
+      { userId: driver.userId, type: INBOX_TYPES.DOCUMENT_REVIEWED }
+    );
+  } catch (error) {
+    logger.error('Failed to send document review notification', {
+      driverId: driver._id,
+      error: error.message
+    });
+  }
+};
+
+// ========================================
+// REVIEW QUEUE
+// ========================================
+
+/**
+ * @desc    Drivers with documents awaiting review, oldest upload first
+ * @route   GET /api/admin/drivers/review-queue
+ * @access  Admin
+ */
+export const getReviewQueue = catchAsync(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const match = { 'kycDocuments.status': DOCUMENT_STATUS.PENDING };
+
+  const [drivers, total] = await Promise.all([
+    Driver.aggregate([
+      { $match: match },
+      {
+        $addFields: {
+          pendingDocuments: {
+            $filter: {
+              input: '$kycDocuments',
+              as: 'document',
+              cond: { $eq: ['$$document.status', DOCUMENT_STATUS.PENDING] }
+            }
+          }
+        }
+      },
+      { $addFields: { oldestPendingAt: { $min: '$pendingDocuments.uploadedAt' } } },
+      { $sort: { oldestPendingAt: 1 } },
+      { $skip: skip },
+      { $limit: limit },
+      {
+        $project: {
+          name: 1,
+          phoneNumber: 1,
+          licenseNumber: 1,
+          isVerified: 1,
+          oldestPendingAt: 1,
+          pendingDocuments: {
+            $map: {
+              input: '$pendingDocuments',
+              as: 'document',
+              in: {
+                type: '$$document.type',
+                documentNumber: '$$document.documentNumber',
+                expiresAt: '$$document.expiresAt',
+                uploadedAt: '$$document.uploadedAt'
+              }
+            }
+          }
+        }
+      }
+    ]),
+    Driver.countDocuments(match)
+  ]);
+
+  return sendPaginatedResponse(
+    res,
+    drivers,
+    page,
+    limit,
+    total,
+    'Review queue retrieved successfully'
+  );
+});
+
+/**
+ * @desc    Documents and verification state of a driver
+ * @route   GET /api/admin/drivers/:id/documents
+ * @access  Admin
+ */
+export const getDriverDocuments = catchAsync(async (req, res) => {
+  const driver = await getDriverOrThrow(req.params.id);
+
+  return sendSuccess(
+    res,
+    {
+      driverId: driver._id,
+      name: driver.name,
+      phoneNumber: driver.phoneNumber,
+      licenseNumber: driver.licenseNumber,
+      licenseExpiry: driver.licenseExpiry,
+      ...driver.getKycSummary()
+    },
+    'Driver documents retrieved successfully',
+    200
+  );
+});
+
+/**
+ * @desc    Download an uploaded document for review
+ * @route   GET /api/admin/drivers/:id/documents/:type/file
+ * @access  Admin
+ */
+export const downloadDriverDocument = catchAsync(async (req, res) => {
+  const driver = await getDriverOrThrow(req.params.id);
+  const document = driver.getKycDocument(req.params.type);
+
+  if (!document) {
+    throw new NotFoundError('Document not uploaded');
+  }
+
+  await storageService.sendFile(res, document.fileKey, {
+    mimeType: document.mimeType,
+    fileName: `${driver._id}-${document.type}-${document.originalName || 'document'}`
+  });
+});
+
+// ========================================
+// APPROVE / REJECT
+// ========================================
+
+/**
+ * @desc    Approve or reject a document. isVerified is recomputed from the
+ *          mandatory documents; losing verification takes the driver offline.
+ * @route   PATCH /api/admin/drivers/:id/documents/:type
+ * @access  Admin
+ */
+export const reviewDocument = catchAsync(async (req, res) => {
+  const { status, reason } = req.body;
+  const driver = await getDriverOrThrow(req.params.id);
+  const document = driver.getKycDocument(req.params.type);
+
+  if (!document) {
+    throw new NotFoundError('Document not uploaded');
+  }
+
+  if (document.status === status) {
+    throw new ConflictError(`Document is already ${status.toLowerCase()}`);
+  }
+
+  const wasVerified = driver.isVerified;
+
+  document.status = status;
+  document.reviewedAt = new Date();
+  document.reviewedBy = req.user._id;
+  document.rejectionReason = status === DOCUMENT_STATUS.REJECTED ? reason : undefined;
+
+  await driver.save();
+
+  logger.info('Driver document reviewed', {
+    driverId: driver._id,
+    type: document.type,
+    status,
+    isVerified: driver.isVerified,
+    reviewedBy: req.user._id
+  });
+
+  await notifyReviewOutcome(driver, document, !wasVerified && driver.isVerified);
+
+  return sendSuccess(
+    res,
+    {
+      driverId: driver._id,
+      ...driver.getKycSummary()
+    },
+    `Document ${status.toLowerCase()}`,
+    200
+  );
+});
+
+// ========================================
+// EXPORTS
+// ========================================
+
+export default {
+  getReviewQueue,
+  getDriverDocuments,
+  downloadDriverDocument,
+  reviewDocument
+};
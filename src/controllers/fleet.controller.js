@@ -0,0 +1,563 @@
+// src/controllers/fleet.controller.js - Fleet (Vehicle) Administration
+import { Booking, Vehicle } from '../models/index.js';
+import Driver from '../models/Driver.js';
+import complianceService from '../services/compliance.service.js';
+import { sendSuccess, sendPaginatedResponse } from '../utils/response.js';
+import { catchAsync } from '../utils/catchAsync.js';
+import {
+  NotFoundError,
+  BadRequestError,
+  ConflictError
+} from '../utils/customError.js';
+import { BOOKING_STATUS, VEHICLE_CAPACITY } from '../config/constants.js';
+import { parsePagination } from '../utils/helpers.js';
+import logger from '../config/logger.js';
+
+// Fields an admin may set on a vehicle. Availability is managed through the
+// off-road endpoints and maintenance.lastService / totalKm through service events.
+const EDITABLE_FIELDS = [
+  'modelName',
+  'capacity',
+  'features',
+  'year',
+  'color',
+  'fuelType',
+  'insurance.policyNumber',
+  'insurance.expiryDate',
+  'insurance.provider',
+  'documents.rcCopy',
+  'documents.insuranceCopy',
+  'documents.pollutionCertificate',
+  'documents.fitnessExpiry',
+  'maintenance.nextServiceDue'
+];
+
+const ACTIVE_TRIP_STATUSES = [BOOKING_STATUS.ASSIGNED, BOOKING_STATUS.IN_PROGRESS];
+
+const pickEditable = (body) => {
+  const data = {};
+  EDITABLE_FIELDS.forEach((path) => {
+    const value = path.split('.').reduce((node, key) => node?.[key], body);
+    if (value !== undefined) {
+      data[path] = value;
+    }
+  });
+  return data;
+};
+
+const getVehicleOrThrow = async (vehicleId) => {
+  const vehicle = await Vehicle.findById(vehicleId);
+
+  if (!vehicle) {
+    throw new NotFoundError('Vehicle not found');
+  }
+
+  return vehicle;
+};
+
+/**
+ * Assigned or running trips of the vehicle that have not ended yet
+ */
+const findUpcomingTrips = (vehicleId, filter = {}) => Booking.find({
+  vehicleId,
+  status: { $in: ACTIVE_TRIP_STATUSES },
+  $or: [
+    { endDateTime: { $gte: new Date() } },
+    { startDateTime: { $gte: new Date() } },
+    { status: BOOKING_STATUS.IN_PROGRESS }
+  ],
+  ...filter
+})
+  .select('bookingId driverId startDateTime endDateTime status')
+  .sort('startDateTime')
+  .lean();
+
+// ========================================
+// CREATE VEHICLE
+// ========================================
+
+/**
+ * @desc    Add a vehicle to the fleet
+ * @route   POST /api/admin/vehicles
+ * @access  Admin
+ */
+export const createVehicle = catchAsync(async (req, res) => {
+  const licensePlate = req.body.licensePlate.replace(/\s+/g, '').toUpperCase();
+
+  const existing = await Vehicle.exists({ licensePlate });
+  if (existing) {
+    throw new ConflictError(`Vehicle ${licensePlate} is already registered`);
+  }
+
+  const vehicle = new Vehicle({
+    type: req.body.type,
+    licensePlate,
+    capacity: VEHICLE_CAPACITY[req.body.type]?.passengers
+  });
+
+  Object.entries(pickEditable(req.body)).forEach(([path, value]) => vehicle.set(path, value));
+
+  if (req.body.maintenance?.totalKm !== undefined) {
+    vehicle.set('maintenance.totalKm', req.body.maintenance.totalKm);
+  }
+
+  await vehicle.save();
+
+  logger.info('Vehicle created', {
+    vehicleId: vehicle._id,
+    licensePlate: vehicle.licensePlate,
+    createdBy: req.user._id
+  });
+
+  return sendSuccess(res, vehicle, 'Vehicle created successfully', 201);
+});
+
+// ========================================
+// LIST / GET VEHICLES
+// ========================================
+
+/**
+ * @desc    List the fleet
+ * @route   GET /api/admin/vehicles?type=SEDAN&fuelType=CNG&isAvailable=true&compliance=EXPIRING&search=KA01
+ * @access  Admin
+ */
+export const getAllVehicles = catchAsync(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const { type, fuelType, isAvailable, compliance, search } = req.query;
+
+  const conditions = [];
+
+  if (type) conditions.push({ type });
+  if (fuelType) conditions.push({ fuelType });
+
+  if (isAvailable === 'true' || isAvailable === 'false') {
+    conditions.push({ isAvailable: isAvailable === 'true' });
+  }
+
+  if (compliance) {
+    conditions.push(complianceService.vehicleStatusFilter(compliance));
+  }
+
+  if (search && typeof search === 'string') {
+    const searchTerm = search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    conditions.push({
+      $or: [
+        { licensePlate: { $regex: searchTerm.replace(/\s+/g, ''), $options: 'i' } },
+        { modelName: { $regex: searchTerm, $options: 'i' } }
+      ]
+    });
+  }
+
+  const query = conditions.length > 0 ? { $and: conditions } : {};
+
+  const [vehicles, total] = await Promise.all([
+    Vehicle.find(query)
+      .select('-serviceHistory -complianceWarnings')
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    Vehicle.countDocuments(query)
+  ]);
+
+  const drivers = await Driver.find({ vehicleId: { $in: vehicles.map(v => v._id) } })
+    .select('name phoneNumber vehicleId isAvailable')
+    .lean();
+
+  const data = vehicles.map(vehicle => ({
+    ...vehicle,
+    compliance: complianceService.getComplianceStatus({ vehicle }),
+    drivers: drivers
+      .filter(driver => driver.vehicleId.toString() === vehicle._id.toString())
+      .map(({ vehicleId, ...driver }) => driver)
+  }));
+
+  return sendPaginatedResponse(
+    res,
+    data,
+    page,
+    limit,
+    total,
+    'Vehicles retrieved successfully'
+  );
+});
+
+/**
+ * @desc    Vehicle with linked drivers, service history, compliance and upcoming trips
+ * @route   GET /api/admin/vehicles/:id
+ * @access  Admin
+ */
+export const getVehicle = catchAsync(async (req, res) => {
+  const vehicle = await Vehicle.findById(req.params.id)
+    .populate('offRoad.by', 'name email')
+    .populate('serviceHistory.recordedBy', 'name email')
+    .lean();
+
+  if (!vehicle) {
+    throw new NotFoundError('Vehicle not found');
+  }
+
+  const [drivers, upcomingTrips] = await Promise.all([
+    Driver.find({ vehicleId: vehicle._id })
+      .select('name phoneNumber isAvailable isVerified licenseExpiry')
+      .lean(),
+    findUpcomingTrips(vehicle._id)
+  ]);
+
+  return sendSuccess(
+    res,
+    {
+      ...vehicle,
+      compliance: complianceService.getComplianceStatus({ vehicle }),
+      drivers,
+      upcomingTrips
+    },
+    'Vehicle retrieved successfully',
+    200
+  );
+});
+
+// ========================================
+// UPDATE / DELETE VEHICLE
+// ========================================
+
+/**
+ * @desc    Update vehicle details (type and licence plate cannot be changed)
+ * @route   PATCH /api/admin/vehicles/:id
+ * @access  Admin
+ */
+export const updateVehicle = catchAsync(async (req, res) => {
+  const vehicle = await getVehicleOrThrow(req.params.id);
+
+  if (req.body.type !== undefined && req.body.type !== vehicle.type) {
+    throw new BadRequestError('Vehicle type cannot be changed. Register a new vehicle instead');
+  }
+
+  if (
+    req.body.licensePlate !== undefined &&
+    req.body.licensePlate.replace(/\s+/g, '').toUpperCase() !== vehicle.licensePlate
+  ) {
+    throw new BadRequestError('Licence plate cannot be changed. Register a new vehicle instead');
+  }
+
+  const updates = pickEditable(req.body);
+  Object.entries(updates).forEach(([path, value]) => vehicle.set(path, value));
+  await vehicle.save();
+
+  logger.info('Vehicle updated', {
+    vehicleId: vehicle._id,
+    updatedBy: req.user._id,
+    fields: Object.keys(updates)
+  });
+
+  return sendSuccess(res, vehicle, 'Vehicle updated successfully', 200);
+});
+
+/**
+ * @desc    Delete a vehicle. Vehicles with trip history are taken off-road
+ *          instead so past bookings keep their vehicle.
+ * @route   DELETE /api/admin/vehicles/:id
+ * @access  Admin
+ */
+export const deleteVehicle = catchAsync(async (req, res) => {
+  const vehicle = await getVehicleOrThrow(req.params.id);
+
+  const upcomingTrips = await findUpcomingTrips(vehicle._id);
+  if (upcomingTrips.length > 0) {
+    throw new ConflictError(
+      `Vehicle has ${upcomingTrips.length} upcoming trip(s) (next: ${upcomingTrips[0].bookingId}). Reassign them first`
+    );
+  }
+
+  const unlinked = await Driver.updateMany({ vehicleId: vehicle._id }, { $unset: { vehicleId: 1 } });
+
+  if (await Booking.exists({ vehicleId: vehicle._id })) {
+    vehicle.isAvailable = false;
+    vehicle.offRoad = { reason: 'Retired', since: new Date(), by: req.user._id, retired: true };
+    await vehicle.save();
+
+    logger.info('Vehicle retired', { vehicleId: vehicle._id, by: req.user._id });
+
+    return sendSuccess(
+      res,
+      { licensePlate: vehicle.licensePlate, isAvailable: false, driversUnlinked: unlinked.modifiedCount },
+      'Vehicle has trip history and was taken off-road instead of deleted',
+      200
+    );
+  }
+
+  await vehicle.deleteOne();
+
+  logger.info('Vehicle deleted', {
+    vehicleId: vehicle._id,
+    licensePlate: vehicle.licensePlate,
+    by: req.user._id
+  });
+
+  return sendSuccess(
+    res,
+    { licensePlate: vehicle.licensePlate, driversUnlinked: unlinked.modifiedCount },
+    'Vehicle deleted successfully',
+    200
+  );
+});
+
+// ========================================
+// DRIVER LINKING
+// ========================================
+
+/**
+ * @desc    Link a driver to the vehicle (moves them off their previous vehicle)
+ * @route   POST /api/admin/vehicles/:id/drivers
+ * @access  Admin
+ */
+export const linkDriver = catchAsync(async (req, res) => {
+  const [vehicle, driver] = await Promise.all([
+    getVehicleOrThrow(req.params.id),
+    Driver.findById(req.body.driverId)
+  ]);
+
+  if (!driver) {
+    throw new NotFoundError('Driver not found');
+  }
+
+  if (vehicle.offRoad?.retired) {
+    throw new BadRequestError('Vehicle is retired and cannot be linked to a driver');
+  }
+
+  if (vehicle.offRoad?.since) {
+    throw new BadRequestError(`Vehicle is off-road (${vehicle.offRoad.reason}). Return it to service first`);
+  }
+
+  if (driver.vehicleId?.toString() === vehicle._id.toString()) {
+    throw new ConflictError('Driver is already linked to this vehicle');
+  }
+
+  const previousVehicleId = driver.vehicleId || null;
+
+  driver.vehicleId = vehicle._id;
+  await driver.save({ validateBeforeSave: false });
+
+  logger.info('Driver linked to vehicle', {
+    driverId: driver._id,
+    vehicleId: vehicle._id,
+    previousVehicleId,
+    by: req.user._id
+  });
+
+  return sendSuccess(
+    res,
+    {
+      driverId: driver._id,
+      vehicleId: vehicle._id,
+      licensePlate: vehicle.licensePlate,
+      previousVehicleId
+    },
+    'Driver linked to vehicle',
+    200
+  );
+});
+
+/**
+ * @desc    Unlink a driver from the vehicle
+ * @route   DELETE /api/admin/vehicles/:id/drivers/:driverId
+ * @access  Admin
+ */
+export const unlinkDriver = catchAsync(async (req, res) => {
+  const driver = await Driver.findOne({ _id: req.params.driverId, vehicleId: req.params.id });
+
+  if (!driver) {
+    throw new NotFoundError('Driver is not linked to this vehicle');
+  }
+
+  const upcomingTrips = await findUpcomingTrips(req.params.id, { driverId: driver._id });
+  if (upcomingTrips.length > 0) {
+    throw new ConflictError(
+      `Driver has ${upcomingTrips.length} upcoming trip(s) with this vehicle (next: ${upcomingTrips[0].bookingId}). Reassign them first`
+    );
+  }
+
+  driver.vehicleId = undefined;
+  await driver.save({ validateBeforeSave: false });
+
+  logger.info('Driver unlinked from vehicle', {
+    driverId: driver._id,
+    vehicleId: req.params.id,
+    by: req.user._id
+  });
+
+  return sendSuccess(
+    res,
+    { driverId: driver._id, vehicleId: null },
+    'Driver unlinked from vehicle',
+    200
+  );
+});
+
+// ========================================
+// SERVICE EVENTS
+// ========================================
+
+/**
+ * @desc    Record a service. Updates maintenance.lastService, totalKm (odometer)
+ *          and, when given, the next due date.
+ * @route   POST /api/admin/vehicles/:id/service
+ * @access  Admin
+ */
+export const recordService = catchAsync(async (req, res) => {
+  const { serviceDate, odometerKm, description, cost, nextServiceDue } = req.body;
+  const vehicle = await getVehicleOrThrow(req.params.id);
+
+  if (odometerKm !== undefined && odometerKm < (vehicle.maintenance?.totalKm || 0)) {
+    throw new BadRequestError(
+      `Odometer reading cannot be lower than the recorded ${vehicle.maintenance.totalKm} km`
+    );
+  }
+
+  if (nextServiceDue && serviceDate && new Date(nextServiceDue) <= new Date(serviceDate)) {
+    throw new BadRequestError('nextServiceDue must be after the service date');
+  }
+
+  const performedAt = serviceDate ? new Date(serviceDate) : new Date();
+
+  vehicle.serviceHistory.push({
+    serviceDate: performedAt,
+    odometerKm,
+    description,
+    cost,
+    nextServiceDue,
+    recordedBy: req.user._id
+  });
+
+  if (!vehicle.maintenance?.lastService || performedAt > vehicle.maintenance.lastService) {
+    vehicle.set('maintenance.lastService', performedAt);
+  }
+  if (odometerKm !== undefined) {
+    vehicle.set('maintenance.totalKm', odometerKm);
+  }
+  if (nextServiceDue) {
+    vehicle.set('maintenance.nextServiceDue', nextServiceDue);
+  }
+
+  await vehicle.save();
+
+  logger.info('Vehicle service recorded', {
+    vehicleId: vehicle._id,
+    serviceDate: performedAt,
+    odometerKm,
+    by: req.user._id
+  });
+
+  return sendSuccess(
+    res,
+    {
+      maintenance: vehicle.maintenance,
+      service: vehicle.serviceHistory[vehicle.serviceHistory.length - 1]
+    },
+    'Service recorded successfully',
+    201
+  );
+});
+
+// ========================================
+// OFF-ROAD
+// ========================================
+
+/**
+ * @desc    Take a vehicle out of service. Upcoming trips stay assigned and are
+ *          returned so they can be reassigned.
+ * @route   POST /api/admin/vehicles/:id/off-road
+ * @access  Admin
+ */
+export const takeOffRoad = catchAsync(async (req, res) => {
+  const { reason, expectedBackAt } = req.body;
+  const vehicle = await getVehicleOrThrow(req.params.id);
+
+  if (vehicle.offRoad?.since) {
+    throw new ConflictError(`Vehicle is already off-road: ${vehicle.offRoad.reason}`);
+  }
+
+  vehicle.isAvailable = false;
+  vehicle.offRoad = {
+    reason,
+    since: new Date(),
+    expectedBackAt,
+    by: req.user._id
+  };
+  await vehicle.save();
+
+  const affectedTrips = await findUpcomingTrips(vehicle._id, { status: BOOKING_STATUS.ASSIGNED });
+
+  logger.info('Vehicle taken off-road', {
+    vehicleId: vehicle._id,
+    reason,
+    affectedTrips: affectedTrips.length,
+    by: req.user._id
+  });
+
+  return sendSuccess(
+    res,
+    {
+      isAvailable: false,
+      offRoad: vehicle.offRoad,
+      affectedTrips
+    },
+    affectedTrips.length > 0
+      ? `Vehicle taken off-road. ${affectedTrips.length} upcoming trip(s) need reassignment`
+      : 'Vehicle taken off-road',
+    200
+  );
+});
+
+/**
+ * @desc    Return an off-road vehicle to service (papers must be valid;
+ *          retired vehicles cannot return)
+ * @route   DELETE /api/admin/vehicles/:id/off-road
+ * @access  Admin
+ */
+export const returnToService = catchAsync(async (req, res) => {
+  const vehicle = await getVehicleOrThrow(req.params.id);
+
+  if (vehicle.isAvailable) {
+    throw new ConflictError('Vehicle is already in service');
+  }
+
+  if (vehicle.offRoad?.retired) {
+    throw new BadRequestError('Vehicle is retired and cannot return to service');
+  }
+
+  const issues = complianceService.getBlockingIssues({ vehicle });
+  if (issues.length > 0) {
+    throw new BadRequestError(
+      `Renew before returning to service: ${issues.map(issue => issue.label).join(', ')}`
+    );
+  }
+
+  vehicle.isAvailable = true;
+  vehicle.offRoad = undefined;
+  await vehicle.save();
+
+  logger.info('Vehicle returned to service', {
+    vehicleId: vehicle._id,
+    by: req.user._id
+  });
+
+  return sendSuccess(res, { isAvailable: true }, 'Vehicle returned to service', 200);
+});
+
+// ========================================
+// EXPORTS
+// ========================================
+
+export default {
+  createVehicle,
+  getAllVehicles,
+  getVehicle,
+  updateVehicle,
+  deleteVehicle,
+  linkDriver,
+  unlinkDriver,
+  recordService,
+  takeOffRoad,
+  returnToService
+};
@@ -1,5 +1,6 @@
 // src/controllers/payment.controller.js
 import paymentService from '../services/payment.service.js';
+import matchingService from '../services/matching.service.js';
 import Booking from '../models/Booking.js';
 import Payment from '../models/Payment.js';
 import { catchAsync } from '../utils/catchAsync.js';
@@ -8,6 +9,8 @@ import {
   BOOKING_STATUS,
   PAYMENT_STATUS,
   PAYMENT_METHODS,
+  PAYMENT_PURPOSE,
+  PAYMENT_FAILURE_REASONS
 } from '../config/constants.js';
 import logger from '../config/logger.js';
 import { sendBookingNotification, sendAdminNotification } from '../utils/notification.utils.js';
@@ -42,12 +45,77 @@ export const handleRazorpayWebhook = catchAsync(async (req, res) => {
       return res.status(200).json({ status: 'ok', message: 'Ignored: Payment not found' });
     }
 
+    if (payment.status === PAYMENT_STATUS.SUPERSEDED) {
+      logger.warn('Webhook: Capture received for superseded order', {
+        orderId: razorpayOrder.id,
+        razorpayPaymentId: razorpayPayment.id
+      });
+
+      sendAdminNotification(
+        'Superseded Order Paid',
+        `Payment ${razorpayPayment.id} was captured against replaced order ${razorpayOrder.id}. Manual refund required.`,
+        { orderId: razorpayOrder.id, paymentId: razorpayPayment.id }
+      ).catch(err => logger.error('Failed to send admin notification', { err: err.message }));
+
+      return res.status(200).json({ status: 'ok', message: 'Ignored: Order superseded' });
+    }
+
+    if (payment.status === PAYMENT_STATUS.FAILED &&
+      payment.failureReason === PAYMENT_FAILURE_REASONS.EXPIRED) {
+      logger.warn('Webhook: Capture received for expired booking', {
+        orderId: razorpayOrder.id,
+        razorpayPaymentId: razorpayPayment.id
+      });
+
+      sendAdminNotification(
+        'Expired Booking Paid',
+        `Payment ${razorpayPayment.id} was captured for order ${razorpayOrder.id} after its booking expired unpaid. Manual refund required.`,
+        { orderId: razorpayOrder.id, paymentId: razorpayPayment.id }
+      ).catch(err => logger.error('Failed to send admin notification', { err: err.message }));
+
+      return res.status(200).json({ status: 'ok', message: 'Ignored: Booking expired' });
+    }
+
     if (payment.status === PAYMENT_STATUS.PENDING) {
       const booking = await Booking.findById(payment.bookingId);
       if (!booking) {
         return res.status(200).json({ status: 'ok', message: 'Ignored: Booking missing' });
       }
 
+      // Balance payments settle an already confirmed booking
+      if (payment.purpose === PAYMENT_PURPOSE.BALANCE) {
+        const { remainingAmount: amountDue } = await booking.refreshPaymentStatus();
+
+        if (payment.amount > amountDue) {
+          payment.status = PAYMENT_STATUS.SUPERSEDED;
+          payment.failureReason = `Order amount exceeds the balance due of ${amountDue}`;
+          payment.razorpayPaymentId = razorpayPayment.id;
+          await payment.save();
+
+          sendAdminNotification(
+            'Balance Overpaid',
+            `Payment ${razorpayPayment.id} of ₹${payment.amount} for booking ${booking.bookingId} exceeds the balance due of ₹${amountDue}. Manual refund required.`,
+            { bookingId: booking.bookingId, orderId: razorpayOrder.id, paymentId: razorpayPayment.id }
+          ).catch(err => logger.error('Failed to send admin notification', { err: err.message }));
+
+          return res.status(200).json({ status: 'ok', message: 'Ignored: Exceeds balance due' });
+        }
+
+        payment.status = PAYMENT_STATUS.COMPLETED;
+        payment.razorpayPaymentId = razorpayPayment.id;
+        await payment.save();
+
+        await booking.refreshPaymentStatus();
+        await booking.save();
+
+        logger.info('Webhook: Balance payment captured', {
+          bookingId: booking.bookingId,
+          paymentStatus: booking.paymentStatus
+        });
+
+        return res.status(200).json({ status: 'ok' });
+      }
+
       // --- [UPDATED STATUS LOGIC FOR WEBHOOK] ---
       const totalFare = booking.fareDetails.finalAmount;
       const paidAmount = payment.amount;
@@ -67,10 +135,14 @@ export const handleRazorpayWebhook = catchAsync(async (req, res) => {
       await payment.save();
 
       booking.status = BOOKING_STATUS.CONFIRMED;
+      booking.paymentStatus = payment.status;
       await booking.save();
 
       logger.info('Webhook: Booking confirmed successfully', { bookingId: booking.bookingId, paymentStatus: payment.status });
 
+      matchingService.startMatching(booking._id)
+        .catch(err => logger.error('Driver matching failed to start', { bookingId: booking.bookingId, err: err.message }));
+
       sendAdminNotification(
         'New Online Booking (Webhook)',
         `Booking ${booking.bookingId} confirmed via webhook. Paid: ${paidAmount}, Status: ${payment.status}`,
@@ -78,9 +150,14 @@ export const handleRazorpayWebhook = catchAsync(async (req, res) => {
       ).catch(err => logger.error('Failed to send admin notification', { err: err.message }));
 
       const user = await User.findById(booking.userId).select('deviceInfo');
-      if (user?.deviceInfo?.length > 0 && user.deviceInfo[0].fcmToken) {
-        sendBookingNotification(user.deviceInfo[0].fcmToken, booking.bookingId, 'confirmed', 'Payment successful! Booking confirmed.')
-          .catch(err => logger.error('Webhook notification failed', { err: err.message }));
+      if (user) {
+        sendBookingNotification(
+          user.deviceInfo?.[0]?.fcmToken,
+          booking.bookingId,
+          'confirmed',
+          'Payment successful! Booking confirmed.',
+          { userId: user._id, bookingRef: booking._id }
+        ).catch(err => logger.error('Webhook notification failed', { err: err.message }));
       }
     }
   }
@@ -0,0 +1,286 @@
+// src/controllers/rateCard.controller.js - Rate Card Administration
+import RateCard from '../models/RateCard.js';
+import pricingService from '../services/pricing.service.js';
+import { sendSuccess, sendPaginatedResponse } from '../utils/response.js';
+import { catchAsync } from '../utils/catchAsync.js';
+import {
+  NotFoundError,
+  BadRequestError,
+  ConflictError
+} from '../utils/customError.js';
+import { RATE_CARD_STATUS, RATE_CARD_SCOPES } from '../config/constants.js';
+import { parsePagination } from '../utils/helpers.js';
+import logger from '../config/logger.js';
+
+// Pricing sections of a rate card. A national draft copies omitted sections
+// from the rates in force; city/zone drafts leave them to the national card.
+const PRICING_SECTIONS = [
+  'pricing',
+  'localPackages',
+  'airportBasePrice',
+  'outstationSurcharges',
+  'addOnServices'
+];
+
+// ========================================
+// LIST / GET RATE CARDS
+// ========================================
+
+/**
+ * @desc    List rate card versions
+ * @route   GET /api/rate-cards?status=DRAFT
+ * @access  Admin
+ */
+export const getAllRateCards = catchAsync(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const query = {};
+
+  if (req.query.status && Object.values(RATE_CARD_STATUS).includes(req.query.status.toUpperCase())) {
+    query.status = req.query.status.toUpperCase();
+  }
+
+  if (req.query.scope && Object.values(RATE_CARD_SCOPES).includes(req.query.scope.toUpperCase())) {
+    query['scope.type'] = req.query.scope.toUpperCase();
+  }
+
+  if (req.query.city) {
+    query['scope.city'] = req.query.city.trim().toLowerCase();
+  }
+
+  const [rateCards, total] = await Promise.all([
+    RateCard.find(query)
+      .sort({ version: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select('version name status scope.type scope.city scope.zoneName scopeKey notes activatedAt createdAt createdBy')
+      .populate('createdBy', 'name email')
+      .lean(),
+    RateCard.countDocuments(query)
+  ]);
+
+  return sendPaginatedResponse(
+    res,
+    rateCards,
+    page,
+    limit,
+    total,
+    'Rate cards retrieved successfully'
+  );
+});
+
+/**
+ * @desc    Get the rates used for a pickup (national when no location is given)
+ * @route   GET /api/rate-cards/active?city=Delhi&lat=28.61&lng=77.20
+ * @access  Admin
+ */
+export const getActiveRateCard = catchAsync(async (req, res) => {
+  const { city, lat, lng } = req.query;
+  const location = city || (lat !== undefined && lng !== undefined)
+    ? {
+      city,
+      lat: lat !== undefined ? Number(lat) : undefined,
+      lng: lng !== undefined ? Number(lng) : undefined
+    }
+    : null;
+
+  const tables = pricingService.getRateTables(location);
+
+  return sendSuccess(
+    res,
+    {
+      ...tables,
+      source: tables.rateCardId ? 'DATABASE' : 'DEFAULTS',
+      activeCards: pricingService.rateCards.map(card => ({
+        id: card._id,
+        version: card.version,
+        scopeKey: card.scopeKey
+      }))
+    },
+    'Active rates retrieved successfully',
+    200
+  );
+});
+
+/**
+ * @desc    Get a rate card version
+ * @route   GET /api/rate-cards/:id
+ * @access  Admin
+ */
+export const getRateCard = catchAsync(async (req, res) => {
+  const rateCard = await RateCard.findById(req.params.id)
+    .populate('createdBy', 'name email')
+    .populate('activatedBy', 'name email');
+
+  if (!rateCard) {
+    throw new NotFoundError('Rate card not found');
+  }
+
+  return sendSuccess(res, rateCard, 'Rate card retrieved successfully', 200);
+});
+
+// ========================================
+// CREATE / UPDATE DRAFT
+// ========================================
+
+/**
+ * @desc    Create a draft rate card. Sections not sent are copied from
+ *          the rates currently in force.
+ * @route   POST /api/rate-cards
+ * @access  Admin
+ */
+export const createRateCard = catchAsync(async (req, res) => {
+  const current = pricingService.getRateTables();
+  const scope = req.body.scope || { type: RATE_CARD_SCOPES.NATIONAL };
+  const isNational = !scope.type || scope.type === RATE_CARD_SCOPES.NATIONAL;
+  const data = {};
+
+  PRICING_SECTIONS.forEach((section) => {
+    if (req.body[section] !== undefined) {
+      data[section] = req.body[section];
+    } else if (isNational) {
+      data[section] = JSON.parse(JSON.stringify(current[section]));
+    }
+  });
+
+  let rateCard;
+  try {
+    rateCard = await RateCard.create({
+      ...data,
+      scope,
+      version: await RateCard.nextVersion(),
+      name: req.body.name,
+      notes: req.body.notes,
+      status: RATE_CARD_STATUS.DRAFT,
+      createdBy: req.user._id
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ConflictError('Another rate card was created at the same time. Please retry');
+    }
+    throw error;
+  }
+
+  logger.info('Rate card draft created', {
+    version: rateCard.version,
+    scope: rateCard.scopeKey,
+    basedOn: isNational ? current.version : null,
+    createdBy: req.user._id
+  });
+
+  return sendSuccess(res, rateCard, 'Rate card draft created successfully', 201);
+});
+
+/**
+ * @desc    Update a draft rate card. Active and archived versions are immutable.
+ * @route   PATCH /api/rate-cards/:id
+ * @access  Admin
+ */
+export const updateRateCard = catchAsync(async (req, res) => {
+  const rateCard = await RateCard.findById(req.params.id);
+
+  if (!rateCard) {
+    throw new NotFoundError('Rate card not found');
+  }
+
+  if (rateCard.status !== RATE_CARD_STATUS.DRAFT) {
+    throw new BadRequestError(
+      `Rate card v${rateCard.version} is ${rateCard.status.toLowerCase()} and cannot be edited. Create a new draft instead`
+    );
+  }
+
+  ['name', 'notes', 'scope', ...PRICING_SECTIONS].forEach((field) => {
+    if (req.body[field] !== undefined) {
+      rateCard[field] = req.body[field];
+    }
+  });
+
+  await rateCard.save();
+
+  logger.info('Rate card draft updated', {
+    version: rateCard.version,
+    updatedBy: req.user._id
+  });
+
+  return sendSuccess(res, rateCard, 'Rate card updated successfully', 200);
+});
+
+// ========================================
+// ACTIVATE
+// ========================================
+
+/**
+ * @desc    Put a rate card version in force (also used to roll back to an
+ *          archived version). New quotes use it immediately.
+ * @route   POST /api/rate-cards/:id/activate
+ * @access  Admin
+ */
+export const activateRateCard = catchAsync(async (req, res) => {
+  const rateCard = await RateCard.findOneAndUpdate(
+    {
+      _id: req.params.id,
+      status: { $in: [RATE_CARD_STATUS.DRAFT, RATE_CARD_STATUS.ARCHIVED] }
+    },
+    {
+      $set: {
+        status: RATE_CARD_STATUS.ACTIVE,
+        activatedAt: new Date(),
+        activatedBy: req.user._id
+      }
+    },
+    { new: true }
+  );
+
+  if (!rateCard) {
+    const exists = await RateCard.exists({ _id: req.params.id });
+    if (!exists) {
+      throw new NotFoundError('Rate card not found');
+    }
+    throw new ConflictError('Rate card is already active');
+  }
+
+  // Archive whatever was active for the same scope (never a card activated after this one)
+  await RateCard.updateMany(
+    {
+      _id: { $ne: rateCard._id },
+      scopeKey: rateCard.scopeKey,
+      status: RATE_CARD_STATUS.ACTIVE,
+      activatedAt: { $lte: rateCard.activatedAt }
+    },
+    { $set: { status: RATE_CARD_STATUS.ARCHIVED } }
+  );
+
+  // Switch this instance now; other instances pick it up on their next sync
+  await pricingService.loadActiveRateCards();
+
+  logger.info('Rate card activated', {
+    version: rateCard.version,
+    scope: rateCard.scopeKey,
+    activatedBy: req.user._id
+  });
+
+  return sendSuccess(
+    res,
+    {
+      id: rateCard._id,
+      version: rateCard.version,
+      scopeKey: rateCard.scopeKey,
+      status: rateCard.status,
+      activatedAt: rateCard.activatedAt
+    },
+    `Rate card v${rateCard.version} is now active`,
+    200
+  );
+});
+
+// ========================================
+// EXPORTS
+// ========================================
+
+export default {
+  getAllRateCards,
+  getActiveRateCard,
+  getRateCard,
+  createRateCard,
+  updateRateCard,
+  activateRateCard
+};
@@ -0,0 +1,51 @@
+// src/controllers/security.controller.js - Security Audit Events for Ops
+import AuthEvent from '../models/AuthEvent.js';
+import { sendPaginatedResponse } from '../utils/response.js';
+import { catchAsync } from '../utils/catchAsync.js';
+import { parsePagination } from '../utils/helpers.js';
+
+// ========================================
+// AUTH EVENTS
+// ========================================
+
+/**
+ * @desc    OTP lockouts and rate-limit hits, newest first (SMS pumping review)
+ * @route   GET /api/admin/auth-events?type=OTP_LOCKOUT&ip=&phoneNumber=&since=
+ * @access  Admin
+ */
+export const getAuthEvents = catchAsync(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const { type, ip, phoneNumber, since } = req.query;
+
+  const query = {};
+  if (type) query.type = type;
+  if (ip) query.ip = ip;
+  if (phoneNumber) query.phoneNumber = phoneNumber;
+  if (since) query.createdAt = { $gte: since };
+
+  const [events, total] = await Promise.all([
+    AuthEvent.find(query)
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    AuthEvent.countDocuments(query)
+  ]);
+
+  return sendPaginatedResponse(
+    res,
+    events,
+    page,
+    limit,
+    total,
+    'Security events retrieved successfully'
+  );
+});
+
+// ========================================
+// EXPORTS
+// ========================================
+
+export default {
+  getAuthEvents
+};
@@ -1,9 +1,11 @@
 // src/controllers/user.controller.js - Complete User Controller
 import Booking from '../models/Booking.js';
 import User from '../models/User.js';
+import Notification from '../models/Notification.js';
 import { sendSuccess, sendPaginatedResponse } from '../utils/response.js';
 import {catchAsync} from '../utils/catchAsync.js';
-import { BOOKING_STATUS } from '../config/constants.js';
+import { BOOKING_STATUS, NOTIFICATION_TYPES } from '../config/constants.js';
+import { NotFoundError } from '../utils/customError.js';
 import { parsePagination } from '../utils/helpers.js';
 import logger from '../config/logger.js';
 
@@ -76,6 +78,7 @@ export const getUpcomingBookings = catchAsync(async (req, res) => {
     }
   })
     .sort({ startDateTime: 1 }) // Ascending order (nearest first)
+    .select('+rideOtp.code') // Passenger shares this with the driver at pickup
     .populate('vehicleId', 'type modelName licensePlate')
     .populate('driverId', 'name phoneNumber rating')
     .limit(10); // Limit to next 10 bookings
@@ -380,52 +383,102 @@ export const getSavedAddresses = catchAsync(async (req, res) => {
 });
 
 /**
- * @desc    Get user's notifications/alerts
- * @route   GET /api/users/me/notifications
+ * @desc    Get notification inbox (newest first)
+ * @route   GET /api/users/me/notifications?unread=true&type=BOOKING_CONFIRMED
  * @access  Private
  */
 export const getNotifications = catchAsync(async (req, res) => {
-  // Get upcoming trip reminders
-  const upcomingTrips = await Booking.find({
-    userId: req.user._id,
-    startDateTime: {
-      $gte: new Date(),
-      $lte: new Date(Date.now() + 24 * 60 * 60 * 1000) // Next 24 hours
-    },
-    status: { $in: [BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.ASSIGNED] }
-  }).select('bookingId startDateTime pickupLocation dropLocation status');
+  const { page, limit, skip } = parsePagination(req.query);
+  const query = { userId: req.user._id };
+
+  if (req.query.unread === 'true') {
+    query.isRead = false;
+  }
+
+  if (req.query.type && Object.values(NOTIFICATION_TYPES).includes(req.query.type.toUpperCase())) {
+    query.type = req.query.type.toUpperCase();
+  }
+
+  const [notifications, total] = await Promise.all([
+    Notification.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select('-delivery -__v')
+      .lean(),
+    Notification.countDocuments(query)
+  ]);
+
+  return sendPaginatedResponse(
+    res,
+    notifications,
+    page,
+    limit,
+    total,
+    'Notifications retrieved successfully'
+  );
+});
 
-  // Get pending ratings
-  const pendingRatings = await Booking.find({
+/**
+ * @desc    Get number of unread notifications (for the badge)
+ * @route   GET /api/users/me/notifications/unread-count
+ * @access  Private
+ */
+export const getUnreadNotificationCount = catchAsync(async (req, res) => {
+  const unreadCount = await Notification.countDocuments({
     userId: req.user._id,
-    status: BOOKING_STATUS.COMPLETED,
-    'rating.value': { $exists: false },
-    createdAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) } // Last 7 days
-  }).select('bookingId startDateTime driverId').limit(5);
-
-  const notifications = {
-    upcomingTrips: upcomingTrips.map(trip => ({
-      type: 'UPCOMING_TRIP',
-      bookingId: trip.bookingId,
-      message: `Trip from ${trip.pickupLocation.city} to ${trip.dropLocation.city} scheduled`,
-      startTime: trip.startDateTime,
-      priority: 'high'
-    })),
-    pendingRatings: pendingRatings.map(booking => ({
-      type: 'PENDING_RATING',
-      bookingId: booking.bookingId,
-      message: 'Please rate your recent trip',
-      priority: 'medium'
-    }))
-  };
+    isRead: false
+  });
+
+  return sendSuccess(res, { unreadCount }, 'Unread count retrieved successfully', 200);
+});
+
+/**
+ * @desc    Mark a notification as read
+ * @route   PATCH /api/users/me/notifications/:id/read
+ * @access  Private
+ */
+export const markNotificationRead = catchAsync(async (req, res) => {
+  const notification = await Notification.findOne({
+    _id: req.params.id,
+    userId: req.user._id
+  });
+
+  if (!notification) {
+    throw new NotFoundError('Notification not found');
+  }
 
-  logger.info('Notifications retrieved', {
+  if (!notification.isRead) {
+    notification.isRead = true;
+    notification.readAt = new Date();
+    await notification.save();
+  }
+
+  return sendSuccess(res, notification, 'Notification marked as read', 200);
+});
+
+/**
+ * @desc    Mark all notifications as read
+ * @route   PATCH /api/users/me/notifications/read-all
+ * @access  Private
+ */
+export const markAllNotificationsRead = catchAsync(async (req, res) => {
+  const result = await Notification.updateMany(
+    { userId: req.user._id, isRead: false },
+    { $set: { isRead: true, readAt: new Date() } }
+  );
+
+  logger.info('Notifications marked as read', {
     userId: req.user._id,
-    upcomingTrips: notifications.upcomingTrips.length,
-    pendingRatings: notifications.pendingRatings.length
+    count: result.modifiedCount
   });
 
-  return sendSuccess(res, notifications, 'Notifications retrieved successfully', 200);
+  return sendSuccess(
+    res,
+    { updated: result.modifiedCount },
+    'All notifications marked as read',
+    200
+  );
 });
 
 /**
@@ -485,5 +538,8 @@ export default {
   searchBookings,
   getSavedAddresses,
   getNotifications,
+  getUnreadNotificationCount,
+  markNotificationRead,
+  markAllNotificationsRead,
   exportBookingData
 };
\ No newline at end of file
@@ -0,0 +1,360 @@
+// src/controllers/userAdmin.controller.js - User Account Administration
+import User from '../models/User.js';
+import Driver from '../models/Driver.js';
+import { Booking } from '../models/index.js';
+import { sendSuccess, sendPaginatedResponse } from '../utils/response.js';
+import { catchAsync } from '../utils/catchAsync.js';
+import {
+  NotFoundError,
+  BadRequestError,
+  ConflictError
+} from '../utils/customError.js';
+import {
+  USER_ROLES,
+  USER_ADMIN_ACTIONS,
+  BOOKING_STATUS
+} from '../config/constants.js';
+import { parsePagination, maskPhoneNumber } from '../utils/helpers.js';
+import logger from '../config/logger.js';
+
+const LIST_FIELDS = 'phoneNumber name email role isActive isVerified suspension lastLogin createdAt';
+
+const getUserOrThrow = async (userId) => {
+  const user = await User.findById(userId).select('+adminHistory');
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  return user;
+};
+
+// ========================================
+// LIST / GET USERS
+// ========================================
+
+/**
+ * @desc    List and search users
+ * @route   GET /api/admin/users?search=98765&role=DRIVER&isActive=false
+ * @access  Admin
+ */
+export const getAllUsers = catchAsync(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const { search, role, isActive } = req.query;
+
+  const conditions = [];
+
+  if (role) conditions.push({ role });
+
+  if (isActive === 'true' || isActive === 'false') {
+    conditions.push({ isActive: isActive === 'true' });
+  }
+
+  if (search && typeof search === 'string') {
+    const searchTerm = search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const digits = search.replace(/\D/g, '');
+    conditions.push({
+      $or: [
+        { name: { $regex: searchTerm, $options: 'i' } },
+        { email: { $regex: searchTerm, $options: 'i' } },
+        ...(digits ? [{ phoneNumber: { $regex: digits } }] : [])
+      ]
+    });
+  }
+
+  const query = conditions.length > 0 ? { $and: conditions } : {};
+
+  const [users, total] = await Promise.all([
+    User.find(query)
+      .select(LIST_FIELDS)
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    User.countDocuments(query)
+  ]);
+
+  return sendPaginatedResponse(
+    res,
+    users,
+    page,
+    limit,
+    total,
+    'Users retrieved successfully'
+  );
+});
+
+/**
+ * @desc    Get a user with their driver profile and admin change history
+ * @route   GET /api/admin/users/:userId
+ * @access  Admin
+ */
+export const getUser = catchAsync(async (req, res) => {
+  const user = await User.findById(req.params.userId)
+    .select(`${LIST_FIELDS} +adminHistory`)
+    .populate('adminHistory.by suspension.by', 'name phoneNumber')
+    .lean();
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  const driver = await Driver.findOne({ userId: user._id })
+    .select('name phoneNumber licenseNumber licenseExpiry isAvailable isVerified vehicleId')
+    .lean();
+
+  return sendSuccess(res, { ...user, driver }, 'User retrieved successfully', 200);
+});
+
+// ========================================
+// PROMOTE TO DRIVER
+// ========================================
+
+/**
+ * @desc    Make a user a driver. Links the given driver profile (or an unlinked
+ *          one with the user's phone number), otherwise creates one from the
+ *          licence details.
+ * @route   POST /api/admin/users/:userId/driver
+ * @access  Admin
+ */
+export const promoteToDriver = catchAsync(async (req, res) => {
+  const { driverId, name, licenseNumber, licenseExpiry } = req.body;
+  const user = await getUserOrThrow(req.params.userId);
+
+  if (!user.isActive) {
+    throw new BadRequestError('Reactivate the account before promoting it');
+  }
+
+  if (user.role === USER_ROLES.ADMIN) {
+    throw new BadRequestError('Admin accounts cannot be made drivers');
+  }
+
+  let driver = await Driver.findForUser(user);
+
+  if (driver && user.role === USER_ROLES.DRIVER) {
+    throw new ConflictError('User is already a driver');
+  }
+
+  if (driver && driverId && driver._id.toString() !== driverId) {
+    throw new ConflictError(`User is already linked to driver profile ${driver._id}`);
+  }
+
+  let profile = driver ? 'LINKED' : null;
+
+  if (!driver && driverId) {
+    driver = await Driver.findById(driverId);
+
+    if (!driver) {
+      throw new NotFoundError('Driver profile not found');
+    }
+
+    if (driver.userId && driver.userId.toString() !== user._id.toString()) {
+      throw new ConflictError('Driver profile is linked to another user');
+    }
+
+    // The driver logs in with the user's number from now on
+    if (driver.phoneNumber !== user.phoneNumber) {
+      const phoneTaken = await Driver.exists({ phoneNumber: user.phoneNumber, _id: { $ne: driver._id } });
+      if (phoneTaken) {
+        throw new ConflictError('Another driver profile uses this phone number');
+      }
+      driver.phoneNumber = user.phoneNumber;
+    }
+
+    driver.userId = user._id;
+    await driver.save({ validateBeforeSave: false });
+    profile = 'LINKED';
+  }
+
+  if (!driver) {
+    if (!licenseNumber || !licenseExpiry) {
+      throw new BadRequestError('licenseNumber and licenseExpiry are required to create a driver profile');
+    }
+
+    const driverName = name || user.name;
+    if (!driverName) {
+      throw new BadRequestError('name is required: the user has not set one');
+    }
+
+    const licenseTaken = await Driver.exists({ licenseNumber: licenseNumber.toUpperCase() });
+    if (licenseTaken) {
+      throw new ConflictError(`License ${licenseNumber.toUpperCase()} is already registered`);
+    }
+
+    driver = await Driver.create({
+      userId: user._id,
+      name: driverName,
+      phoneNumber: user.phoneNumber,
+      email: user.email,
+      licenseNumber,
+      licenseExpiry
+    });
+    profile = 'CREATED';
+  }
+
+  const previousRole = user.role;
+  user.role = USER_ROLES.DRIVER;
+  user.recordAdminAction(USER_ADMIN_ACTIONS.PROMOTED_TO_DRIVER, req.user._id, {
+    details: { previousRole, driverId: driver._id, profile }
+  });
+  await user.save();
+
+  logger.info('User promoted to driver', {
+    userId: user._id,
+    phoneNumber: maskPhoneNumber(user.phoneNumber),
+    driverId: driver._id,
+    profile,
+    by: req.user._id
+  });
+
+  return sendSuccess(
+    res,
+    {
+      userId: user._id,
+      role: user.role,
+      driver: {
+        _id: driver._id,
+        name: driver.name,
+        phoneNumber: driver.phoneNumber,
+        licenseNumber: driver.licenseNumber,
+        isVerified: driver.isVerified
+      },
+      profile
+    },
+    profile === 'CREATED'
+      ? 'User promoted to driver. Driver profile created; KYC documents are pending'
+      : 'User promoted to driver and linked to the driver profile',
+    200
+  );
+});
+
+// ========================================
+// SUSPEND / REACTIVATE
+// ========================================
+
+/**
+ * @desc    Suspend an account. Signs it out everywhere; a driver goes offline
+ *          and their upcoming trips are returned so they can be reassigned.
+ *          Admin accounts cannot be suspended here.
+ * @route   POST /api/admin/users/:userId/suspension
+ * @access  Admin
+ */
+export const suspendUser = catchAsync(async (req, res) => {
+  const { reason } = req.body;
+  const user = await getUserOrThrow(req.params.userId);
+
+  if (user._id.toString() === req.user._id.toString()) {
+    throw new BadRequestError('You cannot suspend your own account');
+  }
+
+  if (user.role === USER_ROLES.ADMIN) {
+    throw new BadRequestError('Admin accounts cannot be suspended');
+  }
+
+  if (!user.isActive) {
+    throw new ConflictError(
+      user.suspension?.since
+        ? `Account is already suspended: ${user.suspension.reason}`
+        : 'Account is already inactive'
+    );
+  }
+
+  user.isActive = false;
+  user.suspension = {
+    reason,
+    since: new Date(),
+    by: req.user._id
+  };
+  user.recordAdminAction(USER_ADMIN_ACTIONS.SUSPENDED, req.user._id, { reason });
+  await user.save(); // Deactivation revokes every token and session (User pre-save hook)
+
+  let affectedTrips = [];
+  if (user.role === USER_ROLES.DRIVER) {
+    const driver = await Driver.findOneAndUpdate(
+      { userId: user._id },
+      { $set: { isAvailable: false } },
+      { new: true }
+    ).select('_id');
+
+    if (driver) {
+      affectedTrips = await Booking.find({
+        driverId: driver._id,
+        status: { $in: [BOOKING_STATUS.ASSIGNED, BOOKING_STATUS.IN_PROGRESS] }
+      })
+        .select('bookingId startDateTime endDateTime status')
+        .sort('startDateTime')
+        .lean();
+    }
+  }
+
+  logger.warn('User suspended', {
+    userId: user._id,
+    phoneNumber: maskPhoneNumber(user.phoneNumber),
+    reason,
+    affectedTrips: affectedTrips.length,
+    by: req.user._id
+  });
+
+  return sendSuccess(
+    res,
+    {
+      isActive: false,
+      suspension: user.suspension,
+      affectedTrips
+    },
+    affectedTrips.length > 0
+      ? `Account suspended. ${affectedTrips.length} trip(s) need reassignment`
+      : 'Account suspended',
+    200
+  );
+});
+
+/**
+ * @desc    Reactivate a suspended account. Accounts their owners deleted have no
+ *          suspension and stay closed. Drivers stay offline until they go
+ *          online themselves.
+ * @route   DELETE /api/admin/users/:userId/suspension
+ * @access  Admin
+ */
+export const reactivateUser = catchAsync(async (req, res) => {
+  const { reason } = req.body;
+  const user = await getUserOrThrow(req.params.userId);
+
+  if (user.isActive) {
+    throw new ConflictError('Account is already active');
+  }
+
+  const suspendedSince = user.suspension?.since;
+
+  if (!suspendedSince) {
+    throw new BadRequestError('Only suspended accounts can be reactivated. This account was closed by its owner');
+  }
+
+  user.isActive = true;
+  user.suspension = undefined;
+  user.recordAdminAction(USER_ADMIN_ACTIONS.REACTIVATED, req.user._id, {
+    reason,
+    details: { suspendedSince }
+  });
+  await user.save();
+
+  logger.info('User reactivated', {
+    userId: user._id,
+    phoneNumber: maskPhoneNumber(user.phoneNumber),
+    by: req.user._id
+  });
+
+  return sendSuccess(res, { isActive: true }, 'Account reactivated', 200);
+});
+
+// ========================================
+// EXPORTS
+// ========================================
+
+export default {
+  getAllUsers,
+  getUser,
+  promoteToDriver,
+  suspendUser,
+  reactivateUser
+};
@@ -0,0 +1,265 @@
+// src/jobs/booking.jobs.js - Booking Lifecycle Jobs (reminders, expiry, driver nudges)
+import Booking from '../models/Booking.js';
+import Payment from '../models/Payment.js';
+import couponService from '../services/coupon.service.js';
+import socketService from '../services/socket.service.js';
+import notificationDispatcher from '../services/dispatcher.service.js';
+import logger from '../config/logger.js';
+import { messageRef } from '../utils/i18n.js';
+import {
+  BOOKING_STATUS,
+  BOOKING_CONFIG,
+  PAYMENT_STATUS,
+  PAYMENT_FAILURE_REASONS,
+  SCHEDULER_CONFIG,
+  NOTIFICATION_TYPES,
+  MESSAGE_CATEGORIES,
+  CRITICAL_BOOKING_EVENTS,
+  DEFAULTS
+} from '../config/constants.js';
+import {
+  describeBookingNotification,
+  sendAdminNotification,
+  NOTIFICATION_TYPES as PUSH_TYPES
+} from '../utils/notification.utils.js';
+
+const formatTime = (date) => new Date(date).toLocaleString('en-IN', {
+  timeZone: DEFAULTS.TIMEZONE,
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+const latestUserToken = (user) => {
+  const latestDevice = user?.deviceInfo
+    ?.slice()
+    .sort((a, b) => new Date(b.lastUsed) - new Date(a.lastUsed))[0];
+  return user?.fcmToken || latestDevice?.fcmToken;
+};
+
+/**
+ * Claim a one-off reminder on the booking. Only the caller that flips the
+ * field from empty sends it, so retries and other instances never repeat it.
+ */
+const claimReminder = async (bookingId, field, now) => {
+  const result = await Booking.updateOne(
+    { _id: bookingId, [`reminders.${field}`]: null },
+    { $set: { [`reminders.${field}`]: now } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// ========================================
+// PICKUP REMINDER
+// ========================================
+
+/**
+ * Remind the customer (and the assigned driver) ahead of pickup
+ */
+export const sendTripReminders = async ({ now }) => {
+  const windowEnd = new Date(now.getTime() + BOOKING_CONFIG.REMINDER_LEAD_MINUTES * 60 * 1000);
+
+  const bookings = await Booking.find({
+    status: { $in: [BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.ASSIGNED] },
+    startDateTime: { $gt: now, $lte: windowEnd },
+    'reminders.preTripSentAt': null
+  })
+    .limit(SCHEDULER_CONFIG.BATCH_SIZE)
+    .populate('userId', 'fcmToken deviceInfo')
+    .populate('driverId', 'name phoneNumber userId deviceInfo');
+
+  let sent = 0;
+
+  for (const booking of bookings) {
+    if (!(await claimReminder(booking._id, 'preTripSentAt', now))) continue;
+
+    const pickupTime = formatTime(booking.startDateTime);
+    const driverNote = booking.driverId
+      ? messageRef('trip.reminder.driverNote', { driverName: booking.driverId.name })
+      : messageRef('trip.reminder.driverPending');
+
+    try {
+      if (booking.userId) {
+        await notificationDispatcher.dispatch({
+          category: MESSAGE_CATEGORIES.TRIP,
+          userId: booking.userId._id,
+          to: { fcmToken: latestUserToken(booking.userId) },
+          title: messageRef('trip.reminder.title'),
+          body: [
+            messageRef('trip.reminder.body', {
+              bookingId: booking.bookingId,
+              city: booking.pickupLocation.city,
+              time: pickupTime
+            }),
+            driverNote
+          ],
+          data: { bookingId: booking.bookingId, action: 'VIEW_BOOKING' },
+          inbox: { type: NOTIFICATION_TYPES.TRIP_REMINDER, bookingRef: booking._id }
+        });
+      }
+
+      if (booking.driverId) {
+        await notificationDispatcher.dispatchToDriver(booking.driverId, {
+          category: MESSAGE_CATEGORIES.TRIP,
+          title: messageRef('trip.reminder.title'),
+          body: messageRef('trip.reminder.driverBody', {
+            bookingId: booking.bookingId,
+            pickup: booking.pickupLocation.address || booking.pickupLocation.city,
+            time: pickupTime
+          }),
+          data: { bookingId: booking.bookingId, action: 'DRIVER_UPDATE' },
+          pushType: PUSH_TYPES.DELIVERY,
+          inbox: { type: NOTIFICATION_TYPES.TRIP_REMINDER, bookingRef: booking._id }
+        });
+      }
+
+      sent++;
+    } catch (error) {
+      logger.error('Failed to send trip reminder', {
+        bookingId: booking.bookingId,
+        error: error.message
+      });
+    }
+  }
+
+  return { candidates: bookings.length, sent };
+};
+
+// ========================================
+// UNPAID BOOKING EXPIRY
+// ========================================
+
+/**
+ * Reject PENDING bookings whose Razorpay order was not paid in time.
+ * A payment that lands afterwards is caught by verifyBookingPayment and the
+ * webhook, which flag it to admins for a refund.
+ */
+export const expireUnpaidBookings = async ({ now }) => {
+  const cutoff = new Date(now.getTime() - BOOKING_CONFIG.UNPAID_EXPIRY_MINUTES * 60 * 1000);
+
+  const candidates = await Booking.find({
+    status: BOOKING_STATUS.PENDING,
+    createdAt: { $lte: cutoff }
+  })
+    .select('_id')
+    .limit(SCHEDULER_CONFIG.BATCH_SIZE)
+    .lean();
+
+  let expired = 0;
+
+  for (const { _id } of candidates) {
+    // Conditional so a payment verified in the meantime wins
+    const booking = await Booking.findOneAndUpdate(
+      { _id, status: BOOKING_STATUS.PENDING },
+      { $set: { status: BOOKING_STATUS.REJECTED } },
+      { new: true }
+    ).populate('userId', 'fcmToken deviceInfo');
+
+    if (!booking) continue;
+
+    await Payment.updateMany(
+      { bookingId: booking._id, status: PAYMENT_STATUS.PENDING },
+      { $set: { status: PAYMENT_STATUS.FAILED, failureReason: PAYMENT_FAILURE_REASONS.EXPIRED } }
+    );
+
+    if (booking.fareDetails?.couponId) {
+      await couponService.release(booking);
+    }
+
+    socketService.emitBookingStatus(booking, BOOKING_STATUS.PENDING);
+
+    if (booking.userId) {
+      const { titleKey, inboxType } = describeBookingNotification('cancelled');
+
+      notificationDispatcher.dispatch({
+        category: MESSAGE_CATEGORIES.BOOKING,
+        userId: booking.userId._id,
+        to: { fcmToken: latestUserToken(booking.userId) },
+        title: messageRef(titleKey),
+        body: messageRef('booking.expiredUnpaid', {
+          bookingId: booking.bookingId,
+          minutes: BOOKING_CONFIG.UNPAID_EXPIRY_MINUTES
+        }),
+        data: { bookingId: booking.bookingId, status: 'cancelled', action: 'VIEW_BOOKING' },
+        pushType: PUSH_TYPES.ORDER,
+        critical: CRITICAL_BOOKING_EVENTS.includes('cancelled'),
+        inbox: { type: inboxType, bookingRef: booking._id }
+      }).catch(error => logger.error('Failed to send expiry notification', {
+        bookingId: booking.bookingId,
+        error: error.message
+      }));
+    }
+
+    logger.info('Unpaid booking expired', {
+      bookingId: booking.bookingId,
+      createdAt: booking.createdAt
+    });
+
+    expired++;
+  }
+
+  return { candidates: candidates.length, expired };
+};
+
+// ========================================
+// DRIVER NUDGES
+// ========================================
+
+/**
+ * Nudge drivers whose ASSIGNED trip should have started by now, and tell admins
+ */
+export const nudgeAssignedDrivers = async ({ now }) => {
+  const cutoff = new Date(now.getTime() - BOOKING_CONFIG.DRIVER_START_GRACE_MINUTES * 60 * 1000);
+
+  const bookings = await Booking.find({
+    status: BOOKING_STATUS.ASSIGNED,
+    startDateTime: { $lte: cutoff },
+    'reminders.driverNudgedAt': null
+  })
+    .limit(SCHEDULER_CONFIG.BATCH_SIZE)
+    .populate('driverId', 'name phoneNumber userId deviceInfo');
+
+  const nudged = [];
+
+  for (const booking of bookings) {
+    if (!(await claimReminder(booking._id, 'driverNudgedAt', now))) continue;
+
+    if (booking.driverId) {
+      try {
+        await notificationDispatcher.dispatchToDriver(booking.driverId, {
+          category: MESSAGE_CATEGORIES.TRIP,
+          title: messageRef('trip.notStarted.title'),
+          body: messageRef('trip.notStarted.body', {
+            bookingId: booking.bookingId,
+            time: formatTime(booking.startDateTime)
+          }),
+          data: { bookingId: booking.bookingId, action: 'DRIVER_UPDATE' },
+          pushType: PUSH_TYPES.DELIVERY,
+          inbox: { type: NOTIFICATION_TYPES.BOOKING_UPDATED, bookingRef: booking._id }
+        });
+      } catch (error) {
+        logger.error('Failed to nudge driver', {
+          bookingId: booking.bookingId,
+          error: error.message
+        });
+      }
+    }
+
+    nudged.push(booking.bookingId);
+  }
+
+  if (nudged.length > 0) {
+    await sendAdminNotification(
+      'Trips Not Started',
+      `${nudged.length} assigned trip(s) are more than ${BOOKING_CONFIG.DRIVER_START_GRACE_MINUTES} minutes past pickup: ${nudged.join(', ')}`,
+      { bookingIds: nudged.join(',') }
+    );
+  }
+
+  return { candidates: bookings.length, nudged: nudged.length };
+};
+
+export default {
+  sendTripReminders,
+  expireUnpaidBookings,
+  nudgeAssignedDrivers
+};
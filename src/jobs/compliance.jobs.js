@@ -0,0 +1,25 @@
+// src/jobs/compliance.jobs.js - Paper Expiry Warnings
+import complianceService from '../services/compliance.service.js';
+import { COMPLIANCE_CONFIG } from '../config/constants.js';
+import { nextLocalMidnight } from './driver.jobs.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Schedule for the warning job: every day at WARNING_HOUR_LOCAL (local time),
+ * so drivers are not woken up by a midnight push
+ */
+export const nextMorningRun = (from) => {
+  const offset = COMPLIANCE_CONFIG.WARNING_HOUR_LOCAL * HOUR_MS;
+  return new Date(nextLocalMidnight(new Date(from.getTime() - offset)).getTime() + offset);
+};
+
+/**
+ * Warn drivers and admins about papers crossing a warning threshold
+ */
+export const sendComplianceWarnings = async ({ now }) => complianceService.sendExpiryWarnings(now);
+
+export default {
+  nextMorningRun,
+  sendComplianceWarnings
+};
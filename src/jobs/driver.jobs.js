@@ -0,0 +1,62 @@
+// src/jobs/driver.jobs.js - Driver Earnings Period Reset
+import Driver from '../models/Driver.js';
+import { SCHEDULER_CONFIG } from '../config/constants.js';
+
+const OFFSET_MS = SCHEDULER_CONFIG.TIMEZONE_OFFSET_MINUTES * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Start of the local day / week (Monday) / month containing the date
+ * @param {Date} date
+ * @param {string} period - 'day' | 'week' | 'month'
+ * @returns {Date}
+ */
+const periodStart = (date, period) => {
+  const local = new Date(date.getTime() + OFFSET_MS);
+  local.setUTCHours(0, 0, 0, 0);
+
+  if (period === 'week') {
+    const daysSinceMonday = (local.getUTCDay() + 6) % 7;
+    local.setUTCDate(local.getUTCDate() - daysSinceMonday);
+  } else if (period === 'month') {
+    local.setUTCDate(1);
+  }
+
+  return new Date(local.getTime() - OFFSET_MS);
+};
+
+/**
+ * Schedule for the reset job: every local midnight
+ */
+export const nextLocalMidnight = (from) => new Date(periodStart(from, 'day').getTime() + DAY_MS);
+
+/**
+ * Zero Driver.earnings counters whose period has rolled over since the last run.
+ * Comparing against the previous run means a reset missed during downtime
+ * (e.g. the Monday boundary) still happens on the next run.
+ */
+export const resetDriverEarnings = async ({ scheduledFor, previousRunAt, now }) => {
+  // First ever run: only trust the boundary this run was scheduled for
+  const since = previousRunAt || new Date(scheduledFor.getTime() - 1);
+  const $set = {};
+
+  if (periodStart(now, 'day') > since) $set['earnings.today'] = 0;
+  if (periodStart(now, 'week') > since) $set['earnings.thisWeek'] = 0;
+  if (periodStart(now, 'month') > since) $set['earnings.thisMonth'] = 0;
+
+  if (Object.keys($set).length === 0) {
+    return { reset: [], drivers: 0 };
+  }
+
+  const result = await Driver.updateMany({}, { $set });
+
+  return {
+    reset: Object.keys($set).map(path => path.replace('earnings.', '')),
+    drivers: result.modifiedCount
+  };
+};
+
+export default {
+  nextLocalMidnight,
+  resetDriverEarnings
+};
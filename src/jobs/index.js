@@ -0,0 +1,27 @@
+// src/jobs/index.js - Background Job Registry
+import bookingJobs from './booking.jobs.js';
+import driverJobs from './driver.jobs.js';
+import complianceJobs from './compliance.jobs.js';
+import { JOB_NAMES } from '../config/constants.js';
+
+/**
+ * Register every background job with the scheduler
+ * @param {Object} scheduler - SchedulerService instance
+ */
+export const registerJobs = (scheduler) => {
+  scheduler.register(JOB_NAMES.TRIP_REMINDER, { everySeconds: 5 * 60 }, bookingJobs.sendTripReminders);
+  scheduler.register(JOB_NAMES.EXPIRE_UNPAID_BOOKINGS, { everySeconds: 60 }, bookingJobs.expireUnpaidBookings);
+  scheduler.register(JOB_NAMES.NUDGE_ASSIGNED_DRIVERS, { everySeconds: 5 * 60 }, bookingJobs.nudgeAssignedDrivers);
+  scheduler.register(
+    JOB_NAMES.RESET_DRIVER_EARNINGS,
+    { nextRun: driverJobs.nextLocalMidnight },
+    driverJobs.resetDriverEarnings
+  );
+  scheduler.register(
+    JOB_NAMES.COMPLIANCE_WARNINGS,
+    { nextRun: complianceJobs.nextMorningRun },
+    complianceJobs.sendComplianceWarnings
+  );
+};
+
+export default registerJobs;
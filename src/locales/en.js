@@ -0,0 +1,134 @@
+// src/locales/en.js - English Message Catalogue
+// Keys are message IDs; {name} placeholders are filled by utils/i18n.js
+
+export default {
+  // ----- Generic errors (defaults of utils/customError.js) -----
+  'errors.validation': 'Validation failed',
+  'errors.authentication': 'Authentication failed. Please log in.',
+  'errors.authorization': 'You do not have permission to perform this action',
+  'errors.notFound': 'Resource not found',
+  'errors.conflict': 'Resource already exists',
+  'errors.badRequest': 'Bad request',
+  'errors.internal': 'Internal server error',
+  'errors.serviceUnavailable': 'Service temporarily unavailable',
+  'errors.tooManyRequests': 'Too many requests. Please try again later.',
+  'errors.generic': 'Something went wrong. Please try again later.',
+  'errors.invalidId': 'Invalid ID format',
+
+  // ----- Auth errors -----
+  'errors.notLoggedIn': 'You are not logged in. Please log in to get access.',
+  'errors.invalidToken': 'Invalid token. Please log in again.',
+  'errors.tokenExpired': 'Your token has expired. Please log in again.',
+  'errors.invalidRefreshToken': 'Invalid refresh token. Please log in again.',
+  'errors.sessionEnded': 'This session has been signed out. Please log in again.',
+  'errors.tokenNotActive': 'Token not active yet. Please try again later.',
+  'errors.userNoLongerExists': 'The user belonging to this token no longer exists.',
+  'errors.accountDeactivated': 'Your account has been deactivated. Please contact support.',
+  'errors.phoneRequired': 'Phone number is required',
+  'errors.phoneAndOtpRequired': 'Phone number and OTP are required',
+  'errors.otpWait': 'Please wait {seconds} seconds before requesting a new OTP',
+  'errors.otpNotRequested': 'Invalid OTP or OTP not requested. Please request an OTP first.',
+  'errors.otpExpired': 'OTP has expired. Please request a new OTP.',
+  'errors.otpAttemptsExceeded': 'Maximum OTP attempts exceeded. Please request a new OTP.',
+  'errors.otpInvalidLastAttempt': 'Invalid OTP. Maximum attempts exceeded. Please request a new OTP.',
+  'errors.otpInvalid': 'Invalid OTP. {attemptsLeft} attempt(s) remaining.',
+  'errors.otpLocked': 'Too many incorrect OTPs. Try again in {minutes} minutes.',
+  'errors.otpTooManyRequests': 'Too many OTP requests. Try again in {minutes} minutes.',
+  'errors.otpDeliveryFailed': 'We could not send the OTP. Please try again shortly.',
+  'errors.phoneUnchanged': 'This is already your registered phone number',
+  'errors.phoneInUse': 'This phone number is already registered to another account',
+
+  // ----- Booking errors -----
+  'errors.bookingNotFound': 'Booking not found',
+  'errors.bookingNotFoundOrNoAccess': 'Booking not found or you do not have access to it',
+  'errors.invoiceNotReady': 'Invoice is available only after the trip is completed',
+  'errors.notVerifiedForOnline': 'Your profile must be verified before going online',
+  'errors.complianceBlocksOnline': 'Renew before going online: {items}',
+  'errors.complianceBlocksAssignment': 'Cannot assign: {issues}',
+
+  // ----- OTP message -----
+  'otp.title': 'Your OTP Code',
+  'otp.body': 'Your CabBazar verification code is {code}. Valid for {minutes} minutes. Do not share this code.',
+
+  // ----- Account security -----
+  'security.phoneChanged.title': 'Phone number changed',
+  'security.phoneChanged.body': 'The phone number on your CabBazar account was changed to {phoneNumber}. All devices have been logged out. If this was not you, contact support immediately.',
+
+  // ----- Booking notifications -----
+  'booking.title.confirmed': 'Booking Confirmed',
+  'booking.title.cancelled': 'Booking Cancelled',
+  'booking.title.assigned': 'Driver Assigned',
+  'booking.title.in_progress': 'Trip Started',
+  'booking.title.completed': 'Trip Completed',
+  'booking.title.default': 'Booking Update',
+  'booking.status.ASSIGNED': 'A driver has been assigned to your booking.',
+  'booking.status.IN_PROGRESS': 'Your trip has started.',
+  'booking.status.COMPLETED': 'Your trip has been completed. Please rate your experience.',
+  'booking.status.CANCELLED': 'Your booking has been cancelled.',
+  'booking.status.default': 'Booking status updated to {status}.',
+  'booking.rideOtp': 'Share ride OTP {otp} with the driver at pickup.',
+  'booking.balanceDue': 'Balance due: ₹{amount}.',
+  'booking.confirmedCash': 'Your cash booking {bookingId} is confirmed.',
+  'booking.confirmedPaid': 'Your payment of ₹{amount} was successful! Booking {bookingId} is confirmed.',
+  'booking.cancelled': 'Your booking {bookingId} has been cancelled.',
+  'booking.driverAssigned': '{driverName} has been assigned to your booking with {vehicle} ({licensePlate}).',
+  'booking.expiredUnpaid': 'Booking {bookingId} was cancelled because payment was not completed within {minutes} minutes.',
+
+  // ----- Trip reminders -----
+  'trip.reminder.title': 'Upcoming Trip',
+  'trip.reminder.body': 'Your trip {bookingId} from {city} starts at {time}.',
+  'trip.reminder.driverNote': 'Your driver {driverName} will meet you at pickup.',
+  'trip.reminder.driverPending': 'Driver details will be shared shortly.',
+  'trip.reminder.driverBody': 'Booking {bookingId}: pickup at {pickup} on {time}',
+  'trip.notStarted.title': 'Trip Not Started',
+  'trip.notStarted.body': 'Booking {bookingId} was due at {time}. Please start the trip or contact support.',
+
+  // ----- Driver and vehicle papers -----
+  'compliance.item.DRIVER_LICENSE': 'Driving licence',
+  'compliance.item.VEHICLE_INSURANCE': 'Vehicle insurance',
+  'compliance.item.VEHICLE_FITNESS': 'Fitness certificate',
+  'compliance.item.VEHICLE_SERVICE': 'Scheduled service',
+  'compliance.issue.expires': '{item} expires {date}',
+  'compliance.issue.overdue': '{item} overdue since {date}',
+  'compliance.warning.expiry.title': '{item} expires in {days} day(s)',
+  'compliance.warning.expiry.body': '{item} expires on {date}.',
+  'compliance.warning.due.title': '{item} is due in {days} day(s)',
+  'compliance.warning.due.body': '{item} is due on {date}.',
+  'compliance.warning.vehicle': 'Vehicle: {licensePlate}.',
+  'compliance.warning.renew': 'Renew it in time to keep receiving trips.',
+
+  // ----- Refund notes -----
+  'refund.none': 'No refund applicable',
+  'refund.initiated': 'Refund of ₹{amount} initiated successfully (Refund ID: {refundId})',
+  'refund.failed': 'Booking cancelled, but automatic refund failed: {error}. Please contact support for manual refund',
+  'refund.chargeExceedsPaid': 'Cancellation charge of ₹{charge} applies. No refund due as charge exceeds paid amount.',
+  'refund.fullCharge': 'Full cancellation charge applied. No refund due',
+  'refund.beforePayment': 'Booking cancelled before payment was completed',
+  'refund.cashChargeMayApply': 'Cancellation charge of ₹{charge} may be applicable if driver was assigned',
+  'refund.cashCancelled': 'Cash booking cancelled successfully',
+  'refund.pendingCancelled': 'Pending booking cancelled successfully',
+
+  // ----- Invoice -----
+  'invoice.title': 'Tax Invoice',
+  'invoice.retrieved': 'Invoice retrieved successfully',
+  'invoice.bookedFare': 'Booked fare (incl. GST)',
+  'invoice.extraKm': 'Extra {km} km × ₹{rate}/km',
+  'invoice.extraHours': 'Extra {hours} hr × ₹{rate}/hr',
+  'invoice.waiting': 'Waiting charges ({minutes} min)',
+  'invoice.extraGst': 'GST on extras ({rate}%)',
+  'invoice.tolls': 'Toll charges',
+  'invoice.parking': 'Parking charges',
+  'invoice.paidInAdvance': 'Paid in advance',
+  'invoice.label.invoiceNumber': 'Invoice number',
+  'invoice.label.bookingId': 'Booking ID',
+  'invoice.label.driver': 'Driver',
+  'invoice.label.vehicle': 'Vehicle',
+  'invoice.label.pickup': 'Pickup',
+  'invoice.label.drop': 'Drop',
+  'invoice.label.distance': 'Distance (km)',
+  'invoice.label.duration': 'Duration (min)',
+  'invoice.label.discount': 'Discount',
+  'invoice.label.total': 'Total',
+  'invoice.label.paid': 'Paid',
+  'invoice.label.balance': 'Balance due'
+};
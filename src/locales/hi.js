@@ -0,0 +1,134 @@
+// src/locales/hi.js - Hindi Message Catalogue
+// Missing keys fall back to the English catalogue
+
+export default {
+  // ----- Generic errors (defaults of utils/customError.js) -----
+  'errors.validation': 'सत्यापन विफल रहा',
+  'errors.authentication': 'प्रमाणीकरण विफल रहा। कृपया लॉग इन करें।',
+  'errors.authorization': 'आपको यह कार्य करने की अनुमति नहीं है',
+  'errors.notFound': 'संसाधन नहीं मिला',
+  'errors.conflict': 'संसाधन पहले से मौजूद है',
+  'errors.badRequest': 'अमान्य अनुरोध',
+  'errors.internal': 'आंतरिक सर्वर त्रुटि',
+  'errors.serviceUnavailable': 'सेवा अस्थायी रूप से उपलब्ध नहीं है',
+  'errors.tooManyRequests': 'बहुत अधिक अनुरोध। कृपया बाद में पुनः प्रयास करें।',
+  'errors.generic': 'कुछ गलत हो गया। कृपया बाद में पुनः प्रयास करें।',
+  'errors.invalidId': 'अमान्य आईडी प्रारूप',
+
+  // ----- Auth errors -----
+  'errors.notLoggedIn': 'आप लॉग इन नहीं हैं। कृपया पहुँच के लिए लॉग इन करें।',
+  'errors.invalidToken': 'अमान्य टोकन। कृपया फिर से लॉग इन करें।',
+  'errors.tokenExpired': 'आपका टोकन समाप्त हो गया है। कृपया फिर से लॉग इन करें।',
+  'errors.invalidRefreshToken': 'अमान्य रीफ़्रेश टोकन। कृपया फिर से लॉग इन करें।',
+  'errors.sessionEnded': 'यह सत्र साइन आउट हो चुका है। कृपया फिर से लॉग इन करें।',
+  'errors.tokenNotActive': 'टोकन अभी सक्रिय नहीं है। कृपया बाद में पुनः प्रयास करें।',
+  'errors.userNoLongerExists': 'इस टोकन से जुड़ा उपयोगकर्ता अब मौजूद नहीं है।',
+  'errors.accountDeactivated': 'आपका खाता निष्क्रिय कर दिया गया है। कृपया सहायता से संपर्क करें।',
+  'errors.phoneRequired': 'फ़ोन नंबर आवश्यक है',
+  'errors.phoneAndOtpRequired': 'फ़ोन नंबर और OTP आवश्यक हैं',
+  'errors.otpWait': 'नया OTP माँगने से पहले कृपया {seconds} सेकंड प्रतीक्षा करें',
+  'errors.otpNotRequested': 'अमान्य OTP या OTP का अनुरोध नहीं किया गया। कृपया पहले OTP माँगें।',
+  'errors.otpExpired': 'OTP की समय सीमा समाप्त हो गई है। कृपया नया OTP माँगें।',
+  'errors.otpAttemptsExceeded': 'OTP के अधिकतम प्रयास पूरे हो गए। कृपया नया OTP माँगें।',
+  'errors.otpInvalidLastAttempt': 'अमान्य OTP। अधिकतम प्रयास पूरे हो गए। कृपया नया OTP माँगें।',
+  'errors.otpInvalid': 'अमान्य OTP। {attemptsLeft} प्रयास शेष।',
+  'errors.otpLocked': 'बहुत अधिक गलत OTP। {minutes} मिनट बाद पुनः प्रयास करें।',
+  'errors.otpTooManyRequests': 'बहुत अधिक OTP अनुरोध। {minutes} मिनट बाद पुनः प्रयास करें।',
+  'errors.otpDeliveryFailed': 'हम OTP नहीं भेज सके। कृपया थोड़ी देर बाद पुनः प्रयास करें।',
+  'errors.phoneUnchanged': 'यह पहले से ही आपका पंजीकृत फ़ोन नंबर है',
+  'errors.phoneInUse': 'यह फ़ोन नंबर पहले से किसी अन्य खाते में पंजीकृत है',
+
+  // ----- Booking errors -----
+  'errors.bookingNotFound': 'बुकिंग नहीं मिली',
+  'errors.bookingNotFoundOrNoAccess': 'बुकिंग नहीं मिली या आपको इसकी पहुँच नहीं है',
+  'errors.invoiceNotReady': 'इनवॉइस यात्रा पूरी होने के बाद ही उपलब्ध है',
+  'errors.notVerifiedForOnline': 'ऑनलाइन होने से पहले आपकी प्रोफ़ाइल का सत्यापन आवश्यक है',
+  'errors.complianceBlocksOnline': 'ऑनलाइन होने से पहले इनका नवीनीकरण करें: {items}',
+  'errors.complianceBlocksAssignment': 'नियुक्त नहीं किया जा सकता: {issues}',
+
+  // ----- OTP message -----
+  'otp.title': 'आपका OTP कोड',
+  'otp.body': 'आपका CabBazar सत्यापन कोड {code} है। यह {minutes} मिनट तक मान्य है। इसे किसी के साथ साझा न करें।',
+
+  // ----- Account security -----
+  'security.phoneChanged.title': 'फ़ोन नंबर बदला गया',
+  'security.phoneChanged.body': 'आपके CabBazar खाते का फ़ोन नंबर बदलकर {phoneNumber} कर दिया गया है। सभी डिवाइस से लॉग आउट कर दिया गया है। यदि यह आपने नहीं किया, तो तुरंत सहायता से संपर्क करें।',
+
+  // ----- Booking notifications -----
+  'booking.title.confirmed': 'बुकिंग की पुष्टि हो गई',
+  'booking.title.cancelled': 'बुकिंग रद्द हो गई',
+  'booking.title.assigned': 'ड्राइवर नियुक्त',
+  'booking.title.in_progress': 'यात्रा शुरू हो गई',
+  'booking.title.completed': 'यात्रा पूरी हुई',
+  'booking.title.default': 'बुकिंग अपडेट',
+  'booking.status.ASSIGNED': 'आपकी बुकिंग के लिए एक ड्राइवर नियुक्त किया गया है।',
+  'booking.status.IN_PROGRESS': 'आपकी यात्रा शुरू हो गई है।',
+  'booking.status.COMPLETED': 'आपकी यात्रा पूरी हो गई है। कृपया अपने अनुभव को रेट करें।',
+  'booking.status.CANCELLED': 'आपकी बुकिंग रद्द कर दी गई है।',
+  'booking.status.default': 'बुकिंग की स्थिति {status} में बदल दी गई है।',
+  'booking.rideOtp': 'पिकअप पर ड्राइवर के साथ राइड OTP {otp} साझा करें।',
+  'booking.balanceDue': 'बकाया राशि: ₹{amount}।',
+  'booking.confirmedCash': 'आपकी नकद बुकिंग {bookingId} की पुष्टि हो गई है।',
+  'booking.confirmedPaid': '₹{amount} का आपका भुगतान सफल रहा! बुकिंग {bookingId} की पुष्टि हो गई है।',
+  'booking.cancelled': 'आपकी बुकिंग {bookingId} रद्द कर दी गई है।',
+  'booking.driverAssigned': '{driverName} को {vehicle} ({licensePlate}) के साथ आपकी बुकिंग के लिए नियुक्त किया गया है।',
+  'booking.expiredUnpaid': 'बुकिंग {bookingId} रद्द कर दी गई क्योंकि {minutes} मिनट के भीतर भुगतान पूरा नहीं हुआ।',
+
+  // ----- Trip reminders -----
+  'trip.reminder.title': 'आगामी यात्रा',
+  'trip.reminder.body': '{city} से आपकी यात्रा {bookingId} {time} पर शुरू होगी।',
+  'trip.reminder.driverNote': 'आपके ड्राइवर {driverName} पिकअप पर आपसे मिलेंगे।',
+  'trip.reminder.driverPending': 'ड्राइवर का विवरण जल्द ही साझा किया जाएगा।',
+  'trip.reminder.driverBody': 'बुकिंग {bookingId}: {time} पर {pickup} से पिकअप',
+  'trip.notStarted.title': 'यात्रा शुरू नहीं हुई',
+  'trip.notStarted.body': 'बुकिंग {bookingId} का समय {time} था। कृपया यात्रा शुरू करें या सहायता से संपर्क करें।',
+
+  // ----- Driver and vehicle papers -----
+  'compliance.item.DRIVER_LICENSE': 'ड्राइविंग लाइसेंस',
+  'compliance.item.VEHICLE_INSURANCE': 'वाहन बीमा',
+  'compliance.item.VEHICLE_FITNESS': 'फ़िटनेस प्रमाणपत्र',
+  'compliance.item.VEHICLE_SERVICE': 'निर्धारित सर्विस',
+  'compliance.issue.expires': '{item} की समाप्ति {date}',
+  'compliance.issue.overdue': '{item} {date} से लंबित',
+  'compliance.warning.expiry.title': '{item} {days} दिन में समाप्त हो रहा है',
+  'compliance.warning.expiry.body': '{item} {date} को समाप्त हो रहा है।',
+  'compliance.warning.due.title': '{item} {days} दिन में देय है',
+  'compliance.warning.due.body': '{item} {date} को देय है।',
+  'compliance.warning.vehicle': 'वाहन: {licensePlate}।',
+  'compliance.warning.renew': 'ट्रिप मिलते रहने के लिए समय पर नवीनीकरण करें।',
+
+  // ----- Refund notes -----
+  'refund.none': 'कोई रिफ़ंड लागू नहीं',
+  'refund.initiated': '₹{amount} का रिफ़ंड सफलतापूर्वक शुरू किया गया (रिफ़ंड आईडी: {refundId})',
+  'refund.failed': 'बुकिंग रद्द हो गई, लेकिन स्वचालित रिफ़ंड विफल रहा ({error})। मैन्युअल रिफ़ंड के लिए कृपया सहायता से संपर्क करें',
+  'refund.chargeExceedsPaid': '₹{charge} का रद्दीकरण शुल्क लागू है। शुल्क भुगतान की गई राशि से अधिक होने के कारण कोई रिफ़ंड देय नहीं है।',
+  'refund.fullCharge': 'पूरा रद्दीकरण शुल्क लागू। कोई रिफ़ंड देय नहीं',
+  'refund.beforePayment': 'भुगतान पूरा होने से पहले बुकिंग रद्द कर दी गई',
+  'refund.cashChargeMayApply': 'ड्राइवर नियुक्त होने पर ₹{charge} का रद्दीकरण शुल्क लागू हो सकता है',
+  'refund.cashCancelled': 'नकद बुकिंग सफलतापूर्वक रद्द की गई',
+  'refund.pendingCancelled': 'लंबित बुकिंग सफलतापूर्वक रद्द की गई',
+
+  // ----- Invoice -----
+  'invoice.title': 'टैक्स इनवॉइस',
+  'invoice.retrieved': 'इनवॉइस सफलतापूर्वक प्राप्त हुआ',
+  'invoice.bookedFare': 'बुक किया गया किराया (GST सहित)',
+  'invoice.extraKm': 'अतिरिक्त {km} किमी × ₹{rate}/किमी',
+  'invoice.extraHours': 'अतिरिक्त {hours} घंटे × ₹{rate}/घंटा',
+  'invoice.waiting': 'प्रतीक्षा शुल्क ({minutes} मिनट)',
+  'invoice.extraGst': 'अतिरिक्त शुल्क पर GST ({rate}%)',
+  'invoice.tolls': 'टोल शुल्क',
+  'invoice.parking': 'पार्किंग शुल्क',
+  'invoice.paidInAdvance': 'अग्रिम भुगतान',
+  'invoice.label.invoiceNumber': 'इनवॉइस संख्या',
+  'invoice.label.bookingId': 'बुकिंग आईडी',
+  'invoice.label.driver': 'ड्राइवर',
+  'invoice.label.vehicle': 'वाहन',
+  'invoice.label.pickup': 'पिकअप',
+  'invoice.label.drop': 'ड्रॉप',
+  'invoice.label.distance': 'दूरी (किमी)',
+  'invoice.label.duration': 'अवधि (मिनट)',
+  'invoice.label.discount': 'छूट',
+  'invoice.label.total': 'कुल',
+  'invoice.label.paid': 'भुगतान किया',
+  'invoice.label.balance': 'बकाया राशि'
+};
@@ -1,9 +1,11 @@
 // src/middleware/auth.middleware.js - Complete Authentication Middleware
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
 import {catchAsync} from '../utils/catchAsync.js';
 import { AuthenticationError, AuthorizationError } from '../utils/customError.js';
 import logger from '../config/logger.js';
+import { JWT } from '../config/constants.js';
 // We no longer import or run dotenv.config() here.
 // server.js is the single source of truth for loading and validating env vars.
 
@@ -11,72 +13,108 @@ import logger from '../config/logger.js';
 const JWT_SECRET = process.env.JWT_SECRET;
 
 /**
- * Protect routes - Verify JWT token and authenticate user
+ * Verify a JWT and load the active user it belongs to.
+ * Shared by protect and the socket handshake so both accept the same tokens.
+ * @param {string} token - JWT
+ * @param {Object} context - Request details for security logs (ip, url)
+ * @returns {Promise<Object>} User document
  */
-export const protect = catchAsync(async (req, res, next) => {
-  let token;
-
-  // 1. Check if token exists in headers
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    token = req.headers.authorization.split(' ')[1];
-  } 
-  // Also check in cookies (for web applications)
-  else if (req.cookies && req.cookies.jwt) {
-    token = req.cookies.jwt;
-  }
-
-  // 2. Verify token exists
-  if (!token) {
-    logger.warn('Access attempt without token', {
-      ip: req.ip,
-      url: req.originalUrl,
-      method: req.method
-    });
-    throw new AuthenticationError('You are not logged in. Please log in to get access.');
-  }
-
+export const authenticateToken = async (token, context = {}) => {
   try {
-    // 3. Verify token
+    // 1. Verify token
     const decoded = jwt.verify(token, JWT_SECRET); // Use the checked variable
 
-    // 4. Check if user still exists
-    const user = await User.findById(decoded.id).select('-otp');
+    // Refresh tokens share the secret but only work on /api/auth/refresh
+    if (decoded.type === 'refresh') {
+      throw new AuthenticationError('Invalid token. Please log in again.', { messageKey: 'errors.invalidToken' });
+    }
+
+    // 2. Check if user still exists (and the token's session is still open)
+    const [user, sessionOpen] = await Promise.all([
+      User.findById(decoded.id).select('-otp'),
+      decoded.sid ? Session.exists({ _id: decoded.sid, revokedAt: null }) : true
+    ]);
 
     if (!user) {
       logger.warn('Token valid but user not found', {
         userId: decoded.id,
-        ip: req.ip
+        ip: context.ip
       });
-      throw new AuthenticationError('The user belonging to this token no longer exists.');
+      throw new AuthenticationError('The user belonging to this token no longer exists.', { messageKey: 'errors.userNoLongerExists' });
     }
 
-    // 5. Check if user is active
+    // 3. Check if user is active
     if (!user.isActive) {
       logger.warn('Inactive user access attempt', {
         userId: user._id,
         phoneNumber: user.phoneNumber
       });
-      throw new AuthenticationError('Your account has been deactivated. Please contact support.');
+      throw new AuthenticationError('Your account has been deactivated. Please contact support.', { messageKey: 'errors.accountDeactivated' });
     }
 
-    // 6. Grant access to protected route
-    req.user = user;
-    
-    logger.info('User authenticated successfully', {
-      userId: user._id,
-      phoneNumber: user.phoneNumber,
-      url: req.originalUrl
-    });
+    // 4. Check the token was not revoked (logout, account or phone change)
+    if ((decoded.tv || 0) !== (user.tokenVersion || 0) || !sessionOpen) {
+      logger.warn('Revoked token used', {
+        userId: user._id,
+        sessionId: decoded.sid,
+        ip: context.ip
+      });
+      throw new AuthenticationError('This session has been signed out. Please log in again.', { messageKey: 'errors.sessionEnded' });
+    }
 
-    next();
+    // Session the token was issued for (absent on legacy tokens)
+    user.$locals.sessionId = decoded.sid || null;
+
+    return user;
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
-      throw new AuthenticationError('Invalid token. Please log in again.');
+      throw new AuthenticationError('Invalid token. Please log in again.', { messageKey: 'errors.invalidToken' });
     } else if (error.name === 'TokenExpiredError') {
-      throw new AuthenticationError('Your token has expired. Please log in again.');
+      throw new AuthenticationError('Your token has expired. Please log in again.', { messageKey: 'errors.tokenExpired' });
     }
     throw error;
   }
+};
+
+/**
+ * Protect routes - Verify JWT token and authenticate user
+ */
+export const protect = catchAsync(async (req, res, next) => {
+  let token;
+
+  // 1. Check if token exists in headers
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    token = req.headers.authorization.split(' ')[1];
+  } 
+  // Also check in cookies (for web applications)
+  else if (req.cookies && req.cookies.jwt) {
+    token = req.cookies.jwt;
+  }
+
+  // 2. Verify token exists
+  if (!token) {
+    logger.warn('Access attempt without token', {
+      ip: req.ip,
+      url: req.originalUrl,
+      method: req.method
+    });
+    throw new AuthenticationError('You are not logged in. Please log in to get access.', { messageKey: 'errors.notLoggedIn' });
+  }
+
+  // 3. Verify token and load the user
+  const user = await authenticateToken(token, { ip: req.ip, url: req.originalUrl });
+
+  // 4. Grant access to protected route
+  req.user = user;
+  req.sessionId = user.$locals.sessionId;
+  
+  logger.info('User authenticated successfully', {
+    userId: user._id,
+    phoneNumber: user.phoneNumber,
+    url: req.originalUrl
+  });
+
+  next();
 });
 
 /**
@@ -93,7 +131,7 @@ export const restrictTo = (...roles) => {
         url: req.originalUrl
       });
       
-      throw new AuthorizationError('You do not have permission to perform this action');
+      throw new AuthorizationError('You do not have permission to perform this action', { messageKey: 'errors.authorization' });
     }
     next();
   };
@@ -121,11 +159,26 @@ export const generateToken = (id, expiresIn = null) => {
 };
 
 /**
- * Generate refresh token using the same JWT_SECRET
+ * Generate a short-lived access token bound to a login session
+ * @param {string} id - User ID
+ * @param {string} sessionId - Session ID
+ * @param {number} tokenVersion - User.tokenVersion at issue time
+ * @returns {string} JWT token
+ */
+export const generateAccessToken = (id, sessionId, tokenVersion = 0) => {
+  return jwt.sign({ id, sid: sessionId, tv: tokenVersion }, JWT_SECRET, {
+    expiresIn: JWT.ACCESS_EXPIRES_IN
+  });
+};
+
+/**
+ * Generate refresh token using the same JWT_SECRET. `tokenId` (jti) is
+ * stored on the session so every refresh token can be used only once.
  */
-export const generateRefreshToken = (id) => {
-  return jwt.sign({ id }, JWT_SECRET, { 
-    expiresIn: process.env.JWT_REFRESH_EXPIRE || '90d'
+export const generateRefreshToken = (id, sessionId, tokenId, tokenVersion = 0) => {
+  return jwt.sign({ id, sid: sessionId, tv: tokenVersion, type: 'refresh' }, JWT_SECRET, {
+    expiresIn: JWT.REFRESH_EXPIRES_IN,
+    jwtid: tokenId
   });
 };
 
@@ -133,11 +186,19 @@ export const generateRefreshToken = (id) => {
  * Verify refresh token using JWT_SECRET
  */
 export const verifyRefreshToken = (token) => {
+  let decoded;
+
   try {
-    return jwt.verify(token, JWT_SECRET);
+    decoded = jwt.verify(token, JWT_SECRET);
   } catch (error) {
-    throw new AuthenticationError('Invalid refresh token');
+    throw new AuthenticationError('Invalid refresh token', { messageKey: 'errors.invalidRefreshToken' });
   }
+
+  if (decoded.type !== 'refresh' || !decoded.sid || !decoded.jti) {
+    throw new AuthenticationError('Invalid refresh token', { messageKey: 'errors.invalidRefreshToken' });
+  }
+
+  return decoded;
 };
 
 /**
@@ -152,12 +213,10 @@ export const optionalAuth = catchAsync(async (req, res, next) => {
 
   if (token) {
     try {
-      const decoded = jwt.verify(token, JWT_SECRET); // Use the checked variable
-      const user = await User.findById(decoded.id).select('-otp');
-      
-      if (user && user.isActive) {
-        req.user = user;
-      }
+      // Same checks as protect (inactive users and revoked tokens are ignored)
+      const user = await authenticateToken(token, { ip: req.ip, url: req.originalUrl });
+      req.user = user;
+      req.sessionId = user.$locals.sessionId;
     } catch (error) {
       // Token invalid but continue anyway
       logger.debug('Optional auth - invalid token', { error: error.message });
@@ -229,9 +288,11 @@ export const clearTokenCookie = (res) => {
 };
 
 export default {
+  authenticateToken,
   protect,
   restrictTo,
   generateToken,
+  generateAccessToken,
   generateRefreshToken,
   verifyRefreshToken,
   optionalAuth,
@@ -1,6 +1,7 @@
 // src/middleware/error.middleware.js - Global Error Handler
 import logger from '../config/logger.js';
 import AppError from '../utils/customError.js';
+import { resolveLanguage, t } from '../utils/i18n.js';
 
 /**
  * Handle CastError (Invalid MongoDB ObjectId)
@@ -39,7 +40,7 @@ const handleValidationErrorDB = (err) => {
  */
 const handleJWTError = () => {
   logger.warn('Invalid JWT token');
-  return new AppError('Invalid token. Please log in again.', 401);
+  return new AppError('Invalid token. Please log in again.', 401, { messageKey: 'errors.invalidToken' });
 };
 
 /**
@@ -47,7 +48,7 @@ const handleJWTError = () => {
  */
 const handleJWTExpiredError = () => {
   logger.warn('Expired JWT token');
-  return new AppError('Your token has expired. Please log in again.', 401);
+  return new AppError('Your token has expired. Please log in again.', 401, { messageKey: 'errors.tokenExpired' });
 };
 
 /**
@@ -55,7 +56,7 @@ const handleJWTExpiredError = () => {
  */
 const handleJWTNotBeforeError = () => {
   logger.warn('JWT token not active yet');
-  return new AppError('Token not active yet. Please try again later.', 401);
+  return new AppError('Token not active yet. Please try again later.', 401, { messageKey: 'errors.tokenNotActive' });
 };
 
 /**
@@ -63,7 +64,20 @@ const handleJWTNotBeforeError = () => {
  */
 const handleObjectIdError = () => {
   logger.warn('Invalid ObjectId format');
-  return new AppError('Invalid ID format', 400);
+  return new AppError('Invalid ID format', 400, { messageKey: 'errors.invalidId' });
+};
+
+/**
+ * Client-facing message in the request's language. Errors without a
+ * message ID keep their (English) message.
+ */
+const localizeMessage = (err, req, res) => {
+  const language = resolveLanguage(req);
+  res.set('Content-Language', language);
+
+  return err.messageKey
+    ? t(err.messageKey, language, err.messageParams)
+    : err.message;
 };
 
 /**
@@ -102,7 +116,7 @@ const sendErrorDev = (err, req, res) => {
       statusCode: err.statusCode,
       isOperational: err.isOperational
     },
-    message: err.message,
+    message: localizeMessage(err, req, res),
     stack: err.stack,
     request: {
       method: req.method,
@@ -131,7 +145,7 @@ const sendErrorProd = (err, req, res) => {
     res.status(err.statusCode).json({
       success: false,
       status: err.status,
-      message: err.message
+      message: localizeMessage(err, req, res)
     });
   } 
   // Programming or unknown error: don't leak error details
@@ -154,7 +168,7 @@ const sendErrorProd = (err, req, res) => {
     res.status(500).json({
       success: false,
       status: 'error',
-      message: 'Something went wrong. Please try again later.'
+      message: localizeMessage({ messageKey: 'errors.generic' }, req, res)
     });
   }
 };
@@ -185,6 +199,8 @@ export const globalErrorHandler = (err, req, res, next) => {
     error.statusCode = err.statusCode;
     error.status = err.status;
     error.isOperational = err.isOperational;
+    error.messageKey = err.messageKey;
+    error.messageParams = err.messageParams;
 
     // Handle specific error types
     if (error.name === 'CastError') error = handleCastErrorDB(error);
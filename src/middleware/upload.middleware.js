@@ -0,0 +1,37 @@
+// src/middleware/upload.middleware.js - Multipart File Upload
+import multer from 'multer';
+import { BadRequestError } from '../utils/customError.js';
+import { UPLOAD_CONFIG } from '../config/constants.js';
+
+// Files are kept in memory and handed to the storage service by the controller
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: UPLOAD_CONFIG.MAX_FILE_SIZE,
+    files: 1
+  }
+});
+
+/**
+ * Parse a single-file multipart request into req.file.
+ * Multer errors become 400s instead of 500s.
+ * Usage: uploadSingle('file'), then validateFileUpload('file', {...})
+ */
+export const uploadSingle = (fieldName) => (req, res, next) => {
+  upload.single(fieldName)(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `File size exceeds maximum allowed size of ${UPLOAD_CONFIG.MAX_FILE_SIZE / (1024 * 1024)}MB`
+        : error.code === 'LIMIT_UNEXPECTED_FILE'
+          ? `Unexpected file field. Send the file as "${fieldName}"`
+          : error.message;
+      return next(new BadRequestError(message));
+    }
+
+    next(error);
+  });
+};
+
+export default uploadSingle;
@@ -1,6 +1,6 @@
 // src/middleware/validation.middleware.js - Complete Validation Middleware
 import { validationResult } from 'express-validator';
-import { param } from 'express-validator';
+import { param, query } from 'express-validator';
 import { BadRequestError, ValidationError } from '../utils/customError.js';
 import logger from '../config/logger.js';
 
@@ -33,6 +33,7 @@ export const validate = (req, res, next) => {
 
     // Return detailed validation error
     throw new ValidationError('Validation failed', {
+      messageKey: 'errors.validation',
       fields: extractedErrors,
       messages: errorMessages
     });
@@ -75,22 +76,21 @@ export const validateObjectIds = (...paramNames) => {
 
 /**
  * Validate pagination query parameters
+ * Usage: router.get('/', validatePagination, controller)
  */
-export const validatePagination = () => {
-  return [
-    param('page')
-      .optional()
-      .isInt({ min: 1 })
-      .withMessage('Page must be a positive integer')
-      .toInt(),
-    param('limit')
-      .optional()
-      .isInt({ min: 1, max: 100 })
-      .withMessage('Limit must be between 1 and 100')
-      .toInt(),
-    validate
-  ];
-};
+export const validatePagination = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  validate
+];
 
 /**
  * Sanitize and validate request body
@@ -0,0 +1,33 @@
+// src/models/AuthEvent.js - Security Audit Events (OTP lockouts, throttling)
+import mongoose from 'mongoose';
+import { AUTH_EVENT_TYPES, AUDIT_CONFIG } from '../config/constants.js';
+
+const authEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: Object.values(AUTH_EVENT_TYPES),
+    required: true
+  },
+  phoneNumber: String,
+  ip: String,
+  deviceId: String,
+  // Event specific: limit scope, lockout level and duration, counts
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+authEventSchema.index({ type: 1, createdAt: -1 });
+authEventSchema.index({ ip: 1, createdAt: -1 });
+authEventSchema.index({ phoneNumber: 1, createdAt: -1 });
+authEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: AUDIT_CONFIG.RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+const AuthEvent = mongoose.model('AuthEvent', authEventSchema);
+
+export default AuthEvent;
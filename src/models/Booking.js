@@ -3,11 +3,16 @@ import mongoose from 'mongoose';
 import {
   BOOKING_TYPES,
   BOOKING_STATUS,
+  PAYMENT_STATUS,
   VEHICLE_TYPES,
   USER_ROLES,
-  TAX_CONFIG
+  TAX_CONFIG,
+  BOOKING_CONFIG,
+  DISPATCH_STATUS,
+  DISTANCE_CONFIG,
+  LOCAL_PACKAGES
 } from '../config/constants.js';
-import { generateBookingReference } from '../utils/helpers.js';
+import { generateBookingReference, generateOTP } from '../utils/helpers.js';
 
 // ------------------ Sub-schemas ------------------
 
@@ -90,6 +95,10 @@ const fareSchema = new mongoose.Schema({
   discountCode: { type: String, trim: true, uppercase: true },
   discountAmount: { type: Number, default: 0, min: 0 },
   discountType: { type: String, enum: ['PERCENTAGE', 'FIXED', null] },
+  couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+  rateCardId: { type: mongoose.Schema.Types.ObjectId, ref: 'RateCard' },
+  rateCardVersion: { type: Number },
+  rateCardScope: { type: String },
   addOnsTotal: { type: Number, default: 0, min: 0 },
 }, { _id: false });
 
@@ -141,6 +150,85 @@ const tripSchema = new mongoose.Schema({
   waitingTimeMinutes: { type: Number, default: 0, min: 0 }
 }, { _id: false });
 
+// Final bill computed when the trip is completed
+const settlementSchema = new mongoose.Schema({
+  settledAt: { type: Date, default: Date.now },
+  estimatedAmount: { type: Number, min: 0 },
+  actualDistance: { type: Number, min: 0 },
+  actualDurationMinutes: { type: Number, min: 0 },
+  waitingTimeMinutes: { type: Number, min: 0 },
+  extraKm: { type: Number, default: 0 },
+  extraKmRate: { type: Number, default: 0 },
+  extraKmCharge: { type: Number, default: 0 },
+  extraHours: { type: Number, default: 0 },
+  extraHourRate: { type: Number, default: 0 },
+  extraHourCharge: { type: Number, default: 0 },
+  waitingCharge: { type: Number, default: 0 },
+  extraGst: { type: Number, default: 0 },
+  tollCharges: { type: Number, default: 0 },
+  parkingCharges: { type: Number, default: 0 },
+  finalAmount: { type: Number, min: 0 },
+  amountPaid: { type: Number, default: 0 },
+  remainingAmount: { type: Number, default: 0 },
+  lineItems: {
+    type: [{
+      label: String,
+      // Catalogue message ID + params, so invoices can be shown in the user's language
+      key: String,
+      params: { type: mongoose.Schema.Types.Mixed },
+      amount: Number
+    }],
+    default: []
+  }
+}, { _id: false });
+
+// Ride-start OTP shown to the passenger and entered by the driver
+const rideOtpSchema = new mongoose.Schema({
+  code: { type: String, select: false },
+  generatedAt: Date,
+  verifiedAt: Date,
+  attempts: { type: Number, default: 0 }
+}, { _id: false });
+
+const dispatchSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: Object.values(DISPATCH_STATUS),
+    default: DISPATCH_STATUS.SEARCHING
+  },
+  offeredTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Driver',
+    default: null
+  },
+  offeredVehicle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    default: null
+  },
+  offeredAt: Date,
+  offerExpiresAt: Date,
+  attempts: { type: Number, default: 0 },
+  offeredDrivers: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: []
+  },
+  rejections: {
+    type: [{
+      driverId: { type: mongoose.Schema.Types.ObjectId, ref: 'Driver' },
+      reason: { type: String, maxlength: 200 },
+      rejectedAt: { type: Date, default: Date.now }
+    }],
+    default: []
+  }
+}, { _id: false });
+
+// Set by the scheduled jobs so each reminder goes out once
+const remindersSchema = new mongoose.Schema({
+  preTripSentAt: Date,
+  driverNudgedAt: Date
+}, { _id: false });
+
 const metadataSchema = new mongoose.Schema({
   source: { type: String, default: 'API' },
   ipAddress: String,
@@ -209,6 +297,9 @@ const bookingSchema = new mongoose.Schema({
       'End date/time must be after start date/time'
     ]
   },
+  // End of the window the trip holds its driver and vehicle (set on save,
+  // see estimateTripEnd); used for overlap and availability checks
+  tripEndsAt: Date,
   vehicleType: {
     type: String,
     enum: {
@@ -238,15 +329,30 @@ const bookingSchema = new mongoose.Schema({
   },
 
   // --- PAYMENT FIELDS ---
+  // Initial (advance/full) payment created with the booking
   paymentId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Payment',
     default: null,
   },
+  // Every payment linked to this booking, including balance collections
+  payments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  }],
+  paymentStatus: {
+    type: String,
+    enum: [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.ADVANCED, PAYMENT_STATUS.COMPLETED],
+    default: PAYMENT_STATUS.PENDING
+  },
 
   cancellation: { type: cancellationSchema, default: null },
   rating: { type: ratingSchema, default: null },
   trip: { type: tripSchema, default: null },
+  rideOtp: { type: rideOtpSchema, default: null },
+  settlement: { type: settlementSchema, default: null },
+  dispatch: { type: dispatchSchema, default: null },
+  reminders: { type: remindersSchema, default: () => ({}) },
   metadata: { type: metadataSchema },
   specialRequests: { type: [String], default: [] },
   notes: { type: String, trim: true, maxlength: 500 },
@@ -266,6 +372,36 @@ const bookingSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// ------------------ Trip window ------------------
+
+// Shortest window a trip holds its driver and vehicle, and the window of
+// bookings saved before tripEndsAt existed
+const DEFAULT_TRIP_WINDOW_HOURS = 4;
+const DEFAULT_TRIP_WINDOW_MS = DEFAULT_TRIP_WINDOW_HOURS * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * When a trip releases its driver and vehicle: the return time for round
+ * trips, the package hours for local rentals, otherwise the drive time at
+ * average speed (at least DEFAULT_TRIP_WINDOW_HOURS).
+ * @param {Object} trip - { bookingType, startDateTime, endDateTime, distanceKm }
+ * @returns {Date}
+ */
+const estimateTripEnd = ({ bookingType, startDateTime, endDateTime, distanceKm }) => {
+  const start = new Date(startDateTime);
+
+  if (endDateTime) return new Date(endDateTime);
+
+  const localPackage = LOCAL_PACKAGES[String(bookingType).replace('LOCAL_', '')];
+  if (localPackage) return new Date(start.getTime() + localPackage.hours * HOUR_MS);
+
+  const isAirport = [BOOKING_TYPES.AIRPORT_PICKUP, BOOKING_TYPES.AIRPORT_DROP].includes(bookingType);
+  const speed = isAirport ? DISTANCE_CONFIG.AVERAGE_SPEED_CITY : DISTANCE_CONFIG.AVERAGE_SPEED_HIGHWAY;
+  const driveMs = ((distanceKm || 0) / speed) * HOUR_MS;
+
+  return new Date(start.getTime() + Math.max(DEFAULT_TRIP_WINDOW_MS, driveMs));
+};
+
 // ------------------ Hooks ------------------
 bookingSchema.pre('save', async function (next) {
   if (this.isNew && !this.bookingId) {
@@ -286,6 +422,16 @@ bookingSchema.pre('save', async function (next) {
     }
     this.endDateTime = new Date(this.startDateTime.getTime() + durationHours * 60 * 60 * 1000);
   }
+  if (this.startDateTime && (this.isNew || !this.tripEndsAt ||
+    this.isModified('startDateTime') || this.isModified('endDateTime') ||
+    this.isModified('bookingType') || this.isModified('fareDetails'))) {
+    this.tripEndsAt = estimateTripEnd({
+      bookingType: this.bookingType,
+      startDateTime: this.startDateTime,
+      endDateTime: this.endDateTime,
+      distanceKm: this.fareDetails?.distance
+    });
+  }
   next();
 });
 
@@ -295,6 +441,8 @@ bookingSchema.index({ 'dropLocation.lat': 1, 'dropLocation.lng': 1 });
 bookingSchema.index({ userId: 1, status: 1, startDateTime: -1 });
 bookingSchema.index({ driverId: 1, status: 1, startDateTime: -1 });
 bookingSchema.index({ startDateTime: 1, status: 1 });
+bookingSchema.index({ 'dispatch.status': 1, 'dispatch.offerExpiresAt': 1 });
+bookingSchema.index({ status: 1, createdAt: 1 });
 
 // ------------------ Virtuals ------------------
 bookingSchema.virtual('tripDurationMinutes').get(function () {
@@ -307,5 +455,155 @@ bookingSchema.virtual('tripDurationMinutes').get(function () {
   return null;
 });
 
+// ------------------ Methods ------------------
+
+/**
+ * Generate a fresh ride-start OTP (call when the booking becomes ASSIGNED)
+ * @returns {string} The generated code
+ */
+bookingSchema.methods.issueRideOtp = function () {
+  const code = generateOTP(BOOKING_CONFIG.RIDE_OTP_LENGTH);
+  this.rideOtp = { code, generatedAt: new Date(), attempts: 0 };
+  return code;
+};
+
+/**
+ * Check a ride-start OTP submitted by the driver.
+ * Requires the document to be loaded with '+rideOtp.code'. Never matches
+ * when no code was issued; callers issue one first (issueRideOtp).
+ * @returns {boolean} True if the code matches
+ */
+bookingSchema.methods.verifyRideOtp = function (code) {
+  if (!this.rideOtp?.code) return false;
+
+  this.rideOtp.attempts = (this.rideOtp.attempts || 0) + 1;
+
+  if (String(code).trim() !== this.rideOtp.code) {
+    return false;
+  }
+
+  this.rideOtp.verifiedAt = new Date();
+  return true;
+};
+
+/**
+ * Recompute how much has been collected against this booking and update
+ * remainingAmount / paymentStatus accordingly. Does not save.
+ * @returns {Promise<Object>} { amountPaid, remainingAmount, totalAmount }
+ */
+bookingSchema.methods.refreshPaymentStatus = async function () {
+  const Payment = mongoose.model('Payment');
+
+  const collected = await Payment.find({
+    bookingId: this._id,
+    status: { $in: [PAYMENT_STATUS.ADVANCED, PAYMENT_STATUS.COMPLETED] }
+  }).select('amount');
+
+  const amountPaid = collected.reduce((sum, p) => sum + (p.amount || 0), 0);
+  const totalAmount = this.settlement?.finalAmount ?? this.fareDetails.finalAmount;
+  const remainingAmount = Math.max(0, Math.round(totalAmount - amountPaid));
+
+  this.fareDetails.remainingAmount = remainingAmount;
+
+  if (this.settlement) {
+    this.settlement.amountPaid = amountPaid;
+    this.settlement.remainingAmount = remainingAmount;
+  }
+
+  if (remainingAmount === 0 && amountPaid > 0) {
+    this.paymentStatus = PAYMENT_STATUS.COMPLETED;
+  } else if (amountPaid > 0) {
+    this.paymentStatus = PAYMENT_STATUS.ADVANCED;
+  } else {
+    this.paymentStatus = PAYMENT_STATUS.PENDING;
+  }
+
+  return { amountPaid, remainingAmount, totalAmount };
+};
+
+// ------------------ Statics ------------------
+
+bookingSchema.statics.estimateTripEnd = estimateTripEnd;
+
+/**
+ * End of this booking's trip window (estimated for bookings saved before tripEndsAt)
+ */
+bookingSchema.methods.getTripEnd = function () {
+  return this.tripEndsAt || estimateTripEnd({
+    bookingType: this.bookingType,
+    startDateTime: this.startDateTime,
+    endDateTime: this.endDateTime,
+    distanceKm: this.fareDetails?.distance
+  });
+};
+
+/**
+ * Conditions matching bookings whose trip window overlaps [start, end].
+ * Stored bookings span startDateTime to tripEndsAt; a missing end for the
+ * requested window means DEFAULT_TRIP_WINDOW_HOURS from start.
+ */
+const overlapConditions = (start, end) => {
+  const windowStart = new Date(start);
+  const windowEnd = end ? new Date(end) : new Date(windowStart.getTime() + DEFAULT_TRIP_WINDOW_MS);
+
+  return [
+    { startDateTime: { $lt: windowEnd } },
+    {
+      $or: [
+        { tripEndsAt: { $gt: windowStart } },
+        // Saved before tripEndsAt existed
+        { tripEndsAt: null, endDateTime: { $gt: windowStart } },
+        {
+          tripEndsAt: null,
+          endDateTime: null,
+          startDateTime: { $gt: new Date(windowStart.getTime() - DEFAULT_TRIP_WINDOW_MS) }
+        }
+      ]
+    }
+  ];
+};
+
+/**
+ * Find active (ASSIGNED/IN_PROGRESS) bookings for a driver and/or vehicle
+ * whose trip window overlaps [start, end]
+ */
+bookingSchema.statics.findOverlapping = function ({ driverId, vehicleId, start, end, excludeId, statuses }) {
+  const resourceFilter = [];
+  if (driverId) resourceFilter.push({ driverId });
+  if (vehicleId) resourceFilter.push({ vehicleId });
+
+  const query = {
+    status: { $in: statuses || [BOOKING_STATUS.ASSIGNED, BOOKING_STATUS.IN_PROGRESS] },
+    $and: [
+      { $or: resourceFilter },
+      ...overlapConditions(start, end)
+    ]
+  };
+
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+
+  return this.find(query).select('bookingId driverId vehicleId startDateTime endDateTime tripEndsAt status');
+};
+
+/**
+ * Find every booking that holds a vehicle during [start, end]: assigned or
+ * running trips, plus paid/awaiting-payment ones still waiting for a vehicle
+ */
+bookingSchema.statics.findInWindow = function ({ start, end, statuses }) {
+  return this.find({
+    status: {
+      $in: statuses || [
+        BOOKING_STATUS.PENDING,
+        BOOKING_STATUS.CONFIRMED,
+        BOOKING_STATUS.ASSIGNED,
+        BOOKING_STATUS.IN_PROGRESS
+      ]
+    },
+    $and: overlapConditions(start, end)
+  }).select('bookingId vehicleId vehicleType startDateTime endDateTime tripEndsAt status');
+};
+
 const Booking = mongoose.model('Booking', bookingSchema);
 export default Booking;
\ No newline at end of file
@@ -0,0 +1,204 @@
+// src/models/Coupon.js - Discount Coupons & Promotions
+import mongoose from 'mongoose';
+import CouponRedemption from './CouponRedemption.js';
+import {
+  BOOKING_TYPES,
+  VEHICLE_TYPES,
+  DISCOUNT_TYPES,
+  COUPON_CONFIG
+} from '../config/constants.js';
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    minlength: [COUPON_CONFIG.CODE_MIN_LENGTH, `Code must be at least ${COUPON_CONFIG.CODE_MIN_LENGTH} characters`],
+    maxlength: [COUPON_CONFIG.CODE_MAX_LENGTH, `Code cannot exceed ${COUPON_CONFIG.CODE_MAX_LENGTH} characters`]
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  discountType: {
+    type: String,
+    enum: Object.values(DISCOUNT_TYPES),
+    required: [true, 'Discount type is required']
+  },
+  discountValue: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0, 'Discount value cannot be negative']
+  },
+  // Upper bound on the discount (mainly for percentage coupons)
+  maxDiscount: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  minFare: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  // null = unlimited
+  usageLimit: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  perUserLimit: {
+    type: Number,
+    min: 1,
+    default: COUPON_CONFIG.DEFAULT_PER_USER_LIMIT
+  },
+  // Redemptions held (one CouponRedemption each)
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  firstRideOnly: {
+    type: Boolean,
+    default: false
+  },
+  // Empty = applicable to all
+  bookingTypes: [{
+    type: String,
+    enum: Object.values(BOOKING_TYPES)
+  }],
+  vehicleTypes: [{
+    type: String,
+    enum: Object.values(VEHICLE_TYPES)
+  }],
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.index({ isActive: 1, validUntil: 1 });
+
+couponSchema.pre('validate', function (next) {
+  if (this.discountType === DISCOUNT_TYPES.PERCENTAGE && this.discountValue > 100) {
+    this.invalidate('discountValue', 'Percentage discount cannot exceed 100');
+  }
+
+  if (this.validFrom && this.validUntil && this.validUntil <= this.validFrom) {
+    this.invalidate('validUntil', 'validUntil must be after validFrom');
+  }
+
+  next();
+});
+
+/**
+ * Discount this coupon gives on a fare, after the coupon's own cap and the
+ * global MAX_DISCOUNT_PERCENT cap.
+ * @param {Number} fare - Fare the coupon is applied to
+ * @returns {Number} Discount in rupees
+ */
+couponSchema.methods.calculateDiscount = function (fare) {
+  let discount = this.discountType === DISCOUNT_TYPES.PERCENTAGE
+    ? (fare * this.discountValue) / 100
+    : this.discountValue;
+
+  if (this.maxDiscount) {
+    discount = Math.min(discount, this.maxDiscount);
+  }
+
+  const globalCap = Math.floor((fare * COUPON_CONFIG.MAX_DISCOUNT_PERCENT) / 100);
+
+  return Math.max(0, Math.round(Math.min(discount, globalCap, fare)));
+};
+
+/**
+ * Record a redemption. The unique { couponId, bookingId } index stops a
+ * booking redeeming twice, the coupon update re-checks the active flag,
+ * validity window and global limit, and the per-user limit is counted after
+ * inserting, so concurrent requests cannot push the coupon past its limits.
+ * @returns {Promise<Object|null>} Updated coupon, or null if no longer redeemable
+ */
+couponSchema.statics.redeem = async function ({ couponId, userId, bookingId, discountAmount }) {
+  const now = new Date();
+
+  let redemption;
+  try {
+    redemption = await CouponRedemption.create({ couponId, userId, bookingId, discountAmount, redeemedAt: now });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  const coupon = await this.findOneAndUpdate(
+    {
+      _id: couponId,
+      isActive: true,
+      validFrom: { $lte: now },
+      validUntil: { $gte: now },
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+
+  const userRedemptions = coupon
+    ? await CouponRedemption.countDocuments({ couponId, userId })
+    : 0;
+
+  if (!coupon || userRedemptions > coupon.perUserLimit) {
+    await CouponRedemption.deleteOne({ _id: redemption._id });
+    if (coupon) {
+      await this.updateOne({ _id: couponId }, { $inc: { usedCount: -1 } });
+    }
+    return null;
+  }
+
+  return coupon;
+};
+
+/**
+ * Give back a redemption made for a booking (e.g. on cancellation)
+ * @returns {Promise<Object|null>} Updated coupon, or null if nothing was redeemed
+ */
+couponSchema.statics.releaseForBooking = async function (bookingId) {
+  const redemption = await CouponRedemption.findOneAndDelete({ bookingId });
+  if (!redemption) return null;
+
+  return this.findByIdAndUpdate(
+    redemption.couponId,
+    { $inc: { usedCount: -1 } },
+    { new: true }
+  );
+};
+
+/**
+ * Number of times a user has redeemed this coupon
+ */
+couponSchema.statics.countUserRedemptions = function (couponId, userId) {
+  return CouponRedemption.countDocuments({ couponId, userId });
+};
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+export default Coupon;
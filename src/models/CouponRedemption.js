@@ -0,0 +1,38 @@
+// src/models/CouponRedemption.js - One Coupon Use on a Booking
+import mongoose from 'mongoose';
+
+const couponRedemptionSchema = new mongoose.Schema({
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    index: true
+  },
+  discountAmount: {
+    type: Number,
+    min: 0
+  },
+  redeemedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A booking redeems a coupon at most once; per-user counts and admin listings
+couponRedemptionSchema.index({ couponId: 1, bookingId: 1 }, { unique: true });
+couponRedemptionSchema.index({ couponId: 1, userId: 1 });
+couponRedemptionSchema.index({ couponId: 1, redeemedAt: -1 });
+
+const CouponRedemption = mongoose.model('CouponRedemption', couponRedemptionSchema);
+
+export default CouponRedemption;
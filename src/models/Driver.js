@@ -1,7 +1,43 @@
 // src/models/Driver.js - Complete Driver Model
 import mongoose from 'mongoose'; // <-- ADDED THIS IMPORT
+import {
+  DRIVER_DOCUMENT_TYPES,
+  MANDATORY_DRIVER_DOCUMENTS,
+  DOCUMENT_STATUS
+} from '../config/constants.js';
+
+// Uploaded KYC document and its review outcome
+const kycDocumentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: Object.values(DRIVER_DOCUMENT_TYPES),
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(DOCUMENT_STATUS),
+    default: DOCUMENT_STATUS.PENDING
+  },
+  // Storage key (services/storage.service.js), never a public URL
+  fileKey: { type: String, required: true },
+  originalName: String,
+  mimeType: String,
+  size: Number,
+  documentNumber: { type: String, trim: true, uppercase: true },
+  expiresAt: Date,
+  uploadedAt: { type: Date, default: Date.now },
+  reviewedAt: Date,
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  rejectionReason: { type: String, trim: true, maxlength: 500 }
+}, { _id: false });
 
 const driverSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    unique: true,
+    sparse: true
+  },
   name: {
     type: String,
     required: [true, 'Driver name is required'],
@@ -46,6 +82,10 @@ const driverSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  rejectedOffers: {
+    type: Number,
+    default: 0
+  },
   isAvailable: {
     type: Boolean,
     default: true,
@@ -65,6 +105,7 @@ const driverSchema = new mongoose.Schema({
     state: String,
     pincode: String
   },
+  // Legacy free-text references; uploads and reviews live in kycDocuments
   documents: {
     license: String,
     aadhar: String,
@@ -75,6 +116,24 @@ const driverSchema = new mongoose.Schema({
       accountHolderName: String
     }
   },
+  kycDocuments: {
+    type: [kycDocumentSchema],
+    default: []
+  },
+  // Verified before KYC uploads existed (set by src/utils/migrateKycGrandfather.js):
+  // mandatory documents never uploaded are not held against the driver
+  kycGrandfatheredAt: Date,
+  // Last expiry warning sent per compliance item (services/compliance.service.js)
+  complianceWarnings: {
+    type: [{
+      item: String,
+      expiresAt: Date,
+      threshold: Number,
+      sentAt: Date,
+      _id: false
+    }],
+    default: []
+  },
   emergencyContact: {
     name: String,
     phone: String,
@@ -92,7 +151,13 @@ const driverSchema = new mongoose.Schema({
       lng: Number
     },
     updatedAt: Date
-  }
+  },
+  deviceInfo: [{
+    deviceId: String,
+    deviceType: String,
+    fcmToken: String,
+    lastUsed: Date
+  }]
 }, {
   timestamps: true
 });
@@ -101,6 +166,82 @@ driverSchema.index({ isAvailable: 1 });
 driverSchema.index({ licenseNumber: 1 });
 driverSchema.index({ phoneNumber: 1 });
 driverSchema.index({ rating: -1 });
+driverSchema.index({ 'kycDocuments.status': 1 });
+
+// Remember the mandatory documents as loaded, to tell what a save changed
+driverSchema.post('init', function() {
+  this.$locals.mandatoryKycState = this.getMandatoryKycState();
+});
+
+// isVerified follows the mandatory documents: approved -> verified,
+// anything else (re-upload, rejection) -> unverified and offline.
+// Only re-evaluated when a mandatory document changed; optional uploads
+// never take a driver offline.
+driverSchema.pre('save', function(next) {
+  const mandatoryChanged = this.isNew ||
+    this.getMandatoryKycState() !== this.$locals.mandatoryKycState;
+
+  if (this.isModified('kycDocuments') && mandatoryChanged) {
+    this.isVerified = this.hasApprovedMandatoryDocuments();
+    if (!this.isVerified) {
+      this.isAvailable = false;
+    }
+    this.$locals.mandatoryKycState = this.getMandatoryKycState();
+  }
+  next();
+});
+
+driverSchema.methods.getKycDocument = function(type) {
+  return this.kycDocuments.find(document => document.type === type) || null;
+};
+
+driverSchema.methods.hasApprovedMandatoryDocuments = function() {
+  return MANDATORY_DRIVER_DOCUMENTS.every((type) => {
+    const document = this.getKycDocument(type);
+    if (!document) return !!this.kycGrandfatheredAt;
+    return document.status === DOCUMENT_STATUS.APPROVED;
+  });
+};
+
+driverSchema.methods.getMandatoryKycState = function() {
+  return JSON.stringify(MANDATORY_DRIVER_DOCUMENTS.map((type) => {
+    const document = this.getKycDocument(type);
+    return document ? [type, document.status, document.fileKey] : [type];
+  }));
+};
+
+/**
+ * Mandatory document types not uploaded yet or rejected
+ */
+driverSchema.methods.getMissingDocuments = function() {
+  return MANDATORY_DRIVER_DOCUMENTS.filter((type) => {
+    const document = this.getKycDocument(type);
+    return !document || document.status === DOCUMENT_STATUS.REJECTED;
+  });
+};
+
+/**
+ * Verification state for API responses (storage keys left out)
+ */
+driverSchema.methods.getKycSummary = function() {
+  return {
+    isVerified: this.isVerified,
+    missingDocuments: this.getMissingDocuments(),
+    documents: this.kycDocuments.map(document => ({
+      type: document.type,
+      mandatory: MANDATORY_DRIVER_DOCUMENTS.includes(document.type),
+      status: document.status,
+      documentNumber: document.documentNumber,
+      expiresAt: document.expiresAt,
+      originalName: document.originalName,
+      mimeType: document.mimeType,
+      size: document.size,
+      uploadedAt: document.uploadedAt,
+      reviewedAt: document.reviewedAt,
+      rejectionReason: document.rejectionReason
+    }))
+  };
+};
 
 driverSchema.methods.updateRating = async function(newRating) {
   const totalRatings = this.completedRides;
@@ -116,6 +257,45 @@ driverSchema.methods.updateLocation = async function(lat, lng) {
   return this.save({ validateBeforeSave: false });
 };
 
+/**
+ * Resolve the driver profile for a logged-in DRIVER user.
+ * Profiles created before the userId link existed are matched by phone
+ * number and linked on first lookup.
+ */
+driverSchema.statics.findForUser = async function(user) {
+  if (!user) return null;
+
+  const linked = await this.findOne({ userId: user._id });
+  if (linked) return linked;
+
+  const byPhone = await this.findOne({ phoneNumber: user.phoneNumber, userId: null });
+  if (byPhone) {
+    byPhone.userId = user._id;
+    await byPhone.save({ validateBeforeSave: false });
+  }
+
+  return byPhone;
+};
+
+/**
+ * Mark verified drivers that lack an approved mandatory document as
+ * grandfathered, so the KYC rules do not unverify them on their next upload.
+ * @returns {Promise<number>} Drivers marked
+ */
+driverSchema.statics.grandfatherVerifiedDrivers = async function() {
+  const result = await this.updateMany(
+    {
+      isVerified: true,
+      kycGrandfatheredAt: null,
+      $or: MANDATORY_DRIVER_DOCUMENTS.map(type => ({
+        kycDocuments: { $not: { $elemMatch: { type, status: DOCUMENT_STATUS.APPROVED } } }
+      }))
+    },
+    { $set: { kycGrandfatheredAt: new Date() } }
+  );
+  return result.modifiedCount;
+};
+
 const Driver = mongoose.model('Driver', driverSchema);
 
 export default Driver; // <-- CHANGED THIS EXPORT
@@ -0,0 +1,51 @@
+// src/models/Job.js - Scheduled Background Jobs
+import mongoose from 'mongoose';
+
+// One document per registered job. The lease (lockedBy/lockedUntil) makes
+// sure only one instance runs a job at a time; an expired lease is free to take.
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  nextRunAt: {
+    type: Date,
+    required: true
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastStartedAt: Date,
+  lastFinishedAt: Date,
+  lastError: String,
+  lastResult: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  failCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ enabled: 1, nextRunAt: 1 });
+
+const Job = mongoose.model('Job', jobSchema);
+
+export default Job;
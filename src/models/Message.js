@@ -0,0 +1,40 @@
+// src/models/Message.js - In-trip Chat Messages
+import mongoose from 'mongoose';
+import { USER_ROLES, CHAT_CONFIG } from '../config/constants.js';
+
+const messageSchema = new mongoose.Schema({
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  senderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  senderRole: {
+    type: String,
+    enum: Object.values(USER_ROLES),
+    required: true
+  },
+  // Stored with phone numbers already masked
+  text: {
+    type: String,
+    required: [true, 'Message text is required'],
+    trim: true,
+    maxlength: [CHAT_CONFIG.MAX_MESSAGE_LENGTH, `Message cannot exceed ${CHAT_CONFIG.MAX_MESSAGE_LENGTH} characters`]
+  },
+  readBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, {
+  timestamps: true
+});
+
+messageSchema.index({ bookingId: 1, createdAt: -1 });
+
+const Message = mongoose.model('Message', messageSchema);
+
+export default Message;
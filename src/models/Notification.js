@@ -0,0 +1,66 @@
+// src/models/Notification.js - In-app Notification Inbox
+import mongoose from 'mongoose';
+import {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_DELIVERY_STATUS,
+  NOTIFICATION_CONFIG
+} from '../config/constants.js';
+
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.values(NOTIFICATION_TYPES),
+    default: NOTIFICATION_TYPES.GENERAL
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  // Human readable booking code (e.g. BK...) as sent in the push payload
+  bookingCode: String,
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date,
+  delivery: {
+    status: {
+      type: String,
+      enum: Object.values(NOTIFICATION_DELIVERY_STATUS),
+      default: NOTIFICATION_DELIVERY_STATUS.NOT_SENT
+    },
+    error: String
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, isRead: 1 });
+notificationSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: NOTIFICATION_CONFIG.RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
@@ -1,5 +1,13 @@
 // src/models/Otp.js - Separate OTP Collection
+import crypto from 'crypto';
 import mongoose from 'mongoose';
+import { OTP_PURPOSES } from '../config/constants.js';
+
+// Keyed hash: a leaked collection cannot be brute-forced offline (only 10^6 codes)
+const hashCode = (phoneNumber, code) => crypto
+  .createHmac('sha256', process.env.OTP_HASH_SECRET || process.env.JWT_SECRET)
+  .update(`${phoneNumber}:${code}`)
+  .digest('hex');
 
 const otpSchema = new mongoose.Schema({
   phoneNumber: {
@@ -16,9 +24,22 @@ const otpSchema = new mongoose.Schema({
       message: 'Please provide a valid Indian phone number'
     }
   },
-  code: {
+  // HMAC of the code, never the code itself
+  codeHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  purpose: {
     type: String,
-    required: true
+    enum: Object.values(OTP_PURPOSES),
+    default: OTP_PURPOSES.LOGIN
+  },
+  // Account that requested it (phone change); null for login OTPs
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
   },
   expiresAt: {
     type: Date,
@@ -38,9 +59,20 @@ const otpSchema = new mongoose.Schema({
 });
 
 // Index for faster lookups
-otpSchema.index({ phoneNumber: 1 });
+otpSchema.index({ phoneNumber: 1, purpose: 1, userId: 1 });
 otpSchema.index({ expiresAt: 1 });
 
+otpSchema.statics.hashCode = hashCode;
+
+/**
+ * Constant-time check of a submitted code (document must select +codeHash)
+ */
+otpSchema.methods.matches = function(code) {
+  const expected = Buffer.from(this.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(this.phoneNumber, String(code)), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
 // Static method to clean up expired OTPs manually (backup to TTL)
 otpSchema.statics.cleanExpired = function() {
   return this.deleteMany({ expiresAt: { $lt: new Date() } });
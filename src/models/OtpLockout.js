@@ -0,0 +1,33 @@
+// src/models/OtpLockout.js - Progressive OTP Lockout per Phone Number
+import mongoose from 'mongoose';
+
+const otpLockoutSchema = new mongoose.Schema({
+  phoneNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  // Lockouts so far; picks the step in OTP_CONFIG.LOCKOUT_MINUTES
+  level: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: Date,
+  // lockedUntil + OTP_CONFIG.LOCKOUT_RESET_HOURS; the level is forgotten after it
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+otpLockoutSchema.methods.isLocked = function(now = new Date()) {
+  return !!this.lockedUntil && this.lockedUntil > now;
+};
+
+const OtpLockout = mongoose.model('OtpLockout', otpLockoutSchema);
+
+export default OtpLockout;
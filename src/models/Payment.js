@@ -1,6 +1,6 @@
 // src/models/Payment.js
 import mongoose from 'mongoose';
-import { PAYMENT_STATUS, PAYMENT_METHODS } from '../config/constants.js';
+import { PAYMENT_STATUS, PAYMENT_METHODS, PAYMENT_PURPOSE } from '../config/constants.js';
 import logger from '../config/logger.js';
 
 const paymentSchema = new mongoose.Schema(
@@ -37,6 +37,21 @@ const paymentSchema = new mongoose.Schema(
       type: String,
       enum: Object.values(PAYMENT_METHODS),
     },
+    purpose: {
+      type: String,
+      enum: Object.values(PAYMENT_PURPOSE),
+      default: PAYMENT_PURPOSE.ADVANCE,
+    },
+    // Driver who collected a cash payment
+    collectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Driver',
+    },
+    // Replacement payment created when this order was re-priced
+    supersededBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+    },
     // --- Razorpay Specific Fields ---
     razorpayOrderId: {
       type: String,
@@ -74,6 +89,27 @@ paymentSchema.pre('save', function (next) {
   next();
 });
 
+/**
+ * Retire a booking's open Razorpay balance orders so they can no longer be
+ * paid: when a newer order replaces them (supersededBy) or the balance was
+ * collected in cash
+ * @returns {Promise<number>} Orders superseded
+ */
+paymentSchema.statics.supersedeBalanceOrders = async function (bookingId, { supersededBy = null, reason }) {
+  const filter = {
+    bookingId,
+    purpose: PAYMENT_PURPOSE.BALANCE,
+    method: PAYMENT_METHODS.RAZORPAY,
+    status: PAYMENT_STATUS.PENDING
+  };
+  if (supersededBy) filter._id = { $ne: supersededBy };
+
+  const result = await this.updateMany(filter, {
+    $set: { status: PAYMENT_STATUS.SUPERSEDED, supersededBy, failureReason: reason }
+  });
+  return result.modifiedCount;
+};
+
 const Payment = mongoose.model('Payment', paymentSchema);
 
 export default Payment;
\ No newline at end of file
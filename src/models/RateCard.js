@@ -0,0 +1,291 @@
+// src/models/RateCard.js - Versioned Pricing Configuration
+import mongoose from 'mongoose';
+import {
+  VEHICLE_TYPES,
+  BOOKING_TYPES,
+  RATE_CARD_STATUS,
+  RATE_CARD_SCOPES
+} from '../config/constants.js';
+
+const VEHICLE_TYPE_LIST = Object.values(VEHICLE_TYPES);
+const LOCAL_PACKAGE_CODES = Object.values(BOOKING_TYPES)
+  .filter(type => type.startsWith('LOCAL_'))
+  .map(type => type.replace('LOCAL_', ''));
+
+const PRICING_SECTIONS = [
+  'pricing',
+  'localPackages',
+  'airportBasePrice',
+  'outstationSurcharges',
+  'addOnServices'
+];
+
+const isNonNegativeNumber = (value) => typeof value === 'number' && !isNaN(value) && value >= 0;
+
+export const normalizeCity = (city) => (typeof city === 'string' ? city.trim().toLowerCase() : '');
+
+// ------------------ Section Validators ------------------
+// Each returns an error message, or null when the section is valid.
+// Shapes mirror PRICING / LOCAL_PACKAGES / AIRPORT_BASE_PRICE /
+// OUTSTATION_SURCHARGES / ADD_ON_SERVICES in config/constants.js.
+
+const validatePricing = (pricing) => {
+  for (const [vehicleType, rates] of Object.entries(pricing)) {
+    if (!VEHICLE_TYPE_LIST.includes(vehicleType)) {
+      return `pricing: unknown vehicle type ${vehicleType}`;
+    }
+    if (!rates || typeof rates !== 'object') {
+      return `pricing.${vehicleType} must be an object`;
+    }
+    for (const field of ['perKmRateOneWay', 'perKmRateRoundTrip', 'minFare']) {
+      if (!isNonNegativeNumber(rates[field])) {
+        return `pricing.${vehicleType}.${field} must be a non-negative number`;
+      }
+    }
+    if (rates.nightChargeMultiplier !== undefined &&
+      (typeof rates.nightChargeMultiplier !== 'number' || rates.nightChargeMultiplier < 1)) {
+      return `pricing.${vehicleType}.nightChargeMultiplier must be at least 1`;
+    }
+  }
+  return null;
+};
+
+const validateLocalPackages = (packages) => {
+  const vehicleKeys = VEHICLE_TYPE_LIST.map(type => type.toLowerCase());
+
+  for (const [code, pkg] of Object.entries(packages)) {
+    if (!LOCAL_PACKAGE_CODES.includes(code)) {
+      return `localPackages: unknown package ${code}`;
+    }
+    if (!pkg || typeof pkg !== 'object') {
+      return `localPackages.${code} must be an object`;
+    }
+    if (!isNonNegativeNumber(pkg.hours) || !isNonNegativeNumber(pkg.km)) {
+      return `localPackages.${code} requires numeric hours and km`;
+    }
+    for (const [key, value] of Object.entries(pkg)) {
+      if (['hours', 'km'].includes(key)) continue;
+
+      if (key === 'extraKmCharge' || key === 'extraHourCharge') {
+        for (const [vehicleKey, rate] of Object.entries(value || {})) {
+          if (!vehicleKeys.includes(vehicleKey) || !isNonNegativeNumber(rate)) {
+            return `localPackages.${code}.${key}.${vehicleKey} is invalid`;
+          }
+        }
+      } else if (!vehicleKeys.includes(key) || !isNonNegativeNumber(value)) {
+        return `localPackages.${code}.${key} is invalid`;
+      }
+    }
+  }
+  return null;
+};
+
+const validateVehiclePriceMap = (section, name) => {
+  for (const [vehicleType, price] of Object.entries(section)) {
+    if (!VEHICLE_TYPE_LIST.includes(vehicleType) || !isNonNegativeNumber(price)) {
+      return `${name}.${vehicleType} is invalid`;
+    }
+  }
+  return null;
+};
+
+const validateSurcharges = (surcharges) => {
+  for (const [key, value] of Object.entries(surcharges)) {
+    if (!isNonNegativeNumber(value)) {
+      return `outstationSurcharges.${key} must be a non-negative number`;
+    }
+  }
+  return null;
+};
+
+const validateAddOns = (addOns) => {
+  for (const [code, service] of Object.entries(addOns)) {
+    if (!service || typeof service.name !== 'string' || !isNonNegativeNumber(service.price)) {
+      return `addOnServices.${code} requires a name and a non-negative price`;
+    }
+  }
+  return null;
+};
+
+// ------------------ Schema ------------------
+
+const geoPointSchema = new mongoose.Schema({
+  lat: { type: Number, required: true, min: -90, max: 90 },
+  lng: { type: Number, required: true, min: -180, max: 180 }
+}, { _id: false });
+
+// Where a card applies. NATIONAL cards must define every section; CITY and
+// ZONE cards only override the sections (and keys) they define.
+const scopeSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: Object.values(RATE_CARD_SCOPES),
+    default: RATE_CARD_SCOPES.NATIONAL
+  },
+  city: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  aliases: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  zoneName: {
+    type: String,
+    trim: true
+  },
+  polygon: [geoPointSchema]
+}, { _id: false });
+
+const rateCardSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true,
+    min: 1
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  status: {
+    type: String,
+    enum: Object.values(RATE_CARD_STATUS),
+    default: RATE_CARD_STATUS.DRAFT,
+    index: true
+  },
+  scope: {
+    type: scopeSchema,
+    default: () => ({ type: RATE_CARD_SCOPES.NATIONAL })
+  },
+  // One active card per scopeKey, e.g. NATIONAL, CITY:delhi, ZONE:noida-sector-62
+  scopeKey: {
+    type: String,
+    index: true
+  },
+  pricing: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  localPackages: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  airportBasePrice: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  outstationSurcharges: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  addOnServices: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  activatedAt: Date,
+  activatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+rateCardSchema.index({ status: 1, activatedAt: -1 });
+rateCardSchema.index({ scopeKey: 1, status: 1 });
+
+rateCardSchema.pre('validate', function (next) {
+  const scope = this.scope || { type: RATE_CARD_SCOPES.NATIONAL };
+
+  if (scope.type === RATE_CARD_SCOPES.CITY) {
+    if (!normalizeCity(scope.city)) {
+      this.invalidate('scope.city', 'City is required for a city rate card');
+    }
+    this.scopeKey = `${RATE_CARD_SCOPES.CITY}:${normalizeCity(scope.city)}`;
+  } else if (scope.type === RATE_CARD_SCOPES.ZONE) {
+    if (!scope.zoneName) {
+      this.invalidate('scope.zoneName', 'Zone name is required for a zone rate card');
+    }
+    if (!Array.isArray(scope.polygon) || scope.polygon.length < 3) {
+      this.invalidate('scope.polygon', 'Zone polygon needs at least 3 points');
+    }
+    this.scopeKey = `${RATE_CARD_SCOPES.ZONE}:${normalizeCity(scope.zoneName).replace(/\s+/g, '-')}`;
+  } else {
+    this.scopeKey = RATE_CARD_SCOPES.NATIONAL;
+  }
+
+  const definedSections = PRICING_SECTIONS.filter(path => this[path] !== undefined && this[path] !== null);
+
+  if (scope.type === RATE_CARD_SCOPES.NATIONAL || !scope.type) {
+    PRICING_SECTIONS
+      .filter(path => !definedSections.includes(path))
+      .forEach(path => this.invalidate(path, `${path} is required for a national rate card`));
+  } else if (definedSections.length === 0) {
+    this.invalidate('pricing', 'A scoped rate card must override at least one pricing section');
+  }
+
+  const sections = [
+    ['pricing', validatePricing],
+    ['localPackages', validateLocalPackages],
+    ['airportBasePrice', (value) => validateVehiclePriceMap(value, 'airportBasePrice')],
+    ['outstationSurcharges', validateSurcharges],
+    ['addOnServices', validateAddOns]
+  ];
+
+  for (const [path, validator] of sections) {
+    const value = this[path];
+    if (value === undefined || value === null) continue;
+
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      this.invalidate(path, `${path} must be an object`);
+      continue;
+    }
+
+    const error = validator(value);
+    if (error) {
+      this.invalidate(path, error);
+    }
+  }
+
+  next();
+});
+
+// ------------------ Statics ------------------
+
+/**
+ * Active rate cards, one per scope (latest activation wins if a switch is in flight)
+ */
+rateCardSchema.statics.findAllActive = async function () {
+  const cards = await this.find({ status: RATE_CARD_STATUS.ACTIVE })
+    .sort({ activatedAt: -1 })
+    .lean();
+
+  const byScope = new Map();
+  cards.forEach((card) => {
+    const key = card.scopeKey || RATE_CARD_SCOPES.NATIONAL;
+    if (!byScope.has(key)) byScope.set(key, card);
+  });
+
+  return Array.from(byScope.values());
+};
+
+/**
+ * Next free version number
+ */
+rateCardSchema.statics.nextVersion = async function () {
+  const latest = await this.findOne().sort({ version: -1 }).select('version').lean();
+  return (latest?.version || 0) + 1;
+};
+
+const RateCard = mongoose.model('RateCard', rateCardSchema);
+
+export default RateCard;
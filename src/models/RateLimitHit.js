@@ -0,0 +1,26 @@
+// src/models/RateLimitHit.js - Rolling-window Rate Limit Log (shared across instances)
+import mongoose from 'mongoose';
+
+const rateLimitHitSchema = new mongoose.Schema({
+  // e.g. "otp:ip:203.0.113.7"
+  key: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // End of the window this hit counts in
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }
+  }
+});
+
+rateLimitHitSchema.index({ key: 1, createdAt: -1 });
+
+const RateLimitHit = mongoose.model('RateLimitHit', rateLimitHitSchema);
+
+export default RateLimitHit;
@@ -0,0 +1,61 @@
+// src/models/Session.js - Login Session per Device (refresh token rotation)
+import mongoose from 'mongoose';
+import { SESSION_REVOKE_REASONS } from '../config/constants.js';
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Client supplied; a new login from the same device replaces its session
+  deviceId: {
+    type: String,
+    trim: true
+  },
+  deviceType: {
+    type: String,
+    trim: true
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  userAgent: String,
+  ip: String,
+  // jti of the only refresh token currently valid for this session
+  refreshTokenId: {
+    type: String,
+    required: true,
+    select: false
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: Object.values(SESSION_REVOKE_REASONS)
+  },
+  // Refresh token expiry; the document is removed by the TTL index after it
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1, lastUsedAt: -1 });
+sessionSchema.index({ userId: 1, deviceId: 1 });
+
+sessionSchema.virtual('isActive').get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
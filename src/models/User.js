@@ -1,6 +1,13 @@
 // src/models/User.js - Updated without OTP fields
 import mongoose from 'mongoose';
-import jwt from 'jsonwebtoken';
+import Session from './Session.js';
+import {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  SESSION_REVOKE_REASONS,
+  USER_ROLES,
+  USER_ADMIN_ACTIONS
+} from '../config/constants.js';
 
 const userSchema = new mongoose.Schema({
   phoneNumber: {
@@ -30,9 +37,6 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
   },
-  token: {
-    type: String,
-  },
   isVerified: {
     type: Boolean,
     default: false
@@ -43,8 +47,31 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['CUSTOMER', 'DRIVER', 'ADMIN'],
-    default: 'CUSTOMER'
+    enum: Object.values(USER_ROLES),
+    default: USER_ROLES.CUSTOMER
+  },
+  // Set while an admin has suspended the account (isActive is false meanwhile)
+  suspension: {
+    reason: { type: String, trim: true, maxlength: 500 },
+    since: Date,
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  // Every change an admin made to the account, oldest first
+  adminHistory: {
+    type: [{
+      action: {
+        type: String,
+        enum: Object.values(USER_ADMIN_ACTIONS),
+        required: true
+      },
+      reason: { type: String, trim: true, maxlength: 500 },
+      details: mongoose.Schema.Types.Mixed,
+      by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+      at: { type: Date, default: Date.now },
+      _id: false
+    }],
+    default: [],
+    select: false
   },
   profilePicture: {
     type: String,
@@ -63,8 +90,8 @@ const userSchema = new mongoose.Schema({
   preferences: {
     language: {
       type: String,
-      enum: ['en', 'hi'],
-      default: 'en'
+      enum: Object.values(LANGUAGES),
+      default: DEFAULT_LANGUAGE
     },
     notifications: {
       email: { type: Boolean, default: true },
@@ -81,6 +108,11 @@ const userSchema = new mongoose.Schema({
     default: false
   },
   fcmToken: String,
+  // Embedded in every token; bumping it invalidates all tokens issued before
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
   deviceInfo: [{
     deviceId: String,
     deviceType: String,
@@ -97,6 +129,40 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ isActive: 1, isVerified: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ role: 1, isActive: 1 });
+
+// Hooks
+
+/**
+ * Deactivating an account or changing its phone number signs it out
+ * everywhere: existing tokens stop matching tokenVersion, every session
+ * is revoked and open sockets are disconnected. Only applies to document
+ * saves, not findByIdAndUpdate.
+ */
+userSchema.pre('save', function (next) {
+  const deactivated = this.isModified('isActive') && !this.isActive;
+  const phoneChanged = this.isModified('phoneNumber');
+
+  if (!this.isNew && (deactivated || phoneChanged)) {
+    this.tokenVersion = (this.tokenVersion || 0) + 1;
+    this.$locals.tokensRevoked = true;
+  }
+  next();
+});
+
+userSchema.post('save', async function () {
+  if (!this.$locals.tokensRevoked) return;
+  this.$locals.tokensRevoked = false;
+
+  await Session.updateMany(
+    { userId: this._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: SESSION_REVOKE_REASONS.TOKENS_REVOKED } }
+  );
+
+  // Loaded lazily: the socket service depends on the auth middleware, which loads this model
+  const { default: socketService } = await import('../services/socket.service.js');
+  socketService.disconnectUser(this._id);
+});
 
 // Virtuals
 userSchema.virtual('fullName').get(function () {
@@ -109,19 +175,18 @@ userSchema.virtual('maskedPhone').get(function () {
 });
 
 // Instance Methods
-userSchema.methods.getJWTToken = function () {
-  return jwt.sign(
-    { id: this._id },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '30d' }
-  );
-};
-
 userSchema.methods.updateLastLogin = function () {
   this.lastLogin = new Date();
   return this.save({ validateBeforeSave: false });
 };
 
+/**
+ * Append an admin change to the account history (document must select +adminHistory)
+ */
+userSchema.methods.recordAdminAction = function (action, by, { reason, details } = {}) {
+  this.adminHistory.push({ action, by, reason, details, at: new Date() });
+};
+
 // Static Methods
 userSchema.statics.findByPhoneNumber = function (phoneNumber) {
   return this.findOne({ phoneNumber });
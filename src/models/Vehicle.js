@@ -1,6 +1,7 @@
 // src/models/Vehicle.js - Complete Vehicle Model
 import mongoose from 'mongoose';
-import { VEHICLE_TYPES } from '../config/constants.js';
+import { VEHICLE_TYPES, FUEL_TYPES } from '../config/constants.js';
+import Booking from './Booking.js';
 
 const vehicleSchema = new mongoose.Schema({
   type: {
@@ -24,7 +25,7 @@ const vehicleSchema = new mongoose.Schema({
     type: Number,
     required: true,
     min: [2, 'Capacity must be at least 2'],
-    max: [7, 'Capacity cannot exceed 7']
+    max: [26, 'Capacity cannot exceed 26']
   },
   isAvailable: {
     type: Boolean,
@@ -40,7 +41,7 @@ const vehicleSchema = new mongoose.Schema({
   color: String,
   fuelType: {
     type: String,
-    enum: ['PETROL', 'DIESEL', 'CNG', 'ELECTRIC', 'HYBRID'],
+    enum: Object.values(FUEL_TYPES),
     default: 'DIESEL'
   },
   insurance: {
@@ -54,10 +55,39 @@ const vehicleSchema = new mongoose.Schema({
     pollutionCertificate: String,
     fitnessExpiry: Date
   },
+  // Last expiry warning sent per compliance item (services/compliance.service.js)
+  complianceWarnings: {
+    type: [{
+      item: String,
+      expiresAt: Date,
+      threshold: Number,
+      sentAt: Date,
+      _id: false
+    }],
+    default: []
+  },
   maintenance: {
     lastService: Date,
     nextServiceDue: Date,
     totalKm: { type: Number, default: 0 }
+  },
+  serviceHistory: [{
+    serviceDate: { type: Date, required: true },
+    odometerKm: { type: Number, min: 0 },
+    description: { type: String, trim: true, maxlength: 500 },
+    cost: { type: Number, min: 0 },
+    nextServiceDue: Date,
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    recordedAt: { type: Date, default: Date.now }
+  }],
+  // Set while the vehicle is taken out of service (isAvailable is false meanwhile)
+  offRoad: {
+    reason: { type: String, trim: true, maxlength: 500 },
+    since: Date,
+    expectedBackAt: Date,
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // Deleted while it had trip history: never returns to service
+    retired: { type: Boolean, default: undefined }
   }
 }, {
   timestamps: true
@@ -66,10 +96,21 @@ const vehicleSchema = new mongoose.Schema({
 vehicleSchema.index({ type: 1, isAvailable: 1 });
 vehicleSchema.index({ licensePlate: 1 });
 
-vehicleSchema.methods.checkAvailability = function(startDate, endDate) {
-  // Logic to check if vehicle is available between dates
-  // This would query Booking model to check for conflicts
-  return this.isAvailable;
+/**
+ * Whether the vehicle is in service and has no assigned or running trip
+ * overlapping [startDate, endDate] (endDate optional, see Booking.findOverlapping)
+ * @returns {Promise<boolean>}
+ */
+vehicleSchema.methods.checkAvailability = async function(startDate, endDate = null) {
+  if (!this.isAvailable) return false;
+
+  const conflicts = await Booking.findOverlapping({
+    vehicleId: this._id,
+    start: startDate,
+    end: endDate
+  });
+
+  return conflicts.length === 0;
 };
 
 const Vehicle = mongoose.model('Vehicle', vehicleSchema);
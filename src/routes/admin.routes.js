@@ -0,0 +1,510 @@
+// src/routes/admin.routes.js - Admin Back-office Routes
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import * as driverReviewController from '../controllers/driverReview.controller.js';
+import * as complianceController from '../controllers/compliance.controller.js';
+import * as fleetController from '../controllers/fleet.controller.js';
+import * as securityController from '../controllers/security.controller.js';
+import * as userAdminController from '../controllers/userAdmin.controller.js';
+import { protect, restrictTo } from '../middleware/auth.middleware.js';
+import validate, {
+  validateObjectId,
+  validateObjectIds,
+  validatePagination
+} from '../middleware/validation.middleware.js';
+import {
+  DRIVER_DOCUMENT_TYPES,
+  DOCUMENT_STATUS,
+  COMPLIANCE_ITEMS,
+  COMPLIANCE_CONFIG,
+  COMPLIANCE_STATUS,
+  VEHICLE_TYPES,
+  FUEL_TYPES,
+  AUTH_EVENT_TYPES,
+  USER_ROLES
+} from '../config/constants.js';
+
+const router = express.Router();
+
+// ============================================
+// ALL ROUTES REQUIRE ADMIN
+// ============================================
+router.use(protect, restrictTo('ADMIN'));
+
+// ============================================
+// VALIDATION RULES
+// ============================================
+
+const documentTypeValidation = [
+  param('type')
+    .customSanitizer(value => String(value).toUpperCase())
+    .isIn(Object.values(DRIVER_DOCUMENT_TYPES))
+    .withMessage(`type must be one of: ${Object.values(DRIVER_DOCUMENT_TYPES).join(', ')}`),
+  validate
+];
+
+const reviewValidation = [
+  body('status')
+    .notEmpty().withMessage('status is required')
+    .isIn([DOCUMENT_STATUS.APPROVED, DOCUMENT_STATUS.REJECTED])
+    .withMessage('status must be APPROVED or REJECTED'),
+  body('reason')
+    .if(body('status').equals(DOCUMENT_STATUS.REJECTED))
+    .trim()
+    .notEmpty().withMessage('reason is required when rejecting a document')
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  validate
+];
+
+const expiryReportValidation = [
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: COMPLIANCE_CONFIG.REPORT_MAX_DAYS })
+    .withMessage(`days must be between 1 and ${COMPLIANCE_CONFIG.REPORT_MAX_DAYS}`),
+  query('item')
+    .optional()
+    .isIn(Object.values(COMPLIANCE_ITEMS))
+    .withMessage(`item must be one of: ${Object.values(COMPLIANCE_ITEMS).join(', ')}`),
+  validate
+];
+
+const vehicleFieldRules = [
+  body('modelName')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('modelName cannot be empty')
+    .isLength({ max: 100 }).withMessage('modelName cannot exceed 100 characters'),
+  body('capacity')
+    .optional()
+    .isInt({ min: 2, max: 26 }).withMessage('capacity must be between 2 and 26')
+    .toInt(),
+  body('year')
+    .optional()
+    .isInt({ min: 2010, max: new Date().getFullYear() + 1 }).withMessage('Invalid vehicle year')
+    .toInt(),
+  body('color')
+    .optional()
+    .trim()
+    .isLength({ max: 30 }).withMessage('color cannot exceed 30 characters'),
+  body('fuelType')
+    .optional()
+    .isIn(Object.values(FUEL_TYPES))
+    .withMessage(`fuelType must be one of: ${Object.values(FUEL_TYPES).join(', ')}`),
+  body('features')
+    .optional()
+    .isArray().withMessage('features must be an array'),
+  body('insurance.expiryDate')
+    .optional({ nullable: true })
+    .isISO8601().withMessage('insurance.expiryDate must be a valid date')
+    .toDate(),
+  body('documents.fitnessExpiry')
+    .optional({ nullable: true })
+    .isISO8601().withMessage('documents.fitnessExpiry must be a valid date')
+    .toDate(),
+  body('maintenance.nextServiceDue')
+    .optional({ nullable: true })
+    .isISO8601().withMessage('maintenance.nextServiceDue must be a valid date')
+    .toDate()
+];
+
+const createVehicleValidation = [
+  body('type')
+    .notEmpty().withMessage('Vehicle type is required')
+    .isIn(Object.values(VEHICLE_TYPES)).withMessage('Invalid vehicle type'),
+  body('modelName')
+    .trim()
+    .notEmpty().withMessage('Model name is required'),
+  body('licensePlate')
+    .isString().withMessage('License plate must be text')
+    .trim()
+    .notEmpty().withMessage('License plate is required')
+    .matches(/^[A-Za-z0-9 -]{4,15}$/).withMessage('Invalid license plate'),
+  body('maintenance.totalKm')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('maintenance.totalKm must be a positive number')
+    .toFloat(),
+  ...vehicleFieldRules,
+  validate
+];
+
+const updateVehicleValidation = [
+  // Neither can change, but both are compared against the vehicle
+  body('type')
+    .optional()
+    .isIn(Object.values(VEHICLE_TYPES)).withMessage('Invalid vehicle type'),
+  body('licensePlate')
+    .optional()
+    .isString().withMessage('License plate must be text')
+    .trim(),
+  ...vehicleFieldRules,
+  validate
+];
+
+const listVehiclesValidation = [
+  query('type')
+    .optional()
+    .isIn(Object.values(VEHICLE_TYPES)).withMessage('Invalid vehicle type'),
+  query('fuelType')
+    .optional()
+    .isIn(Object.values(FUEL_TYPES)).withMessage('Invalid fuel type'),
+  query('isAvailable')
+    .optional()
+    .isIn(['true', 'false']).withMessage('isAvailable must be true or false'),
+  query('compliance')
+    .optional()
+    .isIn(Object.values(COMPLIANCE_STATUS))
+    .withMessage(`compliance must be one of: ${Object.values(COMPLIANCE_STATUS).join(', ')}`),
+  validate
+];
+
+const linkDriverValidation = [
+  body('driverId')
+    .notEmpty().withMessage('driverId is required')
+    .isMongoId().withMessage('Invalid driverId'),
+  validate
+];
+
+const serviceValidation = [
+  body('serviceDate')
+    .optional()
+    .isISO8601().withMessage('serviceDate must be a valid date')
+    .toDate()
+    .custom(value => value <= new Date()).withMessage('serviceDate cannot be in the future'),
+  body('odometerKm')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('odometerKm must be a positive number')
+    .toFloat(),
+  body('cost')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('cost must be a positive number')
+    .toFloat(),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('nextServiceDue')
+    .optional()
+    .isISO8601().withMessage('nextServiceDue must be a valid date')
+    .toDate(),
+  validate
+];
+
+const offRoadValidation = [
+  body('reason')
+    .trim()
+    .notEmpty().withMessage('reason is required')
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  body('expectedBackAt')
+    .optional()
+    .isISO8601().withMessage('expectedBackAt must be a valid date')
+    .toDate(),
+  validate
+];
+
+const listUsersValidation = [
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 }).withMessage('search must be between 2 and 50 characters'),
+  query('role')
+    .optional()
+    .isIn(Object.values(USER_ROLES))
+    .withMessage(`role must be one of: ${Object.values(USER_ROLES).join(', ')}`),
+  query('isActive')
+    .optional()
+    .isIn(['true', 'false']).withMessage('isActive must be true or false'),
+  validate
+];
+
+const promoteToDriverValidation = [
+  body('driverId')
+    .optional()
+    .isMongoId().withMessage('Invalid driverId'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 }).withMessage('Name must be between 2 and 50 characters'),
+  body('licenseNumber')
+    .optional()
+    .trim()
+    .isLength({ min: 5, max: 20 }).withMessage('licenseNumber must be between 5 and 20 characters'),
+  body('licenseExpiry')
+    .optional()
+    .isISO8601().withMessage('licenseExpiry must be a valid date')
+    .toDate(),
+  validate
+];
+
+const suspendUserValidation = [
+  body('reason')
+    .trim()
+    .notEmpty().withMessage('reason is required')
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  validate
+];
+
+const reactivateUserValidation = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  validate
+];
+
+const authEventsValidation = [
+  query('type')
+    .optional()
+    .isIn(Object.values(AUTH_EVENT_TYPES))
+    .withMessage(`type must be one of: ${Object.values(AUTH_EVENT_TYPES).join(', ')}`),
+  query('phoneNumber')
+    .optional()
+    .matches(/^\d{10,12}$/).withMessage('Invalid phone number'),
+  query('ip')
+    .optional()
+    .isIP().withMessage('Invalid IP address'),
+  query('since')
+    .optional()
+    .isISO8601().withMessage('since must be a valid date')
+    .toDate(),
+  validate
+];
+
+// ============================================
+// DRIVER KYC REVIEW
+// ============================================
+
+/**
+ * @route   GET /api/admin/drivers/review-queue
+ * @desc    Drivers with documents awaiting review (oldest first)
+ * @access  Admin
+ */
+router.get('/drivers/review-queue', driverReviewController.getReviewQueue);
+
+/**
+ * @route   GET /api/admin/drivers/:id/documents
+ * @desc    Documents and verification state of a driver
+ * @access  Admin
+ */
+router.get(
+  '/drivers/:id/documents',
+  validateObjectId('id'),
+  driverReviewController.getDriverDocuments
+);
+
+/**
+ * @route   GET /api/admin/drivers/:id/documents/:type/file
+ * @desc    Download an uploaded document
+ * @access  Admin
+ */
+router.get(
+  '/drivers/:id/documents/:type/file',
+  validateObjectId('id'),
+  documentTypeValidation,
+  driverReviewController.downloadDriverDocument
+);
+
+/**
+ * @route   PATCH /api/admin/drivers/:id/documents/:type
+ * @desc    Approve or reject a document
+ * @access  Admin
+ */
+router.patch(
+  '/drivers/:id/documents/:type',
+  validateObjectId('id'),
+  documentTypeValidation,
+  reviewValidation,
+  driverReviewController.reviewDocument
+);
+
+// ============================================
+// COMPLIANCE
+// ============================================
+
+/**
+ * @route   GET /api/admin/compliance/expiries
+ * @desc    Expired and upcoming licence / insurance / fitness / service dates
+ * @access  Admin
+ */
+router.get(
+  '/compliance/expiries',
+  expiryReportValidation,
+  complianceController.getExpiryReport
+);
+
+// ============================================
+// FLEET
+// ============================================
+
+/**
+ * @route   POST /api/admin/vehicles
+ * @desc    Add a vehicle to the fleet
+ * @access  Admin
+ */
+router.post('/vehicles', createVehicleValidation, fleetController.createVehicle);
+
+/**
+ * @route   GET /api/admin/vehicles
+ * @desc    List vehicles (filters: type, fuelType, isAvailable, compliance, search)
+ * @access  Admin
+ */
+router.get(
+  '/vehicles',
+  validatePagination,
+  listVehiclesValidation,
+  fleetController.getAllVehicles
+);
+
+/**
+ * @route   GET /api/admin/vehicles/:id
+ * @desc    Vehicle with drivers, service history and upcoming trips
+ * @access  Admin
+ */
+router.get('/vehicles/:id', validateObjectId('id'), fleetController.getVehicle);
+
+/**
+ * @route   PATCH /api/admin/vehicles/:id
+ * @desc    Update vehicle details
+ * @access  Admin
+ */
+router.patch(
+  '/vehicles/:id',
+  validateObjectId('id'),
+  updateVehicleValidation,
+  fleetController.updateVehicle
+);
+
+/**
+ * @route   DELETE /api/admin/vehicles/:id
+ * @desc    Delete (or retire if it has trip history) a vehicle
+ * @access  Admin
+ */
+router.delete('/vehicles/:id', validateObjectId('id'), fleetController.deleteVehicle);
+
+/**
+ * @route   POST /api/admin/vehicles/:id/drivers
+ * @desc    Link a driver to the vehicle
+ * @access  Admin
+ */
+router.post(
+  '/vehicles/:id/drivers',
+  validateObjectId('id'),
+  linkDriverValidation,
+  fleetController.linkDriver
+);
+
+/**
+ * @route   DELETE /api/admin/vehicles/:id/drivers/:driverId
+ * @desc    Unlink a driver from the vehicle
+ * @access  Admin
+ */
+router.delete(
+  '/vehicles/:id/drivers/:driverId',
+  validateObjectIds('id', 'driverId'),
+  fleetController.unlinkDriver
+);
+
+/**
+ * @route   POST /api/admin/vehicles/:id/service
+ * @desc    Record a service event
+ * @access  Admin
+ */
+router.post(
+  '/vehicles/:id/service',
+  validateObjectId('id'),
+  serviceValidation,
+  fleetController.recordService
+);
+
+/**
+ * @route   POST /api/admin/vehicles/:id/off-road
+ * @desc    Take a vehicle out of service
+ * @access  Admin
+ */
+router.post(
+  '/vehicles/:id/off-road',
+  validateObjectId('id'),
+  offRoadValidation,
+  fleetController.takeOffRoad
+);
+
+/**
+ * @route   DELETE /api/admin/vehicles/:id/off-road
+ * @desc    Return a vehicle to service
+ * @access  Admin
+ */
+router.delete('/vehicles/:id/off-road', validateObjectId('id'), fleetController.returnToService);
+
+// ============================================
+// USERS
+// ============================================
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    List and search users (?search= name, email or phone; role; isActive)
+ * @access  Admin
+ */
+router.get('/users', validatePagination, listUsersValidation, userAdminController.getAllUsers);
+
+/**
+ * @route   GET /api/admin/users/:userId
+ * @desc    User with driver profile and admin change history
+ * @access  Admin
+ */
+router.get('/users/:userId', validateObjectId('userId'), userAdminController.getUser);
+
+/**
+ * @route   POST /api/admin/users/:userId/driver
+ * @desc    Promote to DRIVER, linking (driverId) or creating the driver profile
+ * @access  Admin
+ * @body    { driverId?: string, name?: string, licenseNumber?: string, licenseExpiry?: date }
+ */
+router.post(
+  '/users/:userId/driver',
+  validateObjectId('userId'),
+  promoteToDriverValidation,
+  userAdminController.promoteToDriver
+);
+
+/**
+ * @desc    Suspend a non-admin account (signs it out everywhere)
+ * @desc    Suspend the account (signs it out everywhere)
+ * @access  Admin
+ * @body    { reason: string }
+ */
+router.post(
+  '/users/:userId/suspension',
+  validateObjectId('userId'),
+  suspendUserValidation,
+  userAdminController.suspendUser
+);
+
+/**
+ * @route   DELETE /api/admin/users/:userId/suspension
+ * @desc    Reactivate a suspended account
+ * @access  Admin
+ * @body    { reason?: string }
+ */
+router.delete(
+  '/users/:userId/suspension',
+  validateObjectId('userId'),
+  reactivateUserValidation,
+  userAdminController.reactivateUser
+);
+
+// ============================================
+// SECURITY
+// ============================================
+
+/**
+ * @route   GET /api/admin/auth-events
+ * @desc    OTP lockout and throttling audit events
+ * @access  Admin
+ */
+router.get(
+  '/auth-events',
+  validatePagination,
+  authEventsValidation,
+  securityController.getAuthEvents
+);
+
+export default router;
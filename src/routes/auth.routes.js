@@ -1,9 +1,9 @@
 // src/routes/auth.routes.js - Clean Authentication Routes
 import express from 'express';
-import { body } from 'express-validator';
+import { body, query } from 'express-validator';
 import * as authController from '../controllers/auth.controller.js';
 import { protect } from '../middleware/auth.middleware.js';
-import { validate } from '../middleware/validation.middleware.js';
+import { validate, validateObjectId } from '../middleware/validation.middleware.js';
 
 const router = express.Router();
 
@@ -150,6 +150,44 @@ const resendOtpValidation = [
   validate
 ];
 
+// Change phone validation (step 1: new number, step 2: new number + OTP)
+const requestPhoneChangeValidation = [
+  body('newPhoneNumber')
+    .trim()
+    .notEmpty().withMessage('New phone number is required')
+    .matches(/^[6-9]\d{9}$/).withMessage('Please provide a valid 10-digit Indian phone number'),
+  validate
+];
+
+const confirmPhoneChangeValidation = [
+  body('newPhoneNumber')
+    .trim()
+    .notEmpty().withMessage('New phone number is required')
+    .matches(/^[6-9]\d{9}$/).withMessage('Please provide a valid 10-digit Indian phone number'),
+  body('otp')
+    .trim()
+    .notEmpty().withMessage('OTP is required')
+    .isLength({ min: 6, max: 6 }).withMessage('OTP must be exactly 6 digits')
+    .isNumeric().withMessage('OTP must contain only numbers'),
+  validate
+];
+
+// Refresh token validation
+const refreshValidation = [
+  body('refreshToken')
+    .trim()
+    .notEmpty().withMessage('Refresh token is required'),
+  validate
+];
+
+// Logout-all validation
+const revokeAllSessionsValidation = [
+  query('keepCurrent')
+    .optional()
+    .isIn(['true', 'false']).withMessage('keepCurrent must be true or false'),
+  validate
+];
+
 // ============================================
 // PUBLIC ROUTES (No Authentication Required)
 // ============================================
@@ -164,9 +202,9 @@ router.post('/send_otp', authController.sendOtp);
 
 /**
  * @route   POST /api/auth/verify-otp
- * @desc    Verify OTP and authenticate user
+ * @desc    Verify OTP and authenticate user (starts a session for the device)
  * @access  Public
- * @body    { phoneNumber: string, otp: string }
+ * @body    { phoneNumber: string, otp: string, deviceId?: string, deviceType?: string, deviceName?: string }
  */
 router.post('/verify_otp', authController.verifyOtp);
 
@@ -178,6 +216,14 @@ router.post('/verify_otp', authController.verifyOtp);
  */
 router.post('/resend-otp', resendOtpValidation, authController.resendOtp);
 
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Rotate the refresh token and issue a new access token
+ * @access  Public
+ * @body    { refreshToken: string }
+ */
+router.post('/refresh', refreshValidation, authController.refreshToken);
+
 /**
  * @route   POST /api/auth/check-phone
  * @desc    Check if phone number exists in system
@@ -213,6 +259,27 @@ router.get('/user', protect, authController.getUser);
  */
 router.put('/updateProfile', protect, authController.updateProfile);
 
+/**
+ * @route   POST /api/auth/change-phone
+ * @desc    Request a phone number change (OTP sent to the new number)
+ * @access  Private
+ * @body    { newPhoneNumber: string }
+ */
+router.post('/change-phone', protect, requestPhoneChangeValidation, authController.requestPhoneChange);
+
+/**
+ * @route   POST /api/auth/change-phone/verify
+ * @desc    Confirm the change; logs out every device and starts a new session for this one
+ * @access  Private
+ * @body    { newPhoneNumber: string, otp: string, deviceId?: string, deviceType?: string, deviceName?: string }
+ */
+router.post(
+  '/change-phone/verify',
+  protect,
+  confirmPhoneChangeValidation,
+  authController.confirmPhoneChange
+);
+
 /**
  * @route   POST /api/auth/logout
  * @desc    Logout user (clear cookies)
@@ -228,4 +295,30 @@ router.post('/logout', protect, authController.logout);
  */
 router.delete('/account', protect, deleteAccountValidation, authController.deleteAccount);
 
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions (devices)
+ * @access  Private
+ */
+router.get('/sessions', protect, authController.getSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Log out all devices (?keepCurrent=true keeps this one)
+ * @access  Private
+ */
+router.delete('/sessions', protect, revokeAllSessionsValidation, authController.revokeAllSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Log out one device
+ * @access  Private
+ */
+router.delete(
+  '/sessions/:sessionId',
+  protect,
+  validateObjectId('sessionId'),
+  authController.revokeSession
+);
+
 export default router;
\ No newline at end of file
@@ -2,9 +2,10 @@
 import express from 'express';
 import { body, query } from 'express-validator';
 import * as bookingController from '../controllers/booking.controller.js';
+import * as chatController from '../controllers/chat.controller.js';
 import { protect, restrictTo } from '../middleware/auth.middleware.js';
 import validate, { validateObjectId, validatePagination } from '../middleware/validation.middleware.js';
-import { BOOKING_TYPES, BOOKING_STATUS } from '../config/constants.js';
+import { BOOKING_TYPES, BOOKING_STATUS, SETTLEMENT_CONFIG, CHAT_CONFIG } from '../config/constants.js';
 
 const router = express.Router();
 
@@ -125,6 +126,52 @@ const statusValidation = [
     .trim()
     .notEmpty().withMessage('Status is required')
     .isIn(Object.values(BOOKING_STATUS)).withMessage('Invalid booking status'),
+  body('otp')
+    .optional()
+    .trim()
+    .isNumeric().withMessage('OTP must be numeric')
+    .isLength({ min: 4, max: 6 }).withMessage('Invalid OTP format'),
+  body('startOdometer')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('startOdometer must be a positive number')
+    .toFloat(),
+  body('endOdometer')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('endOdometer must be a positive number')
+    .toFloat(),
+  body('waitingTimeMinutes')
+    .optional()
+    .isInt({ min: 0, max: 1440 }).withMessage('waitingTimeMinutes must be between 0 and 1440')
+    .toInt(),
+  body('tollCharges')
+    .optional()
+    .isFloat({ min: 0, max: SETTLEMENT_CONFIG.MAX_TOLL_CHARGES })
+    .withMessage(`tollCharges must be between 0 and ${SETTLEMENT_CONFIG.MAX_TOLL_CHARGES}`)
+    .toFloat(),
+  body('parkingCharges')
+    .optional()
+    .isFloat({ min: 0, max: SETTLEMENT_CONFIG.MAX_PARKING_CHARGES })
+    .withMessage(`parkingCharges must be between 0 and ${SETTLEMENT_CONFIG.MAX_PARKING_CHARGES}`)
+    .toFloat(),
+  validate
+];
+
+const assignValidation = [
+  body('driverId')
+    .trim()
+    .notEmpty().withMessage('Driver ID is required')
+    .isMongoId().withMessage('Invalid driver ID format'),
+  body('vehicleId')
+    .trim()
+    .notEmpty().withMessage('Vehicle ID is required')
+    .isMongoId().withMessage('Invalid vehicle ID format'),
+  validate
+];
+
+const verifyBalanceValidation = [
+  body('razorpay_payment_id').trim().notEmpty().withMessage('razorpay_payment_id is required'),
+  body('razorpay_order_id').trim().notEmpty().withMessage('razorpay_order_id is required'),
+  body('razorpay_signature').trim().notEmpty().withMessage('razorpay_signature is required'),
   validate
 ];
 
@@ -147,6 +194,15 @@ const discountValidation = [
   validate
 ];
 
+const messageValidation = [
+  body('text')
+    .trim()
+    .notEmpty().withMessage('Message text is required')
+    .isLength({ max: CHAT_CONFIG.MAX_MESSAGE_LENGTH })
+    .withMessage(`Message cannot exceed ${CHAT_CONFIG.MAX_MESSAGE_LENGTH} characters`),
+  validate
+];
+
 const estimateFareValidation = [
   body('bookingType')
     .trim()
@@ -275,6 +331,43 @@ router.get(
   bookingController.getCancellationCharges
 );
 
+/**
+ * @route   GET /api/bookings/:id/invoice
+ * @desc    Get itemised final invoice of a completed trip
+ * @access  Private
+ */
+router.get(
+  '/:id/invoice',
+  protect,
+  validateObjectId('id'),
+  bookingController.getInvoice
+);
+
+/**
+ * @route   POST /api/bookings/:id/pay-balance
+ * @desc    Create payment order for the remaining balance
+ * @access  Private
+ */
+router.post(
+  '/:id/pay-balance',
+  protect,
+  validateObjectId('id'),
+  bookingController.payRemainingBalance
+);
+
+/**
+ * @route   POST /api/bookings/:id/verify-balance-payment
+ * @desc    Verify remaining balance payment
+ * @access  Private
+ */
+router.post(
+  '/:id/verify-balance-payment',
+  protect,
+  validateObjectId('id'),
+  verifyBalanceValidation,
+  bookingController.verifyBalancePayment
+);
+
 /**
  * @route   POST /api/bookings/:id/rating
  * @desc    Add rating to completed booking
@@ -301,6 +394,44 @@ router.post(
   bookingController.applyDiscount
 );
 
+/**
+ * @route   GET /api/bookings/:id/messages
+ * @desc    Get in-trip chat history
+ * @access  Private
+ */
+router.get(
+  '/:id/messages',
+  protect,
+  validateObjectId('id'),
+  validatePagination,
+  chatController.getMessages
+);
+
+/**
+ * @route   POST /api/bookings/:id/messages
+ * @desc    Send an in-trip chat message
+ * @access  Private
+ */
+router.post(
+  '/:id/messages',
+  protect,
+  validateObjectId('id'),
+  messageValidation,
+  chatController.sendMessage
+);
+
+/**
+ * @route   PATCH /api/bookings/:id/messages/read
+ * @desc    Mark chat messages as read
+ * @access  Private
+ */
+router.patch(
+  '/:id/messages/read',
+  protect,
+  validateObjectId('id'),
+  chatController.markMessagesRead
+);
+
 // ============================================
 // ADMIN ROUTES
 // ============================================
@@ -318,5 +449,19 @@ router.get(
   bookingController.getConfirmedBookings
 );
 
+/**
+ * @route   PATCH /api/bookings/:id/assign
+ * @desc    Assign driver and vehicle to a booking (Admin only)
+ * @access  Admin
+ */
+router.patch(
+  '/:id/assign',
+  protect,
+  restrictTo('ADMIN'),
+  validateObjectId('id'),
+  assignValidation,
+  bookingController.assignDriver
+);
+
 
 export default router;
\ No newline at end of file
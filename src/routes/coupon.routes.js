@@ -0,0 +1,164 @@
+// src/routes/coupon.routes.js - Coupon Administration Routes
+import express from 'express';
+import { body, query } from 'express-validator';
+import * as couponController from '../controllers/coupon.controller.js';
+import { protect, restrictTo } from '../middleware/auth.middleware.js';
+import validate, { validateObjectId, validatePagination } from '../middleware/validation.middleware.js';
+import {
+  BOOKING_TYPES,
+  VEHICLE_TYPES,
+  DISCOUNT_TYPES,
+  COUPON_CONFIG
+} from '../config/constants.js';
+
+const router = express.Router();
+
+// ============================================
+// ALL ROUTES REQUIRE ADMIN
+// ============================================
+router.use(protect, restrictTo('ADMIN'));
+
+// ============================================
+// VALIDATION RULES
+// ============================================
+
+const couponFieldRules = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+  body('maxDiscount')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 }).withMessage('maxDiscount must be a positive number')
+    .toFloat(),
+  body('minFare')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('minFare must be a positive number')
+    .toFloat(),
+  body('validFrom')
+    .optional()
+    .isISO8601().withMessage('validFrom must be a valid date')
+    .toDate(),
+  body('usageLimit')
+    .optional({ nullable: true })
+    .isInt({ min: 1 }).withMessage('usageLimit must be at least 1')
+    .toInt(),
+  body('perUserLimit')
+    .optional()
+    .isInt({ min: 1 }).withMessage('perUserLimit must be at least 1')
+    .toInt(),
+  body('firstRideOnly')
+    .optional()
+    .isBoolean().withMessage('firstRideOnly must be a boolean')
+    .toBoolean(),
+  body('bookingTypes')
+    .optional()
+    .isArray().withMessage('bookingTypes must be an array'),
+  body('bookingTypes.*')
+    .isIn(Object.values(BOOKING_TYPES)).withMessage('Invalid booking type'),
+  body('vehicleTypes')
+    .optional()
+    .isArray().withMessage('vehicleTypes must be an array'),
+  body('vehicleTypes.*')
+    .isIn(Object.values(VEHICLE_TYPES)).withMessage('Invalid vehicle type'),
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be a boolean')
+    .toBoolean()
+];
+
+const createCouponValidation = [
+  body('code')
+    .trim()
+    .notEmpty().withMessage('Coupon code is required')
+    .isLength({ min: COUPON_CONFIG.CODE_MIN_LENGTH, max: COUPON_CONFIG.CODE_MAX_LENGTH })
+    .withMessage(`Code must be ${COUPON_CONFIG.CODE_MIN_LENGTH}-${COUPON_CONFIG.CODE_MAX_LENGTH} characters`)
+    .matches(/^[A-Za-z0-9_-]+$/).withMessage('Code can only contain letters, numbers, - and _'),
+  body('discountType')
+    .notEmpty().withMessage('Discount type is required')
+    .isIn(Object.values(DISCOUNT_TYPES)).withMessage('Invalid discount type'),
+  body('discountValue')
+    .notEmpty().withMessage('Discount value is required')
+    .isFloat({ gt: 0 }).withMessage('Discount value must be greater than 0')
+    .toFloat(),
+  body('validUntil')
+    .notEmpty().withMessage('validUntil is required')
+    .isISO8601().withMessage('validUntil must be a valid date')
+    .toDate(),
+  ...couponFieldRules,
+  validate
+];
+
+const updateCouponValidation = [
+  body('discountType')
+    .optional()
+    .isIn(Object.values(DISCOUNT_TYPES)).withMessage('Invalid discount type'),
+  body('discountValue')
+    .optional()
+    .isFloat({ gt: 0 }).withMessage('Discount value must be greater than 0')
+    .toFloat(),
+  body('validUntil')
+    .optional()
+    .isISO8601().withMessage('validUntil must be a valid date')
+    .toDate(),
+  ...couponFieldRules,
+  validate
+];
+
+const listCouponsValidation = [
+  query('isActive')
+    .optional()
+    .isIn(['true', 'false']).withMessage('isActive must be true or false'),
+  validate
+];
+
+// ============================================
+// ROUTES
+// ============================================
+
+/**
+ * @route   POST /api/coupons
+ * @desc    Create a coupon
+ * @access  Admin
+ */
+router.post('/', createCouponValidation, couponController.createCoupon);
+
+/**
+ * @route   GET /api/coupons
+ * @desc    List coupons
+ * @access  Admin
+ */
+router.get(
+  '/',
+  validatePagination,
+  listCouponsValidation,
+  couponController.getAllCoupons
+);
+
+/**
+ * @route   GET /api/coupons/:id
+ * @desc    Get coupon with its most recent redemptions
+ * @access  Admin
+ */
+router.get('/:id', validateObjectId('id'), couponController.getCoupon);
+
+/**
+ * @route   PATCH /api/coupons/:id
+ * @desc    Update a coupon
+ * @access  Admin
+ */
+router.patch(
+  '/:id',
+  validateObjectId('id'),
+  updateCouponValidation,
+  couponController.updateCoupon
+);
+
+/**
+ * @route   DELETE /api/coupons/:id
+ * @desc    Delete (or deactivate if already redeemed) a coupon
+ * @access  Admin
+ */
+router.delete('/:id', validateObjectId('id'), couponController.deleteCoupon);
+
+export default router;
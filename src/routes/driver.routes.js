@@ -0,0 +1,244 @@
+// src/routes/driver.routes.js - Driver Facing Routes
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import * as driverController from '../controllers/driver.controller.js';
+import { protect, restrictTo } from '../middleware/auth.middleware.js';
+import validate, { validateObjectId, validateFileUpload } from '../middleware/validation.middleware.js';
+import { uploadSingle } from '../middleware/upload.middleware.js';
+import { DRIVER_DOCUMENT_TYPES, UPLOAD_CONFIG } from '../config/constants.js';
+
+const router = express.Router();
+
+// ============================================
+// VALIDATION RULES
+// ============================================
+
+const registerValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  body('email')
+    .optional()
+    .trim()
+    .isEmail().withMessage('Invalid email address')
+    .normalizeEmail(),
+  body('licenseNumber')
+    .trim()
+    .notEmpty().withMessage('licenseNumber is required')
+    .isLength({ min: 8, max: 20 }).withMessage('licenseNumber must be between 8 and 20 characters')
+    .matches(/^[A-Za-z0-9-]+$/).withMessage('licenseNumber may only contain letters, digits and hyphens')
+    .toUpperCase(),
+  body('licenseExpiry')
+    .notEmpty().withMessage('licenseExpiry is required')
+    .isISO8601().withMessage('licenseExpiry must be a valid date')
+    .custom(value => new Date(value) > new Date()).withMessage('License has already expired'),
+  body('emergencyContact.phone')
+    .optional()
+    .matches(/^[6-9]\d{9}$/).withMessage('Invalid emergency contact phone number'),
+  body('bankDetails.accountNumber')
+    .optional()
+    .matches(/^\d{9,18}$/).withMessage('Account number must be 9 to 18 digits'),
+  body('bankDetails.ifscCode')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{4}0[A-Z0-9]{6}$/).withMessage('Invalid IFSC code'),
+  body('bankDetails.accountHolderName')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }).withMessage('Account holder name cannot exceed 100 characters'),
+  validate
+];
+
+const documentTypeValidation = [
+  param('type')
+    .customSanitizer(value => String(value).toUpperCase())
+    .isIn(Object.values(DRIVER_DOCUMENT_TYPES))
+    .withMessage(`type must be one of: ${Object.values(DRIVER_DOCUMENT_TYPES).join(', ')}`),
+  validate
+];
+
+// Runs after multer, which fills req.body from the multipart fields
+const documentUploadValidation = [
+  validateFileUpload('file', {
+    required: true,
+    maxSize: UPLOAD_CONFIG.MAX_FILE_SIZE,
+    allowedTypes: UPLOAD_CONFIG.ALLOWED_DOCUMENT_TYPES
+  }),
+  body('documentNumber')
+    .optional()
+    .trim()
+    .isLength({ max: 50 }).withMessage('documentNumber cannot exceed 50 characters'),
+  body('expiresAt')
+    .optional()
+    .isISO8601().withMessage('expiresAt must be a valid date')
+    .custom(value => new Date(value) > new Date()).withMessage('Document has already expired'),
+  validate
+];
+
+const availabilityValidation = [
+  body('isAvailable')
+    .optional()
+    .isBoolean().withMessage('isAvailable must be a boolean')
+    .toBoolean(),
+  validate
+];
+
+const locationValidation = [
+  body('lat')
+    .notEmpty().withMessage('lat is required')
+    .isFloat({ min: -90, max: 90 }).withMessage('lat must be between -90 and 90')
+    .toFloat(),
+  body('lng')
+    .notEmpty().withMessage('lng is required')
+    .isFloat({ min: -180, max: 180 }).withMessage('lng must be between -180 and 180')
+    .toFloat(),
+  validate
+];
+
+const tripsValidation = [
+  query('type')
+    .optional()
+    .isIn(['upcoming', 'active', 'past']).withMessage('type must be upcoming, active or past'),
+  validate
+];
+
+const collectCashValidation = [
+  body('amount')
+    .notEmpty().withMessage('amount is required')
+    .isFloat({ gt: 0 }).withMessage('amount must be greater than 0')
+    .toFloat(),
+  validate
+];
+
+const rejectValidation = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters'),
+  validate
+];
+
+// ============================================
+// REGISTRATION (ANY LOGGED-IN USER)
+// ============================================
+
+/**
+ * @route   POST /api/driver/register
+ * @desc    Register as a driver (then upload documents for verification)
+ * @access  Private
+ */
+router.post('/register', protect, registerValidation, driverController.registerDriver);
+
+// ============================================
+// ALL ROUTES BELOW REQUIRE A DRIVER ACCOUNT
+// ============================================
+router.use(protect, restrictTo('DRIVER'));
+
+// ============================================
+// KYC DOCUMENTS
+// ============================================
+
+/**
+ * @route   GET /api/driver/documents
+ * @desc    Own documents and verification state
+ * @access  Driver
+ */
+router.get('/documents', driverController.getMyDocuments);
+
+/**
+ * @route   PUT /api/driver/documents/:type
+ * @desc    Upload or replace a document (multipart, field "file")
+ * @access  Driver
+ */
+router.put(
+  '/documents/:type',
+  documentTypeValidation,
+  uploadSingle('file'),
+  documentUploadValidation,
+  driverController.uploadDocument
+);
+
+/**
+ * @route   GET /api/driver/documents/:type/file
+ * @desc    Download own uploaded document
+ * @access  Driver
+ */
+router.get('/documents/:type/file', documentTypeValidation, driverController.downloadMyDocument);
+
+// ============================================
+// PROFILE & AVAILABILITY
+// ============================================
+
+/**
+ * @route   GET /api/driver/me
+ * @desc    Get own driver profile
+ * @access  Driver
+ */
+router.get('/me', driverController.getMyProfile);
+
+/**
+ * @route   PATCH /api/driver/availability
+ * @desc    Go online/offline (toggles when isAvailable is omitted)
+ * @access  Driver
+ */
+router.patch('/availability', availabilityValidation, driverController.updateAvailability);
+
+/**
+ * @route   PATCH /api/driver/location
+ * @desc    Push current location
+ * @access  Driver
+ */
+router.patch('/location', locationValidation, driverController.updateLocation);
+
+// ============================================
+// TRIPS & OFFERS
+// ============================================
+
+/**
+ * @route   GET /api/driver/trips
+ * @desc    List assigned/active/past trips
+ * @access  Driver
+ */
+router.get('/trips', tripsValidation, driverController.getMyTrips);
+
+/**
+ * @route   POST /api/driver/trips/:id/collect-cash
+ * @desc    Record cash collected for the remaining balance
+ * @access  Driver
+ */
+router.post(
+  '/trips/:id/collect-cash',
+  validateObjectId('id'),
+  collectCashValidation,
+  driverController.collectCash
+);
+
+/**
+ * @route   GET /api/driver/offers
+ * @desc    List open booking offers
+ * @access  Driver
+ */
+router.get('/offers', driverController.getMyOffers);
+
+/**
+ * @route   POST /api/driver/offers/:id/accept
+ * @desc    Accept a booking offer
+ * @access  Driver
+ */
+router.post('/offers/:id/accept', validateObjectId('id'), driverController.acceptOffer);
+
+/**
+ * @route   POST /api/driver/offers/:id/reject
+ * @desc    Reject a booking offer
+ * @access  Driver
+ */
+router.post(
+  '/offers/:id/reject',
+  validateObjectId('id'),
+  rejectValidation,
+  driverController.rejectOffer
+);
+
+export default router;
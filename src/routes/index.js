@@ -73,6 +73,7 @@
 //           getProfile: 'GET /api/auth/me (Protected)',
 //           updateProfile: 'PUT /api/auth/profile (Protected)',
 //           changePhone: 'POST /api/auth/change-phone (Protected)',
+//           confirmPhoneChange: 'POST /api/auth/change-phone/verify (Protected)',
 //           logout: 'POST /api/auth/logout (Protected)',
 //           deleteAccount: 'DELETE /api/auth/account (Protected)'
 //         }
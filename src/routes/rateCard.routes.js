@@ -0,0 +1,119 @@
+// src/routes/rateCard.routes.js - Rate Card Administration Routes
+import express from 'express';
+import { body, query } from 'express-validator';
+import * as rateCardController from '../controllers/rateCard.controller.js';
+import { protect, restrictTo } from '../middleware/auth.middleware.js';
+import validate, { validateObjectId, validatePagination } from '../middleware/validation.middleware.js';
+import { RATE_CARD_STATUS, RATE_CARD_SCOPES } from '../config/constants.js';
+
+const router = express.Router();
+
+// ============================================
+// ALL ROUTES REQUIRE ADMIN
+// ============================================
+router.use(protect, restrictTo('ADMIN'));
+
+// ============================================
+// VALIDATION RULES
+// ============================================
+
+// Section contents are validated by the RateCard model
+const rateCardValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  body('scope.type')
+    .optional()
+    .isIn(Object.values(RATE_CARD_SCOPES)).withMessage('Invalid rate card scope'),
+  body('scope.city')
+    .optional()
+    .isString().withMessage('scope.city must be a string')
+    .trim()
+    .isLength({ max: 100 }).withMessage('scope.city cannot exceed 100 characters'),
+  body('scope.aliases')
+    .optional()
+    .isArray({ max: 20 }).withMessage('scope.aliases must be an array of up to 20 names'),
+  body('scope.polygon')
+    .optional()
+    .isArray({ min: 3, max: 200 }).withMessage('scope.polygon must have 3 to 200 points'),
+  body('scope.polygon.*.lat')
+    .isFloat({ min: -90, max: 90 }).withMessage('Polygon lat must be between -90 and 90')
+    .toFloat(),
+  body('scope.polygon.*.lng')
+    .isFloat({ min: -180, max: 180 }).withMessage('Polygon lng must be between -180 and 180')
+    .toFloat(),
+  body(['pricing', 'localPackages', 'airportBasePrice', 'outstationSurcharges', 'addOnServices'])
+    .optional()
+    .isObject().withMessage('Pricing sections must be objects'),
+  validate
+];
+
+const listValidation = [
+  query('status')
+    .optional()
+    .customSanitizer(value => String(value).toUpperCase())
+    .isIn(Object.values(RATE_CARD_STATUS)).withMessage('Invalid rate card status'),
+  query('scope')
+    .optional()
+    .customSanitizer(value => String(value).toUpperCase())
+    .isIn(Object.values(RATE_CARD_SCOPES)).withMessage('Invalid rate card scope'),
+  validate
+];
+
+// ============================================
+// ROUTES
+// ============================================
+
+/**
+ * @route   GET /api/rate-cards
+ * @desc    List rate card versions
+ * @access  Admin
+ */
+router.get('/', validatePagination, listValidation, rateCardController.getAllRateCards);
+
+/**
+ * @route   GET /api/rate-cards/active
+ * @desc    Get the rates used for a pickup city/coordinates (national if omitted)
+ * @access  Admin
+ */
+router.get('/active', rateCardController.getActiveRateCard);
+
+/**
+ * @route   POST /api/rate-cards
+ * @desc    Create a draft rate card (missing sections copied from active rates)
+ * @access  Admin
+ */
+router.post('/', rateCardValidation, rateCardController.createRateCard);
+
+/**
+ * @route   GET /api/rate-cards/:id
+ * @desc    Get a rate card version
+ * @access  Admin
+ */
+router.get('/:id', validateObjectId('id'), rateCardController.getRateCard);
+
+/**
+ * @route   PATCH /api/rate-cards/:id
+ * @desc    Update a draft rate card
+ * @access  Admin
+ */
+router.patch(
+  '/:id',
+  validateObjectId('id'),
+  rateCardValidation,
+  rateCardController.updateRateCard
+);
+
+/**
+ * @route   POST /api/rate-cards/:id/activate
+ * @desc    Activate (or roll back to) a rate card version
+ * @access  Admin
+ */
+router.post('/:id/activate', validateObjectId('id'), rateCardController.activateRateCard);
+
+export default router;
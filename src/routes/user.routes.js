@@ -3,7 +3,7 @@ import express from 'express';
 import { query } from 'express-validator';
 import * as userController from '../controllers/user.controller.js';
 import { protect } from '../middleware/auth.middleware.js';
-import validate, { validatePagination } from '../middleware/validation.middleware.js';
+import validate, { validateObjectId, validatePagination } from '../middleware/validation.middleware.js';
 
 const router = express.Router();
 
@@ -30,6 +30,13 @@ const searchValidation = [
   validate
 ];
 
+const notificationListValidation = [
+  query('unread')
+    .optional()
+    .isIn(['true', 'false']).withMessage('unread must be true or false'),
+  validate
+];
+
 // ============================================
 // BOOKING RELATED ROUTES
 // ============================================
@@ -82,10 +89,40 @@ router.get('/me/stats', userController.getUserStats);
 
 /**
  * @route   GET /api/users/me/notifications
- * @desc    Get user notifications
+ * @desc    Get notification inbox
+ * @access  Private
+ */
+router.get(
+  '/me/notifications',
+  validatePagination,
+  notificationListValidation,
+  userController.getNotifications
+);
+
+/**
+ * @route   GET /api/users/me/notifications/unread-count
+ * @desc    Get unread notification count
+ * @access  Private
+ */
+router.get('/me/notifications/unread-count', userController.getUnreadNotificationCount);
+
+/**
+ * @route   PATCH /api/users/me/notifications/read-all
+ * @desc    Mark all notifications as read
+ * @access  Private
+ */
+router.patch('/me/notifications/read-all', userController.markAllNotificationsRead);
+
+/**
+ * @route   PATCH /api/users/me/notifications/:id/read
+ * @desc    Mark a notification as read
  * @access  Private
  */
-router.get('/me/notifications', userController.getNotifications);
+router.patch(
+  '/me/notifications/:id/read',
+  validateObjectId('id'),
+  userController.markNotificationRead
+);
 
 // ============================================
 // USER PREFERENCES & DATA
@@ -0,0 +1,58 @@
+// src/services/availability.service.js - Vehicle Availability Calendar
+import Booking from '../models/Booking.js';
+import Vehicle from '../models/Vehicle.js';
+import complianceService from './compliance.service.js';
+import { VEHICLE_TYPES } from '../config/constants.js';
+
+class AvailabilityService {
+  /**
+   * Vehicles of each type free for a trip window. A vehicle is taken by an
+   * overlapping assigned/running trip; a paid or awaiting-payment booking
+   * without a vehicle yet holds one of its type. Vehicles out of service or
+   * with papers expiring before the trip ends are not counted.
+   * @param {Date} start - Trip start
+   * @param {Date} end - Trip end (Booking.estimateTripEnd); null for a default-length window
+   * @returns {Promise<Object>} { [vehicleType]: { total, booked, held, remaining } }
+   */
+  async getAvailabilityByType(start, end = null) {
+    const tripEnd = end || start;
+    const bookings = await Booking.findInWindow({ start, end }).lean();
+    const bookedVehicleIds = bookings.filter(b => b.vehicleId).map(b => b.vehicleId);
+
+    // Counted in the database so the cost does not grow with the fleet
+    const counts = await Vehicle.aggregate([
+      { $match: { isAvailable: true, ...complianceService.vehicleFilter(tripEnd) } },
+      {
+        $group: {
+          _id: '$type',
+          total: { $sum: 1 },
+          booked: { $sum: { $cond: [{ $in: ['$_id', bookedVehicleIds] }, 1, 0] } }
+        }
+      }
+    ]);
+
+    const availability = {};
+    Object.values(VEHICLE_TYPES).forEach((type) => {
+      availability[type] = { total: 0, booked: 0, held: 0, remaining: 0 };
+    });
+
+    counts
+      .filter(count => availability[count._id])
+      .forEach(({ _id: type, total, booked }) => {
+        availability[type].total = total;
+        availability[type].booked = booked;
+      });
+
+    bookings
+      .filter(b => !b.vehicleId && availability[b.vehicleType])
+      .forEach((b) => { availability[b.vehicleType].held += 1; });
+
+    Object.values(availability).forEach((slot) => {
+      slot.remaining = Math.max(0, slot.total - slot.booked - slot.held);
+    });
+
+    return availability;
+  }
+}
+
+export default new AvailabilityService();
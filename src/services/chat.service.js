@@ -0,0 +1,216 @@
+// src/services/chat.service.js - In-trip Chat between Passenger and Driver
+import Message from '../models/Message.js';
+import Booking from '../models/Booking.js';
+import Driver from '../models/Driver.js';
+import User from '../models/User.js';
+import socketService from './socket.service.js';
+import logger from '../config/logger.js';
+import {
+  NotFoundError,
+  BadRequestError,
+  AuthorizationError
+} from '../utils/customError.js';
+import {
+  USER_ROLES,
+  CHAT_CONFIG,
+  SOCKET_EVENTS,
+  NOTIFICATION_TYPES as INBOX_TYPES
+} from '../config/constants.js';
+import { maskPhoneNumbersInText } from '../utils/helpers.js';
+import { sendNotification, NOTIFICATION_TYPES } from '../utils/notification.utils.js';
+
+class ChatService {
+  /**
+   * Load a booking and check the user may take part in its chat:
+   * the customer, the assigned driver, or an admin.
+   * @param {string} bookingId - Booking database ID
+   * @param {Object} user - Logged-in user
+   * @returns {Promise<Object>} { booking, driver } (driver may be null)
+   */
+  async getChatContext(bookingId, user) {
+    const booking = await Booking.findById(bookingId)
+      .select('bookingId userId driverId status');
+
+    if (!booking) {
+      throw new NotFoundError('Booking not found');
+    }
+
+    let driver = booking.driverId
+      ? await Driver.findById(booking.driverId).select('name userId deviceInfo')
+      : null;
+
+    const isCustomer = booking.userId?.toString() === user._id.toString();
+    let isDriver = false;
+
+    if (driver && user.role === USER_ROLES.DRIVER) {
+      const ownProfile = await Driver.findForUser(user);
+      isDriver = !!ownProfile && ownProfile._id.toString() === driver._id.toString();
+      // findForUser may have just linked the profile to this user
+      if (isDriver) driver = ownProfile;
+    }
+
+    if (!isCustomer && !isDriver && user.role !== USER_ROLES.ADMIN) {
+      throw new AuthorizationError('You do not have permission to access this chat');
+    }
+
+    return { booking, driver };
+  }
+
+  /**
+   * Post a message to a booking chat.
+   * Delivered live over the socket; participants without a connection get an FCM push.
+   * @param {string} bookingId - Booking database ID
+   * @param {Object} user - Sender
+   * @param {string} text - Message text
+   * @returns {Promise<Object>} Saved message
+   */
+  async sendMessage(bookingId, user, text) {
+    const cleanText = typeof text === 'string' ? text.trim() : '';
+
+    if (!cleanText) {
+      throw new BadRequestError('Message text is required');
+    }
+
+    if (cleanText.length > CHAT_CONFIG.MAX_MESSAGE_LENGTH) {
+      throw new BadRequestError(`Message cannot exceed ${CHAT_CONFIG.MAX_MESSAGE_LENGTH} characters`);
+    }
+
+    const { booking, driver } = await this.getChatContext(bookingId, user);
+
+    if (!CHAT_CONFIG.WRITABLE_STATUSES.includes(booking.status)) {
+      throw new BadRequestError(
+        `Chat is only available while a driver is assigned or the trip is in progress (current status: ${booking.status})`
+      );
+    }
+
+    const message = await Message.create({
+      bookingId: booking._id,
+      senderId: user._id,
+      senderRole: user.role,
+      text: maskPhoneNumbersInText(cleanText),
+      readBy: [user._id]
+    });
+
+    const payload = {
+      _id: message._id,
+      bookingId: booking._id,
+      senderId: user._id,
+      senderRole: message.senderRole,
+      senderName: user.name,
+      text: message.text,
+      createdAt: message.createdAt
+    };
+
+    // Booking room plus the participants' personal rooms, so the message
+    // arrives even if the chat screen is not open
+    socketService.emitToBooking(booking._id, SOCKET_EVENTS.MESSAGE_RECEIVED, payload, {
+      userIds: [booking.userId, driver?.userId].filter(Boolean)
+    });
+
+    await this.notifyOfflineRecipients(booking, driver, user, message);
+
+    logger.info('Chat message sent', {
+      bookingId: booking.bookingId,
+      senderId: user._id,
+      senderRole: user.role
+    });
+
+    return message;
+  }
+
+  /**
+   * Message history of a booking, newest first
+   * @param {string} bookingId - Booking database ID
+   * @param {Object} user - Logged-in user
+   * @param {Object} pagination - { skip, limit }
+   * @returns {Promise<Object>} { messages, total }
+   */
+  async getHistory(bookingId, user, { skip, limit }) {
+    const { booking } = await this.getChatContext(bookingId, user);
+
+    const [messages, total] = await Promise.all([
+      Message.find({ bookingId: booking._id })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('senderId', 'name')
+        .lean(),
+      Message.countDocuments({ bookingId: booking._id })
+    ]);
+
+    return { messages, total };
+  }
+
+  /**
+   * Mark every message of a booking as read by the user
+   * @returns {Promise<number>} Number of messages newly marked
+   */
+  async markRead(bookingId, user) {
+    const { booking } = await this.getChatContext(bookingId, user);
+
+    const result = await Message.updateMany(
+      { bookingId: booking._id, readBy: { $ne: user._id } },
+      { $addToSet: { readBy: user._id } }
+    );
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * FCM fallback for the customer / driver when they have no live socket
+   */
+  async notifyOfflineRecipients(booking, driver, sender, message) {
+    const targets = [];
+
+    if (booking.userId && booking.userId.toString() !== sender._id.toString() &&
+      !socketService.isUserConnected(booking.userId)) {
+      const customer = await User.findById(booking.userId).select('fcmToken deviceInfo');
+      const latestDevice = customer?.deviceInfo
+        ?.slice()
+        .sort((a, b) => new Date(b.lastUsed) - new Date(a.lastUsed))[0];
+      targets.push({
+        userId: booking.userId,
+        token: customer?.fcmToken || latestDevice?.fcmToken
+      });
+    }
+
+    if (driver && driver.userId?.toString() !== sender._id.toString() &&
+      !(driver.userId && socketService.isUserConnected(driver.userId))) {
+      targets.push({
+        userId: driver.userId,
+        token: driver.deviceInfo?.[0]?.fcmToken
+      });
+    }
+
+    const title = sender.role === USER_ROLES.DRIVER
+      ? `Message from your driver (${booking.bookingId})`
+      : `New message on ${booking.bookingId}`;
+
+    for (const { userId, token } of targets.filter(target => target.userId || target.token)) {
+      try {
+        await sendNotification({
+          token,
+          title,
+          body: message.text,
+          type: NOTIFICATION_TYPES.GENERAL,
+          data: {
+            bookingId: booking.bookingId,
+            bookingDbId: booking._id.toString(),
+            messageId: message._id.toString(),
+            event: 'CHAT_MESSAGE'
+          },
+          userId,
+          bookingRef: booking._id,
+          inboxType: INBOX_TYPES.CHAT_MESSAGE
+        });
+      } catch (error) {
+        logger.error('Failed to send chat notification', {
+          bookingId: booking.bookingId,
+          error: error.message
+        });
+      }
+    }
+  }
+}
+
+export default new ChatService();
@@ -0,0 +1,405 @@
+// src/services/compliance.service.js - Expiry Checks for Driver and Vehicle Papers
+import Driver from '../models/Driver.js';
+import Vehicle from '../models/Vehicle.js';
+import notificationDispatcher from './dispatcher.service.js';
+import logger from '../config/logger.js';
+import { BadRequestError } from '../utils/customError.js';
+import {
+  COMPLIANCE_ITEMS,
+  COMPLIANCE_CONFIG,
+  COMPLIANCE_STATUS,
+  MESSAGE_CATEGORIES,
+  NOTIFICATION_TYPES as INBOX_TYPES
+} from '../config/constants.js';
+import { formatDate } from '../utils/helpers.js';
+import { messageRef } from '../utils/i18n.js';
+import {
+  sendAdminNotification,
+  NOTIFICATION_TYPES as PUSH_TYPES
+} from '../utils/notification.utils.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What is checked, where the date lives, and what it is checked against:
+// papers must stay valid until the trip ends; a service only blocks once overdue.
+const ITEMS = [
+  {
+    item: COMPLIANCE_ITEMS.DRIVER_LICENSE,
+    subject: 'DRIVER',
+    path: 'licenseExpiry',
+    label: 'Driving licence',
+    validThroughTrip: true
+  },
+  {
+    item: COMPLIANCE_ITEMS.VEHICLE_INSURANCE,
+    subject: 'VEHICLE',
+    path: 'insurance.expiryDate',
+    label: 'Vehicle insurance',
+    validThroughTrip: true
+  },
+  {
+    item: COMPLIANCE_ITEMS.VEHICLE_FITNESS,
+    subject: 'VEHICLE',
+    path: 'documents.fitnessExpiry',
+    label: 'Fitness certificate',
+    validThroughTrip: true
+  },
+  {
+    item: COMPLIANCE_ITEMS.VEHICLE_SERVICE,
+    subject: 'VEHICLE',
+    path: 'maintenance.nextServiceDue',
+    label: 'Scheduled service',
+    validThroughTrip: false
+  }
+];
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+// Catalogue name of a checked item, e.g. "Driving licence"
+export const itemRef = (item) => messageRef(`compliance.item.${item}`);
+
+const isServiceItem = (item) => item === COMPLIANCE_ITEMS.VEHICLE_SERVICE;
+
+class ComplianceService {
+  /**
+   * Expired papers of a driver and/or vehicle. Dates that were never
+   * recorded are not treated as expired.
+   * @param {Object} subjects - { driver, vehicle } (either may be omitted)
+   * @param {Date} validUntil - Papers must be valid past this (trip end)
+   * @param {Date} now - Reference time for overdue services
+   * @returns {Array} [{ item, subject, label, expiresAt }]
+   */
+  getBlockingIssues({ driver, vehicle }, validUntil = new Date(), now = new Date()) {
+    const subjects = { DRIVER: driver, VEHICLE: vehicle };
+
+    return ITEMS
+      .filter(definition => subjects[definition.subject])
+      .map((definition) => {
+        const expiresAt = getPath(subjects[definition.subject], definition.path);
+        if (!expiresAt) return null;
+
+        const deadline = definition.validThroughTrip ? validUntil : now;
+        if (new Date(expiresAt) > new Date(deadline)) return null;
+
+        return {
+          item: definition.item,
+          subject: definition.subject,
+          label: definition.label,
+          expiresAt
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Throw if the driver or vehicle may not take the booking
+   * @param {Object} subjects - { driver, vehicle }
+   * @param {Object} booking - Booking document, checked until getTripEnd()
+   */
+  assertAssignable(subjects, booking) {
+    const issues = this.getBlockingIssues(subjects, booking.getTripEnd());
+
+    if (issues.length > 0) {
+      throw new BadRequestError(
+        `Cannot assign: ${issues.map(issue =>
+          `${issue.label} ${isServiceItem(issue.item) ? 'overdue since' : 'expires'} ${formatDate(issue.expiresAt)}`
+        ).join('; ')}`,
+        {
+          messageKey: 'errors.complianceBlocksAssignment',
+          params: {
+            issues: issues.map(issue => messageRef(
+              isServiceItem(issue.item) ? 'compliance.issue.overdue' : 'compliance.issue.expires',
+              { item: itemRef(issue.item), date: formatDate(issue.expiresAt) }
+            ))
+          }
+        }
+      );
+    }
+  }
+
+  /**
+   * Mongo filter for drivers whose papers cover the trip (matching queries)
+   */
+  driverFilter(validUntil) {
+    return { licenseExpiry: { $gt: validUntil } };
+  }
+
+  /**
+   * Mongo filter for vehicles with no blocking issue for the trip, the
+   * query form of getBlockingIssues (dates never recorded pass)
+   */
+  vehicleFilter(validUntil, now = new Date()) {
+    return {
+      $and: ITEMS
+        .filter(definition => definition.subject === 'VEHICLE')
+        .map((definition) => {
+          const deadline = definition.validThroughTrip ? validUntil : now;
+          return { $or: [{ [definition.path]: null }, { [definition.path]: { $gt: deadline } }] };
+        })
+    };
+  }
+
+  /**
+   * Overall paper status of a driver and/or vehicle, with the dated items
+   * that are expired or due within `days`
+   * @returns {Object} { status, items: [{ item, label, expiresAt, daysLeft }] }
+   */
+  getComplianceStatus({ driver, vehicle }, days = COMPLIANCE_CONFIG.REPORT_DEFAULT_DAYS, now = new Date()) {
+    const subjects = { DRIVER: driver, VEHICLE: vehicle };
+    const horizon = now.getTime() + days * DAY_MS;
+
+    const items = ITEMS
+      .filter(definition => subjects[definition.subject])
+      .map((definition) => {
+        const expiresAt = getPath(subjects[definition.subject], definition.path);
+        if (!expiresAt || new Date(expiresAt).getTime() > horizon) return null;
+
+        return {
+          item: definition.item,
+          label: definition.label,
+          expiresAt,
+          daysLeft: Math.ceil((new Date(expiresAt).getTime() - now.getTime()) / DAY_MS)
+        };
+      })
+      .filter(Boolean);
+
+    let status = COMPLIANCE_STATUS.OK;
+    if (items.some(entry => entry.daysLeft <= 0)) status = COMPLIANCE_STATUS.EXPIRED;
+    else if (items.length > 0) status = COMPLIANCE_STATUS.EXPIRING;
+
+    return { status, items };
+  }
+
+  /**
+   * Mongo filter for vehicles in a COMPLIANCE_STATUS (fleet list filter)
+   */
+  vehicleStatusFilter(status, days = COMPLIANCE_CONFIG.REPORT_DEFAULT_DAYS, now = new Date()) {
+    const horizon = new Date(now.getTime() + days * DAY_MS);
+    const paths = ITEMS
+      .filter(definition => definition.subject === 'VEHICLE')
+      .map(definition => definition.path);
+
+    const notExpired = paths.map(path => ({ $or: [{ [path]: null }, { [path]: { $gt: now } }] }));
+
+    switch (status) {
+      case COMPLIANCE_STATUS.EXPIRED:
+        return { $or: paths.map(path => ({ [path]: { $lte: now } })) };
+      case COMPLIANCE_STATUS.EXPIRING:
+        return {
+          $and: [
+            ...notExpired,
+            { $or: paths.map(path => ({ [path]: { $gt: now, $lte: horizon } })) }
+          ]
+        };
+      case COMPLIANCE_STATUS.OK:
+        return {
+          $and: paths.map(path => ({ $or: [{ [path]: null }, { [path]: { $gt: horizon } }] }))
+        };
+      default:
+        return {};
+    }
+  }
+
+  // ========================================
+  // EXPIRY WARNINGS
+  // ========================================
+
+  /**
+   * Warn drivers (and admins, as one digest) about papers expiring within
+   * COMPLIANCE_CONFIG.WARNING_DAYS. Each threshold is sent once per expiry
+   * date, so a renewal (new date) starts the cycle again.
+   * @param {Date} now
+   * @returns {Promise<Object>} Summary { warned, byItem }
+   */
+  async sendExpiryWarnings(now = new Date()) {
+    const horizon = new Date(now.getTime() + Math.max(...COMPLIANCE_CONFIG.WARNING_DAYS) * DAY_MS);
+    const byItem = {};
+    let warned = 0;
+
+    for (const definition of ITEMS) {
+      const Model = definition.subject === 'DRIVER' ? Driver : Vehicle;
+
+      const docs = await Model.find({ [definition.path]: { $gt: now, $lte: horizon } })
+        .select(`${definition.path} complianceWarnings name phoneNumber userId deviceInfo licensePlate modelName`)
+        .lean();
+
+      for (const doc of docs) {
+        const expiresAt = new Date(getPath(doc, definition.path));
+        const daysLeft = Math.ceil((expiresAt.getTime() - now.getTime()) / DAY_MS);
+        const threshold = Math.min(...COMPLIANCE_CONFIG.WARNING_DAYS.filter(days => daysLeft <= days));
+
+        const previous = doc.complianceWarnings?.find(warning =>
+          warning.item === definition.item &&
+          new Date(warning.expiresAt).getTime() === expiresAt.getTime()
+        );
+        if (previous && previous.threshold <= threshold) continue;
+
+        // Record before sending so an overlapping run cannot warn twice
+        const claimed = await this.recordWarning(Model, doc, definition.item, expiresAt, threshold, now, previous);
+        if (!claimed) continue;
+
+        await this.notifyExpiry(definition, doc, expiresAt, daysLeft);
+        byItem[definition.item] = (byItem[definition.item] || 0) + 1;
+        warned += 1;
+      }
+    }
+
+    if (warned > 0) {
+      const lines = ITEMS
+        .filter(definition => byItem[definition.item])
+        .map(definition => `${definition.label}: ${byItem[definition.item]}`);
+
+      sendAdminNotification(
+        'Upcoming Paper Expiries',
+        `${warned} new expiry warning(s) sent. ${lines.join(', ')}. See the compliance report for details.`,
+        { type: 'COMPLIANCE_DIGEST' }
+      ).catch(error => logger.error('Compliance admin digest failed', { error: error.message }));
+    }
+
+    return { warned, byItem };
+  }
+
+  /**
+   * Replace the item's warning record; false if another run got there first
+   */
+  async recordWarning(Model, doc, item, expiresAt, threshold, now, previous) {
+    const entry = { item, expiresAt, threshold, sentAt: now };
+
+    if (previous) {
+      const result = await Model.updateOne(
+        {
+          _id: doc._id,
+          complianceWarnings: { $elemMatch: { item, expiresAt, threshold: previous.threshold } }
+        },
+        { $set: { 'complianceWarnings.$': entry } }
+      );
+      return result.modifiedCount > 0;
+    }
+
+    // Drop a record for an older expiry date, then add the new one
+    await Model.updateOne({ _id: doc._id }, { $pull: { complianceWarnings: { item } } });
+    const result = await Model.updateOne(
+      { _id: doc._id, 'complianceWarnings.item': { $ne: item } },
+      { $push: { complianceWarnings: entry } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Warn the driver concerned (for a vehicle: every driver linked to it)
+   * through the dispatcher, so drivers without the app still get an SMS
+   */
+  async notifyExpiry(definition, doc, expiresAt, daysLeft) {
+    const drivers = definition.subject === 'DRIVER'
+      ? [doc]
+      : await Driver.find({ vehicleId: doc._id }).select('phoneNumber userId deviceInfo').lean();
+
+    const kind = isServiceItem(definition.item) ? 'due' : 'expiry';
+    const item = itemRef(definition.item);
+    const title = messageRef(`compliance.warning.${kind}.title`, { item, days: daysLeft });
+    const body = [
+      messageRef(`compliance.warning.${kind}.body`, { item, date: formatDate(expiresAt) }),
+      definition.subject === 'VEHICLE'
+        ? messageRef('compliance.warning.vehicle', { licensePlate: doc.licensePlate })
+        : null,
+      messageRef('compliance.warning.renew')
+    ];
+
+    for (const driver of drivers) {
+      try {
+        await notificationDispatcher.dispatchToDriver(driver, {
+          category: MESSAGE_CATEGORIES.COMPLIANCE,
+          title,
+          body,
+          data: { item: definition.item, expiresAt: expiresAt.toISOString(), action: 'DRIVER_UPDATE' },
+          pushType: PUSH_TYPES.DELIVERY,
+          inbox: { type: INBOX_TYPES.COMPLIANCE_WARNING }
+        });
+      } catch (error) {
+        logger.error('Failed to send compliance warning', {
+          item: definition.item,
+          driverId: driver._id,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  // ========================================
+  // REPORT
+  // ========================================
+
+  /**
+   * Expired papers and those expiring within `days`, soonest first
+   * @param {Object} options - { days, item }
+   * @returns {Promise<Object>} { generatedAt, windowDays, summary, items }
+   */
+  async getExpiryReport({ days = COMPLIANCE_CONFIG.REPORT_DEFAULT_DAYS, item = null } = {}) {
+    const now = new Date();
+    const horizon = new Date(now.getTime() + days * DAY_MS);
+    const definitions = ITEMS.filter(definition => !item || definition.item === item);
+    const rows = [];
+
+    for (const definition of definitions) {
+      const Model = definition.subject === 'DRIVER' ? Driver : Vehicle;
+      const select = definition.subject === 'DRIVER'
+        ? `${definition.path} name phoneNumber isAvailable`
+        : `${definition.path} licensePlate modelName type isAvailable`;
+
+      const docs = await Model.find({ [definition.path]: { $ne: null, $lte: horizon } })
+        .select(select)
+        .sort({ [definition.path]: 1 })
+        .lean();
+
+      docs.forEach((doc) => {
+        const expiresAt = getPath(doc, definition.path);
+        const daysLeft = Math.ceil((new Date(expiresAt).getTime() - now.getTime()) / DAY_MS);
+
+        rows.push({
+          item: definition.item,
+          label: definition.label,
+          subject: definition.subject,
+          id: doc._id,
+          name: definition.subject === 'DRIVER' ? doc.name : `${doc.modelName} (${doc.licensePlate})`,
+          phoneNumber: doc.phoneNumber,
+          expiresAt,
+          daysLeft,
+          status: daysLeft <= 0 ? COMPLIANCE_STATUS.EXPIRED : COMPLIANCE_STATUS.EXPIRING
+        });
+      });
+    }
+
+    // Drivers using each listed vehicle
+    const vehicleIds = rows.filter(row => row.subject === 'VEHICLE').map(row => row.id);
+    if (vehicleIds.length > 0) {
+      const drivers = await Driver.find({ vehicleId: { $in: vehicleIds } })
+        .select('name phoneNumber vehicleId')
+        .lean();
+      rows.forEach((row) => {
+        if (row.subject !== 'VEHICLE') return;
+        row.drivers = drivers
+          .filter(driver => driver.vehicleId?.toString() === row.id.toString())
+          .map(driver => ({ id: driver._id, name: driver.name, phoneNumber: driver.phoneNumber }));
+      });
+    }
+
+    rows.sort((a, b) => new Date(a.expiresAt) - new Date(b.expiresAt));
+
+    const summary = { expired: 0, expiring: 0, byItem: {} };
+    rows.forEach((row) => {
+      const key = row.status === COMPLIANCE_STATUS.EXPIRED ? 'expired' : 'expiring';
+      summary[key] += 1;
+      summary.byItem[row.item] = summary.byItem[row.item] || { expired: 0, expiring: 0 };
+      summary.byItem[row.item][key] += 1;
+    });
+
+    return {
+      generatedAt: now,
+      windowDays: days,
+      summary,
+      items: rows
+    };
+  }
+}
+
+export default new ComplianceService();
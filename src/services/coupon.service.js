@@ -0,0 +1,147 @@
+// src/services/coupon.service.js - Coupon Validation & Redemption
+import Coupon from '../models/Coupon.js';
+import Booking from '../models/Booking.js';
+import logger from '../config/logger.js';
+import {
+  NotFoundError,
+  BadRequestError,
+  ConflictError
+} from '../utils/customError.js';
+import { BOOKING_STATUS } from '../config/constants.js';
+
+class CouponService {
+  /**
+   * Look up a coupon and check every rule that depends on the booking/user.
+   * Usage limits are checked here for a friendly error, and again atomically
+   * in redeem().
+   * @param {string} code - Coupon code as entered by the user
+   * @param {Object} booking - Booking document the coupon is applied to
+   * @param {Object} user - Logged-in user
+   * @returns {Promise<Object>} { coupon, discountAmount }
+   */
+  async validateForBooking(code, booking, user) {
+    const cleanCode = String(code).trim().toUpperCase();
+    const coupon = await Coupon.findOne({ code: cleanCode });
+
+    if (!coupon || !coupon.isActive) {
+      throw new NotFoundError('Invalid or expired discount code');
+    }
+
+    const now = new Date();
+
+    if (coupon.validFrom && coupon.validFrom > now) {
+      throw new BadRequestError('This discount code is not active yet');
+    }
+
+    if (coupon.validUntil < now) {
+      throw new BadRequestError('This discount code has expired');
+    }
+
+    if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+      throw new ConflictError('This discount code has reached its usage limit');
+    }
+
+    if (coupon.bookingTypes.length > 0 && !coupon.bookingTypes.includes(booking.bookingType)) {
+      throw new BadRequestError(
+        `This discount code is only valid for ${coupon.bookingTypes.join(', ')} bookings`
+      );
+    }
+
+    if (coupon.vehicleTypes.length > 0 && !coupon.vehicleTypes.includes(booking.vehicleType)) {
+      throw new BadRequestError(
+        `This discount code is only valid for ${coupon.vehicleTypes.join(', ')} vehicles`
+      );
+    }
+
+    const fare = booking.fareDetails.finalAmount;
+
+    if (fare < coupon.minFare) {
+      throw new BadRequestError(`Minimum fare of ₹${coupon.minFare} required for this discount code`);
+    }
+
+    if (coupon.firstRideOnly) {
+      const hasPreviousRide = await Booking.exists({
+        userId: user._id,
+        _id: { $ne: booking._id },
+        status: {
+          $in: [
+            BOOKING_STATUS.CONFIRMED,
+            BOOKING_STATUS.ASSIGNED,
+            BOOKING_STATUS.IN_PROGRESS,
+            BOOKING_STATUS.COMPLETED
+          ]
+        }
+      });
+
+      if (hasPreviousRide) {
+        throw new BadRequestError('This discount code is valid on your first ride only');
+      }
+    }
+
+    const userRedemptions = await Coupon.countUserRedemptions(coupon._id, user._id);
+
+    if (userRedemptions >= coupon.perUserLimit) {
+      throw new ConflictError('You have already used this discount code');
+    }
+
+    const discountAmount = coupon.calculateDiscount(fare);
+
+    if (discountAmount <= 0) {
+      throw new BadRequestError('This discount code does not apply to this booking');
+    }
+
+    return { coupon, discountAmount };
+  }
+
+  /**
+   * Record the redemption atomically
+   * @throws {ConflictError} If a concurrent request used up the coupon
+   */
+  async redeem(coupon, user, booking, discountAmount) {
+    const updated = await Coupon.redeem({
+      couponId: coupon._id,
+      userId: user._id,
+      bookingId: booking._id,
+      discountAmount
+    });
+
+    if (!updated) {
+      throw new ConflictError('This discount code is no longer available');
+    }
+
+    logger.info('Coupon redeemed', {
+      code: coupon.code,
+      bookingId: booking.bookingId,
+      userId: user._id,
+      usedCount: updated.usedCount
+    });
+
+    return updated;
+  }
+
+  /**
+   * Release the redemption held by a booking, if any
+   */
+  async release(booking) {
+    try {
+      const coupon = await Coupon.releaseForBooking(booking._id);
+
+      if (coupon) {
+        logger.info('Coupon redemption released', {
+          code: coupon.code,
+          bookingId: booking.bookingId
+        });
+      }
+
+      return coupon;
+    } catch (error) {
+      logger.error('Failed to release coupon redemption', {
+        bookingId: booking.bookingId,
+        error: error.message
+      });
+      return null;
+    }
+  }
+}
+
+export default new CouponService();
@@ -0,0 +1,261 @@
+// src/services/dispatcher.service.js - Multi-channel Notification Dispatcher (Push / SMS / Email)
+import User from '../models/User.js';
+import logger from '../config/logger.js';
+import FcmProvider from './providers/fcm.provider.js';
+import HttpSmsProvider from './providers/sms.provider.js';
+import SmtpEmailProvider from './providers/email.provider.js';
+import StubProvider from './providers/stub.provider.js';
+import {
+  NOTIFICATION_CHANNELS,
+  DISPATCH_RULES,
+  DISPATCHER_CONFIG
+} from '../config/constants.js';
+import {
+  recordNotification,
+  markNotificationDelivery,
+  validateFCMToken
+} from '../utils/notification.utils.js';
+import { maskPhoneNumber } from '../utils/helpers.js';
+import { getUserLanguage, normalizeLanguage, renderMessage } from '../utils/i18n.js';
+
+// Channel -> key in User.preferences.notifications
+const PREFERENCE_KEYS = {
+  [NOTIFICATION_CHANNELS.PUSH]: 'push',
+  [NOTIFICATION_CHANNELS.SMS]: 'sms',
+  [NOTIFICATION_CHANNELS.EMAIL]: 'email'
+};
+
+class NotificationDispatcher {
+  constructor() {
+    this.providers = {};
+    this.useDefaultProviders();
+  }
+
+  /**
+   * FCM / SMS gateway / SMTP, or in-memory stubs when
+   * NOTIFICATION_TRANSPORT=stub. Outside production an SMS or email provider
+   * without configuration is replaced by a stub; in production it is kept and
+   * reports every message as undelivered, so callers can surface the failure.
+   */
+  useDefaultProviders() {
+    if (DISPATCHER_CONFIG.TRANSPORT === 'stub') {
+      this.providers = {
+        [NOTIFICATION_CHANNELS.PUSH]: new StubProvider(NOTIFICATION_CHANNELS.PUSH),
+        [NOTIFICATION_CHANNELS.SMS]: new StubProvider(NOTIFICATION_CHANNELS.SMS),
+        [NOTIFICATION_CHANNELS.EMAIL]: new StubProvider(NOTIFICATION_CHANNELS.EMAIL)
+      };
+      return;
+    }
+
+    const sms = new HttpSmsProvider({
+      url: process.env.SMS_GATEWAY_URL,
+      apiKey: process.env.SMS_API_KEY,
+      senderId: process.env.SMS_SENDER_ID
+    });
+
+    const email = new SmtpEmailProvider({
+      host: process.env.SMTP_HOST,
+      port: process.env.SMTP_PORT ? Number(process.env.SMTP_PORT) : undefined,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    });
+
+    const allowStubs = process.env.NODE_ENV !== 'production';
+    const orStub = (provider, setting) => {
+      if (provider.isConfigured()) return provider;
+
+      if (!allowStubs) {
+        logger.error(`${provider.channel} provider not configured (${setting}) - messages will not be delivered`);
+        return provider;
+      }
+
+      logger.warn(`${provider.channel} provider not configured (${setting}) - messages will be stubbed`);
+      return new StubProvider(provider.channel);
+    };
+
+    this.providers = {
+      [NOTIFICATION_CHANNELS.PUSH]: new FcmProvider(),
+      [NOTIFICATION_CHANNELS.SMS]: orStub(sms, 'SMS_GATEWAY_URL'),
+      [NOTIFICATION_CHANNELS.EMAIL]: orStub(email, 'SMTP_HOST')
+    };
+  }
+
+  /**
+   * Replace providers by channel, e.g. { SMS: new StubProvider('SMS') }
+   */
+  useProviders(providers) {
+    Object.assign(this.providers, providers);
+  }
+
+  /**
+   * Send a message according to its category's rules.
+   * Critical messages go out on every reachable channel regardless of the
+   * user's preferences; others go to the first allowed channel that succeeds.
+   * @param {Object} options
+   * @param {string} options.category - MESSAGE_CATEGORIES value
+   * @param {string} options.userId - Recipient user (loads contacts and preferences)
+   * @param {Object} options.to - { fcmToken, phoneNumber, email } overriding the user's
+   * @param {string} options.language - Overrides the user's language (e.g. anonymous OTP)
+   * @param {string|Object|Array} options.title - Title / email subject; text, catalogue
+   *                                             reference(s) from messageRef() or a mix
+   * @param {string|Object|Array} options.body - Message text (same forms as title)
+   * @param {string|Object|Array} options.smsBody - Shorter text for SMS (default "title: body")
+   * @param {Object} options.data - Push payload (string values)
+   * @param {string} options.pushType - FCM channel type (NOTIFICATION_TYPES in notification.utils)
+   * @param {boolean} options.critical - Treat as critical even if the category is not
+   * @param {Object} options.inbox - { type, bookingRef } to store it in the user's inbox
+   * @returns {Promise<Object>} { category, critical, language, channels, results }
+   */
+  async dispatch({
+    category,
+    userId = null,
+    to = {},
+    language = null,
+    title,
+    body,
+    smsBody,
+    data = {},
+    pushType,
+    critical = false,
+    inbox = null
+  }) {
+    const rule = DISPATCH_RULES[category];
+    if (!rule) {
+      throw new Error(`Unknown message category: ${category}`);
+    }
+
+    const isCritical = !rule.neverCritical && (rule.critical || critical);
+    const recipient = await this.resolveRecipient(userId, to);
+    const lang = normalizeLanguage(language) || recipient.language;
+    const text = {
+      title: renderMessage(title, lang),
+      body: renderMessage(body, lang),
+      smsBody: renderMessage(smsBody, lang)
+    };
+
+    const channels = rule.channels.filter(channel =>
+      this.isReachable(channel, recipient) &&
+      (isCritical || recipient.preferences[PREFERENCE_KEYS[channel]] !== false)
+    );
+
+    const record = userId && inbox
+      ? await recordNotification({
+        userId,
+        type: inbox.type,
+        title: text.title,
+        body: text.body,
+        bookingRef: inbox.bookingRef,
+        data
+      })
+      : null;
+
+    const message = { ...text, data, pushType };
+    const results = {};
+
+    if (isCritical) {
+      const settled = await Promise.allSettled(
+        channels.map(channel => this.sendVia(channel, recipient, message))
+      );
+      channels.forEach((channel, index) => {
+        results[channel] = settled[index].status === 'fulfilled'
+          ? settled[index].value
+          : { success: false, reason: settled[index].reason?.message };
+      });
+    } else {
+      for (const channel of channels) {
+        try {
+          results[channel] = await this.sendVia(channel, recipient, message);
+        } catch (error) {
+          results[channel] = { success: false, reason: error.message };
+        }
+        if (results[channel].success) break;
+      }
+    }
+
+    if (record) {
+      const push = results[NOTIFICATION_CHANNELS.PUSH] || {
+        success: false,
+        reason: recipient.fcmToken ? 'push_disabled' : 'no_fcm_token'
+      };
+      await markNotificationDelivery(record, push);
+    }
+
+    const failed = Object.entries(results).filter(([, result]) => !result.success);
+    if (channels.length === 0 || failed.length === channels.length) {
+      logger.warn('Notification not delivered on any channel', {
+        category,
+        userId,
+        phoneNumber: recipient.phoneNumber ? maskPhoneNumber(recipient.phoneNumber) : undefined,
+        channels,
+        failures: failed.map(([channel, result]) => `${channel}: ${result.reason}`)
+      });
+    }
+
+    return { category, critical: isCritical, language: lang, channels, results };
+  }
+
+  /**
+   * Send to a driver profile: the driver app's FCM token and the profile's
+   * number, with the linked user's language, preferences and inbox
+   * @param {Object} driver - Driver with userId, phoneNumber and deviceInfo
+   * @param {Object} options - Same as dispatch(), without userId / to
+   */
+  async dispatchToDriver(driver, options) {
+    return this.dispatch({
+      ...options,
+      userId: driver.userId || null,
+      to: {
+        fcmToken: driver.deviceInfo?.[0]?.fcmToken,
+        phoneNumber: driver.phoneNumber
+      }
+    });
+  }
+
+  /**
+   * Contacts, preferences and language of the recipient; explicit `to` values win
+   */
+  async resolveRecipient(userId, to) {
+    const user = userId
+      ? await User.findById(userId).select('phoneNumber email fcmToken preferences').lean()
+      : null;
+
+    return {
+      fcmToken: to.fcmToken || user?.fcmToken || null,
+      phoneNumber: to.phoneNumber || user?.phoneNumber || null,
+      email: to.email || user?.email || null,
+      preferences: user?.preferences?.notifications || {},
+      language: getUserLanguage(user)
+    };
+  }
+
+  isReachable(channel, recipient) {
+    switch (channel) {
+      case NOTIFICATION_CHANNELS.PUSH:
+        return validateFCMToken(recipient.fcmToken);
+      case NOTIFICATION_CHANNELS.SMS:
+        return !!recipient.phoneNumber;
+      case NOTIFICATION_CHANNELS.EMAIL:
+        return !!recipient.email;
+      default:
+        return false;
+    }
+  }
+
+  async sendVia(channel, recipient, { title, body, smsBody, data, pushType }) {
+    const provider = this.providers[channel];
+
+    switch (channel) {
+      case NOTIFICATION_CHANNELS.PUSH:
+        return provider.send({ to: recipient.fcmToken, title, body, data, type: pushType });
+      case NOTIFICATION_CHANNELS.SMS:
+        return provider.send({ to: recipient.phoneNumber, body: smsBody || `${title}: ${body}` });
+      case NOTIFICATION_CHANNELS.EMAIL:
+        return provider.send({ to: recipient.email, title, body });
+      default:
+        throw new Error(`Unknown channel: ${channel}`);
+    }
+  }
+}
+
+export default new NotificationDispatcher();
@@ -0,0 +1,560 @@
+// src/services/matching.service.js - Automatic Driver Matching & Offer Cascade
+import Booking from '../models/Booking.js';
+import Driver from '../models/Driver.js';
+import Vehicle from '../models/Vehicle.js';
+import socketService from './socket.service.js';
+import complianceService from './compliance.service.js';
+import logger from '../config/logger.js';
+import { NotFoundError, ConflictError } from '../utils/customError.js';
+import {
+  BOOKING_STATUS,
+  BOOKING_CONFIG,
+  MATCHING_CONFIG,
+  DISPATCH_STATUS,
+  SOCKET_EVENTS,
+  NOTIFICATION_TYPES
+} from '../config/constants.js';
+import { calculateDistance, generateOTP } from '../utils/helpers.js';
+import {
+  sendDriverNotification,
+  sendAdminNotification
+} from '../utils/notification.utils.js';
+
+class MatchingService {
+  constructor() {
+    // bookingId -> pending offer timeout handle
+    this.offerTimers = new Map();
+    this.offerTimeoutMs = BOOKING_CONFIG.DRIVER_ACCEPTANCE_TIMEOUT_MINUTES * 60 * 1000;
+  }
+
+  /**
+   * Start matching for a freshly confirmed booking.
+   * Safe to call more than once - bookings already being dispatched are skipped.
+   * @param {string} bookingId - Booking database ID
+   */
+  async startMatching(bookingId) {
+    const booking = await Booking.findOneAndUpdate(
+      {
+        _id: bookingId,
+        status: BOOKING_STATUS.CONFIRMED,
+        driverId: null,
+        $or: [{ dispatch: null }, { 'dispatch.status': DISPATCH_STATUS.EXHAUSTED }]
+      },
+      {
+        $set: {
+          dispatch: {
+            status: DISPATCH_STATUS.SEARCHING,
+            attempts: 0,
+            offeredDrivers: []
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!booking) {
+      logger.info('Matching skipped - booking not eligible or already dispatching', { bookingId });
+      return null;
+    }
+
+    logger.info('Driver matching started', { bookingId: booking.bookingId });
+    return this.offerToNextCandidate(booking);
+  }
+
+  /**
+   * Find and rank eligible drivers for a booking
+   * @param {Object} booking - Booking document
+   * @param {Array} excludeDriverIds - Drivers that must not be offered again
+   * @returns {Promise<Array>} Candidates sorted by score (best first)
+   */
+  async findCandidates(booking, excludeDriverIds = []) {
+    const tripEnd = booking.getTripEnd();
+
+    // Vehicle must match the booked type and have valid papers, same rules as manual
+    // assignment. Resolved first so the driver limit only ever counts fitting drivers.
+    const vehicleIds = await Vehicle.find({
+      type: booking.vehicleType,
+      isAvailable: true,
+      ...complianceService.vehicleFilter(tripEnd)
+    }).distinct('_id');
+
+    if (vehicleIds.length === 0) return [];
+
+    const drivers = await Driver.find({
+      _id: { $nin: excludeDriverIds },
+      isAvailable: true,
+      isVerified: true,
+      ...complianceService.driverFilter(tripEnd),
+      vehicleId: { $in: vehicleIds }
+    })
+      .populate('vehicleId')
+      .limit(MATCHING_CONFIG.MAX_CANDIDATES * 5);
+
+    const fitting = drivers.filter(driver => driver.vehicleId);
+
+    if (fitting.length === 0) return [];
+
+    // Drop drivers or vehicles already busy during this trip window
+    const conflicts = await Booking.findOverlapping({
+      driverId: { $in: fitting.map(d => d._id) },
+      vehicleId: { $in: fitting.map(d => d.vehicleId._id) },
+      start: booking.startDateTime,
+      end: tripEnd,
+      excludeId: booking._id
+    });
+
+    const busyIds = new Set();
+    conflicts.forEach(c => {
+      if (c.driverId) busyIds.add(c.driverId.toString());
+      if (c.vehicleId) busyIds.add(c.vehicleId.toString());
+    });
+
+    return fitting
+      .filter(d => !busyIds.has(d._id.toString()) && !busyIds.has(d.vehicleId._id.toString()))
+      .map(driver => this.scoreCandidate(driver, booking))
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MATCHING_CONFIG.MAX_CANDIDATES);
+  }
+
+  /**
+   * Score a single driver for a booking (0 - 1, higher is better)
+   * Returns null when the driver is known to be outside the pickup radius.
+   * @param {Object} driver - Driver document with populated vehicleId
+   * @param {Object} booking - Booking document
+   */
+  scoreCandidate(driver, booking) {
+    const { WEIGHTS, MAX_PICKUP_RADIUS_KM, LOCATION_STALE_MINUTES } = MATCHING_CONFIG;
+
+    // Distance - neutral score when either side has no usable coordinates
+    let distanceKm = null;
+    let distanceScore = 0.5;
+
+    const pickup = booking.pickupLocation;
+    const coords = driver.currentLocation?.coordinates;
+    const locationAgeMs = driver.currentLocation?.updatedAt
+      ? Date.now() - new Date(driver.currentLocation.updatedAt).getTime()
+      : Infinity;
+
+    if (pickup?.lat && pickup?.lng && coords?.lat && coords?.lng &&
+        locationAgeMs <= LOCATION_STALE_MINUTES * 60 * 1000) {
+      distanceKm = calculateDistance(coords, { lat: pickup.lat, lng: pickup.lng });
+
+      if (distanceKm > MAX_PICKUP_RADIUS_KM) {
+        return null;
+      }
+
+      distanceScore = 1 - (distanceKm / MAX_PICKUP_RADIUS_KM);
+    }
+
+    const ratingScore = (driver.rating || 0) / 5;
+
+    // New drivers get the benefit of the doubt
+    const reliabilityScore = driver.totalRides > 0
+      ? Math.max(0, 1 - (driver.cancelledRides / driver.totalRides))
+      : 1;
+
+    const score =
+      (distanceScore * WEIGHTS.DISTANCE) +
+      (ratingScore * WEIGHTS.RATING) +
+      (reliabilityScore * WEIGHTS.RELIABILITY);
+
+    return {
+      driver,
+      vehicle: driver.vehicleId,
+      distanceKm,
+      score: Math.round(score * 1000) / 1000
+    };
+  }
+
+  /**
+   * Offer the booking to the best remaining candidate
+   * @param {Object} booking - Booking document with dispatch state
+   */
+  async offerToNextCandidate(booking) {
+    const dispatch = booking.dispatch;
+
+    if (dispatch.attempts >= MATCHING_CONFIG.MAX_OFFER_ATTEMPTS) {
+      return this.markExhausted(booking, 'Maximum offer attempts reached');
+    }
+
+    const excluded = [
+      ...dispatch.offeredDrivers,
+      ...(dispatch.rejections || []).map(r => r.driverId)
+    ];
+
+    const candidates = await this.findCandidates(booking, excluded);
+
+    if (candidates.length === 0) {
+      return this.markExhausted(booking, 'No eligible drivers available');
+    }
+
+    const best = candidates[0];
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + this.offerTimeoutMs);
+
+    // Only move forward if nobody else changed the dispatch state meanwhile
+    const updated = await Booking.findOneAndUpdate(
+      {
+        _id: booking._id,
+        status: BOOKING_STATUS.CONFIRMED,
+        'dispatch.status': DISPATCH_STATUS.SEARCHING,
+        'dispatch.attempts': dispatch.attempts
+      },
+      {
+        $set: {
+          'dispatch.status': DISPATCH_STATUS.OFFERED,
+          'dispatch.offeredTo': best.driver._id,
+          'dispatch.offeredVehicle': best.vehicle._id,
+          'dispatch.offeredAt': now,
+          'dispatch.offerExpiresAt': expiresAt
+        },
+        $inc: { 'dispatch.attempts': 1 },
+        $addToSet: { 'dispatch.offeredDrivers': best.driver._id }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      logger.warn('Offer skipped - dispatch state changed concurrently', {
+        bookingId: booking.bookingId
+      });
+      return null;
+    }
+
+    logger.info('Booking offered to driver', {
+      bookingId: updated.bookingId,
+      driverId: best.driver._id,
+      score: best.score,
+      distanceKm: best.distanceKm,
+      attempt: updated.dispatch.attempts,
+      expiresAt
+    });
+
+    await this.notifyOffer(best.driver, updated, expiresAt);
+    this.scheduleOfferTimeout(updated._id, best.driver._id, expiresAt);
+
+    return updated;
+  }
+
+  /**
+   * Expire an unanswered offer and cascade to the next candidate
+   * @param {string} bookingId - Booking database ID
+   * @param {string} driverId - Driver the offer was made to
+   */
+  async handleOfferTimeout(bookingId, driverId) {
+    this.offerTimers.delete(bookingId.toString());
+
+    const booking = await Booking.findOneAndUpdate(
+      {
+        _id: bookingId,
+        status: BOOKING_STATUS.CONFIRMED,
+        'dispatch.status': DISPATCH_STATUS.OFFERED,
+        'dispatch.offeredTo': driverId
+      },
+      {
+        $set: {
+          'dispatch.status': DISPATCH_STATUS.SEARCHING,
+          'dispatch.offeredTo': null,
+          'dispatch.offeredVehicle': null
+        }
+      },
+      { new: true }
+    );
+
+    // Accepted, rejected or cancelled in the meantime
+    if (!booking) return null;
+
+    logger.info('Driver offer timed out', { bookingId: booking.bookingId, driverId });
+
+    return this.offerToNextCandidate(booking);
+  }
+
+  /**
+   * Driver accepts the offer currently made to them
+   * @param {string} bookingId - Booking database ID
+   * @param {Object} driver - Driver document
+   * @returns {Promise<Object>} Updated booking
+   */
+  async acceptOffer(bookingId, driver) {
+    const pending = await this.getOpenOffer(bookingId, driver);
+
+    // The vehicle may have picked up another trip since the offer went out
+    const conflicts = await Booking.findOverlapping({
+      driverId: driver._id,
+      vehicleId: pending.dispatch.offeredVehicle,
+      start: pending.startDateTime,
+      end: pending.getTripEnd(),
+      excludeId: pending._id
+    });
+
+    if (conflicts.length > 0) {
+      throw new ConflictError(
+        `You already have an overlapping booking (${conflicts[0].bookingId})`
+      );
+    }
+
+    const booking = await Booking.findOneAndUpdate(
+      {
+        _id: pending._id,
+        status: BOOKING_STATUS.CONFIRMED,
+        'dispatch.status': DISPATCH_STATUS.OFFERED,
+        'dispatch.offeredTo': driver._id
+      },
+      {
+        $set: {
+          driverId: driver._id,
+          vehicleId: pending.dispatch.offeredVehicle,
+          status: BOOKING_STATUS.ASSIGNED,
+          'dispatch.status': DISPATCH_STATUS.ACCEPTED,
+          rideOtp: {
+            code: generateOTP(BOOKING_CONFIG.RIDE_OTP_LENGTH),
+            generatedAt: new Date(),
+            attempts: 0
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!booking) {
+      throw new ConflictError('This offer is no longer available');
+    }
+
+    this.clearOfferTimeout(booking._id);
+    await Driver.updateOne({ _id: driver._id }, { $inc: { totalRides: 1 } });
+
+    logger.info('Driver accepted booking offer', {
+      bookingId: booking.bookingId,
+      driverId: driver._id
+    });
+
+    return booking;
+  }
+
+  /**
+   * Driver rejects the offer currently made to them.
+   * The rejection is recorded on the booking so the driver is never re-offered it.
+   * @param {string} bookingId - Booking database ID
+   * @param {Object} driver - Driver document
+   * @param {string} reason - Optional rejection reason
+   */
+  async rejectOffer(bookingId, driver, reason) {
+    const pending = await this.getOpenOffer(bookingId, driver);
+
+    const booking = await Booking.findOneAndUpdate(
+      {
+        _id: pending._id,
+        status: BOOKING_STATUS.CONFIRMED,
+        'dispatch.status': DISPATCH_STATUS.OFFERED,
+        'dispatch.offeredTo': driver._id
+      },
+      {
+        $set: {
+          'dispatch.status': DISPATCH_STATUS.SEARCHING,
+          'dispatch.offeredTo': null,
+          'dispatch.offeredVehicle': null
+        },
+        $push: {
+          'dispatch.rejections': {
+            driverId: driver._id,
+            reason: reason || undefined,
+            rejectedAt: new Date()
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!booking) {
+      throw new ConflictError('This offer is no longer available');
+    }
+
+    this.clearOfferTimeout(booking._id);
+    await Driver.updateOne({ _id: driver._id }, { $inc: { rejectedOffers: 1 } });
+
+    logger.info('Driver rejected booking offer', {
+      bookingId: booking.bookingId,
+      driverId: driver._id,
+      reason
+    });
+
+    // Cascade in the background - the driver does not need to wait for it
+    this.offerToNextCandidate(booking).catch(error => {
+      logger.error('Cascade after rejection failed', {
+        bookingId: booking.bookingId,
+        error: error.message
+      });
+    });
+
+    return booking;
+  }
+
+  /**
+   * List open offers for a driver
+   */
+  async getOffersForDriver(driverId) {
+    return Booking.find({
+      status: BOOKING_STATUS.CONFIRMED,
+      'dispatch.status': DISPATCH_STATUS.OFFERED,
+      'dispatch.offeredTo': driverId,
+      'dispatch.offerExpiresAt': { $gt: new Date() }
+    })
+      .select('bookingId bookingType pickupLocation dropLocation startDateTime endDateTime vehicleType fareDetails.finalAmount dispatch.offerExpiresAt')
+      .sort({ 'dispatch.offerExpiresAt': 1 });
+  }
+
+  /**
+   * Load a booking whose live offer belongs to the given driver
+   */
+  async getOpenOffer(bookingId, driver) {
+    const booking = await Booking.findById(bookingId);
+
+    if (!booking) {
+      throw new NotFoundError('Booking not found');
+    }
+
+    const dispatch = booking.dispatch;
+
+    if (booking.status !== BOOKING_STATUS.CONFIRMED ||
+        dispatch?.status !== DISPATCH_STATUS.OFFERED ||
+        dispatch.offeredTo?.toString() !== driver._id.toString()) {
+      throw new ConflictError('There is no open offer for you on this booking');
+    }
+
+    if (dispatch.offerExpiresAt && dispatch.offerExpiresAt <= new Date()) {
+      throw new ConflictError('This offer has expired');
+    }
+
+    return booking;
+  }
+
+  /**
+   * Schedule the acceptance timeout for an offer
+   */
+  scheduleOfferTimeout(bookingId, driverId, expiresAt) {
+    const key = bookingId.toString();
+    this.clearOfferTimeout(key);
+
+    const delay = Math.max(0, new Date(expiresAt).getTime() - Date.now());
+
+    const timer = setTimeout(() => {
+      this.handleOfferTimeout(bookingId, driverId).catch(error => {
+        logger.error('Offer timeout handling failed', {
+          bookingId: key,
+          error: error.message
+        });
+      });
+    }, delay);
+
+    // Never keep the process alive just for a pending offer
+    timer.unref?.();
+    this.offerTimers.set(key, timer);
+  }
+
+  /**
+   * Cancel a pending offer timeout (offer answered or booking assigned manually)
+   */
+  clearOfferTimeout(bookingId) {
+    const key = bookingId.toString();
+    const timer = this.offerTimers.get(key);
+
+    if (timer) {
+      clearTimeout(timer);
+      this.offerTimers.delete(key);
+    }
+  }
+
+  /**
+   * Re-arm timers for offers that were pending when the process restarted
+   */
+  async recoverPendingOffers() {
+    const pending = await Booking.find({
+      status: BOOKING_STATUS.CONFIRMED,
+      'dispatch.status': DISPATCH_STATUS.OFFERED
+    }).select('_id dispatch');
+
+    pending.forEach(booking => {
+      this.scheduleOfferTimeout(
+        booking._id,
+        booking.dispatch.offeredTo,
+        booking.dispatch.offerExpiresAt || new Date()
+      );
+    });
+
+    logger.info('Pending driver offers recovered', { count: pending.length });
+    return pending.length;
+  }
+
+  /**
+   * Give up on automatic matching and hand over to admins
+   */
+  async markExhausted(booking, reason) {
+    await Booking.updateOne(
+      { _id: booking._id },
+      {
+        $set: {
+          'dispatch.status': DISPATCH_STATUS.EXHAUSTED,
+          'dispatch.offeredTo': null,
+          'dispatch.offeredVehicle': null
+        }
+      }
+    );
+
+    logger.warn('Driver matching exhausted', {
+      bookingId: booking.bookingId,
+      attempts: booking.dispatch?.attempts,
+      reason
+    });
+
+    sendAdminNotification(
+      'Manual Dispatch Required',
+      `Booking ${booking.bookingId} could not be auto-assigned: ${reason}`,
+      { bookingId: booking.bookingId }
+    ).catch(error => logger.error('Admin notification failed', { error: error.message }));
+
+    return null;
+  }
+
+  /**
+   * Push the offer to the driver over the socket and to their device via FCM
+   */
+  async notifyOffer(driver, booking, expiresAt) {
+    socketService.emitToDriver(driver._id, SOCKET_EVENTS.BOOKING_REQUEST, {
+      bookingId: booking._id,
+      bookingCode: booking.bookingId,
+      pickupLocation: booking.pickupLocation,
+      startDateTime: booking.startDateTime,
+      expiresAt: expiresAt.toISOString()
+    });
+
+    const fcmToken = driver.deviceInfo?.[0]?.fcmToken;
+    if (!fcmToken && !driver.userId) return;
+
+    try {
+      await sendDriverNotification(
+        fcmToken,
+        'New Trip Offer',
+        `Booking ${booking.bookingId} from ${booking.pickupLocation.city}. Respond within ${BOOKING_CONFIG.DRIVER_ACCEPTANCE_TIMEOUT_MINUTES} minutes.`,
+        {
+          bookingId: booking.bookingId,
+          bookingDbId: booking._id.toString(),
+          expiresAt: expiresAt.toISOString(),
+          event: 'BOOKING_OFFER'
+        },
+        {
+          userId: driver.userId,
+          bookingRef: booking._id,
+          type: NOTIFICATION_TYPES.TRIP_OFFER
+        }
+      );
+    } catch (error) {
+      logger.error('Failed to send offer notification', {
+        driverId: driver._id,
+        error: error.message
+      });
+    }
+  }
+}
+
+export default new MatchingService();
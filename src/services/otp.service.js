@@ -0,0 +1,301 @@
+// src/services/otp.service.js - OTP Issue/Verify with Lockout, Throttling and Audit
+import crypto from 'crypto';
+import { Otp } from '../models/Otp.js';
+import OtpLockout from '../models/OtpLockout.js';
+import RateLimitHit from '../models/RateLimitHit.js';
+import AuthEvent from '../models/AuthEvent.js';
+import logger from '../config/logger.js';
+import { BadRequestError, TooManyRequestsError } from '../utils/customError.js';
+import { maskPhoneNumber } from '../utils/helpers.js';
+import {
+  OTP_CONFIG,
+  OTP_PURPOSES,
+  RATE_LIMIT,
+  AUTH_EVENT_TYPES
+} from '../config/constants.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+class OtpService {
+  /**
+   * Create a new OTP for the number, replacing any previous one issued for
+   * the same purpose and account (a login code and a phone-change code coexist)
+   * @param {string} phoneNumber - Normalized phone number
+   * @param {Object} context - { ip, deviceId } of the requester
+   * @param {Object} options - { purpose, userId }; userId binds the code to an account
+   * @returns {Promise<Object>} { code, expiresAt } (code is only kept hashed)
+   */
+  async issue(phoneNumber, context = {}, { purpose = OTP_PURPOSES.LOGIN, userId = null } = {}) {
+    const now = new Date();
+
+    await this.assertNotLocked(phoneNumber);
+
+    const filter = { phoneNumber, purpose, userId };
+    const existing = await Otp.findOne(filter).sort('-lastRequestedAt').select('lastRequestedAt');
+
+    if (existing) {
+      const timeSinceLastRequest = (now.getTime() - existing.lastRequestedAt.getTime()) / 1000;
+      const waitTime = Math.ceil(OTP_CONFIG.RESEND_TIMEOUT_SECONDS - timeSinceLastRequest);
+
+      if (waitTime > 0) {
+        logger.warn('OTP request rate limited', {
+          phoneNumber: maskPhoneNumber(phoneNumber),
+          waitTime
+        });
+        throw new TooManyRequestsError(
+          `Please wait ${waitTime} seconds before requesting a new OTP`,
+          { messageKey: 'errors.otpWait', params: { seconds: waitTime } }
+        );
+      }
+    }
+
+    // SMS pumping protection: rolling limits per number, IP, device and account
+    await this.throttle('otp:send', [
+      { scope: 'PHONE', value: phoneNumber, max: RATE_LIMIT.OTP_MAX_REQUESTS },
+      { scope: 'IP', value: context.ip, max: RATE_LIMIT.OTP_IP_MAX_REQUESTS },
+      { scope: 'DEVICE', value: context.deviceId, max: RATE_LIMIT.OTP_DEVICE_MAX_REQUESTS },
+      { scope: 'USER', value: userId?.toString(), max: RATE_LIMIT.OTP_MAX_REQUESTS }
+    ], { phoneNumber, ...context });
+
+    if (existing) {
+      await Otp.deleteMany(filter);
+    }
+
+    const code = crypto.randomInt(10 ** (OTP_CONFIG.LENGTH - 1), 10 ** OTP_CONFIG.LENGTH).toString();
+    const expiresAt = new Date(now.getTime() + OTP_CONFIG.EXPIRY_MINUTES * MINUTE_MS);
+
+    await Otp.create({
+      phoneNumber,
+      codeHash: Otp.hashCode(phoneNumber, code),
+      purpose,
+      userId,
+      expiresAt,
+      attempts: 0,
+      lastRequestedAt: now
+    });
+
+    return { code, expiresAt };
+  }
+
+  /**
+   * Check a submitted code. Every check uses up an attempt; running out
+   * locks the number for the next step of OTP_CONFIG.LOCKOUT_MINUTES.
+   * Resolves when the code is correct, throws otherwise.
+   * @param {string} phoneNumber - Normalized phone number
+   * @param {string} code - Submitted code
+   * @param {Object} context - { ip, deviceId } of the requester
+   * @param {Object} options - { purpose, userId } the code must have been issued for
+   */
+  async verify(phoneNumber, code, context = {}, { purpose = OTP_PURPOSES.LOGIN, userId = null } = {}) {
+    await this.throttle('otp:verify', [
+      { scope: 'IP', value: context.ip, max: RATE_LIMIT.OTP_VERIFY_IP_MAX_REQUESTS }
+    ], { phoneNumber, ...context });
+
+    await this.assertNotLocked(phoneNumber);
+
+    const filter = { phoneNumber, purpose, userId };
+
+    // Consume the attempt atomically so parallel guesses cannot exceed the limit
+    const otpDoc = await Otp.findOneAndUpdate(
+      { ...filter, attempts: { $lt: OTP_CONFIG.MAX_ATTEMPTS } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    ).select('+codeHash');
+
+    if (!otpDoc) {
+      if (await Otp.exists(filter)) {
+        await Otp.deleteOne(filter);
+        throw new BadRequestError(
+          'Maximum OTP attempts exceeded. Please request a new OTP.',
+          { messageKey: 'errors.otpAttemptsExceeded' }
+        );
+      }
+
+      logger.warn('Verification failed - no OTP found', {
+        phoneNumber: maskPhoneNumber(phoneNumber)
+      });
+      throw new BadRequestError(
+        'Invalid OTP or OTP not requested. Please request an OTP first.',
+        { messageKey: 'errors.otpNotRequested' }
+      );
+    }
+
+    if (new Date() > otpDoc.expiresAt) {
+      logger.warn('Verification failed - OTP expired', {
+        phoneNumber: maskPhoneNumber(phoneNumber),
+        expiredAt: otpDoc.expiresAt
+      });
+      await Otp.deleteOne({ _id: otpDoc._id });
+      throw new BadRequestError('OTP has expired. Please request a new OTP.', { messageKey: 'errors.otpExpired' });
+    }
+
+    if (!otpDoc.matches(code)) {
+      const attemptsLeft = OTP_CONFIG.MAX_ATTEMPTS - otpDoc.attempts;
+
+      logger.warn('OTP verification failed - incorrect code', {
+        phoneNumber: maskPhoneNumber(phoneNumber),
+        attempts: otpDoc.attempts,
+        attemptsLeft
+      });
+
+      if (attemptsLeft <= 0) {
+        await Otp.deleteOne({ _id: otpDoc._id });
+        const minutes = await this.lock(phoneNumber, context);
+        throw new TooManyRequestsError(
+          `Too many incorrect OTPs. Try again in ${minutes} minutes.`,
+          { messageKey: 'errors.otpLocked', params: { minutes } }
+        );
+      }
+
+      throw new BadRequestError(
+        `Invalid OTP. ${attemptsLeft} attempt(s) remaining.`,
+        { messageKey: 'errors.otpInvalid', params: { attemptsLeft } }
+      );
+    }
+
+    // Proven ownership of the number: forget earlier lockouts
+    await Promise.all([
+      Otp.deleteOne({ _id: otpDoc._id }),
+      OtpLockout.deleteOne({ phoneNumber })
+    ]);
+  }
+
+  /**
+   * Drop an issued code that could not be delivered
+   */
+  async discard(phoneNumber, { purpose = OTP_PURPOSES.LOGIN, userId = null } = {}) {
+    await Otp.deleteOne({ phoneNumber, purpose, userId });
+  }
+
+  // ========================================
+  // LOCKOUT
+  // ========================================
+
+  async assertNotLocked(phoneNumber) {
+    const lockout = await OtpLockout.findOne({ phoneNumber });
+
+    if (lockout?.isLocked()) {
+      const minutes = Math.ceil((lockout.lockedUntil.getTime() - Date.now()) / MINUTE_MS);
+      throw new TooManyRequestsError(
+        `Too many incorrect OTPs. Try again in ${minutes} minutes.`,
+        { messageKey: 'errors.otpLocked', params: { minutes } }
+      );
+    }
+  }
+
+  /**
+   * Lock the number for the next lockout step and record an audit event
+   * @returns {Promise<number>} Lockout duration in minutes
+   */
+  async lock(phoneNumber, context = {}) {
+    const now = new Date();
+    const previous = await OtpLockout.findOne({ phoneNumber }).select('level');
+    const level = (previous?.level || 0) + 1;
+    const minutes = OTP_CONFIG.LOCKOUT_MINUTES[Math.min(level, OTP_CONFIG.LOCKOUT_MINUTES.length) - 1];
+    const lockedUntil = new Date(now.getTime() + minutes * MINUTE_MS);
+
+    await OtpLockout.updateOne(
+      { phoneNumber },
+      {
+        $set: {
+          level,
+          lockedUntil,
+          expiresAt: new Date(lockedUntil.getTime() + OTP_CONFIG.LOCKOUT_RESET_HOURS * HOUR_MS)
+        }
+      },
+      { upsert: true }
+    );
+
+    await this.audit(AUTH_EVENT_TYPES.OTP_LOCKOUT, {
+      phoneNumber,
+      ...context,
+      details: { level, minutes, lockedUntil }
+    });
+
+    return minutes;
+  }
+
+  // ========================================
+  // THROTTLING
+  // ========================================
+
+  /**
+   * Rolling-window limits shared by all instances. All rules are checked
+   * before any is counted, and refused requests are not counted, so the log
+   * per key never grows beyond its limit.
+   * @param {string} action - Key prefix, e.g. 'otp:send'
+   * @param {Array} rules - [{ scope, value, max }]; rules without a value are skipped
+   * @param {Object} context - { phoneNumber, ip, deviceId } for the audit event
+   */
+  async throttle(action, rules, context = {}) {
+    const now = Date.now();
+    const since = new Date(now - RATE_LIMIT.OTP_WINDOW_MS);
+    const keys = rules
+      .filter(rule => rule.value)
+      .map(rule => ({ ...rule, key: `${action}:${rule.scope.toLowerCase()}:${rule.value}` }));
+
+    for (const rule of keys) {
+      const count = await RateLimitHit.countDocuments({ key: rule.key, createdAt: { $gt: since } });
+      if (count < rule.max) continue;
+
+      const oldest = await RateLimitHit.findOne({ key: rule.key, createdAt: { $gt: since } })
+        .sort('createdAt')
+        .select('createdAt')
+        .lean();
+      const minutes = Math.max(
+        1,
+        Math.ceil((oldest.createdAt.getTime() + RATE_LIMIT.OTP_WINDOW_MS - now) / MINUTE_MS)
+      );
+
+      // One event per key and window, however often the limit is hit
+      const alreadyReported = await AuthEvent.exists({
+        type: AUTH_EVENT_TYPES.OTP_RATE_LIMITED,
+        'details.key': rule.key,
+        createdAt: { $gt: since }
+      });
+      if (!alreadyReported) {
+        await this.audit(AUTH_EVENT_TYPES.OTP_RATE_LIMITED, {
+          ...context,
+          details: { key: rule.key, action, scope: rule.scope, limit: rule.max }
+        });
+      }
+
+      throw new TooManyRequestsError(
+        `Too many OTP requests. Try again in ${minutes} minutes.`,
+        { messageKey: 'errors.otpTooManyRequests', params: { minutes } }
+      );
+    }
+
+    if (keys.length > 0) {
+      const expiresAt = new Date(now + RATE_LIMIT.OTP_WINDOW_MS);
+      await RateLimitHit.insertMany(keys.map(rule => ({ key: rule.key, createdAt: new Date(now), expiresAt })));
+    }
+  }
+
+  // ========================================
+  // AUDIT
+  // ========================================
+
+  /**
+   * Persist a security event (for ops review) and log it; never throws
+   */
+  async audit(type, { phoneNumber, ip, deviceId, details = {} }) {
+    logger.warn('Security event', {
+      audit: true,
+      type,
+      phoneNumber: phoneNumber ? maskPhoneNumber(phoneNumber) : undefined,
+      ip,
+      deviceId,
+      ...details
+    });
+
+    try {
+      await AuthEvent.create({ type, phoneNumber, ip, deviceId, details });
+    } catch (error) {
+      logger.error('Failed to record security event', { type, error: error.message });
+    }
+  }
+}
+
+export default new OtpService();
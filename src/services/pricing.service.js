@@ -10,10 +10,17 @@ import {
   VEHICLE_FEATURES,
   DISTANCE_CONFIG,
   BOOKING_CONFIG,
-  OUTSTATION_SURCHARGES
+  OUTSTATION_SURCHARGES,
+  ADD_ON_SERVICES,
+  SETTLEMENT_CONFIG,
+  RATE_CARD_CONFIG,
+  RATE_CARD_SCOPES,
+  DEFAULT_LANGUAGE
 } from '../config/constants.js';
+import RateCard, { normalizeCity } from '../models/RateCard.js';
 import { BadRequestError } from '../utils/customError.js';
-import { calculateGST, isNightTime } from '../utils/helpers.js';
+import { t } from '../utils/i18n.js';
+import { calculateGST, isNightTime, isPointInPolygon } from '../utils/helpers.js';
 import logger from '../config/logger.js';
 
 // Minimum chargeable distance per day for outstation round trips
@@ -21,14 +28,204 @@ const MIN_OUTSTATION_KM_PER_DAY = 250;
 // Driver Allowance per day (New Addition)
 const DRIVER_ALLOWANCE_PER_DAY = 300;
 
+// Settlement line item: English label for storage plus the message ID,
+// so invoices can be rendered in the customer's language
+const lineItem = (key, params, amount) => ({
+  label: t(key, DEFAULT_LANGUAGE, params),
+  key,
+  params,
+  amount
+});
+
 class PricingService {
   constructor() {
     this.priceCache = new Map();
     this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
     this.maxCacheSize = 1000;
+    // Active rate cards from the database, one per scope; empty = built-in constants
+    this.rateCards = [];
+    this.rateCardSignature = '';
+    // scopeKey -> merged pricing tables
+    this.rateTablesCache = new Map();
     this.startCacheCleanup();
   }
 
+  /**
+   * Find the most specific active scoped card for a pickup location.
+   * Zones (geofence on coordinates) win over cities (name match).
+   * @param {Object|string} location - { city, address, lat, lng } or free text
+   * @returns {Object|null} Rate card
+   */
+  resolveScopedRateCard(location) {
+    if (!location || this.rateCards.length === 0) return null;
+
+    const point = typeof location === 'object' && typeof location.lat === 'number' && typeof location.lng === 'number'
+      ? { lat: location.lat, lng: location.lng }
+      : null;
+
+    if (point) {
+      const zoneCard = this.rateCards.find(card =>
+        card.scope?.type === RATE_CARD_SCOPES.ZONE && isPointInPolygon(point, card.scope.polygon)
+      );
+      if (zoneCard) return zoneCard;
+    }
+
+    const texts = (typeof location === 'string'
+      ? [location]
+      : [location.city, location.address])
+      .map(normalizeCity)
+      .filter(Boolean);
+
+    if (texts.length === 0) return null;
+
+    return this.rateCards.find((card) => {
+      if (card.scope?.type !== RATE_CARD_SCOPES.CITY) return false;
+
+      const names = [card.scope.city, ...(card.scope.aliases || [])].filter(Boolean);
+      // Whole-word match so "agra" does not match inside another place name
+      return names.some((name) => {
+        const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = new RegExp(`(^|[^a-z])${escaped}([^a-z]|$)`);
+        return texts.some(text => pattern.test(text));
+      });
+    }) || null;
+  }
+
+  /**
+   * Pricing tables in force for a pickup location, with the card that produced them.
+   * Scoped cards override the national tables key by key.
+   * @param {Object|string} location - Pickup location (optional)
+   */
+  getRateTables(location = null) {
+    const nationalCard = this.rateCards.find(card => card.scopeKey === RATE_CARD_SCOPES.NATIONAL) || null;
+    const scopedCard = this.resolveScopedRateCard(location);
+    const scopeKey = scopedCard?.scopeKey || RATE_CARD_SCOPES.NATIONAL;
+
+    const cached = this.rateTablesCache.get(scopeKey);
+    if (cached) return cached;
+
+    const tables = this.buildRateTables(nationalCard, scopedCard);
+    this.rateTablesCache.set(scopeKey, tables);
+    return tables;
+  }
+
+  /**
+   * Merge a national card (or the built-in constants) with an optional scoped card
+   */
+  buildRateTables(nationalCard, scopedCard = null) {
+    const base = {
+      pricing: nationalCard?.pricing || PRICING,
+      localPackages: nationalCard?.localPackages || LOCAL_PACKAGES,
+      airportBasePrice: nationalCard?.airportBasePrice || AIRPORT_BASE_PRICE,
+      outstationSurcharges: nationalCard?.outstationSurcharges || OUTSTATION_SURCHARGES,
+      addOnServices: nationalCard?.addOnServices || ADD_ON_SERVICES
+    };
+
+    const tables = {
+      rateCardId: (scopedCard || nationalCard)?._id || null,
+      version: (scopedCard || nationalCard)?.version ?? RATE_CARD_CONFIG.DEFAULT_VERSION,
+      baseVersion: nationalCard?.version ?? RATE_CARD_CONFIG.DEFAULT_VERSION,
+      scope: scopedCard?.scopeKey || RATE_CARD_SCOPES.NATIONAL
+    };
+
+    Object.keys(base).forEach((section) => {
+      tables[section] = scopedCard?.[section]
+        ? { ...base[section], ...scopedCard[section] }
+        : base[section];
+    });
+
+    return tables;
+  }
+
+  /**
+   * Pricing tables the booking was quoted from: the card version recorded in
+   * fareDetails (over the national card active at booking time), or the
+   * built-in constants when no card was recorded. Cards are immutable once
+   * activated, so settlement never picks up later rate changes.
+   * @param {Object} booking - Booking with fareDetails and createdAt
+   */
+  async getBookedRateTables(booking) {
+    const rateCardId = booking.fareDetails?.rateCardId;
+    if (!rateCardId) return this.buildRateTables(null);
+
+    const card = await RateCard.findById(rateCardId).lean();
+
+    if (!card) {
+      logger.warn('Booked rate card not found, settling with current rates', {
+        bookingId: booking.bookingId,
+        rateCardId
+      });
+      return this.getRateTables(booking.pickupLocation);
+    }
+
+    if ((card.scopeKey || RATE_CARD_SCOPES.NATIONAL) === RATE_CARD_SCOPES.NATIONAL) {
+      return this.buildRateTables(card);
+    }
+
+    const nationalCard = await RateCard.findOne({
+      scopeKey: RATE_CARD_SCOPES.NATIONAL,
+      activatedAt: { $lte: booking.createdAt || new Date() }
+    })
+      .sort({ activatedAt: -1 })
+      .lean();
+
+    return this.buildRateTables(nationalCard, card);
+  }
+
+  getAddOnServices(location = null) {
+    return this.getRateTables(location).addOnServices;
+  }
+
+  /**
+   * Reload active rate cards. When anything changed, cached fares are
+   * dropped so nothing is quoted from the old rates.
+   * @returns {Promise<Array>} Active cards now in force
+   */
+  async loadActiveRateCards() {
+    try {
+      const cards = await RateCard.findAllActive();
+      const signature = cards
+        .map(card => `${card._id}@${card.version}`)
+        .sort()
+        .join(',');
+
+      if (signature !== this.rateCardSignature) {
+        this.useRateCards(cards, signature);
+      }
+    } catch (error) {
+      logger.error('Failed to load active rate cards', { error: error.message });
+    }
+
+    return this.rateCards;
+  }
+
+  /**
+   * Switch pricing to the given active cards and drop cached fares
+   */
+  useRateCards(cards, signature) {
+    this.rateCards = cards || [];
+    this.rateCardSignature = signature || '';
+    this.rateTablesCache.clear();
+    this.clearCache();
+
+    logger.info('Rate cards switched', {
+      active: this.rateCards.map(card => `${card.scopeKey} v${card.version}`)
+    });
+  }
+
+  /**
+   * Poll for rate card changes made by other instances
+   */
+  startRateCardSync() {
+    if (this.rateCardSyncTimer) return;
+
+    this.rateCardSyncTimer = setInterval(() => {
+      this.loadActiveRateCards();
+    }, RATE_CARD_CONFIG.SYNC_INTERVAL_SECONDS * 1000);
+
+    this.rateCardSyncTimer.unref?.();
+  }
+
   /**
    * Periodic cache cleanup to prevent memory leaks
    */
@@ -162,9 +359,11 @@ class PricingService {
     isRoundTrip = false,
     startDateTime = new Date(),
     endDateTime = null,
-    includeTolls = false
+    includeTolls = false,
+    rateTables = this.getRateTables()
   ) {
     const cacheKey = this.generateCacheKey('outstation', {
+      rateCard: `${rateTables.scope}@${rateTables.version}`,
       vehicleType,
       distance,
       isRoundTrip,
@@ -185,7 +384,8 @@ class PricingService {
       }
 
       const tripDate = this.validateDateTime(startDateTime, 'outstation');
-      const rates = PRICING[normalizedVehicleType];
+      const surcharges = rateTables.outstationSurcharges;
+      const rates = rateTables.pricing[normalizedVehicleType];
       if (!rates) {
         throw new BadRequestError(
           `Pricing not configured for vehicle type: ${normalizedVehicleType}`
@@ -274,7 +474,7 @@ class PricingService {
       let tollCharges = 0;
       let stateTax = 0;
       if (includeTolls) {
-        tollCharges = actualRoundTripDistance * (OUTSTATION_SURCHARGES.TOLL_PER_KM || 1.5);
+        tollCharges = actualRoundTripDistance * (surcharges.TOLL_PER_KM || 1.5);
 
         let statePermitKey = 'DEFAULT_STATE_PERMIT_FEE';
         if (normalizedVehicleType.includes('TRAVELLER')) {
@@ -286,7 +486,7 @@ class PricingService {
         } else if (normalizedVehicleType === 'HATCHBACK') {
           statePermitKey = 'STATE_PERMIT_HATCHBACK';
         }
-        stateTax = OUTSTATION_SURCHARGES[statePermitKey] || OUTSTATION_SURCHARGES.DEFAULT_STATE_PERMIT_FEE || 450;
+        stateTax = surcharges[statePermitKey] || surcharges.DEFAULT_STATE_PERMIT_FEE || 450;
       }
 
       // If includeTolls is true, add tollCharges to baseFare
@@ -348,6 +548,9 @@ class PricingService {
         advanceAmount,
         remainingAmount,
         perKmRate: perKmRate,
+        rateCardId: rateTables.rateCardId,
+        rateCardVersion: rateTables.version,
+        rateCardScope: rateTables.scope,
         minFareApplied,
         minDailyKmApplied,
         estimatedTravelTime: `${estimatedHours} hours`,
@@ -386,8 +589,13 @@ class PricingService {
     }
   }
 
-  calculateLocalPackageFare(vehicleType, packageType, extras = {}) {
-    const cacheKey = this.generateCacheKey('local', { vehicleType, packageType, extras });
+  calculateLocalPackageFare(vehicleType, packageType, extras = {}, rateTables = this.getRateTables()) {
+    const cacheKey = this.generateCacheKey('local', {
+      rateCard: `${rateTables.scope}@${rateTables.version}`,
+      vehicleType,
+      packageType,
+      extras
+    });
     const cached = this.getFromCache(cacheKey);
     if (cached) return cached;
 
@@ -397,7 +605,7 @@ class PricingService {
         throw new BadRequestError('Package type is required');
       }
 
-      const pkg = LOCAL_PACKAGES[packageType];
+      const pkg = rateTables.localPackages[packageType];
       if (!pkg) throw new BadRequestError(`Invalid package type: ${packageType}`);
 
       const vehicleKey = normalizedVehicleType.toLowerCase();
@@ -444,6 +652,9 @@ class PricingService {
         remainingAmount,
         extraKmRate,
         extraHourRate,
+        rateCardId: rateTables.rateCardId,
+        rateCardVersion: rateTables.version,
+        rateCardScope: rateTables.scope,
         validUntil: new Date(Date.now() + 60 * 60 * 1000),
         inclusions: [`${pkg.hours} hours included`, `${pkg.km} kilometers included`, 'Fuel charges included', 'Driver allowance included', 'GST included'],
         exclusions: ['Toll charges (paid separately)', 'Parking charges (if any)', `Extra km: ₹${extraKmRate}/km`, `Extra hour: ₹${extraHourRate}/hr`],
@@ -464,19 +675,25 @@ class PricingService {
     }
   }
 
-  calculateAirportFare(vehicleType, distance, startDateTime = new Date()) {
-    const cacheKey = this.generateCacheKey('airport', { vehicleType, distance, date: new Date(startDateTime).toDateString() });
+  calculateAirportFare(vehicleType, distance, startDateTime = new Date(), rateTables = this.getRateTables()) {
+    const cacheKey = this.generateCacheKey('airport', {
+      rateCard: `${rateTables.scope}@${rateTables.version}`,
+      vehicleType,
+      distance,
+      date: new Date(startDateTime).toDateString()
+    });
     const cached = this.getFromCache(cacheKey);
     if (cached) return cached;
 
     try {
       const normalizedVehicleType = this.validateVehicleType(vehicleType, 'airport transfer');
-      const basePrice = AIRPORT_BASE_PRICE[normalizedVehicleType];
+      const basePrice = rateTables.airportBasePrice[normalizedVehicleType];
       if (!basePrice) throw new BadRequestError(`Airport transfer not configured for ${normalizedVehicleType}`);
 
       const validDistance = this.validateDistance(distance, 0.1, 200, 'airport transfer');
       const tripDate = this.validateDateTime(startDateTime, 'airport transfer');
-      const rates = PRICING[normalizedVehicleType];
+      const rates = rateTables.pricing[normalizedVehicleType];
+      if (!rates) throw new BadRequestError(`Pricing not configured for vehicle type: ${normalizedVehicleType}`);
 
       const perKmRate = rates.perKmRateOneWay;
       const freeKm = DISTANCE_CONFIG.FREE_KM_FOR_AIRPORT || 10;
@@ -520,6 +737,9 @@ class PricingService {
         advanceAmount,
         remainingAmount,
         perKmRate: perKmRate,
+        rateCardId: rateTables.rateCardId,
+        rateCardVersion: rateTables.version,
+        rateCardScope: rateTables.scope,
         estimatedTravelTime: `${estimatedMinutes} minutes`,
         validUntil: new Date(Date.now() + 60 * 60 * 1000),
         inclusions: ['Airport pickup/drop', `First ${freeKm} km included`, 'Driver allowance', 'Fuel charges', 'GST included'],
@@ -547,6 +767,116 @@ class PricingService {
     }
   }
 
+  /**
+   * Recompute the final bill of a completed trip from what actually happened.
+   * Local packages bill extra km/hours beyond the package (pre-start waiting counts
+   * towards time); outstation and airport trips bill extra km at the booked per-km
+   * rate plus waiting beyond the free allowance. GST is added on the extra charges
+   * only; tolls and parking are passed through as reported.
+   * Rates missing from fareDetails come from the booked card (getBookedRateTables).
+   * @param {Object} booking - Booking document with fareDetails and trip
+   * @param {Object} reported - Driver reported { tollCharges, parkingCharges }
+   * @param {number} amountPaid - Amount already collected (advance etc.)
+   * @param {Object} rateTables - Tables from getBookedRateTables(booking)
+   * @returns {Object} Settlement with line items
+   */
+  calculateFinalFare(booking, reported = {}, amountPaid = 0, rateTables) {
+    const fare = booking.fareDetails;
+    const trip = booking.trip || {};
+
+    if (!fare) {
+      throw new BadRequestError('Booking has no fare details to settle');
+    }
+
+    const actualDistance = Math.max(0, Number(trip.actualDistance) || 0);
+    const actualDurationMinutes = trip.actualStartTime && trip.actualEndTime
+      ? Math.max(0, Math.round((new Date(trip.actualEndTime) - new Date(trip.actualStartTime)) / 60000))
+      : 0;
+    const waitingTimeMinutes = Math.max(0, Number(trip.waitingTimeMinutes) || 0);
+
+    const isLocal = booking.bookingType?.startsWith('LOCAL_');
+    const vehicleKey = booking.vehicleType?.toLowerCase();
+
+    let extraKm = 0;
+    let extraHours = 0;
+    let extraKmRate = 0;
+    let extraHourRate = 0;
+    let waitingCharge = 0;
+
+    if (isLocal) {
+      const pkg = rateTables.localPackages[fare.packageType || booking.bookingType.replace('LOCAL_', '')] || {};
+      const includedKm = fare.includedDistance ?? pkg.km ?? 0;
+      const includedHours = fare.includedDuration ?? pkg.hours ?? 0;
+
+      extraKmRate = fare.extraKmRate ?? pkg.extraKmCharge?.[vehicleKey] ?? 0;
+      extraHourRate = fare.extraHourRate ?? pkg.extraHourCharge?.[vehicleKey] ?? 0;
+
+      extraKm = Math.max(0, Math.round((actualDistance - includedKm) * 10) / 10);
+
+      const overtimeMinutes = (actualDurationMinutes + waitingTimeMinutes) - (includedHours * 60);
+      if (overtimeMinutes > SETTLEMENT_CONFIG.LOCAL_GRACE_MINUTES) {
+        extraHours = Math.ceil(overtimeMinutes / 60);
+      }
+    } else {
+      const bookedDistance = fare.distance || 0;
+      extraKmRate = fare.perKmRate || rateTables.pricing[booking.vehicleType]?.perKmRateOneWay || 0;
+      extraKm = Math.max(0, Math.round((actualDistance - bookedDistance) * 10) / 10);
+
+      const chargeableWaiting = Math.max(0, waitingTimeMinutes - SETTLEMENT_CONFIG.FREE_WAITING_MINUTES);
+      waitingCharge = Math.round(chargeableWaiting * SETTLEMENT_CONFIG.WAITING_CHARGE_PER_MINUTE);
+    }
+
+    const extraKmCharge = Math.round(extraKm * extraKmRate);
+    const extraHourCharge = Math.round(extraHours * extraHourRate);
+    const extraCharges = extraKmCharge + extraHourCharge + waitingCharge;
+    const extraGst = Math.round(calculateGST(extraCharges, TAX_CONFIG.GST_RATE));
+
+    // Tolls already estimated into the fare are only billed again for the excess
+    const reportedTolls = Math.max(0, Number(reported.tollCharges) || 0);
+    const reportedParking = Math.max(0, Number(reported.parkingCharges) || 0);
+    const estimatedTolls = fare.tollCharges || 0;
+    const additionalTolls = Math.max(0, reportedTolls - estimatedTolls);
+
+    const estimatedAmount = fare.finalAmount;
+    const finalAmount = Math.round(
+      estimatedAmount + extraCharges + extraGst + additionalTolls + reportedParking
+    );
+    const paid = Math.max(0, Number(amountPaid) || 0);
+    const remainingAmount = Math.max(0, finalAmount - paid);
+
+    const lineItems = [
+      lineItem('invoice.bookedFare', {}, estimatedAmount),
+      extraKmCharge > 0 ? lineItem('invoice.extraKm', { km: extraKm, rate: extraKmRate }, extraKmCharge) : null,
+      extraHourCharge > 0 ? lineItem('invoice.extraHours', { hours: extraHours, rate: extraHourRate }, extraHourCharge) : null,
+      waitingCharge > 0 ? lineItem('invoice.waiting', { minutes: waitingTimeMinutes }, waitingCharge) : null,
+      extraGst > 0 ? lineItem('invoice.extraGst', { rate: TAX_CONFIG.GST_RATE * 100 }, extraGst) : null,
+      additionalTolls > 0 ? lineItem('invoice.tolls', {}, additionalTolls) : null,
+      reportedParking > 0 ? lineItem('invoice.parking', {}, reportedParking) : null,
+      paid > 0 ? lineItem('invoice.paidInAdvance', {}, -paid) : null
+    ].filter(Boolean);
+
+    return {
+      estimatedAmount,
+      actualDistance,
+      actualDurationMinutes,
+      waitingTimeMinutes,
+      extraKm,
+      extraKmRate,
+      extraKmCharge,
+      extraHours,
+      extraHourRate,
+      extraHourCharge,
+      waitingCharge,
+      extraGst,
+      tollCharges: Math.max(estimatedTolls, reportedTolls),
+      parkingCharges: reportedParking,
+      finalAmount,
+      amountPaid: paid,
+      remainingAmount,
+      lineItems
+    };
+  }
+
   getVehicleOptions(bookingType, params = {}) {
     try {
       const options = [];
@@ -561,27 +891,31 @@ class PricingService {
       const startDateTime = params.startDateTime ? new Date(params.startDateTime) : new Date();
       const endDateTime = params.endDateTime ? new Date(params.endDateTime) : null;
       const includeTolls = params.includeTolls || false;
+      // Per-type counts from availabilityService; without them every type is offered
+      const availability = params.availability || null;
+      // City/zone specific rates, falling back to the national card
+      const rateTables = this.getRateTables(params.pickupLocation);
 
       Object.values(VEHICLE_TYPES).forEach(vehicleType => {
         try {
           let fareDetails;
           switch (bookingType) {
             case BOOKING_TYPES.ONE_WAY:
-              fareDetails = this.calculateOutstationFare(vehicleType, params.distance, false, startDateTime, null, includeTolls);
+              fareDetails = this.calculateOutstationFare(vehicleType, params.distance, false, startDateTime, null, includeTolls, rateTables);
               break;
             case BOOKING_TYPES.ROUND_TRIP:
-              fareDetails = this.calculateOutstationFare(vehicleType, params.distance, true, startDateTime, endDateTime, includeTolls);
+              fareDetails = this.calculateOutstationFare(vehicleType, params.distance, true, startDateTime, endDateTime, includeTolls, rateTables);
               break;
             case BOOKING_TYPES.LOCAL_2_20:
             case BOOKING_TYPES.LOCAL_4_40:
             case BOOKING_TYPES.LOCAL_8_80:
             case BOOKING_TYPES.LOCAL_12_120:
               const packageCode = bookingType.replace('LOCAL_', '');
-              fareDetails = this.calculateLocalPackageFare(vehicleType, packageCode, params.extras);
+              fareDetails = this.calculateLocalPackageFare(vehicleType, packageCode, params.extras, rateTables);
               break;
             case BOOKING_TYPES.AIRPORT_DROP:
             case BOOKING_TYPES.AIRPORT_PICKUP:
-              fareDetails = this.calculateAirportFare(vehicleType, params.distance, startDateTime);
+              fareDetails = this.calculateAirportFare(vehicleType, params.distance, startDateTime, rateTables);
               break;
           }
           options.push({
@@ -592,7 +926,8 @@ class PricingService {
             features: this.getVehicleFeatures(vehicleType),
             fareDetails,
             recommended: vehicleType === VEHICLE_TYPES.SEDAN || (vehicleType.startsWith('SUV') && vehicleType.includes('INOVA')),
-            available: true,
+            available: availability ? (availability[vehicleType]?.remaining || 0) > 0 : true,
+            remaining: availability ? (availability[vehicleType]?.remaining || 0) : null,
             description: this.getVehicleDescription(vehicleType),
             savings: vehicleType === VEHICLE_TYPES.HATCHBACK ? 'Most Economical' : null,
             bestFor: this.getBestForDescription(vehicleType)
@@ -605,11 +940,13 @@ class PricingService {
       if (options.length === 0) throw new BadRequestError('No vehicles available');
       options.sort((a, b) => a.fareDetails.finalAmount - b.fareDetails.finalAmount);
 
-      // Ensure one option is recommended
-      const existingRec = options.find(opt => opt.recommended);
+      // Ensure one option is recommended, preferring one that can be booked
+      const bookable = options.filter(opt => opt.available);
+      const candidates = bookable.length > 0 ? bookable : options;
+      const existingRec = candidates.find(opt => opt.recommended);
       options.forEach(opt => opt.recommended = false);
       if (existingRec) existingRec.recommended = true;
-      else if (options.length > 0) options[Math.floor(options.length / 2)].recommended = true;
+      else if (candidates.length > 0) candidates[Math.floor(candidates.length / 2)].recommended = true;
 
       return options;
     } catch (error) {
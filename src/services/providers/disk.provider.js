@@ -0,0 +1,50 @@
+// src/services/providers/disk.provider.js - Local Disk Storage Provider
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+
+class DiskStorageProvider {
+  constructor(rootDir) {
+    this.root = path.resolve(rootDir);
+  }
+
+  /**
+   * Absolute path of a key; refuses keys that escape the root
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    await fsp.writeFile(filePath, buffer);
+  }
+
+  async exists(key) {
+    try {
+      await fsp.access(this.resolve(key));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  async remove(key) {
+    try {
+      await fsp.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+export default DiskStorageProvider;
@@ -0,0 +1,53 @@
+// src/services/providers/email.provider.js - Email Provider (SMTP)
+import nodemailer from 'nodemailer';
+import { NOTIFICATION_CHANNELS, DISPATCHER_CONFIG } from '../../config/constants.js';
+
+class SmtpEmailProvider {
+  constructor({ host, port, secure, user, pass, from = DISPATCHER_CONFIG.EMAIL_FROM } = {}) {
+    this.channel = NOTIFICATION_CHANNELS.EMAIL;
+    this.options = { host, port, secure, user, pass };
+    this.from = from;
+    this.transporter = null;
+  }
+
+  isConfigured() {
+    return !!this.options.host;
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      const { host, port, secure, user, pass } = this.options;
+
+      this.transporter = nodemailer.createTransport({
+        host,
+        port: port || (secure ? 465 : 587),
+        secure: !!secure,
+        auth: user ? { user, pass } : undefined
+      });
+    }
+
+    return this.transporter;
+  }
+
+  /**
+   * @param {Object} message - { to: email address, title (subject), body, html }
+   * @returns {Promise<Object>} { success, messageId | reason }
+   */
+  async send({ to, title, body, html }) {
+    if (!this.isConfigured()) {
+      return { success: false, reason: 'email_not_configured' };
+    }
+
+    const info = await this.getTransporter().sendMail({
+      from: this.from,
+      to,
+      subject: title,
+      text: body,
+      html
+    });
+
+    return { success: true, messageId: info.messageId };
+  }
+}
+
+export default SmtpEmailProvider;
@@ -0,0 +1,27 @@
+// src/services/providers/fcm.provider.js - Push Provider (Firebase Cloud Messaging)
+import {
+  sendNotification,
+  isNotificationServiceAvailable,
+  NOTIFICATION_PRIORITY
+} from '../../utils/notification.utils.js';
+import { NOTIFICATION_CHANNELS } from '../../config/constants.js';
+
+class FcmProvider {
+  constructor() {
+    this.channel = NOTIFICATION_CHANNELS.PUSH;
+  }
+
+  isConfigured() {
+    return isNotificationServiceAvailable();
+  }
+
+  /**
+   * @param {Object} message - { to: FCM token, title, body, data, ...deliverPush options }
+   * @returns {Promise<Object>} { success, messageId | reason }
+   */
+  async send({ to, ...options }) {
+    return sendNotification({ priority: NOTIFICATION_PRIORITY.HIGH, ...options, token: to });
+  }
+}
+
+export default FcmProvider;
@@ -0,0 +1,63 @@
+// src/services/providers/sms.provider.js - SMS Provider (HTTP gateway adapter)
+import axios from 'axios';
+import { NOTIFICATION_CHANNELS, DISPATCHER_CONFIG } from '../../config/constants.js';
+
+/**
+ * Posts { to, sender, message } as JSON to SMS_GATEWAY_URL with a bearer key.
+ * Most Indian gateways (MSG91, Gupshup, Kaleyra...) accept this shape directly
+ * or behind a thin proxy.
+ */
+class HttpSmsProvider {
+  constructor({ url, apiKey, senderId, timeoutMs = DISPATCHER_CONFIG.SMS_TIMEOUT_MS } = {}) {
+    this.channel = NOTIFICATION_CHANNELS.SMS;
+    this.url = url;
+    this.apiKey = apiKey;
+    this.senderId = senderId;
+    this.timeoutMs = timeoutMs;
+  }
+
+  isConfigured() {
+    return !!this.url;
+  }
+
+  /**
+   * 10-digit Indian numbers get the +91 country code
+   */
+  formatNumber(phoneNumber) {
+    const digits = String(phoneNumber).replace(/\D/g, '');
+    return digits.length === 10 ? `+91${digits}` : `+${digits}`;
+  }
+
+  /**
+   * @param {Object} message - { to: phone number, body }
+   * @returns {Promise<Object>} { success, messageId | reason }
+   */
+  async send({ to, body }) {
+    if (!this.isConfigured()) {
+      return { success: false, reason: 'sms_not_configured' };
+    }
+
+    const response = await axios.post(
+      this.url,
+      {
+        to: this.formatNumber(to),
+        sender: this.senderId,
+        message: body.substring(0, DISPATCHER_CONFIG.SMS_MAX_LENGTH)
+      },
+      {
+        timeout: this.timeoutMs,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+        }
+      }
+    );
+
+    return {
+      success: true,
+      messageId: response.data?.messageId || response.data?.id || null
+    };
+  }
+}
+
+export default HttpSmsProvider;
@@ -0,0 +1,40 @@
+// src/services/providers/stub.provider.js - In-memory Transport for Local Runs and Tests
+import logger from '../../config/logger.js';
+
+// Keep memory bounded when the stub stands in for an unconfigured provider
+const MAX_CAPTURED = 100;
+
+class StubProvider {
+  constructor(channel) {
+    this.channel = channel;
+    this.sent = [];
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Capture the message instead of delivering it
+   * @returns {Promise<Object>} { success, messageId }
+   */
+  async send(message) {
+    this.sent.push({ ...message, sentAt: new Date() });
+    if (this.sent.length > MAX_CAPTURED) {
+      this.sent.shift();
+    }
+
+    logger.info('Stub transport captured message', {
+      channel: this.channel,
+      title: message.title
+    });
+
+    return { success: true, messageId: `stub-${this.channel.toLowerCase()}-${Date.now()}` };
+  }
+
+  reset() {
+    this.sent = [];
+  }
+}
+
+export default StubProvider;
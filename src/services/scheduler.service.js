@@ -0,0 +1,190 @@
+// src/services/scheduler.service.js - Lease-locked Background Job Runner
+import os from 'os';
+import crypto from 'crypto';
+import Job from '../models/Job.js';
+import logger from '../config/logger.js';
+import { SCHEDULER_CONFIG } from '../config/constants.js';
+
+class SchedulerService {
+  constructor() {
+    // name -> { handler, computeNext, runImmediately }
+    this.jobs = new Map();
+    this.running = new Set();
+    this.timer = null;
+    this.ticking = false;
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  /**
+   * Register a job before start().
+   * @param {string} name - Job name (JOB_NAMES)
+   * @param {Object} schedule - { everySeconds } for a fixed interval, or
+   *                            { nextRun: (from) => Date } for calendar schedules
+   * @param {Function} handler - async ({ scheduledFor, previousRunAt, now }) => summary
+   */
+  register(name, schedule, handler) {
+    const computeNext = schedule.nextRun ||
+      ((from) => new Date(from.getTime() + schedule.everySeconds * 1000));
+
+    this.jobs.set(name, {
+      handler,
+      computeNext,
+      // Interval jobs run on first start; calendar jobs wait for their boundary
+      runImmediately: !schedule.nextRun
+    });
+  }
+
+  /**
+   * Create missing job documents and start polling.
+   * Existing documents keep their schedule, so restarts do not reset it.
+   */
+  async start() {
+    if (this.timer) return;
+
+    if (!SCHEDULER_CONFIG.ENABLED) {
+      logger.info('Scheduler disabled (SCHEDULER_ENABLED=false)');
+      return;
+    }
+
+    const now = new Date();
+
+    for (const [name, job] of this.jobs) {
+      try {
+        await Job.updateOne(
+          { name },
+          {
+            $setOnInsert: {
+              name,
+              nextRunAt: job.runImmediately ? now : job.computeNext(now)
+            }
+          },
+          { upsert: true }
+        );
+      } catch (error) {
+        // Another instance created it first
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => logger.error('Scheduler tick failed', { error: error.message }));
+    }, SCHEDULER_CONFIG.POLL_INTERVAL_SECONDS * 1000);
+    this.timer.unref();
+
+    logger.info('Scheduler started', {
+      instanceId: this.instanceId,
+      jobs: Array.from(this.jobs.keys())
+    });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run every due job this instance can lease, one after another
+   */
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      const due = await Job.find({
+        name: { $in: Array.from(this.jobs.keys()) },
+        enabled: true,
+        nextRunAt: { $lte: new Date() }
+      }).select('name').lean();
+
+      for (const { name } of due) {
+        if (!this.running.has(name)) {
+          await this.runJob(name);
+        }
+      }
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Take the job's lease and run it. Does nothing if another instance holds
+   * a live lease or already ran it.
+   * @param {string} name - Job name
+   */
+  async runJob(name) {
+    const registered = this.jobs.get(name);
+    if (!registered) return;
+
+    const now = new Date();
+
+    // Returns the document as it was before the lease, so lastStartedAt is
+    // still the previous run
+    const job = await Job.findOneAndUpdate(
+      {
+        name,
+        enabled: true,
+        nextRunAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      {
+        $set: {
+          lockedBy: this.instanceId,
+          lockedUntil: new Date(now.getTime() + SCHEDULER_CONFIG.LEASE_SECONDS * 1000),
+          lastStartedAt: now
+        }
+      }
+    );
+
+    if (!job) return;
+
+    this.running.add(name);
+    const update = { $inc: { runCount: 1 } };
+
+    try {
+      const result = await registered.handler({
+        scheduledFor: job.nextRunAt,
+        previousRunAt: job.lastStartedAt || null,
+        now
+      });
+
+      update.$set = { lastResult: result ?? null, lastError: null };
+
+      logger.info('Scheduled job finished', {
+        job: name,
+        durationMs: Date.now() - now.getTime(),
+        result
+      });
+    } catch (error) {
+      update.$set = { lastError: error.message };
+      update.$inc.failCount = 1;
+
+      logger.error('Scheduled job failed', {
+        job: name,
+        error: error.message,
+        stack: error.stack
+      });
+    } finally {
+      this.running.delete(name);
+    }
+
+    // Missed runs (e.g. downtime) collapse into this one
+    let nextRunAt = registered.computeNext(job.nextRunAt);
+    while (nextRunAt <= new Date()) {
+      nextRunAt = registered.computeNext(nextRunAt);
+    }
+
+    Object.assign(update.$set, {
+      nextRunAt,
+      lastFinishedAt: new Date(),
+      lockedBy: null,
+      lockedUntil: null
+    });
+
+    // Only release a lease we still hold
+    await Job.updateOne({ name, lockedBy: this.instanceId }, update);
+  }
+}
+
+export default new SchedulerService();
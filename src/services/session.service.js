@@ -0,0 +1,235 @@
+// src/services/session.service.js - Per-device Login Sessions & Refresh Token Rotation
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import socketService from './socket.service.js';
+import logger from '../config/logger.js';
+import { AuthenticationError } from '../utils/customError.js';
+import {
+  generateAccessToken,
+  generateRefreshToken,
+  verifyRefreshToken
+} from '../middleware/auth.middleware.js';
+import {
+  JWT,
+  SESSION_CONFIG,
+  SESSION_REVOKE_REASONS
+} from '../config/constants.js';
+
+const newTokenId = () => crypto.randomBytes(16).toString('hex');
+
+// Expiry of a freshly signed refresh token
+const expiryOf = (token) => new Date(jwt.decode(token).exp * 1000);
+
+const sessionEnded = () => new AuthenticationError(
+  'This session has been signed out. Please log in again.',
+  { messageKey: 'errors.sessionEnded' }
+);
+
+class SessionService {
+  /**
+   * Start a session for a device and issue its first token pair.
+   * A new login from the same deviceId replaces that device's session.
+   * @param {Object} user - User document
+   * @param {Object} device - { deviceId, deviceType, deviceName, userAgent, ip }
+   * @returns {Promise<Object>} Token pair (see buildTokens)
+   */
+  async createSession(user, { deviceId, deviceType, deviceName, userAgent, ip } = {}) {
+    if (deviceId) {
+      await this.revokeSessions(
+        { userId: user._id, deviceId },
+        SESSION_REVOKE_REASONS.REPLACED
+      );
+    }
+
+    const tokenId = newTokenId();
+    const session = new Session({
+      userId: user._id,
+      deviceId,
+      deviceType,
+      deviceName,
+      userAgent,
+      ip,
+      refreshTokenId: tokenId
+    });
+
+    const refreshToken = generateRefreshToken(user._id, session._id, tokenId, user.tokenVersion);
+    session.expiresAt = expiryOf(refreshToken);
+    await session.save();
+
+    await this.enforceLimit(user._id);
+
+    logger.info('Session created', {
+      userId: user._id,
+      sessionId: session._id,
+      deviceType
+    });
+
+    return this.buildTokens(user._id, session, refreshToken, user.tokenVersion);
+  }
+
+  /**
+   * Exchange a refresh token for a new pair. The presented token is spent;
+   * presenting it again means it leaked, so the whole session is revoked.
+   * @param {string} refreshToken
+   * @param {Object} context - { userAgent, ip }
+   * @returns {Promise<Object>} Token pair (see buildTokens)
+   */
+  async refresh(refreshToken, { userAgent, ip } = {}) {
+    const decoded = verifyRefreshToken(refreshToken);
+
+    const user = await User.findById(decoded.id).select('isActive tokenVersion');
+    if (!user || !user.isActive) {
+      await this.revokeSessions({ _id: decoded.sid }, SESSION_REVOKE_REASONS.TOKENS_REVOKED);
+      throw new AuthenticationError(
+        'Your account has been deactivated. Please contact support.',
+        { messageKey: 'errors.accountDeactivated' }
+      );
+    }
+
+    // Issued before the user's tokens were revoked
+    if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+      await this.revokeSessions({ _id: decoded.sid }, SESSION_REVOKE_REASONS.TOKENS_REVOKED);
+      throw sessionEnded();
+    }
+
+    const tokenId = newTokenId();
+    const rotated = generateRefreshToken(decoded.id, decoded.sid, tokenId, user.tokenVersion);
+
+    const session = await Session.findOneAndUpdate(
+      {
+        _id: decoded.sid,
+        userId: decoded.id,
+        refreshTokenId: decoded.jti,
+        revokedAt: null
+      },
+      {
+        $set: {
+          refreshTokenId: tokenId,
+          expiresAt: expiryOf(rotated),
+          lastUsedAt: new Date(),
+          ...(userAgent && { userAgent }),
+          ...(ip && { ip })
+        }
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      const reused = await this.revokeSessions(
+        { _id: decoded.sid, userId: decoded.id },
+        SESSION_REVOKE_REASONS.TOKEN_REUSE
+      );
+
+      if (reused > 0) {
+        logger.warn('Refresh token reuse detected - session revoked', {
+          userId: decoded.id,
+          sessionId: decoded.sid,
+          ip
+        });
+      }
+
+      throw sessionEnded();
+    }
+
+    return this.buildTokens(decoded.id, session, rotated, user.tokenVersion);
+  }
+
+  buildTokens(userId, session, refreshToken, tokenVersion) {
+    return {
+      token: generateAccessToken(userId, session._id, tokenVersion),
+      expiresIn: JWT.ACCESS_EXPIRES_IN,
+      refreshToken,
+      refreshExpiresAt: session.expiresAt,
+      sessionId: session._id
+    };
+  }
+
+  /**
+   * Active sessions of a user, most recently used first
+   */
+  async listSessions(userId) {
+    return Session.find({
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('deviceId deviceType deviceName userAgent ip lastUsedAt createdAt expiresAt')
+      .sort('-lastUsedAt')
+      .lean();
+  }
+
+  /**
+   * Sign out one session of the user
+   * @returns {Promise<boolean>} false if it was not active
+   */
+  async revokeSession(userId, sessionId, reason = SESSION_REVOKE_REASONS.LOGOUT) {
+    const revoked = await this.revokeSessions({ _id: sessionId, userId }, reason);
+    return revoked > 0;
+  }
+
+  /**
+   * Sign out every session of the user, optionally keeping one (the caller's)
+   * @returns {Promise<number>} Sessions revoked
+   */
+  async revokeAllSessions(userId, { exceptSessionId = null, reason = SESSION_REVOKE_REASONS.LOGOUT_ALL } = {}) {
+    const filter = { userId };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+    return this.revokeSessions(filter, reason);
+  }
+
+  /**
+   * Invalidate every token of the user, including legacy tokens without a
+   * session, by bumping User.tokenVersion
+   */
+  async revokeAllTokens(userId, reason = SESSION_REVOKE_REASONS.TOKENS_REVOKED) {
+    await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+    const revoked = await this.revokeSessions({ userId }, reason);
+
+    // Sockets opened with legacy tokens have no session to match on
+    socketService.disconnectUser(userId);
+    return revoked;
+  }
+
+  /**
+   * Revoke the open sessions matching the filter and drop their sockets
+   * @returns {Promise<number>} Sessions revoked
+   */
+  async revokeSessions(filter, reason) {
+    const sessions = await Session.find({ ...filter, revokedAt: null })
+      .select('_id userId')
+      .lean();
+
+    if (sessions.length === 0) return 0;
+
+    const result = await Session.updateMany(
+      { _id: { $in: sessions.map(s => s._id) }, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    socketService.disconnectSessions(sessions);
+    return result.modifiedCount;
+  }
+
+  /**
+   * Sign out the least recently used sessions beyond SESSION_CONFIG.MAX_PER_USER
+   */
+  async enforceLimit(userId) {
+    const stale = await Session.find({ userId, revokedAt: null })
+      .sort('-lastUsedAt')
+      .skip(SESSION_CONFIG.MAX_PER_USER)
+      .select('_id')
+      .lean();
+
+    if (stale.length > 0) {
+      await this.revokeSessions(
+        { _id: { $in: stale.map(s => s._id) } },
+        SESSION_REVOKE_REASONS.SESSION_LIMIT
+      );
+    }
+  }
+}
+
+export default new SessionService();
@@ -0,0 +1,513 @@
+// src/services/socket.service.js - Real-time Trip Tracking over WebSockets
+import { Server } from 'socket.io';
+import Booking from '../models/Booking.js';
+import Driver from '../models/Driver.js';
+import { authenticateToken } from '../middleware/auth.middleware.js';
+import chatService from './chat.service.js';
+import logger from '../config/logger.js';
+import {
+  SOCKET_EVENTS,
+  SOCKET_CONFIG,
+  BOOKING_STATUS,
+  USER_ROLES
+} from '../config/constants.js';
+
+// Bookings whose room receives the assigned driver's location stream
+const TRACKABLE_STATUSES = [BOOKING_STATUS.ASSIGNED, BOOKING_STATUS.IN_PROGRESS];
+
+// Status transition -> event pushed to the booking room
+const STATUS_EVENTS = {
+  [BOOKING_STATUS.ASSIGNED]: SOCKET_EVENTS.BOOKING_ACCEPTED,
+  [BOOKING_STATUS.IN_PROGRESS]: SOCKET_EVENTS.TRIP_STARTED,
+  [BOOKING_STATUS.COMPLETED]: SOCKET_EVENTS.TRIP_COMPLETED,
+  [BOOKING_STATUS.CANCELLED]: SOCKET_EVENTS.BOOKING_CANCELLED,
+  [BOOKING_STATUS.REJECTED]: SOCKET_EVENTS.BOOKING_REJECTED
+};
+
+const bookingRoom = (bookingId) => `booking:${bookingId}`;
+const userRoom = (userId) => `user:${userId}`;
+const driverRoom = (driverId) => `driver:${driverId}`;
+
+const isObjectId = (value) => typeof value === 'string' && /^[0-9a-fA-F]{24}$/.test(value);
+
+/**
+ * Same token sources as protect: auth payload, Bearer header, then jwt cookie
+ */
+const readToken = (handshake) => {
+  if (handshake.auth?.token) return handshake.auth.token;
+
+  const header = handshake.headers?.authorization;
+  if (header && header.startsWith('Bearer')) return header.split(' ')[1];
+
+  const match = handshake.headers?.cookie?.match(/(?:^|;\s*)jwt=([^;]+)/);
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+/**
+ * Answer a client event if it asked for an acknowledgement
+ */
+const reply = (ack, success, message, data = null) => {
+  if (typeof ack === 'function') {
+    ack({ success, message, data });
+  }
+};
+
+class SocketService {
+  constructor() {
+    this.io = null;
+  }
+
+  /**
+   * Attach the socket server to the running HTTP server
+   * @param {Object} httpServer - Server returned by app.listen
+   */
+  init(httpServer) {
+    if (this.io) return this.io;
+
+    this.io = new Server(httpServer, {
+      path: SOCKET_CONFIG.PATH,
+      pingTimeout: SOCKET_CONFIG.PING_TIMEOUT_MS,
+      cors: { origin: '*', credentials: true }
+    });
+
+    this.io.use((socket, next) => this.authenticate(socket, next));
+    this.io.on(SOCKET_EVENTS.CONNECTION, (socket) => this.handleConnection(socket));
+
+    logger.info('Socket server initialized', { path: SOCKET_CONFIG.PATH });
+    return this.io;
+  }
+
+  /**
+   * Drop every client connection (used on shutdown)
+   */
+  close() {
+    if (!this.io) return;
+    this.io.disconnectSockets(true);
+  }
+
+  /**
+   * Drop every socket of the user (tokens revoked, account deactivated,
+   * phone number changed). Clients must log in again to reconnect.
+   */
+  disconnectUser(userId) {
+    if (!this.io) return;
+    this.io.in(userRoom(userId)).disconnectSockets(true);
+  }
+
+  /**
+   * Drop the sockets opened with the tokens of revoked sessions
+   * @param {Array} sessions - [{ _id, userId }]
+   */
+  disconnectSessions(sessions) {
+    if (!this.io) return;
+
+    sessions.forEach(({ _id, userId }) => {
+      const socketIds = this.io.sockets.adapter.rooms.get(userRoom(userId));
+
+      [...(socketIds || [])].forEach((socketId) => {
+        const socket = this.io.sockets.sockets.get(socketId);
+        if (socket && socket.data.sessionId === _id.toString()) {
+          socket.disconnect(true);
+        }
+      });
+    });
+  }
+
+  // ========================================
+  // CONNECTION
+  // ========================================
+
+  /**
+   * Handshake middleware - accepts the same JWT as the REST API
+   */
+  async authenticate(socket, next) {
+    const token = readToken(socket.handshake);
+
+    if (!token) {
+      return next(new Error('You are not logged in. Please log in to get access.'));
+    }
+
+    try {
+      const user = await authenticateToken(token, {
+        ip: socket.handshake.address,
+        url: 'socket'
+      });
+
+      // Kept so revoking the session or the user's tokens can drop this socket
+      socket.data.user = user;
+      socket.data.sessionId = user.$locals.sessionId?.toString() || null;
+      socket.data.tokenVersion = user.tokenVersion || 0;
+      next();
+    } catch (error) {
+      next(new Error(error.message));
+    }
+  }
+
+  handleConnection(socket) {
+    const user = socket.data.user;
+
+    // Also the room disconnectUser / disconnectSessions look sockets up in
+    socket.join(userRoom(user._id));
+
+    socket.on(SOCKET_EVENTS.USER_JOINED, (payload, ack) => {
+      this.joinBooking(socket, payload, ack).catch((error) => {
+        logger.error('Socket join failed', { userId: user._id, error: error.message });
+        reply(ack, false, 'Could not join booking');
+      });
+    });
+
+    socket.on(SOCKET_EVENTS.USER_LEFT, (payload, ack) => {
+      this.leaveBooking(socket, payload, ack);
+    });
+
+    socket.on(SOCKET_EVENTS.DRIVER_LOCATION, (payload, ack) => {
+      this.handleDriverLocation(socket, payload, ack).catch((error) => {
+        logger.error('Driver location update failed', { userId: user._id, error: error.message });
+        reply(ack, false, 'Could not update location');
+      });
+    });
+
+    socket.on(SOCKET_EVENTS.MESSAGE_SENT, (payload, ack) => {
+      this.handleMessage(socket, payload, ack);
+    });
+
+    socket.on(SOCKET_EVENTS.TYPING, (payload) => {
+      this.handleTyping(socket, payload);
+    });
+
+    socket.on(SOCKET_EVENTS.DISCONNECT, (reason) => {
+      logger.debug('Socket disconnected', { userId: user._id, reason });
+    });
+
+    // Drivers also get a personal room for offers and trip updates
+    if (user.role === USER_ROLES.DRIVER) {
+      this.getSocketDriver(socket)
+        .then((driver) => driver && socket.join(driverRoom(driver._id)))
+        .catch((error) => {
+          logger.error('Failed to resolve driver for socket', { userId: user._id, error: error.message });
+        });
+    }
+
+    logger.debug('Socket connected', { userId: user._id, role: user.role });
+  }
+
+  /**
+   * Driver profile of the connected user, looked up once per connection
+   */
+  async getSocketDriver(socket) {
+    if (socket.data.user.role !== USER_ROLES.DRIVER) return null;
+
+    if (socket.data.driver === undefined) {
+      socket.data.driver = await Driver.findForUser(socket.data.user);
+    }
+
+    return socket.data.driver;
+  }
+
+  // ========================================
+  // BOOKING ROOMS
+  // ========================================
+
+  /**
+   * Join a booking room. Allowed for the customer, the assigned driver and admins.
+   * Payload: { bookingId } (database ID)
+   */
+  async joinBooking(socket, payload, ack) {
+    const bookingId = payload?.bookingId;
+
+    if (!isObjectId(bookingId)) {
+      return reply(ack, false, 'Invalid booking ID format');
+    }
+
+    const booking = await Booking.findById(bookingId)
+      .select('bookingId userId driverId status');
+
+    if (!booking) {
+      return reply(ack, false, 'Booking not found');
+    }
+
+    const user = socket.data.user;
+    let allowed = user.role === USER_ROLES.ADMIN ||
+      booking.userId?.toString() === user._id.toString();
+
+    if (!allowed && booking.driverId) {
+      const driver = await this.getSocketDriver(socket);
+      allowed = !!driver && booking.driverId.toString() === driver._id.toString();
+    }
+
+    if (!allowed) {
+      logger.warn('Unauthorized booking room join attempt', {
+        userId: user._id,
+        bookingId: booking.bookingId
+      });
+      return reply(ack, false, 'You do not have permission to track this booking');
+    }
+
+    socket.join(bookingRoom(booking._id));
+    socket.to(bookingRoom(booking._id)).emit(SOCKET_EVENTS.USER_JOINED, {
+      bookingId: booking._id,
+      role: user.role
+    });
+
+    // Last known position so the map has something to draw straight away
+    let driverLocation = null;
+    if (booking.driverId && TRACKABLE_STATUSES.includes(booking.status)) {
+      const driver = await Driver.findById(booking.driverId).select('currentLocation');
+      driverLocation = driver?.currentLocation?.coordinates?.lat !== undefined
+        ? driver.currentLocation
+        : null;
+    }
+
+    return reply(ack, true, 'Joined booking', {
+      bookingId: booking._id,
+      bookingCode: booking.bookingId,
+      status: booking.status,
+      driverLocation
+    });
+  }
+
+  leaveBooking(socket, payload, ack) {
+    const bookingId = payload?.bookingId;
+
+    if (!isObjectId(bookingId)) {
+      return reply(ack, false, 'Invalid booking ID format');
+    }
+
+    socket.leave(bookingRoom(bookingId));
+    socket.to(bookingRoom(bookingId)).emit(SOCKET_EVENTS.USER_LEFT, {
+      bookingId,
+      role: socket.data.user.role
+    });
+
+    return reply(ack, true, 'Left booking');
+  }
+
+  // ========================================
+  // CHAT
+  // ========================================
+
+  /**
+   * Chat message from a participant. Payload: { bookingId, text }
+   * Same rules as the REST endpoint; the saved message is in the ack.
+   */
+  async handleMessage(socket, payload, ack) {
+    const bookingId = payload?.bookingId;
+
+    if (!isObjectId(bookingId)) {
+      return reply(ack, false, 'Invalid booking ID format');
+    }
+
+    try {
+      const message = await chatService.sendMessage(bookingId, socket.data.user, payload.text);
+      return reply(ack, true, 'Message sent', message);
+    } catch (error) {
+      if (!error.isOperational) {
+        logger.error('Socket chat message failed', {
+          userId: socket.data.user._id,
+          error: error.message
+        });
+      }
+      return reply(ack, false, error.isOperational ? error.message : 'Could not send message');
+    }
+  }
+
+  /**
+   * Typing indicator, relayed only within a booking room the socket has joined.
+   * Payload: { bookingId, isTyping }
+   */
+  handleTyping(socket, payload) {
+    const bookingId = payload?.bookingId;
+
+    if (!isObjectId(bookingId) || !socket.rooms.has(bookingRoom(bookingId))) return;
+
+    socket.to(bookingRoom(bookingId)).emit(SOCKET_EVENTS.TYPING, {
+      bookingId,
+      userId: socket.data.user._id,
+      role: socket.data.user.role,
+      isTyping: payload.isTyping !== false
+    });
+  }
+
+  // ========================================
+  // DRIVER LOCATION
+  // ========================================
+
+  /**
+   * Location fix from a driver's device.
+   * Payload: { lat, lng, heading?, speed? }
+   * Broadcast to every trip the driver is on; persisted at most once per
+   * LOCATION_PERSIST_INTERVAL_MS so matching sees a fresh position.
+   */
+  async handleDriverLocation(socket, payload, ack) {
+    const driver = await this.getSocketDriver(socket);
+
+    if (!driver) {
+      return reply(ack, false, 'Driver profile not found for this account');
+    }
+
+    const { lat, lng, heading, speed } = payload || {};
+
+    if (typeof lat !== 'number' || lat < -90 || lat > 90) {
+      return reply(ack, false, 'lat must be a number between -90 and 90');
+    }
+
+    if (typeof lng !== 'number' || lng < -180 || lng > 180) {
+      return reply(ack, false, 'lng must be a number between -180 and 180');
+    }
+
+    const now = Date.now();
+    if (!socket.data.locationSavedAt ||
+      now - socket.data.locationSavedAt >= SOCKET_CONFIG.LOCATION_PERSIST_INTERVAL_MS) {
+      socket.data.locationSavedAt = now;
+      await driver.updateLocation(lat, lng);
+    }
+
+    const bookingIds = await this.getActiveTrips(socket, driver);
+
+    if (bookingIds.length > 0) {
+      const update = {
+        driverId: driver._id,
+        lat,
+        lng,
+        heading: typeof heading === 'number' ? heading : null,
+        speed: typeof speed === 'number' ? speed : null,
+        at: new Date(now).toISOString()
+      };
+
+      bookingIds.forEach((bookingId) => {
+        this.io.to(bookingRoom(bookingId)).emit(SOCKET_EVENTS.DRIVER_LOCATION, {
+          bookingId,
+          ...update
+        });
+      });
+    }
+
+    return reply(ack, true, 'Location updated', { trips: bookingIds.length });
+  }
+
+  /**
+   * Assigned / in-progress bookings of the driver, cached on the socket
+   */
+  async getActiveTrips(socket, driver) {
+    const cached = socket.data.activeTrips;
+    if (cached && Date.now() - cached.loadedAt < SOCKET_CONFIG.ACTIVE_TRIPS_CACHE_MS) {
+      return cached.bookingIds;
+    }
+
+    const bookings = await Booking.find({
+      driverId: driver._id,
+      status: { $in: TRACKABLE_STATUSES }
+    }).select('_id').lean();
+
+    const bookingIds = bookings.map(booking => booking._id.toString());
+    socket.data.activeTrips = { bookingIds, loadedAt: Date.now() };
+
+    return bookingIds;
+  }
+
+  /**
+   * Forget cached trip lists so the next fix picks up a new assignment
+   */
+  resetActiveTrips(driverId) {
+    const socketIds = this.io.sockets.adapter.rooms.get(driverRoom(driverId));
+
+    socketIds?.forEach((socketId) => {
+      const socket = this.io.sockets.sockets.get(socketId);
+      if (socket) socket.data.activeTrips = null;
+    });
+  }
+
+  // ========================================
+  // SERVER-SIDE EMITS
+  // ========================================
+
+  /**
+   * Broadcast a booking status transition to everyone following the booking:
+   * the booking room plus the customer's and driver's personal rooms.
+   * @param {Object} booking - Booking document (userId/driverId may be populated)
+   * @param {string} previousStatus - Status before the transition
+   * @param {Object} options - { previousDriverId } when the booking was reassigned
+   */
+  emitBookingStatus(booking, previousStatus = null, options = {}) {
+    if (!this.io || !booking) return;
+
+    const userId = booking.userId?._id || booking.userId;
+    const driverId = booking.driverId?._id || booking.driverId;
+    const rooms = [bookingRoom(booking._id)];
+
+    if (userId) rooms.push(userRoom(userId));
+    if (driverId) {
+      rooms.push(driverRoom(driverId));
+      this.resetActiveTrips(driverId);
+    }
+
+    // A replaced driver must stop streaming to (and following) this booking
+    const { previousDriverId } = options;
+    if (previousDriverId && previousDriverId.toString() !== driverId?.toString()) {
+      this.resetActiveTrips(previousDriverId);
+      this.io.in(driverRoom(previousDriverId)).socketsLeave(bookingRoom(booking._id));
+      this.emitToDriver(previousDriverId, SOCKET_EVENTS.BOOKING_UPDATED, {
+        bookingId: booking._id,
+        bookingCode: booking.bookingId,
+        status: booking.status,
+        reassigned: true
+      });
+    }
+
+    const event = STATUS_EVENTS[booking.status] || SOCKET_EVENTS.BOOKING_UPDATED;
+
+    this.io.to(rooms).emit(event, {
+      bookingId: booking._id,
+      bookingCode: booking.bookingId,
+      status: booking.status,
+      previousStatus,
+      driverId: driverId || null,
+      updatedAt: booking.updatedAt || new Date()
+    });
+
+    logger.debug('Booking status broadcast', {
+      bookingId: booking.bookingId,
+      event
+    });
+  }
+
+  /**
+   * Emit an event to a booking room
+   * @param {Object} options - { userIds } to also reach these users' personal rooms
+   *                           (each connection receives the event once)
+   */
+  emitToBooking(bookingId, event, payload, options = {}) {
+    if (!this.io) return;
+
+    const rooms = [bookingRoom(bookingId)];
+    (options.userIds || []).forEach(userId => rooms.push(userRoom(userId)));
+
+    this.io.to(rooms).emit(event, payload);
+  }
+
+  /**
+   * Whether the user has at least one live connection to this instance
+   */
+  isUserConnected(userId) {
+    if (!this.io) return false;
+    return (this.io.sockets.adapter.rooms.get(userRoom(userId))?.size || 0) > 0;
+  }
+
+  /**
+   * Emit an event to every connection of a user
+   */
+  emitToUser(userId, event, payload) {
+    if (!this.io) return;
+    this.io.to(userRoom(userId)).emit(event, payload);
+  }
+
+  /**
+   * Emit an event to every connection of a driver
+   */
+  emitToDriver(driverId, event, payload) {
+    if (!this.io) return;
+    this.io.to(driverRoom(driverId)).emit(event, payload);
+  }
+}
+
+export default new SocketService();
@@ -0,0 +1,100 @@
+// src/services/storage.service.js - File Storage (local disk by default, pluggable)
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+import DiskStorageProvider from './providers/disk.provider.js';
+import logger from '../config/logger.js';
+import { NotFoundError } from '../utils/customError.js';
+import { STORAGE_CONFIG } from '../config/constants.js';
+
+const EXTENSIONS = {
+  'application/pdf': 'pdf',
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/png': 'png'
+};
+
+class StorageService {
+  constructor() {
+    this.provider = new DiskStorageProvider(STORAGE_CONFIG.LOCAL_ROOT);
+  }
+
+  /**
+   * Replace the provider. It must implement save(key, buffer), exists(key),
+   * createReadStream(key) and remove(key).
+   */
+  useProvider(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * Store an uploaded file (multer memory storage) under a random key
+   * @param {Object} file - { buffer, mimetype, originalname, size }
+   * @param {string} folder - Key prefix, e.g. "drivers/<id>"
+   * @returns {Promise<Object>} { key, originalName, mimeType, size }
+   */
+  async saveUpload(file, folder) {
+    const extension = EXTENSIONS[file.mimetype] || 'bin';
+    const key = `${folder}/${Date.now()}-${crypto.randomBytes(8).toString('hex')}.${extension}`;
+
+    await this.provider.save(key, file.buffer);
+
+    return {
+      key,
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size
+    };
+  }
+
+  exists(key) {
+    return this.provider.exists(key);
+  }
+
+  createReadStream(key) {
+    return this.provider.createReadStream(key);
+  }
+
+  /**
+   * Stream a stored file as the response (private, not cached)
+   * @param {Object} res - Express response
+   * @param {string} key - Storage key
+   * @param {Object} meta - { mimeType, fileName }
+   */
+  async sendFile(res, key, { mimeType, fileName } = {}) {
+    if (!key || !(await this.provider.exists(key))) {
+      throw new NotFoundError('File not found');
+    }
+
+    res.setHeader('Content-Type', mimeType || 'application/octet-stream');
+    // Header values must be plain ASCII
+    const safeName = (fileName || 'document').replace(/[^\x20-\x7E]|["\\]/g, '_');
+    res.setHeader('Content-Disposition', `inline; filename="${safeName}"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+
+    try {
+      await pipeline(this.provider.createReadStream(key), res);
+    } catch (error) {
+      // Client went away or the read failed midway; nothing left to answer
+      if (res.headersSent) {
+        logger.warn('File stream aborted', { key, error: error.message });
+        return;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a file; failures are logged, not thrown (the record is what matters)
+   */
+  async remove(key) {
+    if (!key) return;
+
+    try {
+      await this.provider.remove(key);
+    } catch (error) {
+      logger.error('Failed to delete stored file', { key, error: error.message });
+    }
+  }
+}
+
+export default new StorageService();
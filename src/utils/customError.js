@@ -2,14 +2,18 @@
 
 /**
  * Base Application Error Class
- * All custom errors extend from this class
+ * All custom errors extend from this class.
+ * `message` stays English (logs); `messageKey` / `params` let the error
+ * handler answer in the client's language (see src/locales).
  */
 export class AppError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, { messageKey = null, params = {} } = {}) {
     super(message);
     this.statusCode = statusCode;
     this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
     this.isOperational = true; // Operational errors are expected errors
+    this.messageKey = messageKey;
+    this.messageParams = params;
 
     Error.captureStackTrace(this, this.constructor);
   }
@@ -20,8 +24,11 @@ export class AppError extends Error {
  * Used when request validation fails
  */
 export class ValidationError extends AppError {
-  constructor(message = 'Validation failed') {
-    super(message, 400);
+  constructor(message, options = {}) {
+    super(message || 'Validation failed', 400, {
+      messageKey: message ? null : 'errors.validation',
+      ...options
+    });
     this.name = 'ValidationError';
   }
 }
@@ -31,8 +38,11 @@ export class ValidationError extends AppError {
  * Used when authentication fails or is required
  */
 export class AuthenticationError extends AppError {
-  constructor(message = 'Authentication failed. Please log in.') {
-    super(message, 401);
+  constructor(message, options = {}) {
+    super(message || 'Authentication failed. Please log in.', 401, {
+      messageKey: message ? null : 'errors.authentication',
+      ...options
+    });
     this.name = 'AuthenticationError';
   }
 }
@@ -42,8 +52,11 @@ export class AuthenticationError extends AppError {
  * Used when user doesn't have permission to access resource
  */
 export class AuthorizationError extends AppError {
-  constructor(message = 'You do not have permission to perform this action') {
-    super(message, 403);
+  constructor(message, options = {}) {
+    super(message || 'You do not have permission to perform this action', 403, {
+      messageKey: message ? null : 'errors.authorization',
+      ...options
+    });
     this.name = 'AuthorizationError';
   }
 }
@@ -53,8 +66,11 @@ export class AuthorizationError extends AppError {
  * Used when requested resource doesn't exist
  */
 export class NotFoundError extends AppError {
-  constructor(message = 'Resource not found') {
-    super(message, 404);
+  constructor(message, options = {}) {
+    super(message || 'Resource not found', 404, {
+      messageKey: message ? null : 'errors.notFound',
+      ...options
+    });
     this.name = 'NotFoundError';
   }
 }
@@ -64,8 +80,11 @@ export class NotFoundError extends AppError {
  * Used when there's a conflict (e.g., duplicate entry)
  */
 export class ConflictError extends AppError {
-  constructor(message = 'Resource already exists') {
-    super(message, 409);
+  constructor(message, options = {}) {
+    super(message || 'Resource already exists', 409, {
+      messageKey: message ? null : 'errors.conflict',
+      ...options
+    });
     this.name = 'ConflictError';
   }
 }
@@ -75,8 +94,11 @@ export class ConflictError extends AppError {
  * Used for general bad requests
  */
 export class BadRequestError extends AppError {
-  constructor(message = 'Bad request') {
-    super(message, 400);
+  constructor(message, options = {}) {
+    super(message || 'Bad request', 400, {
+      messageKey: message ? null : 'errors.badRequest',
+      ...options
+    });
     this.name = 'BadRequestError';
   }
 }
@@ -86,8 +108,11 @@ export class BadRequestError extends AppError {
  * Used for unexpected server errors
  */
 export class InternalServerError extends AppError {
-  constructor(message = 'Internal server error') {
-    super(message, 500);
+  constructor(message, options = {}) {
+    super(message || 'Internal server error', 500, {
+      messageKey: message ? null : 'errors.internal',
+      ...options
+    });
     this.name = 'InternalServerError';
   }
 }
@@ -97,8 +122,11 @@ export class InternalServerError extends AppError {
  * Used when a service is temporarily unavailable
  */
 export class ServiceUnavailableError extends AppError {
-  constructor(message = 'Service temporarily unavailable') {
-    super(message, 503);
+  constructor(message, options = {}) {
+    super(message || 'Service temporarily unavailable', 503, {
+      messageKey: message ? null : 'errors.serviceUnavailable',
+      ...options
+    });
     this.name = 'ServiceUnavailableError';
   }
 }
@@ -108,8 +136,11 @@ export class ServiceUnavailableError extends AppError {
  * Used for rate limiting
  */
 export class TooManyRequestsError extends AppError {
-  constructor(message = 'Too many requests. Please try again later.') {
-    super(message, 429);
+  constructor(message, options = {}) {
+    super(message || 'Too many requests. Please try again later.', 429, {
+      messageKey: message ? null : 'errors.tooManyRequests',
+      ...options
+    });
     this.name = 'TooManyRequestsError';
   }
 }
@@ -23,6 +23,23 @@ export const maskPhoneNumber = (phoneNumber) => {
   return masked;
 };
 
+/**
+ * Mask every phone number found in free text (e.g. chat messages)
+ * Example: "call me on +91 98765-43210" -> "call me on XXXXXXXX3210"
+ * @param {string} text - Text to scan
+ * @returns {string} Text with phone numbers masked
+ */
+export const maskPhoneNumbersInText = (text) => {
+  if (!text || typeof text !== 'string') {
+    return text;
+  }
+
+  return text.replace(/\+?\d[\d\s-]{8,}\d/g, (match) => {
+    const digits = match.replace(/\D/g, '');
+    return digits.length >= 10 && digits.length <= 13 ? maskPhoneNumber(digits) : match;
+  });
+};
+
 /**
  * Mask email address for security
  * Example: john.doe@example.com -> j***e@example.com
@@ -285,6 +302,34 @@ export const calculateDistance = (origin, destination) => {
   return Math.round(distance * 10) / 10;
 };
 
+/**
+ * Check whether a point lies inside a polygon (ray casting)
+ * @param {Object} point - { lat, lng }
+ * @param {Array} polygon - Array of { lat, lng } vertices
+ * @returns {boolean} True if inside
+ */
+export const isPointInPolygon = (point, polygon) => {
+  if (!point || typeof point.lat !== 'number' || typeof point.lng !== 'number') {
+    return false;
+  }
+  if (!Array.isArray(polygon) || polygon.length < 3) {
+    return false;
+  }
+
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const { lat: yi, lng: xi } = polygon[i];
+    const { lat: yj, lng: xj } = polygon[j];
+
+    const intersects = ((yi > point.lat) !== (yj > point.lat)) &&
+      (point.lng < ((xj - xi) * (point.lat - yi)) / (yj - yi) + xi);
+
+    if (intersects) inside = !inside;
+  }
+
+  return inside;
+};
+
 /**
  * Convert degrees to radians
  * @param {number} degrees - Degrees
@@ -541,6 +586,7 @@ export const sortByKey = (array, key, order = 'asc') => {
 
 export default {
   maskPhoneNumber,
+  maskPhoneNumbersInText,
   maskEmail,
   calculateGST,
   calculateAmountWithGST,
@@ -555,6 +601,7 @@ export default {
   isValidEmail,
   isValidPincode,
   calculateDistance,
+  isPointInPolygon,
   sanitizeString,
   generateUniqueId,
   generateBookingReference,
@@ -0,0 +1,128 @@
+// src/utils/i18n.js - Message Catalogue Lookup and Language Resolution
+import en from '../locales/en.js';
+import hi from '../locales/hi.js';
+import { LANGUAGES, DEFAULT_LANGUAGE } from '../config/constants.js';
+
+const CATALOGUES = {
+  [LANGUAGES.EN]: en,
+  [LANGUAGES.HI]: hi
+};
+
+/**
+ * Map a language tag (e.g. "hi-IN") to a supported language
+ * @param {string} language - Language tag
+ * @returns {string|null} Supported language or null
+ */
+export const normalizeLanguage = (language) => {
+  if (!language || typeof language !== 'string') return null;
+  const base = language.trim().toLowerCase().split(/[-_]/)[0];
+  return CATALOGUES[base] ? base : null;
+};
+
+/**
+ * Best supported language from an Accept-Language header
+ * @param {string} header - e.g. "hi-IN,hi;q=0.9,en;q=0.8"
+ * @returns {string|null}
+ */
+export const parseAcceptLanguage = (header) => {
+  if (!header) return null;
+
+  const ranked = header
+    .split(',')
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.find(param => param.trim().startsWith('q='));
+      return { tag, q: q ? parseFloat(q.trim().slice(2)) || 0 : 1 };
+    })
+    .filter(entry => entry.q > 0)
+    .sort((a, b) => b.q - a.q);
+
+  for (const { tag } of ranked) {
+    const language = normalizeLanguage(tag);
+    if (language) return language;
+  }
+
+  return null;
+};
+
+/**
+ * Language of a user, falling back to the default
+ * @param {Object} user - User document (preferences.language)
+ * @returns {string}
+ */
+export const getUserLanguage = (user) =>
+  normalizeLanguage(user?.preferences?.language) || DEFAULT_LANGUAGE;
+
+/**
+ * Language for a request: the logged-in user's preference, otherwise
+ * the Accept-Language header
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+export const resolveLanguage = (req) =>
+  normalizeLanguage(req.user?.preferences?.language) ||
+  parseAcceptLanguage(req.get?.('accept-language')) ||
+  DEFAULT_LANGUAGE;
+
+/**
+ * Placeholder value as text. Message references (and lists of them, joined
+ * with commas) are translated into the same language.
+ */
+const renderParam = (value, language) => {
+  if (Array.isArray(value)) {
+    return value.map(part => renderParam(part, language)).join(', ');
+  }
+  if (value && typeof value === 'object' && value.key) {
+    return t(value.key, language, value.params);
+  }
+  return String(value);
+};
+
+/**
+ * Translate a message ID. Falls back to English, then to the ID itself.
+ * @param {string} key - Message ID (see src/locales/en.js)
+ * @param {string} language - Target language
+ * @param {Object} params - Values for {placeholders}; text or messageRef()s
+ * @returns {string}
+ */
+export const t = (key, language = DEFAULT_LANGUAGE, params = {}) => {
+  const template = CATALOGUES[language]?.[key] ?? CATALOGUES[DEFAULT_LANGUAGE][key] ?? key;
+
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined && params[name] !== null ? renderParam(params[name], language) : match
+  );
+};
+
+/**
+ * Reference to a catalogue message, rendered later in the recipient's language
+ * @returns {Object} { key, params }
+ */
+export const messageRef = (key, params = {}) => ({ key, params });
+
+/**
+ * Render a plain string, a message reference or a list of both
+ * (joined with spaces)
+ * @param {string|Object|Array} content
+ * @param {string} language
+ * @returns {string}
+ */
+export const renderMessage = (content, language = DEFAULT_LANGUAGE) => {
+  if (content === undefined || content === null) return content;
+  if (Array.isArray(content)) {
+    return content.map(part => renderMessage(part, language)).filter(Boolean).join(' ');
+  }
+  if (typeof content === 'object') {
+    return t(content.key, language, content.params);
+  }
+  return content;
+};
+
+export default {
+  normalizeLanguage,
+  parseAcceptLanguage,
+  getUserLanguage,
+  resolveLanguage,
+  t,
+  messageRef,
+  renderMessage
+};
@@ -0,0 +1,30 @@
+// src/utils/migrateKycGrandfather.js - One-off: keep pre-KYC verified drivers verified
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Driver from '../models/Driver.js';
+import logger from '../config/logger.js';
+
+dotenv.config();
+
+/**
+ * Drivers verified before KYC uploads existed have no approved documents for
+ * some mandatory types. Mark them grandfathered (Driver.kycGrandfatheredAt)
+ * so their next document upload does not take them offline. Safe to re-run.
+ */
+const migrate = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    const count = await Driver.grandfatherVerifiedDrivers();
+    logger.info('KYC grandfathering complete', { driversMarked: count });
+    process.exit(0);
+  } catch (error) {
+    logger.error('KYC grandfathering failed', { error: error.message });
+    process.exit(1);
+  }
+};
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  migrate();
+}
+
+export default migrate;
@@ -2,6 +2,11 @@
 import { messaging, isFirebaseAvailable } from '../config/firebase.js';
 import logger from '../config/logger.js';
 import User from '../models/User.js'; // --- [NEW] ---
+import Notification from '../models/Notification.js';
+import {
+  NOTIFICATION_TYPES as INBOX_TYPES,
+  NOTIFICATION_DELIVERY_STATUS
+} from '../config/constants.js';
 
 /**
  * Notification types enum
@@ -48,6 +53,108 @@ export const validateFCMToken = (token) => {
   return cleanToken.length > 0;
 };
 
+/**
+ * Store a notification in the user's inbox.
+ * Never throws - a failed write must not stop the push itself.
+ * @param {Object} options
+ * @param {string} options.userId - Recipient user ID
+ * @param {string} options.type - Inbox type (NOTIFICATION_TYPES in config/constants.js)
+ * @param {string} options.title - Notification title
+ * @param {string} options.body - Notification body
+ * @param {string} options.bookingRef - Booking database ID (optional)
+ * @param {Object} options.data - Payload sent with the push
+ * @returns {Promise<Object|null>} Notification document
+ */
+export const recordNotification = async ({
+  userId,
+  type = INBOX_TYPES.GENERAL,
+  title,
+  body,
+  bookingRef = null,
+  data = {}
+}) => {
+  try {
+    return await Notification.create({
+      userId,
+      type: Object.values(INBOX_TYPES).includes(type) ? type : INBOX_TYPES.GENERAL,
+      title,
+      body,
+      bookingId: bookingRef || undefined,
+      bookingCode: data.bookingId,
+      data
+    });
+  } catch (error) {
+    logger.error('Failed to record inbox notification', {
+      userId,
+      type,
+      error: error.message
+    });
+    return null;
+  }
+};
+
+/**
+ * Record how the push for an inbox notification went
+ */
+export const markNotificationDelivery = async (record, result) => {
+  if (!record) return;
+
+  const status = result.success
+    ? NOTIFICATION_DELIVERY_STATUS.SENT
+    : ['no_fcm_token', 'notification_service_unavailable', 'push_disabled'].includes(result.reason)
+      ? NOTIFICATION_DELIVERY_STATUS.NOT_SENT
+      : NOTIFICATION_DELIVERY_STATUS.FAILED;
+
+  try {
+    await Notification.updateOne(
+      { _id: record._id },
+      { $set: { 'delivery.status': status, 'delivery.error': result.success ? undefined : result.reason } }
+    );
+  } catch (error) {
+    logger.error('Failed to update inbox notification delivery', {
+      notificationId: record._id,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Send a push notification. With a userId the notification is first stored
+ * in that user's inbox, so it can be read even if the push never arrives.
+ * @param {Object} options - Same as deliverPush, plus:
+ * @param {string} options.userId - Recipient user ID (enables the inbox record)
+ * @param {string} options.bookingRef - Booking database ID for the inbox record
+ * @param {string} options.inboxType - Inbox type (NOTIFICATION_TYPES in config/constants.js)
+ * @returns {Promise<Object>}
+ */
+export const sendNotification = async ({ userId, bookingRef, inboxType, ...pushOptions }) => {
+  if (!userId) {
+    return deliverPush(pushOptions);
+  }
+
+  const record = await recordNotification({
+    userId,
+    type: inboxType,
+    title: pushOptions.title,
+    body: pushOptions.body,
+    bookingRef,
+    data: pushOptions.data
+  });
+
+  let result;
+  try {
+    result = validateFCMToken(pushOptions.token)
+      ? await deliverPush(pushOptions)
+      : { success: false, reason: 'no_fcm_token' };
+  } catch (error) {
+    await markNotificationDelivery(record, { success: false, reason: error.message });
+    throw error;
+  }
+
+  await markNotificationDelivery(record, result);
+  return result;
+};
+
 /**
  * Send a push notification via Firebase Cloud Messaging
  * @param {Object} options - Notification options
@@ -62,7 +169,7 @@ export const validateFCMToken = (token) => {
  * @param {number} options.badge - Badge count for iOS
  * @returns {Promise<Object>}
  */
-export const sendNotification = async ({
+const deliverPush = async ({
   token,
   title,
   body,
@@ -403,24 +510,49 @@ const handleFirebaseError = (error) => {
 };
 
 /**
- * Send booking notification
- * @param {string} token - FCM token
- * @param {string} bookingId - Booking ID
- * @param {string} status - Booking status (confirmed/cancelled/completed)
- * @param {string} message - Custom message
- * @returns {Promise<Object>}
+ * Title and inbox type for a booking event (confirmed/cancelled/assigned/...)
+ * @param {string} status - Booking event
+ * @returns {Object} { title, titleKey (catalogue ID for localized titles), inboxType }
  */
-export const sendBookingNotification = async (token, bookingId, status, message) => {
+export const describeBookingNotification = (status) => {
   const statusTitles = {
     confirmed: 'Booking Confirmed',
     cancelled: 'Booking Cancelled',
     assigned: 'Driver Assigned',
+    in_progress: 'Trip Started',
     completed: 'Trip Completed'
   };
 
+  const inboxTypes = {
+    confirmed: INBOX_TYPES.BOOKING_CONFIRMED,
+    cancelled: INBOX_TYPES.BOOKING_CANCELLED,
+    assigned: INBOX_TYPES.DRIVER_ASSIGNED,
+    in_progress: INBOX_TYPES.TRIP_STARTED,
+    completed: INBOX_TYPES.TRIP_COMPLETED
+  };
+
+  return {
+    title: statusTitles[status] || 'Booking Update',
+    titleKey: statusTitles[status] ? `booking.title.${status}` : 'booking.title.default',
+    inboxType: inboxTypes[status] || INBOX_TYPES.BOOKING_UPDATED
+  };
+};
+
+/**
+ * Send booking notification
+ * @param {string} token - FCM token
+ * @param {string} bookingId - Booking ID
+ * @param {string} status - Booking status (confirmed/cancelled/completed)
+ * @param {string} message - Custom message
+ * @param {Object} inbox - { userId, bookingRef } to also store it in the user's inbox
+ * @returns {Promise<Object>}
+ */
+export const sendBookingNotification = async (token, bookingId, status, message, inbox = {}) => {
+  const { title, inboxType } = describeBookingNotification(status);
+
   return sendNotification({
     token,
-    title: statusTitles[status] || 'Booking Update',
+    title,
     body: message,
     type: NOTIFICATION_TYPES.ORDER,
     priority: NOTIFICATION_PRIORITY.HIGH,
@@ -428,7 +560,10 @@ export const sendBookingNotification = async (token, bookingId, status, message)
       bookingId,
       status,
       action: 'VIEW_BOOKING'
-    }
+    },
+    userId: inbox.userId,
+    bookingRef: inbox.bookingRef,
+    inboxType
   });
 };
 
@@ -438,9 +573,11 @@ export const sendBookingNotification = async (token, bookingId, status, message)
  * @param {string} title - Notification title
  * @param {string} message - Notification message
  * @param {Object} extraData - Additional data
+ * @param {Object} inbox - { userId, bookingRef, type } to also store it in the
+ *                         inbox of the driver's user account
  * @returns {Promise<Object>}
  */
-export const sendDriverNotification = async (token, title, message, extraData = {}) => {
+export const sendDriverNotification = async (token, title, message, extraData = {}, inbox = {}) => {
   return sendNotification({
     token,
     title,
@@ -450,7 +587,10 @@ export const sendDriverNotification = async (token, title, message, extraData =
     data: {
       ...extraData,
       action: 'DRIVER_UPDATE'
-    }
+    },
+    userId: inbox.userId,
+    bookingRef: inbox.bookingRef,
+    inboxType: inbox.type || INBOX_TYPES.BOOKING_UPDATED
   });
 };
 
@@ -475,6 +615,14 @@ export const sendAdminNotification = async (title, body, data = {}) => {
       return;
     }
 
+    await Promise.all(admins.map(admin => recordNotification({
+      userId: admin._id,
+      type: INBOX_TYPES.ADMIN_ALERT,
+      title,
+      body,
+      data
+    })));
+
     const tokens = new Set();
     admins.forEach(admin => {
       admin.deviceInfo?.forEach(device => {
@@ -522,9 +670,10 @@ export const sendAdminNotification = async (title, body, data = {}) => {
  * @param {string} bookingId - Booking ID
  * @param {string} status - Trip status (started/ongoing/completed)
  * @param {string} message - Custom message
+ * @param {Object} inbox - { userId, bookingRef } to also store it in the user's inbox
  * @returns {Promise<Object>}
  */
-export const sendTripNotification = async (token, bookingId, status, message) => {
+export const sendTripNotification = async (token, bookingId, status, message, inbox = {}) => {
   return sendNotification({
     token,
     title: 'Trip Update',
@@ -535,12 +684,18 @@ export const sendTripNotification = async (token, bookingId, status, message) =>
       bookingId,
       status,
       action: 'VIEW_TRIP'
-    }
+    },
+    userId: inbox.userId,
+    bookingRef: inbox.bookingRef,
+    inboxType: status === 'completed' ? INBOX_TYPES.TRIP_COMPLETED : INBOX_TYPES.TRIP_STARTED
   });
 };
 
 export default {
   sendNotification,
+  recordNotification,
+  markNotificationDelivery,
+  describeBookingNotification,
   sendOTPNotification,
   sendOrderNotification,
   sendDeliveryNotification,
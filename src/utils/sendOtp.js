@@ -1,15 +1,18 @@
 // src/utils/sendOtp.js - Clean OTP Notification Service
 import { messaging, isFirebaseAvailable } from '../config/firebase.js';
 import logger from '../config/logger.js';
+import { OTP_CONFIG, DEFAULT_LANGUAGE } from '../config/constants.js';
+import { t } from './i18n.js';
 
 /**
  * Send OTP notification via Firebase Cloud Messaging
  * @param {string} fcmToken - Firebase Cloud Messaging device token
  * @param {string} otp - One-Time Password to send
+ * @param {string} language - Message language (en/hi)
  * @returns {Promise<Object>} Response object with success status
  * @throws {Error} If notification fails to send
  */
-export const sendOTPNotification = async (fcmToken, otp) => {
+export const sendOTPNotification = async (fcmToken, otp, language = DEFAULT_LANGUAGE) => {
   // Check if Firebase is configured and available
   if (!isFirebaseAvailable || !messaging) {
     logger.warn('Firebase Messaging not available - notification skipped', {
@@ -54,8 +57,8 @@ export const sendOTPNotification = async (fcmToken, otp) => {
     // Construct notification message
     const message = {
       notification: {
-        title: 'Your OTP Code',
-        body: `Your verification code is ${otp}. Valid for 10 minutes. Do not share this code.`
+        title: t('otp.title', language),
+        body: t('otp.body', language, { code: otp, minutes: OTP_CONFIG.EXPIRY_MINUTES })
       },
       data: {
         type: 'otp_verification',
@@ -167,9 +170,9 @@ export const sendBulkOTPNotifications = async (notifications) => {
   };
 
   // Process notifications concurrently
-  const promises = notifications.map(async ({ token, otp }) => {
+  const promises = notifications.map(async ({ token, otp, language }) => {
     try {
-      await sendOTPNotification(token, otp);
+      await sendOTPNotification(token, otp, language);
       results.successCount++;
     } catch (error) {
       results.failureCount++;
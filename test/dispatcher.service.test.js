@@ -0,0 +1,232 @@
+// test/dispatcher.service.test.js - Notification Dispatcher Routing (stub transports)
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../src/models/User.js';
+import notificationDispatcher from '../src/services/dispatcher.service.js';
+import StubProvider from '../src/services/providers/stub.provider.js';
+import { messageRef } from '../src/utils/i18n.js';
+import { MESSAGE_CATEGORIES, NOTIFICATION_CHANNELS } from '../src/config/constants.js';
+
+const { PUSH, SMS, EMAIL } = NOTIFICATION_CHANNELS;
+
+// Transport that reports every message as undelivered
+class FailingProvider extends StubProvider {
+  async send(message) {
+    this.sent.push(message);
+    return { success: false, reason: 'gateway_down' };
+  }
+}
+
+const USER_ID = '64b000000000000000000001';
+
+const contacts = {
+  fcmToken: 'fcm-token',
+  phoneNumber: '9876543210',
+  email: 'rider@example.com'
+};
+
+// Recipient loaded by the dispatcher in place of a database read
+const withUser = (user) => {
+  mock.method(User, 'findById', () => ({
+    select: () => ({ lean: async () => user })
+  }));
+};
+
+describe('notificationDispatcher.dispatch', () => {
+  let providers;
+
+  beforeEach(() => {
+    providers = {
+      [PUSH]: new StubProvider(PUSH),
+      [SMS]: new StubProvider(SMS),
+      [EMAIL]: new StubProvider(EMAIL)
+    };
+    notificationDispatcher.useProviders(providers);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('sends a non-critical message on the first allowed channel only', async () => {
+    const result = await notificationDispatcher.dispatch({
+      category: MESSAGE_CATEGORIES.BOOKING,
+      to: contacts,
+      title: 'Booking Update',
+      body: 'Your booking was updated'
+    });
+
+    assert.equal(result.critical, false);
+    assert.deepEqual(Object.keys(result.results), [PUSH]);
+    assert.equal(providers[PUSH].sent.length, 1);
+    assert.equal(providers[SMS].sent.length, 0);
+    assert.equal(providers[EMAIL].sent.length, 0);
+  });
+
+  it('falls through to the next channel when a transport fails', async () => {
+    providers[PUSH] = new FailingProvider(PUSH);
+    notificationDispatcher.useProviders({ [PUSH]: providers[PUSH] });
+
+    const result = await notificationDispatcher.dispatch({
+      category: MESSAGE_CATEGORIES.BOOKING,
+      to: contacts,
+      title: 'Booking Update',
+      body: 'Your booking was updated'
+    });
+
+    assert.equal(result.results[PUSH].success, false);
+    assert.equal(result.results[SMS].success, true);
+    assert.equal(providers[SMS].sent.length, 1);
+    assert.equal(providers[EMAIL].sent.length, 0);
+  });
+
+  it('skips channels the recipient cannot be reached on', async () => {
+    const result = await notificationDispatcher.dispatch({
+      category: MESSAGE_CATEGORIES.BOOKING,
+      to: { phoneNumber: contacts.phoneNumber },
+      title: 'Booking Update',
+      body: 'Your booking was updated'
+    });
+
+    assert.deepEqual(result.channels, [SMS]);
+    assert.equal(providers[PUSH].sent.length, 0);
+    assert.equal(providers[SMS].sent[0].to, contacts.phoneNumber);
+  });
+
+  it('respects notification preferences for non-critical messages', async () => {
+    withUser({ ...contacts, preferences: { notifications: { push: false, sms: true, email: true } } });
+
+    const result = await notificationDispatcher.dispatch({
+      category: MESSAGE_CATEGORIES.BOOKING,
+      userId: USER_ID,
+      title: 'Booking Update',
+      body: 'Your booking was updated'
+    });
+
+    assert.deepEqual(result.channels, [SMS, EMAIL]);
+    assert.equal(providers[PUSH].sent.length, 0);
+    assert.equal(providers[SMS].sent.length, 1);
+  });
+
+  it('sends critical messages on every reachable channel regardless of preferences', async () => {
+    withUser({ ...contacts, preferences: { notifications: { push: false, sms: false, email: false } } });
+
+    const result = await notificationDispatcher.dispatch({
+      category: MESSAGE_CATEGORIES.BOOKING,
+      userId: USER_ID,
+      title: 'Booking Cancelled',
+      body: 'Your booking has been cancelled',
+      critical: true
+    });
+
+    assert.equal(result.critical, true);
+    assert.deepEqual(result.channels, [PUSH, SMS, EMAIL]);
+    assert.equal(providers[PUSH].sent.length, 1);
+    assert.equal(providers[SMS].sent.length, 1);
+    assert.equal(providers[EMAIL].sent.length, 1);
+  });
+
+  it('treats a critical category as critical without the flag', async () => {
+    withUser({ ...contacts, preferences: { notifications: { sms: false } } });
+
+    const result = await notificationDispatcher.dispatch({
+      category: MESSAGE_CATEGORIES.OTP,
+      userId: USER_ID,
+      title: 'OTP',
+      body: 'Your code is 123456'
+    });
+
+    assert.equal(result.critical, true);
+    assert.deepEqual(result.channels, [SMS, PUSH]);
+    assert.equal(providers[SMS].sent.length, 1);
+  });
+
+  it('never treats promotional messages as critical', async () => {
+    withUser({ ...contacts, preferences: { notifications: { push: false } } });
+
+    const result = await notificationDispatcher.dispatch({
+      category: MESSAGE_CATEGORIES.PROMOTIONAL,
+      userId: USER_ID,
+      title: 'Offer',
+      body: '20% off your next ride',
+      critical: true
+    });
+
+    assert.equal(result.critical, false);
+    assert.deepEqual(result.channels, [EMAIL]);
+    assert.equal(providers[PUSH].sent.length, 0);
+  });
+
+  it('renders catalogue messages in the recipient language', async () => {
+    withUser({ ...contacts, preferences: { language: 'hi', notifications: {} } });
+
+    const result = await notificationDispatcher.dispatch({
+      category: MESSAGE_CATEGORIES.BOOKING,
+      userId: USER_ID,
+      title: messageRef('booking.title.cancelled'),
+      body: messageRef('booking.cancelled', { bookingId: 'CB123' })
+    });
+
+    assert.equal(result.language, 'hi');
+    assert.equal(providers[PUSH].sent[0].title, 'बुकिंग रद्द हो गई');
+    assert.match(providers[PUSH].sent[0].body, /CB123/);
+  });
+
+  it('reports a message no channel delivered', async () => {
+    notificationDispatcher.useProviders({ [SMS]: new FailingProvider(SMS) });
+
+    const result = await notificationDispatcher.dispatch({
+      category: MESSAGE_CATEGORIES.OTP,
+      to: { phoneNumber: contacts.phoneNumber },
+      title: 'OTP',
+      body: 'Your code is 123456'
+    });
+
+    assert.deepEqual(result.channels, [SMS]);
+    assert.equal(result.results[SMS].success, false);
+  });
+
+  it('rejects an unknown category', async () => {
+    await assert.rejects(
+      notificationDispatcher.dispatch({ category: 'UNKNOWN', to: contacts, title: 'x', body: 'y' }),
+      /Unknown message category/
+    );
+  });
+});
+
+describe('notificationDispatcher.dispatchToDriver', () => {
+  let providers;
+
+  beforeEach(() => {
+    providers = {
+      [PUSH]: new StubProvider(PUSH),
+      [SMS]: new StubProvider(SMS),
+      [EMAIL]: new StubProvider(EMAIL)
+    };
+    notificationDispatcher.useProviders(providers);
+  });
+
+  it('reaches a driver without the app by SMS on the profile number', async () => {
+    const result = await notificationDispatcher.dispatchToDriver(
+      { userId: null, phoneNumber: '9123456789', deviceInfo: [] },
+      {
+        category: MESSAGE_CATEGORIES.COMPLIANCE,
+        title: 'Driving licence expires in 7 day(s)',
+        body: 'Renew it in time to keep receiving trips.'
+      }
+    );
+
+    assert.deepEqual(result.channels, [SMS]);
+    assert.equal(providers[SMS].sent[0].to, '9123456789');
+  });
+
+  it('prefers the driver app token for push', async () => {
+    await notificationDispatcher.dispatchToDriver(
+      { userId: null, phoneNumber: '9123456789', deviceInfo: [{ fcmToken: 'driver-app-token' }] },
+      { category: MESSAGE_CATEGORIES.TRIP, title: 'Upcoming Trip', body: 'Pickup at 10:00' }
+    );
+
+    assert.equal(providers[PUSH].sent[0].to, 'driver-app-token');
+    assert.equal(providers[SMS].sent.length, 0);
+  });
+});